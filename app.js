@@ -1,547 +1,4025 @@
-/* app.js - Doctor Booking System (frontend demo)
-   - Single-page app
-   - Persists to localStorage
-   - Prevents double-booking of slots
-*/
-(function () {
-  // ---------- Data layer ----------
-  const STORAGE_KEY = 'doctor_booking_demo_v1';
-  const defaultState = {
-    doctors: [
-      { id: 'D001', name: 'Dr. Asha Mehta', speciality: 'General Physician', room: '101' },
-      { id: 'D002', name: 'Dr. Rajesh Singh', speciality: 'Cardiologist', room: '201' }
-    ],
-    // slots are available appointment slots for doctors
-    // each slot: { id, doctorId, date (YYYY-MM-DD), time (HH:MM) }
-    slots: [
-      { id: 'S1', doctorId: 'D001', date: todayISO(0), time: '09:00' },
-      { id: 'S2', doctorId: 'D001', date: todayISO(0), time: '09:30' },
-      { id: 'S3', doctorId: 'D002', date: todayISO(0), time: '10:00' }
-    ],
-    // appointments link to a slot; if a slot has an appointment it's booked
-    // appointment: { id, slotId, patientName, patientPhone, reason, status, createdAt }
-    appointments: [
-      // initially none or sample
-    ],
-    settings: { theme: 'dark' }
-  };
-
-  // date helper
-  function todayISO(offsetDays = 0){
-    const d = new Date();
-    d.setDate(d.getDate() + offsetDays);
-    return d.toISOString().slice(0,10);
-  }
-
-  function loadState(){
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if(!raw) return deepCopy(defaultState);
-      const parsed = JSON.parse(raw);
-      return Object.assign(deepCopy(defaultState), parsed);
-    } catch(e){
-      console.error('loadState error', e);
-      return deepCopy(defaultState);
-    }
-  }
-  function saveState(){
-    try{
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    }catch(e){
-      console.error('saveState error', e);
-    }
-  }
-  function deepCopy(v){ return JSON.parse(JSON.stringify(v)); }
-
-  const state = loadState();
-
-  // ---------- Utilities ----------
-  function byId(id){ return document.getElementById(id); }
-  function el(tag, attrs = {}, ...children){
-    const node = document.createElement(tag);
-    for(const k in attrs){
-      if(k === 'class') node.className = attrs[k];
-      else if(k === 'html') node.innerHTML = attrs[k];
-      else if(k.startsWith('on') && typeof attrs[k] === 'function') node.addEventListener(k.slice(2), attrs[k]);
-      else node.setAttribute(k, attrs[k]);
-    }
-    children.flat().forEach(c=>{
-      if(c === null || c === undefined) return;
-      if(typeof c === 'string' || typeof c === 'number') node.appendChild(document.createTextNode(String(c)));
-      else node.appendChild(c);
-    });
-    return node;
-  }
-  function uid(prefix='id'){ return prefix + Math.random().toString(36).slice(2,9); }
-
-  // ---------- UI wiring ----------
-  const content = byId('content');
-  const sidebarItems = document.querySelectorAll('.sidebar li');
-  const modal = byId('modal');
-  const modalBody = byId('modalBody');
-  const modalClose = byId('modalClose');
-  const globalSearch = byId('globalSearch');
-  const themeToggle = byId('themeToggle');
-
-  sidebarItems.forEach(item => {
-    item.addEventListener('click', ()=> {
-      sidebarItems.forEach(i=>i.classList.remove('active'));
-      item.classList.add('active');
-      navigateTo(item.dataset.view);
-    });
-  });
-
-  function openModal(node){
-    modalBody.innerHTML = '';
-    if(typeof node === 'string') modalBody.innerHTML = node;
-    else modalBody.appendChild(node);
-    modal.setAttribute('aria-hidden','false');
-  }
-  function closeModal(){ modal.setAttribute('aria-hidden','true'); modalBody.innerHTML = ''; }
-  modalClose && modalClose.addEventListener('click', closeModal);
-  modal.addEventListener('click', (e)=> { if(e.target === modal) closeModal(); });
-
-  function applyTheme(){ 
-    if(state.settings.theme === 'light'){
-      document.documentElement.style.setProperty('--bg','#f7fbff');
-      document.documentElement.style.setProperty('--card','#ffffff');
-      document.documentElement.style.setProperty('--text','#04202b');
-      document.documentElement.style.setProperty('--muted','#567077');
-      document.documentElement.style.setProperty('--accent','#0ea5a4');
-      themeToggle.textContent = '🌞';
-    }else{
-      document.documentElement.style.removeProperty('--bg');
-      document.documentElement.style.removeProperty('--card');
-      document.documentElement.style.removeProperty('--text');
-      document.documentElement.style.removeProperty('--muted');
-      themeToggle.textContent = '🌙';
-    }
-  }
-  themeToggle && themeToggle.addEventListener('click', ()=>{
-    state.settings.theme = state.settings.theme === 'light' ? 'dark' : 'light';
-    applyTheme(); saveState();
-  });
-
-  globalSearch && globalSearch.addEventListener('input', (e)=> {
-    const q = e.target.value.trim().toLowerCase();
-    if(!q){ renderCurrentView(); return; }
-    const doctors = state.doctors.filter(d => (d.id + d.name + d.speciality + d.room).toLowerCase().includes(q));
-    const appointments = state.appointments.filter(a => (a.id + a.patientName + a.patientPhone + a.reason).toLowerCase().includes(q));
-    const slots = state.slots.filter(s => (s.id + s.date + s.time).toLowerCase().includes(q));
-    renderSearchResults({doctors, slots, appointments, query: q});
-  });
-
-  function renderSearchResults({doctors, slots, appointments, query}){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, `Search results for "${query}"`)));
-    const grid = el('div',{class:'grid cols-3'});
-    grid.appendChild(renderDoctorsCard(doctors, true));
-    grid.appendChild(renderSlotsCard(slots, true));
-    grid.appendChild(renderAppointmentsCard(appointments, true));
-    view.appendChild(grid);
-    content.appendChild(view);
-  }
-
-  // ---------- Views ----------
-  let currentView = 'dashboard';
-  function navigateTo(view){ currentView = view; renderCurrentView(); }
-  function renderCurrentView(){
-    switch(currentView){
-      case 'dashboard': renderDashboard(); break;
-      case 'doctors': renderDoctors(); break;
-      case 'slots': renderSlots(); break;
-      case 'appointments': renderAppointments(); break;
-      case 'settings': renderSettings(); break;
-      default: renderDashboard();
-    }
-  }
-
-  // small helpers
-  function actionBar(text, onClick){ return el('div',{}, el('button',{class:'btn', onClick}, text)); }
-  function statBlock(title, value){ return el('div',{}, el('div',{style:'font-size:20px; font-weight:700'}, String(value)), el('div',{class:'small'}, title)); }
-  function isSlotBooked(slotId){ return state.appointments.some(a=>a.slotId === slotId); }
-  function getAppointmentForSlot(slotId){ return state.appointments.find(a=>a.slotId === slotId); }
-
-  // DASHBOARD
-  function renderDashboard(){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    const statsCard = el('div',{class:'card header-row'});
-    const stats = el('div',{style:'display:flex; gap:18px; align-items:center'});
-    stats.appendChild(statBlock('Doctors', state.doctors.length));
-    stats.appendChild(statBlock('Slots', state.slots.length));
-    stats.appendChild(statBlock('Appointments', state.appointments.length));
-    statsCard.appendChild(el('div',{class:'h-title'}, 'Overview'));
-    statsCard.appendChild(stats);
-
-    const todaySlots = state.slots.filter(s => s.date === todayISO(0)).sort((a,b)=> a.time.localeCompare(b.time));
-    const slotsCard = el('div',{class:'card'});
-    slotsCard.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Today\'s Slots'), el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
-    slotsCard.appendChild(renderSlotTable(todaySlots));
-
-    const grid = el('div',{class:'grid cols-2'});
-    grid.appendChild(renderDoctorsCard(state.doctors));
-    grid.appendChild(renderAppointmentsCard(state.appointments));
-
-    view.appendChild(statsCard);
-    view.appendChild(el('div',{style:'height:16px'}));
-    view.appendChild(slotsCard);
-    view.appendChild(el('div',{style:'height:16px'}));
-    view.appendChild(grid);
-    content.appendChild(view);
-  }
-
-  // DOCTORS
-  function renderDoctors(){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Doctors'), el('div',{}, el('button',{class:'btn', onClick:()=> openCreateDoctorModal()}, 'Add doctor'))));
-    view.appendChild(renderDoctorTable(state.doctors));
-    content.appendChild(view);
-  }
-
-  function renderDoctorsCard(doctors, compact=false){
-    const c = el('div',{class:'card'});
-    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Doctors'), !compact && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateDoctorModal()}, 'Add doctor'))));
-    c.appendChild(compact ? renderDoctorListCompact(doctors) : renderDoctorTable(doctors));
-    return c;
-  }
-
-  function renderDoctorListCompact(doctors){
-    const wrap = el('div');
-    doctors.forEach(d=>{
-      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
-        el('div',{}, el('div',{style:'font-weight:700'}, `${d.name}`), el('div',{class:'small'}, `${d.speciality} • Room ${d.room}`)),
-        el('div',{}, el('button',{class:'icon-btn', onClick:()=> openEditDoctorModal(d.id)}, '✏️'), el('button',{class:'icon-btn', onClick:()=> deleteDoctor(d.id)}, '🗑️'))
-      ));
-    });
-    return wrap;
-  }
-
-  function renderDoctorTable(doctors){
-    const wrap = el('div');
-    const table = el('table',{class:'table'});
-    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'ID'), el('th',{},'Name'), el('th',{},'Speciality'), el('th',{},'Room'), el('th',{},'Actions'))));
-    const body = el('tbody');
-    doctors.forEach(d=>{
-      body.appendChild(el('tr',{},
-        el('td',{}, d.id),
-        el('td',{}, d.name),
-        el('td',{}, d.speciality),
-        el('td',{}, d.room),
-        el('td',{}, el('button',{class:'btn secondary', onClick:()=> openEditDoctorModal(d.id)}, 'Edit'), ' ', el('button',{class:'btn', onClick:()=> openCreateSlotModal({ doctorId: d.id })}, 'New slot'))
-      ));
-    });
-    table.appendChild(body);
-    wrap.appendChild(table);
-    return wrap;
-  }
-
-  // SLOTS
-  function renderSlots(){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Slots'), el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
-    view.appendChild(renderSlotTable(state.slots));
-    content.appendChild(view);
-  }
-
-  function renderSlotsCard(slots, compact=false){
-    const c = el('div',{class:'card'});
-    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Slots'), !compact && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
-    c.appendChild(compact ? renderSlotListCompact(slots) : renderSlotTable(slots));
-    return c;
-  }
-
-  function renderSlotListCompact(slots){
-    const wrap = el('div');
-    slots.forEach(s=>{
-      const doc = state.doctors.find(d=>d.id===s.doctorId) || {};
-      const booked = isSlotBooked(s.id);
-      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
-        el('div',{}, el('div',{style:'font-weight:700'}, `${s.date} • ${s.time}`), el('div',{class:'small'}, `${doc.name || s.doctorId}`)),
-        el('div',{}, booked ? el('span',{class:'badge red'}, 'Booked') : el('button',{class:'btn', onClick:()=> openBookingModalForSlot(s.id)}, 'Book'))
-      ));
-    });
-    return wrap;
-  }
-
-  function renderSlotTable(slots){
-    // sort by date & time for display
-    const sorted = slots.slice().sort((a,b) => (a.date + a.time).localeCompare(b.date + b.time));
-    const table = el('table',{class:'table'});
-    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'Slot ID'), el('th',{},'Doctor'), el('th',{},'Date'), el('th',{},'Time'), el('th',{},'Status'), el('th',{},'Actions'))));
-    const body = el('tbody');
-    sorted.forEach(s=>{
-      const doc = state.doctors.find(d=>d.id===s.doctorId) || {};
-      const appointment = getAppointmentForSlot(s.id);
-      const statusNode = appointment ? el('span',{class:'badge red'}, 'Booked') : el('span',{class:'badge green'}, 'Available');
-      body.appendChild(el('tr',{},
-        el('td',{}, s.id),
-        el('td',{}, `${doc.name || s.doctorId} • ${doc.speciality || ''}`),
-        el('td',{}, s.date),
-        el('td',{}, s.time),
-        el('td',{}, statusNode),
-        el('td',{}, appointment ? el('button',{class:'btn secondary', onClick:()=> viewAppointment(appointment.id)}, 'View') : el('button',{class:'btn', onClick:()=> openBookingModalForSlot(s.id)}, 'Book'), ' ', el('button',{class:'btn secondary', onClick:()=> openEditSlotModal(s.id)}, 'Edit'))
-      ));
-    });
-    table.appendChild(body);
-    return table;
-  }
-
-  // APPOINTMENTS
-  function renderAppointments(){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Appointments'), el('div',{}, el('button',{class:'btn', onClick:()=> openBookingModal()}, 'New appointment'))));
-    view.appendChild(renderAppointmentTable(state.appointments));
-    content.appendChild(view);
-  }
-
-  function renderAppointmentsCard(appointments, compact=false){
-    const c = el('div',{class:'card'});
-    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Appointments'), !compact && el('div',{}, el('button',{class:'btn', onClick:()=> openBookingModal()}, 'New appointment'))));
-    c.appendChild(compact ? renderAppointmentListCompact(appointments) : renderAppointmentTable(appointments));
-    return c;
-  }
-
-  function renderAppointmentListCompact(appointments){
-    const wrap = el('div');
-    appointments.forEach(a=>{
-      const slot = state.slots.find(s=>s.id===a.slotId) || {};
-      const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
-      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
-        el('div',{}, el('div',{style:'font-weight:700'}, `${a.patientName}`), el('div',{class:'small'}, `${doc.name || ''} • ${slot.date} ${slot.time}`)),
-        el('div',{}, el('button',{class:'icon-btn', onClick:()=> viewAppointment(a.id)}, '👁️'), el('button',{class:'icon-btn', onClick:()=> cancelAppointment(a.id)}, '❌'))
-      ));
-    });
-    return wrap;
-  }
-
-  function renderAppointmentTable(appointments){
-    const table = el('table',{class:'table'});
-    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'ID'), el('th',{},'Patient'), el('th',{},'Doctor'), el('th',{},'Date'), el('th',{},'Time'), el('th',{},'Reason'), el('th',{},'Actions'))));
-    const body = el('tbody');
-    appointments.slice().forEach(a=>{
-      const slot = state.slots.find(s=>s.id===a.slotId) || {};
-      const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
-      body.appendChild(el('tr',{},
-        el('td',{}, a.id),
-        el('td',{}, `${a.patientName} ${a.patientPhone ? '• ' + a.patientPhone : ''}`),
-        el('td',{}, doc.name || slot.doctorId),
-        el('td',{}, slot.date || ''),
-        el('td',{}, slot.time || ''),
-        el('td',{}, a.reason || ''),
-        el('td',{}, el('button',{class:'btn secondary', onClick:()=> viewAppointment(a.id)}, 'View'), ' ', el('button',{class:'btn', onClick:()=> cancelAppointment(a.id)}, 'Cancel'))
-      ));
-    });
-    table.appendChild(body);
-    return table;
-  }
-
-  // SETTINGS
-  function renderSettings(){
-    content.innerHTML = '';
-    const view = el('div',{class:'view'});
-    const card = el('div',{class:'card'});
-    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Settings')));
-    const f = el('div');
-    const themeLabel = el('label',{}, 'Theme:');
-    const themeSelect = el('select', {id:'themeSelect'}, el('option',{value:'dark'}, 'Dark'), el('option',{value:'light'}, 'Light'));
-    themeSelect.value = state.settings.theme || 'dark';
-    themeSelect.addEventListener('change', (e)=> { state.settings.theme = e.target.value; applyTheme(); saveState(); });
-    f.appendChild(themeLabel); f.appendChild(themeSelect);
-    f.appendChild(el('div',{style:'height:12px'}));
-    f.appendChild(el('button',{class:'btn', onClick:()=> { localStorage.removeItem(STORAGE_KEY); location.reload(); }}, 'Reset demo data'));
-    card.appendChild(f);
-    view.appendChild(card);
-    content.appendChild(view);
-  }
-
-  // ---------- Actions: Doctors ----------
-  function openCreateDoctorModal(){ openModal(renderDoctorForm()); }
-  function openEditDoctorModal(doctorId){
-    const d = state.doctors.find(x=>x.id===doctorId);
-    if(!d) return alert('Doctor not found');
-    openModal(renderDoctorForm(d));
-  }
-
-  function renderDoctorForm(doctor){
-    const id = doctor ? doctor.id : '';
-    const form = el('div',{},
-      el('h3',{id:'modalTitle'}, doctor ? 'Edit Doctor' : 'Add Doctor'),
-      el('div',{class:'form-row'},
-        el('div',{class:'field'}, el('label',{}, 'Doctor ID'), el('input',{type:'text', id:'docId', value:id, disabled:!!doctor})),
-        el('div',{class:'field'}, el('label',{}, 'Name'), el('input',{type:'text', id:'docName', value: doctor?doctor.name:''})),
-        el('div',{class:'field'}, el('label',{}, 'Speciality'), el('input',{type:'text', id:'docSpec', value: doctor?doctor.speciality:''})),
-        el('div',{class:'field'}, el('label',{}, 'Room'), el('input',{type:'text', id:'docRoom', value: doctor?doctor.room:''}))
-      ),
-      el('div',{style:'height:12px'}),
-      el('div',{}, el('button',{class:'btn', onClick:()=> {
-        const idv = byId('docId').value.trim();
-        const name = byId('docName').value.trim();
-        const spec = byId('docSpec').value.trim();
-        const room = byId('docRoom').value.trim();
-        if(!idv || !name) return alert('ID and name required');
-        if(doctor){
-          const existing = state.doctors.find(x=>x.id === idv);
-          Object.assign(existing, { name, speciality: spec, room });
-        } else {
-          if(state.doctors.find(x=>x.id === idv)) return alert('Doctor ID already exists');
-          state.doctors.push({ id: idv, name, speciality: spec, room });
-        }
-        saveState(); closeModal(); renderCurrentView();
-      }}, 'Save'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
-    );
-    return form;
-  }
-
-  function deleteDoctor(doctorId){
-    if(!confirm('Delete this doctor? This will also remove slots for this doctor and appointments attached to those slots.')) return;
-    // remove slots and appointments associated
-    const remainingSlots = state.slots.filter(s => s.doctorId !== doctorId);
-    const remainingAppointments = state.appointments.filter(a => remainingSlots.find(s => s.id === a.slotId));
-    state.slots = remainingSlots;
-    state.appointments = remainingAppointments;
-    state.doctors = state.doctors.filter(d => d.id !== doctorId);
-    saveState(); renderCurrentView();
-  }
-
-  // ---------- Actions: Slots ----------
-  function openCreateSlotModal(prefill = {}){ openModal(renderSlotForm(prefill)); }
-  function openEditSlotModal(slotId){
-    const s = state.slots.find(x=>x.id===slotId);
-    if(!s) return alert('Slot not found');
-    openModal(renderSlotForm(s));
-  }
-
-  function renderSlotForm(data = {}){
-    const form = el('div',{},
-      el('h3',{id:'modalTitle'}, data.id ? 'Edit Slot' : 'Create Slot'),
-      el('div',{class:'form-row'},
-        el('div',{class:'field'}, el('label',{}, 'Doctor'), renderDoctorSelect(data.doctorId)),
-        el('div',{class:'field'}, el('label',{}, 'Date'), el('input',{type:'date', id:'slotDate', value: data.date || todayISO(0)})),
-        el('div',{class:'field'}, el('label',{}, 'Time'), el('input',{type:'time', id:'slotTime', value: data.time || '09:00'}))
-      ),
-      el('div',{style:'height:12px'}),
-      el('div',{}, el('button',{class:'btn', onClick:()=> {
-        const doctorId = byId('slotDoctor').value;
-        const date = byId('slotDate').value;
-        const time = byId('slotTime').value;
-        if(!doctorId || !date || !time) return alert('Doctor, date and time are required');
-        if(data.id){
-          const s = state.slots.find(x=>x.id===data.id);
-          Object.assign(s, { doctorId, date, time });
-        } else {
-          const id = uid('SL');
-          state.slots.push({ id, doctorId, date, time });
-        }
-        saveState(); closeModal(); renderCurrentView();
-      }}, 'Save slot'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
-    );
-    return form;
-  }
-
-  function renderDoctorSelect(selectedId){
-    const sel = el('select',{id:'slotDoctor'});
-    state.doctors.forEach(d => {
-      const opt = el('option',{value:d.id}, `${d.name} • ${d.speciality}`);
-      if(d.id === selectedId) opt.selected = true;
-      sel.appendChild(opt);
-    });
-    return sel;
-  }
-
-  // ---------- Actions: Appointments (booking) ----------
-  function openBookingModal(){ openModal(renderBookingForm()); }
-  function openBookingModalForSlot(slotId){ openModal(renderBookingForm({ slotId })); }
-
-  function renderBookingForm(prefill = {}){
-    // only show slots that are not booked
-    const availableSlots = state.slots.filter(s => !isSlotBooked(s.id)).slice().sort((a,b)=> (a.date + a.time).localeCompare(b.date + b.time));
-    if(prefill.slotId && !isSlotBooked(prefill.slotId)){
-      // ensure selected slot is in list and appears first
-      const idx = availableSlots.findIndex(s=>s.id===prefill.slotId);
-      if(idx >= 0){
-        const s = availableSlots.splice(idx,1)[0];
-        availableSlots.unshift(s);
-      } else {
-        // if slot isn't available (booked) show an alert and fall back to normal list
-        if(isSlotBooked(prefill.slotId)) { alert('Selected slot already booked. Choose another slot.'); }
-      }
-    }
-
-    const sel = el('select',{id:'bookingSlot'});
-    if(availableSlots.length === 0){
-      sel.appendChild(el('option',{value:''}, 'No available slots — create new slots first'));
-      sel.disabled = true;
-    } else {
-      availableSlots.forEach(s => {
-        const d = state.doctors.find(dd=>dd.id===s.doctorId) || {};
-        sel.appendChild(el('option',{value:s.id}, `${s.date} ${s.time} • ${d.name || s.doctorId} (${d.speciality||''})`));
-      });
-    }
-
-    const form = el('div',{},
-      el('h3',{id:'modalTitle'}, 'New Appointment'),
-      el('div',{class:'form-row'},
-        el('div',{class:'field'}, el('label',{}, 'Select slot'), sel),
-        el('div',{class:'field'}, el('label',{}, 'Patient name'), el('input',{type:'text', id:'patientName', value: prefill.patientName || ''}))
-      ),
-      el('div',{class:'form-row'},
-        el('div',{class:'field'}, el('label',{}, 'Phone'), el('input',{type:'text', id:'patientPhone', value: prefill.patientPhone || ''})),
-        el('div',{class:'field'}, el('label',{}, 'Reason'), el('input',{type:'text', id:'reason', value: prefill.reason || ''}))
-      ),
-      el('div',{style:'height:12px'}),
-      el('div',{}, el('button',{class:'btn', onClick:()=> {
-        const slotId = byId('bookingSlot').value;
-        const patientName = byId('patientName').value.trim();
-        const patientPhone = byId('patientPhone').value.trim();
-        const reason = byId('reason').value.trim();
-        if(!slotId) return alert('Select a slot');
-        if(!patientName) return alert('Enter patient name');
-        if(isSlotBooked(slotId)) return alert('Sorry — that slot is already booked');
-        const id = uid('AP');
-        const appointment = { id, slotId, patientName, patientPhone, reason, status: 'Confirmed', createdAt: new Date().toISOString() };
-        state.appointments.push(appointment);
-        saveState(); closeModal(); renderCurrentView();
-        alert('Appointment confirmed ✅');
-      }}, 'Confirm Appointment'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
-    );
-    return form;
-  }
-
-  function viewAppointment(appointmentId){
-    const ap = state.appointments.find(a=>a.id===appointmentId);
-    if(!ap) return alert('Appointment not found');
-    const slot = state.slots.find(s=>s.id===ap.slotId) || {};
-    const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
-    openModal(el('div',{}, el('h3',{id:'modalTitle'}, `Appointment ${ap.id}`),
-      el('div',{class:'small'}, `Patient: ${ap.patientName}`),
-      el('div',{class:'small'}, `Phone: ${ap.patientPhone || '—'}`),
-      el('div',{class:'small'}, `Doctor: ${doc.name || slot.doctorId} (${doc.speciality || ''})`),
-      el('div',{class:'small'}, `Slot: ${slot.date || ''} ${slot.time || ''}`),
-      el('div',{class:'small'}, `Reason: ${ap.reason || '—'}`),
-      el('div',{style:'height:12px'}),
-      el('div',{}, el('button',{class:'btn', onClick:()=> { navigator.clipboard?.writeText(JSON.stringify(ap)); alert('Appointment copied to clipboard'); }}, 'Copy JSON'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
-    ));
-  }
-
-  function cancelAppointment(appointmentId){
-    if(!confirm('Cancel this appointment?')) return;
-    state.appointments = state.appointments.filter(a=>a.id !== appointmentId);
-    saveState(); renderCurrentView();
-  }
-
-  // ---------- Init ----------
-  function init(){
-    applyTheme();
-    renderCurrentView();
-  }
-  init();
-
-  // expose for debugging
-  window.DBS = { state, saveState, loadState };
-
-})();
+/* app.js - Doctor Booking System (frontend demo)
+   - Single-page app
+   - Persists to localStorage or to the Express API (server.js)
+   - Prevents double-booking of slots
+*/
+(function () {
+  // ---------- Data layer ----------
+  const STORAGE_KEY = 'doctor_booking_demo_v1';
+  const SESSION_KEY = 'doctor_booking_session_v1';
+  // slot dates and times are wall-clock time in the clinic's time zone: GET /clinic with the HTTP backend,
+  // the Settings choice in the local demo (this browser's zone until one is picked)
+  let clinicTimeZone = browserTimeZone();
+  // CLINIC_NAME with the HTTP backend, for the printed visit summary
+  let clinicName = '';
+  const zoneFormats = new Map(); // Intl.DateTimeFormat per time zone, for zonedDateTime
+  const defaultState = {
+    // a doctor's room is the default room for their new slots
+    doctors: [
+      { id: 'D001', name: 'Dr. Asha Mehta', speciality: 'General Physician', room: '101' },
+      { id: 'D002', name: 'Dr. Rajesh Singh', speciality: 'Cardiologist', room: '201' }
+    ],
+    // room: { id (number or code), name, notes }
+    rooms: [
+      { id: '101', name: 'Consulting room 1', notes: '' },
+      { id: '201', name: 'Cardiology', notes: '' }
+    ],
+    // slots are available appointment slots for doctors
+    // each slot: { id, doctorId, date (YYYY-MM-DD), time (HH:MM, start), duration (minutes), roomId (or null) }
+    slots: [
+      { id: 'S1', doctorId: 'D001', date: todayISO(0), time: '09:00', duration: 30, roomId: '101' },
+      { id: 'S2', doctorId: 'D001', date: todayISO(0), time: '09:30', duration: 30, roomId: '101' },
+      { id: 'S3', doctorId: 'D002', date: todayISO(0), time: '10:00', duration: 30, roomId: '201' }
+    ],
+    // patient: { id, name, phone, dateOfBirth, notes, createdAt }; no two patients share a phone number
+    patients: [],
+    // appointments link to a slot and a patient; a slot is booked while it has an appointment that isn't Cancelled
+    // patientName/patientPhone are copies of the patient's current details (the server joins them in)
+    // appointment: { id, slotId, patientId, patientName, patientPhone, reason, status, createdAt, statusChangedAt,
+    //                cancelReason, cancelledBy, history: [{ event, fromStatus, toStatus, fromSlotId, toSlotId, note, actorName, at }],
+    //                notes: [consultation notes, oldest version first], followUpDate (from the current notes) }
+    appointments: [
+      // initially none or sample
+    ],
+    // weekly hours used to generate slots; several rows per weekday allow breaks
+    // schedule rule: { id, doctorId, weekday (0 = Sunday), start (HH:MM), end (HH:MM), slotMinutes }
+    schedules: [],
+    // patients waiting for a doctor or speciality within a date range (oldest match is booked first)
+    // entry: { id, patientId, patientName, patientPhone, reason, doctorId, speciality, from, to, status, appointmentId, createdAt, resolvedAt }
+    waitlist: [],
+    // days off (from..to inclusive): nothing is created or booked on them
+    // leave: { id, doctorId, from, to, reason, createdAt }; closure (whole clinic): { id, from, to, reason, createdAt }
+    leave: [],
+    closures: [],
+    // limits on booking as in the booking_rules table: the clinic's, and per doctor the ones that override them;
+    // null is no limit (for a doctor: the clinic's). Keys are BOOKING_RULE_KEYS.
+    bookingRules: { clinic: { minNoticeMinutes: 0, maxDaysAhead: null, maxPerPatientDay: null, maxPerDoctorDay: null, cancelCutoffHours: null }, doctors: {} },
+    // backend: 'local' keeps everything in this browser, 'http' uses the API in server.js at apiUrl
+    // timeZone: the local demo's clinic time zone (IANA name), '' for this browser's
+    settings: { theme: 'dark', backend: 'local', apiUrl: 'http://localhost:4000', timeZone: '' }
+  };
+
+  // date helpers, as timezone.js on the server
+  function browserTimeZone(){ return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; }
+  function isTimeZone(name){
+    try { new Intl.DateTimeFormat('en-US', { timeZone: name }); return !!name; } catch(e){ return false; }
+  }
+  // "YYYY-MM-DD HH:MM" on the zone's clocks at `instant`
+  function zonedDateTime(timeZone, instant = new Date()){
+    if(!zoneFormats.has(timeZone)){
+      zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }));
+    }
+    const parts = {};
+    zoneFormats.get(timeZone).formatToParts(new Date(instant)).forEach(p => { parts[p.type] = p.value; });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+  }
+  // the clinic's date, offsetDays from today (not UTC's: the two differ for hours around midnight)
+  function todayISO(offsetDays = 0){
+    return addDaysISO(zonedDateTime(clinicTimeZone).slice(0,10), offsetDays);
+  }
+  // the instant a clinic date and time happen (toInstant in timezone.js, DST handling included)
+  function clinicInstant(date, time){
+    const wall = Date.parse(`${date}T${time}:00Z`);
+    const offsetAt = ms => Date.parse(`${zonedDateTime(clinicTimeZone, ms).replace(' ', 'T')}:00Z`) - (ms - (((ms % 60000) + 60000) % 60000));
+    const offsets = [offsetAt(wall - 86400000), offsetAt(wall + 86400000)];
+    const match = offsets.map(o => wall - o).sort((x, y) => x - y).find(ms => zonedDateTime(clinicTimeZone, ms) === `${date} ${time}`);
+    return new Date(match !== undefined ? match : wall - Math.min(...offsets));
+  }
+  // " (HH:MM your time)" when this browser's clock shows a slot's start differently from the clinic's, else ''
+  function yourTime(slot){
+    if(!slot.date || !slot.time || browserTimeZone() === clinicTimeZone) return '';
+    const here = zonedDateTime(browserTimeZone(), clinicInstant(slot.date, slot.time));
+    if(here === `${slot.date} ${slot.time}`) return '';
+    return ` (${here.slice(0,10) === slot.date ? here.slice(11) : here} your time)`;
+  }
+
+  function loadState(){
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if(!raw) return deepCopy(defaultState);
+      const parsed = JSON.parse(raw);
+      const loaded = Object.assign(deepCopy(defaultState), parsed);
+      loaded.settings = Object.assign({}, defaultState.settings, parsed.settings);
+      // saved before rooms existed: addLocalRooms makes them from the doctors instead of the sample rooms
+      if(!parsed.rooms) loaded.rooms = [];
+      return loaded;
+    } catch(e){
+      console.error('loadState error', e);
+      return deepCopy(defaultState);
+    }
+  }
+  function saveState(){
+    try{
+      // with the HTTP backend the server owns the data; only settings are kept locally
+      let data = state;
+      if(backend && !backend.persistsLocally){
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        data = Object.assign(stored, { settings: state.settings });
+      }
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }catch(e){
+      console.error('saveState error', e);
+    }
+  }
+  function deepCopy(v){ return JSON.parse(JSON.stringify(v)); }
+
+  // time helpers: HH:MM <-> minutes since midnight, and YYYY-MM-DD day arithmetic on plain calendar dates (in UTC, so DST
+  // can't shift a day). Which date is "today" is the clinic's, from todayISO; don't derive it from these.
+  function toMinutes(hhmm){ const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; }
+  function fromMinutes(total){ return `${String(Math.floor(total / 60)).padStart(2,'0')}:${String(total % 60).padStart(2,'0')}`; }
+  function addDaysISO(date, days){
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0,10);
+  }
+  function weekdayOf(date){ return new Date(`${date}T00:00:00Z`).getUTCDay(); }
+
+  // slots saved before durations existed count as 30 minutes, like the server's column default
+  const DEFAULT_SLOT_MINUTES = 30;
+  function slotDuration(s){ return Number(s.duration) || DEFAULT_SLOT_MINUTES; }
+  function slotEnd(s){ return fromMinutes(toMinutes(s.time) + slotDuration(s)); }
+  function slotRange(s){ return `${s.time}–${slotEnd(s)}`; }
+  // the doctor's other slots that overlap `slot` (same check as findSlotConflicts in server.js)
+  function findSlotConflicts(slot){
+    const start = toMinutes(slot.time);
+    const end = start + slotDuration(slot);
+    return state.slots.filter(s => s.id !== slot.id && s.doctorId === slot.doctorId && s.date === slot.date &&
+      toMinutes(s.time) < end && start < toMinutes(s.time) + slotDuration(s));
+  }
+  // other slots in the same room that overlap `slot`, whoever they belong to (findRoomConflicts in server.js)
+  function findRoomConflicts(slot){
+    if(!slot.roomId) return [];
+    const start = toMinutes(slot.time);
+    const end = start + slotDuration(slot);
+    return state.slots.filter(s => s.id !== slot.id && s.roomId === slot.roomId && s.date === slot.date &&
+      toMinutes(s.time) < end && start < toMinutes(s.time) + slotDuration(s));
+  }
+  function roomConflictMessage(roomId, conflicts){
+    return `Room ${roomId} is in use at that time: ${conflicts.map(c => `${slotRange(c)} (${doctorName(c.doctorId) || c.doctorId})`).join(', ')}`;
+  }
+  function doctorRoom(doctorId){ return (state.doctors.find(d=>d.id===doctorId) || {}).room || null; }
+  // same as normalizePhone in server.js: digits only, compared on the last 10
+  function normalizePhone(phone){
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits ? digits.slice(-10) : null;
+  }
+  // same as unavailableReason in server.js: why the doctor sees no patients on `date`, or null
+  function unavailableReason(doctorId, date){
+    const closure = state.closures.find(c => c.from <= date && c.to >= date);
+    if(closure) return `The clinic is closed on ${date} (${closure.reason})`;
+    const leave = state.leave.find(l => l.doctorId === doctorId && l.from <= date && l.to >= date);
+    if(leave) return `${doctorName(doctorId) || doctorId} is on leave on ${date}${leave.reason ? ` (${leave.reason})` : ''}`;
+    return null;
+  }
+  // "YYYY-MM-DD HH:MM" now in the clinic, comparable with a slot's date and time
+  function localNow(){ return zonedDateTime(clinicTimeZone); }
+  // same as isPast in server.js: new and moved slots must start after now
+  function isPast(date, time){ return `${date} ${time}` < localNow(); }
+  function conflictMessage(conflicts){
+    return `Overlaps existing slot(s) for this doctor: ${conflicts.map(slotRange).join(', ')}`;
+  }
+  // booking rules as in server.js (BOOKING RULES): each broken rule is { rule, limit, message }
+  const BOOKING_RULE_KEYS = ['minNoticeMinutes', 'maxDaysAhead', 'maxPerPatientDay', 'maxPerDoctorDay', 'cancelCutoffHours'];
+  function bookingRulesFor(doctorId){
+    const own = state.bookingRules.doctors[doctorId] || {};
+    const rules = {};
+    BOOKING_RULE_KEYS.forEach(k => {
+      rules[k] = own[k] !== undefined && own[k] !== null ? own[k] : (state.bookingRules.clinic[k] !== undefined ? state.bookingRules.clinic[k] : null);
+    });
+    return rules;
+  }
+  function plural(n, word){ return `${n} ${word}${n === 1 ? '' : 's'}`; }
+  function appointmentsOnDay(date, match, excludeId){
+    return state.appointments.filter(a => a.id !== excludeId && isActiveAppointment(a) && slotOf(a).date === date && match(a)).length;
+  }
+  // what booking `slot` for `patientId` breaks; `appointmentId` is one being moved there (not counted)
+  function bookingViolations(slot, patientId = null, appointmentId = null){
+    const rules = bookingRulesFor(slot.doctorId);
+    const violations = [];
+    const minutesAhead = (clinicInstant(slot.date, slot.time).getTime() - Date.now()) / 60000;
+    if(minutesAhead < (rules.minNoticeMinutes || 0)){
+      const limit = rules.minNoticeMinutes || 0;
+      violations.push({ rule: 'min_notice', limit, message: limit ? `Bookings need at least ${limit % 60 ? plural(limit, 'minute') : plural(limit / 60, 'hour')} notice` : 'This slot has already started' });
+    }
+    if(rules.maxDaysAhead !== null && slot.date > todayISO(rules.maxDaysAhead)){
+      violations.push({ rule: 'max_days_ahead', limit: rules.maxDaysAhead, message: `Bookings open at most ${plural(rules.maxDaysAhead, 'day')} ahead` });
+    }
+    if(rules.maxPerDoctorDay !== null && appointmentsOnDay(slot.date, a => slotOf(a).doctorId === slot.doctorId, appointmentId) >= rules.maxPerDoctorDay){
+      violations.push({ rule: 'doctor_daily', limit: rules.maxPerDoctorDay, message: `${doctorName(slot.doctorId) || slot.doctorId} takes at most ${plural(rules.maxPerDoctorDay, 'appointment')} a day, and ${slot.date} is full` });
+    }
+    if(patientId && rules.maxPerPatientDay !== null && appointmentsOnDay(slot.date, a => a.patientId === patientId, appointmentId) >= rules.maxPerPatientDay){
+      violations.push({ rule: 'patient_daily', limit: rules.maxPerPatientDay, message: `A patient can have at most ${plural(rules.maxPerPatientDay, 'appointment')} a day, and already has that on ${slot.date}` });
+    }
+    return violations;
+  }
+  function cancellationViolations(a){
+    const slot = slotOf(a);
+    const hours = bookingRulesFor(slot.doctorId).cancelCutoffHours;
+    if(a.status !== 'Confirmed' || hours === null || !slot.date) return [];
+    if(clinicInstant(slot.date, slot.time).getTime() - Date.now() >= hours * 3600 * 1000) return [];
+    return [{ rule: 'cancel_cutoff', limit: hours, message: `Appointments can't be cancelled less than ${plural(hours, 'hour')} before they start` }];
+  }
+  function violationError(violations){
+    return backendError(violations.map(v => v.message).join('; '), 409, { violations });
+  }
+
+  const state = loadState();
+  if(isTimeZone(state.settings.timeZone)) clinicTimeZone = state.settings.timeZone;
+
+  // ---------- Backends ----------
+  // Views read from `state`; every write goes through `backend`, which updates `state` when done.
+  // Both backends expose the same async API and reject with an Error carrying an HTTP-like `status`.
+  function backendError(message, status, details){
+    const err = new Error(message);
+    err.status = status;
+    if(details) err.details = details;
+    return err;
+  }
+
+  // localStorage backend: the original offline demo behaviour (no login, full access)
+  const LOCAL_USER = { id: 'local', username: 'demo', name: 'Demo user', role: 'admin' };
+  const localBackend = {
+    name: 'local',
+    persistsLocally: true,
+    currentUser(){ return LOCAL_USER; },
+    async login(){ return LOCAL_USER; },
+    async logout(){},
+    async load(){ linkLocalPatients(); expireLocalWaitlist(); addLocalRooms(); },
+    // another tab of the demo saved: take over its data (settings stay per tab)
+    subscribe(onChange){
+      const listener = e => {
+        if(e.key !== STORAGE_KEY) return;
+        const fresh = loadState();
+        ['doctors', 'rooms', 'slots', 'patients', 'appointments', 'schedules', 'waitlist', 'leave', 'closures'].forEach(k => { state[k] = fresh[k]; });
+        onChange([]);
+      };
+      window.addEventListener('storage', listener);
+      return ()=> window.removeEventListener('storage', listener);
+    },
+    async saveDoctor(doctor, isNew){
+      const existing = state.doctors.find(x=>x.id === doctor.id);
+      if(doctor.room && (!existing || existing.room !== doctor.room) && !state.rooms.some(r=>r.id === doctor.room)){
+        throw backendError(`Room ${doctor.room} not found`, 400);
+      }
+      if(isNew){
+        if(existing) throw backendError('Doctor ID already exists', 409);
+        state.doctors.push(doctor);
+      } else {
+        if(!existing) throw backendError('Doctor not found', 404);
+        Object.assign(existing, doctor);
+      }
+      saveState();
+    },
+    async deleteDoctor(doctorId){
+      // appointments are kept, so a doctor who has any stays; their empty slots go with them
+      const slotIds = new Set(state.slots.filter(s => s.doctorId === doctorId).map(s => s.id));
+      if(state.appointments.some(a => slotIds.has(a.slotId))) throw backendError('Doctor has appointments; they cannot be deleted', 409);
+      state.slots = state.slots.filter(s => s.doctorId !== doctorId);
+      state.doctors = state.doctors.filter(d => d.id !== doctorId);
+      state.schedules = state.schedules.filter(r => r.doctorId !== doctorId);
+      state.leave = state.leave.filter(l => l.doctorId !== doctorId);
+      delete state.bookingRules.doctors[doctorId];
+      saveState();
+    },
+    async saveRoom(room, isNew){
+      const existing = state.rooms.find(r=>r.id === room.id);
+      if(isNew){
+        if(existing) throw backendError('Room ID already exists', 409);
+        state.rooms.push(room);
+      } else {
+        if(!existing) throw backendError('Room not found', 404);
+        Object.assign(existing, room);
+      }
+      saveState();
+    },
+    // as DELETE /rooms/:id: not while a doctor or an upcoming slot uses the room
+    async deleteRoom(roomId){
+      const doctors = state.doctors.filter(d=>d.room === roomId).map(d=>d.name);
+      if(doctors.length) throw backendError(`Room ${roomId} is the default room of ${doctors.join(', ')}`, 409);
+      const upcoming = state.slots.filter(s=>s.roomId === roomId && s.date >= todayISO(0)).length;
+      if(upcoming) throw backendError(`Room ${roomId} has ${upcoming} upcoming slot(s); move them to another room first`, 409);
+      state.rooms = state.rooms.filter(r=>r.id !== roomId);
+      saveState();
+    },
+    async savePatient(patient, isNew){
+      const existing = findLocalPatientByPhone(patient.phone, isNew ? null : patient.id);
+      if(existing) throw backendError(`${existing.name} is already registered with this phone number`, 409, { existing });
+      let saved;
+      if(isNew){
+        saved = Object.assign({ id: uid('PT'), phone: '', dateOfBirth: '', notes: '', createdAt: new Date().toISOString() }, patient);
+        state.patients.push(saved);
+      } else {
+        saved = state.patients.find(x=>x.id === patient.id);
+        if(!saved) throw backendError('Patient not found', 404);
+        Object.assign(saved, patient);
+        copyPatientDetails(saved);
+      }
+      saveState();
+      return saved;
+    },
+    async deletePatient(patientId){
+      if(state.appointments.some(a=>a.patientId === patientId) || state.waitlist.some(w=>w.patientId === patientId)){
+        throw backendError('Patient has appointments or waitlist entries and cannot be deleted', 409);
+      }
+      state.patients = state.patients.filter(p => p.id !== patientId);
+      saveState();
+    },
+    async getPatientAppointments(patientId){
+      return patientAppointments(patientId);
+    },
+    async getPatient(patientId){
+      const p = state.patients.find(x=>x.id === patientId);
+      if(!p) throw backendError('Patient not found', 404);
+      return localPatient(p);
+    },
+    // GET /patients?q=: the first 20 patients whose name or phone matches
+    async findPatients(text){
+      return listPage(state.patients.filter(p => patientMatches(p, text)).map(localPatient), { sort: 'name', limit: 20, offset: 0 }, LOCAL_PATIENT_SORTS).items;
+    },
+    async listPatients(q){
+      return listPage(state.patients.filter(p => patientMatches(p, q.q || '')).map(localPatient), q, LOCAL_PATIENT_SORTS);
+    },
+    async getAppointment(appointmentId){
+      const ap = state.appointments.find(a=>a.id === appointmentId);
+      if(!ap) throw backendError('Appointment not found', 404);
+      return ap;
+    },
+    // every slot and appointment is in state already
+    async loadDates(){},
+    // the storage listener has already taken over the other tab's data
+    async applyChanges(){ await localBackend.load(); return true; },
+    // same filters as GET /slots
+    async listSlots(q){
+      const rows = state.slots.filter(s => {
+        const doc = state.doctors.find(d=>d.id===s.doctorId) || {};
+        return (!q.doctorId || s.doctorId === q.doctorId) && (!q.speciality || doc.speciality === q.speciality) &&
+          (!q.roomId || s.roomId === q.roomId) && (!q.from || s.date >= q.from) && (!q.to || s.date <= q.to) && (!q.available || isSlotBookable(s));
+      });
+      return listPage(rows, q, LOCAL_SLOT_SORTS);
+    },
+    // same filters as GET /appointments
+    async listAppointments(q){
+      const statuses = q.status ? q.status.split(',') : null;
+      const name = (q.patient || '').toLowerCase();
+      const digits = (q.patient || '').replace(/\D/g, '');
+      const rows = state.appointments.filter(a => {
+        const slot = state.slots.find(s=>s.id===a.slotId) || {};
+        const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
+        return (!q.doctorId || slot.doctorId === q.doctorId) && (!q.speciality || doc.speciality === q.speciality) &&
+          (!q.from || slot.date >= q.from) && (!q.to || slot.date <= q.to) && (!statuses || statuses.includes(a.status)) &&
+          (!q.patientId || a.patientId === q.patientId) &&
+          (!name || a.patientName.toLowerCase().includes(name) || (!!digits && (normalizePhone(a.patientPhone) || '').includes(digits)));
+      });
+      return listPage(rows, q, LOCAL_APPOINTMENT_SORTS);
+    },
+    async saveSchedule(doctorId, rules){
+      state.schedules = state.schedules.filter(r => r.doctorId !== doctorId)
+        .concat(rules.map(r => Object.assign({ id: uid('AV'), doctorId }, r)));
+      saveState();
+    },
+    // same rules as POST /slots/generate: existing doctor/date/time slots are skipped, and so are days off, past times
+    // and clashes in the doctor's room
+    async generateSlots({ from, to, doctorId }){
+      let created = 0, skipped = 0, past = 0, roomConflicts = 0;
+      const daysOff = new Set();
+      const rules = state.schedules.filter(r => !doctorId || r.doctorId === doctorId);
+      for(let date = from; date <= to; date = addDaysISO(date, 1)){
+        const weekday = weekdayOf(date);
+        rules.filter(r => r.weekday === weekday).forEach(r => {
+          if(unavailableReason(r.doctorId, date)){ daysOff.add(`${r.doctorId} ${date}`); return; }
+          for(let t = toMinutes(r.start); t + r.slotMinutes <= toMinutes(r.end); t += r.slotMinutes){
+            const slot = { id: uid('SL'), doctorId: r.doctorId, date, time: fromMinutes(t), duration: r.slotMinutes, roomId: doctorRoom(r.doctorId) };
+            if(isPast(slot.date, slot.time)){ past++; continue; }
+            if(findSlotConflicts(slot).length){ skipped++; continue; }
+            if(findRoomConflicts(slot).length){ roomConflicts++; continue; }
+            state.slots.push(slot);
+            promoteLocalWaitlist(slot.id);
+            created++;
+          }
+        });
+      }
+      saveState();
+      return { created, skipped, past, daysOff: daysOff.size, roomConflicts };
+    },
+    // roomId as in PUT /slots: undefined keeps the room (or takes the new doctor's), '' or null is no room
+    async saveSlot(slot){
+      const existing = slot.id && state.slots.find(x=>x.id===slot.id);
+      if(slot.id && !existing) throw backendError('Slot not found', 404);
+      if(existing && isSlotBooked(slot.id) && (existing.doctorId !== slot.doctorId || existing.date !== slot.date ||
+        existing.time !== slot.time || slotDuration(existing) !== slotDuration(slot))){
+        throw backendError('Cannot edit slot with an existing appointment', 409);
+      }
+      if((!existing || existing.date !== slot.date || existing.time !== slot.time) && isPast(slot.date, slot.time)) throw backendError('Slot is in the past', 400);
+      const blocked = (!existing || existing.doctorId !== slot.doctorId || existing.date !== slot.date) && unavailableReason(slot.doctorId, slot.date);
+      if(blocked) throw backendError(blocked, 409);
+      const roomId = slot.roomId !== undefined ? slot.roomId || null
+        : existing && existing.doctorId === slot.doctorId ? existing.roomId || null : doctorRoom(slot.doctorId);
+      if(roomId && !state.rooms.some(r=>r.id === roomId)) throw backendError(`Room ${roomId} not found`, 400);
+      slot = Object.assign({}, slot, { roomId });
+      const conflicts = findSlotConflicts(slot);
+      if(conflicts.length) throw backendError(conflictMessage(conflicts), 409, { conflicts });
+      const roomConflicts = findRoomConflicts(slot);
+      if(roomConflicts.length) throw backendError(roomConflictMessage(roomId, roomConflicts), 409, { conflicts: roomConflicts });
+      if(slot.id){
+        Object.assign(existing, slot);
+      } else {
+        slot = Object.assign({}, slot, { id: uid('SL') });
+        state.slots.push(slot);
+      }
+      promoteLocalWaitlist(slot.id);
+      saveState();
+    },
+    // one browser, one user: there is nobody to hold a slot against
+    async holdSlot(){ return null; },
+    async releaseSlot(){},
+    async createAppointment(data){
+      const slot = state.slots.find(s=>s.id===data.slotId);
+      if(!slot) throw backendError('Slot not found', 400);
+      const blocked = unavailableReason(slot.doctorId, slot.date);
+      if(blocked) throw backendError(blocked, 409);
+      if(isSlotBooked(data.slotId)) throw backendError('Slot already booked', 409);
+      const violations = bookingViolations(slot, data.patientId || null);
+      if(violations.length) throw violationError(violations);
+      const patient = resolveLocalPatient(data);
+      const patientViolations = bookingViolations(slot, patient.id);
+      if(patientViolations.length) throw violationError(patientViolations);
+      const appointment = insertLocalAppointment({ slotId: data.slotId, patientId: patient.id, patientName: patient.name, patientPhone: patient.phone || '', reason: data.reason });
+      saveState();
+      return appointment;
+    },
+    async changeStatus(appointmentId, status, note){
+      const a = state.appointments.find(x=>x.id === appointmentId);
+      if(!a) throw backendError('Appointment not found', 404);
+      if(!nextStatuses(a.status).includes(status)) throw backendError(`Cannot change status from ${a.status} to ${status}`, 409);
+      if(status === 'Cancelled' && !note) throw backendError('A cancellation reason is required', 400);
+      const violations = status === 'Cancelled' ? cancellationViolations(a) : [];
+      if(violations.length) throw violationError(violations);
+      const at = new Date().toISOString();
+      a.history = (a.history || []).concat({ event: 'status', fromStatus: a.status, toStatus: status, note: note || null, actorName: LOCAL_USER.name, at });
+      Object.assign(a, { status, statusChangedAt: at });
+      if(status === 'Cancelled'){
+        Object.assign(a, { cancelReason: note, cancelledBy: LOCAL_USER.name });
+        promoteLocalWaitlist(a.slotId);
+      }
+      saveState();
+    },
+    async rescheduleAppointment(appointmentId, slotId, note){
+      const a = state.appointments.find(x=>x.id === appointmentId);
+      if(!a) throw backendError('Appointment not found', 404);
+      if(a.status !== 'Confirmed') throw backendError(`Only Confirmed appointments can be rescheduled (this one is ${a.status})`, 409);
+      const slot = state.slots.find(s=>s.id === slotId);
+      if(!slot) throw backendError('Slot not found', 400);
+      const blocked = unavailableReason(slot.doctorId, slot.date);
+      if(blocked) throw backendError(blocked, 409);
+      if(isSlotBooked(slotId)) throw backendError('Slot already booked', 409);
+      const violations = bookingViolations(slot, a.patientId, a.id);
+      if(violations.length) throw violationError(violations);
+      moveLocalAppointment(a, slotId, note);
+      saveState();
+    },
+    // same as POST /appointments/bulk-reschedule: each to the earliest free slot ahead with the same doctor or speciality
+    // that the booking rules allow
+    async bulkReschedule(appointmentIds, match, note){
+      const moved = [], unplaced = [];
+      const appointments = appointmentIds.map(id => state.appointments.find(a=>a.id === id) || { id, missing: true })
+        .sort((x, y) => `${slotOf(x).date} ${slotOf(x).time}`.localeCompare(`${slotOf(y).date} ${slotOf(y).time}`));
+      appointments.forEach(a => {
+        if(a.missing) return unplaced.push({ appointmentId: a.id, error: 'Appointment not found' });
+        if(a.status !== 'Confirmed') return unplaced.push({ appointmentId: a.id, error: `Appointment is ${a.status}` });
+        const from = slotOf(a);
+        const speciality = (state.doctors.find(d=>d.id === from.doctorId) || {}).speciality;
+        const now = localNow();
+        const slot = state.slots.filter(s => s.id !== a.slotId && `${s.date} ${s.time}` > now && isSlotBookable(s) &&
+          (match === 'speciality' ? (state.doctors.find(d=>d.id === s.doctorId) || {}).speciality === speciality : s.doctorId === from.doctorId))
+          .sort((x, y) => `${x.date} ${x.time} ${x.id}`.localeCompare(`${y.date} ${y.time} ${y.id}`))
+          .find(s => !bookingViolations(s, a.patientId, a.id).length);
+        if(!slot) return unplaced.push({ appointmentId: a.id, error: `No free slot with the same ${match}` });
+        const fromSlotId = a.slotId;
+        moveLocalAppointment(a, slot.id, note || 'Moved in bulk');
+        moved.push({ appointmentId: a.id, fromSlotId, toSlotId: slot.id, date: slot.date, time: slot.time, doctorName: doctorName(slot.doctorId) });
+      });
+      saveState();
+      return { moved, unplaced };
+    },
+    // same checks as POST /doctors/:id/leave and POST /closures; both return the appointments affected
+    async addLeave({ doctorId, from, to, reason }){
+      if(!state.doctors.some(d=>d.id === doctorId)) throw backendError('Doctor not found', 404);
+      if(from > to) throw backendError('from must not be after to', 400);
+      const overlap = state.leave.find(l => l.doctorId === doctorId && l.from <= to && l.to >= from);
+      if(overlap) throw backendError(`Overlaps leave from ${overlap.from} to ${overlap.to}`, 409);
+      const leave = { id: uid('LV'), doctorId, from, to, reason: reason || '', createdAt: new Date().toISOString() };
+      state.leave.push(leave);
+      saveState();
+      return { leave, affected: affectedAppointments(leave) };
+    },
+    async deleteLeave(leaveId){
+      if(!state.leave.some(l=>l.id === leaveId)) throw backendError('Leave not found', 404);
+      state.leave = state.leave.filter(l => l.id !== leaveId);
+      saveState();
+    },
+    async addClosure({ from, to, reason }){
+      if(from > to) throw backendError('from must not be after to', 400);
+      if(!reason) throw backendError('A reason is required', 400);
+      const closure = { id: uid('CL'), from, to, reason, createdAt: new Date().toISOString() };
+      state.closures.push(closure);
+      saveState();
+      return { closure, affected: affectedAppointments(closure) };
+    },
+    async deleteClosure(closureId){
+      if(!state.closures.some(c=>c.id === closureId)) throw backendError('Closure not found', 404);
+      state.closures = state.closures.filter(c => c.id !== closureId);
+      saveState();
+    },
+    // doctorId null: the clinic's rules; `rules` replaces them (BOOKING_RULE_KEYS, null for none)
+    async saveBookingRules(doctorId, rules){
+      if(doctorId && !state.doctors.some(d=>d.id === doctorId)) throw backendError('Doctor not found', 404);
+      const row = {};
+      BOOKING_RULE_KEYS.forEach(k => { row[k] = rules[k] === undefined ? null : rules[k]; });
+      if(doctorId) state.bookingRules.doctors[doctorId] = row;
+      else state.bookingRules.clinic = row;
+      saveState();
+    },
+    async deleteBookingRules(doctorId){
+      delete state.bookingRules.doctors[doctorId];
+      saveState();
+    },
+    async joinWaitlist(entry){
+      if(!entry.doctorId && !entry.speciality) throw backendError('Choose a doctor or a speciality', 400);
+      if(entry.from > entry.to) throw backendError('from must not be after to', 400);
+      if(entry.to < todayISO(0)) throw backendError('Date range is in the past', 400);
+      const patient = resolveLocalPatient(entry);
+      state.waitlist.push(Object.assign({ id: uid('WL') }, entry, {
+        patientId: patient.id, patientName: patient.name, patientPhone: patient.phone || '',
+        speciality: entry.doctorId ? null : entry.speciality, status: 'Waiting', appointmentId: null, createdAt: new Date().toISOString(), resolvedAt: null
+      }));
+      saveState();
+    },
+    async removeWaitlistEntry(entryId){
+      const w = state.waitlist.find(x=>x.id === entryId && x.status === 'Waiting');
+      if(!w) throw backendError('No waiting entry with that id', 404);
+      Object.assign(w, { status: 'Removed', resolvedAt: new Date().toISOString() });
+      saveState();
+    },
+    async getHistory(appointmentId){
+      const a = state.appointments.find(x=>x.id === appointmentId);
+      return a && a.history ? a.history : [];
+    },
+    // same as /appointments/:id/notes: every version, newest first; saving adds one
+    async getNotes(appointmentId){
+      const a = state.appointments.find(x=>x.id === appointmentId);
+      if(!a) throw backendError('Appointment not found', 404);
+      return (a.notes || []).slice().reverse();
+    },
+    async saveNotes(appointmentId, notes, baseVersion){
+      const a = state.appointments.find(x=>x.id === appointmentId);
+      if(!a) throw backendError('Appointment not found', 404);
+      if(NOTES_CLOSED_STATUSES.includes(a.status)) throw backendError(`No notes can be kept for a ${a.status === 'NoShow' ? 'missed' : 'cancelled'} appointment`, 409);
+      if(notes.vitals.bloodPressure && !/^\d{2,3}\/\d{2,3}$/.test(notes.vitals.bloodPressure)) throw backendError('Blood pressure as systolic/diastolic, e.g. 120/80', 400);
+      if(notes.medicines.some(m => !m.name)) throw backendError('Every medicine needs a name', 400);
+      if(notes.followUpDate && notes.followUpDate <= slotOf(a).date) throw backendError('The follow-up must be after this appointment', 400);
+      const versions = a.notes || [];
+      const current = versions[versions.length - 1];
+      if(baseVersion !== undefined && baseVersion !== null && baseVersion !== versions.length){
+        throw backendError(`${current.authorName || 'Someone'} saved newer notes (version ${versions.length}); check them and save again`, 409, { current });
+      }
+      const saved = Object.assign({ version: versions.length + 1 }, notes, { authorName: LOCAL_USER.name, createdAt: new Date().toISOString() });
+      a.notes = versions.concat(saved);
+      a.followUpDate = saved.followUpDate || '';
+      saveState();
+      return saved;
+    },
+    // subscribable feeds need a server to fetch them from
+    async getCalendarFeed(){ throw backendError('Calendar feeds are served by the API server', 400); },
+    async saveCalendarFeed(){ throw backendError('Calendar feeds are served by the API server', 400); },
+    async deleteCalendarFeed(){ throw backendError('Calendar feeds are served by the API server', 400); },
+    async listAudit(){ throw backendError('The audit log is kept by the API server', 400); },
+    async listNotifications(){ throw backendError('Patient messages are sent by the API server', 400); },
+    // q: { from, to, doctorId?, speciality? }, like GET /reports
+    async getReport(q){
+      const to = q.to || todayISO(0);
+      const from = q.from || addDaysISO(to, -(REPORT_DEFAULT_DAYS - 1));
+      if(from > to) throw backendError('from must not be after to', 400);
+      return localReport({ from, to, doctorId: q.doctorId, speciality: q.speciality });
+    },
+    async retryNotification(){ throw backendError('Patient messages are sent by the API server', 400); },
+    // same checks as POST /import/<table>: every row goes in or none does, and a dry run only checks
+    async importData(table, rows, dryRun){
+      const isCsv = typeof rows === 'string';
+      const parsed = isCsv ? parseCsv(rows)
+        : Array.isArray(rows) ? { rows, error: null } : { rows: [], error: 'Send CSV or a JSON array of rows' };
+      if(parsed.error) throw backendError(parsed.error, 400);
+      if(!parsed.rows.length) throw backendError('No rows to import', 400);
+      const before = deepCopy({ doctors: state.doctors, slots: state.slots, appointments: state.appointments, waitlist: state.waitlist });
+      const importRow = table === 'doctors' ? importLocalDoctor : importLocalSlot;
+      const errors = [];
+      const summary = { waitlistBookings: 0 };
+      parsed.rows.forEach((row, i) => {
+        const problem = row && typeof row === 'object' ? importRow(row, summary) : { field: null, error: 'Row must be an object' };
+        if(problem) errors.push(Object.assign({ row: isCsv ? i + 2 : i + 1 }, problem));
+      });
+      const count = parsed.rows.length;
+      if(errors.length || dryRun) Object.assign(state, before);
+      if(errors.length) throw backendError(`${errors.length} invalid row(s); nothing was imported`, 422, { dryRun, rows: count, errors });
+      if(dryRun) return { dryRun, rows: count, imported: 0 };
+      saveState();
+      return Object.assign({ dryRun, rows: count, imported: count }, summary);
+    },
+    async exportData(table, format){
+      const rows = localExportRows(table);
+      return format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows, EXPORT_COLUMNS[table]);
+    }
+  };
+
+  // sorting and paging like sendList in server.js: ties are broken by id, `limit` cuts out one page
+  function listPage(rows, { sort, order = 'asc', limit, offset = 0 }, sorts){
+    const keys = sorts[sort].concat(r => r.id);
+    const dir = order === 'desc' ? -1 : 1;
+    const text = v => v === undefined || v === null ? '' : String(v);
+    const sorted = rows.slice().sort((a,b) => {
+      for(const key of keys){
+        const c = text(key(a)).localeCompare(text(key(b)), undefined, { sensitivity: 'base', numeric: true });
+        if(c) return c * dir;
+      }
+      return 0;
+    });
+    return { items: limit ? sorted.slice(offset, offset + limit) : sorted, total: rows.length, limit, offset };
+  }
+  function slotOf(a){ return state.slots.find(s=>s.id===a.slotId) || {}; }
+  function doctorName(doctorId){ return (state.doctors.find(d=>d.id===doctorId) || {}).name; }
+  function roomLabel(roomId){
+    const room = state.rooms.find(r=>r.id===roomId);
+    return `Room ${roomId}${room && room.name ? ` – ${room.name}` : ''}`;
+  }
+  const LOCAL_SLOT_SORTS = {
+    date: [s => s.date, s => s.time],
+    doctor: [s => doctorName(s.doctorId), s => s.date, s => s.time],
+    duration: [s => slotDuration(s), s => s.date, s => s.time]
+  };
+  const LOCAL_APPOINTMENT_SORTS = {
+    created: [a => a.createdAt],
+    date: [a => slotOf(a).date, a => slotOf(a).time],
+    patient: [a => a.patientName, a => slotOf(a).date, a => slotOf(a).time],
+    doctor: [a => doctorName(slotOf(a).doctorId), a => slotOf(a).date, a => slotOf(a).time],
+    status: [a => a.status, a => slotOf(a).date, a => slotOf(a).time]
+  };
+  const LOCAL_PATIENT_SORTS = {
+    name: [p => p.name],
+    lastVisit: [p => p.lastVisit, p => p.name]
+  };
+
+  // GET /reports computed from state: same figures, same rounding (see REPORTS in server.js)
+  const REPORT_DEFAULT_DAYS = 30;
+  const LEAD_TIME_BUCKETS = [
+    { label: 'Same day', maxDays: 0 },
+    { label: '1–2 days', maxDays: 2 },
+    { label: '3–7 days', maxDays: 7 },
+    { label: '8–14 days', maxDays: 14 },
+    { label: '15–30 days', maxDays: 30 },
+    { label: 'Over 30 days', maxDays: null }
+  ];
+  function ratio(part, whole){ return whole ? Math.round((part / whole) * 1000) / 1000 : null; }
+  function withRates(row){
+    return Object.assign(row, {
+      utilization: ratio(row.booked, row.slots),
+      cancellationRate: ratio(row.cancelled, row.appointments),
+      noShowRate: ratio(row.noShow, row.completed + row.noShow)
+    });
+  }
+  // the clinic's "YYYY-MM-DD" at a timestamp, as clinic_date(x) in server.js
+  function localDateOf(iso){ return zonedDateTime(clinicTimeZone, iso).slice(0,10); }
+  function localReport({ from, to, doctorId, speciality }){
+    const slots = state.slots.filter(s => s.date >= from && s.date <= to && (!doctorId || s.doctorId === doctorId) &&
+      (!speciality || (state.doctors.find(d => d.id === s.doctorId) || {}).speciality === speciality));
+    const perSlot = slots.map(s => {
+      const doctor = state.doctors.find(d => d.id === s.doctorId) || {};
+      const appointments = state.appointments.filter(a => a.slotId === s.id);
+      const count = status => appointments.filter(a => a.status === status).length;
+      return {
+        slot: s, doctorName: doctor.name, speciality: doctor.speciality || null, appointmentList: appointments,
+        booked: appointments.filter(a => a.status !== 'Cancelled').length, appointments: appointments.length,
+        completed: count('Completed'), cancelled: count('Cancelled'), noShow: count('NoShow')
+      };
+    });
+    const sums = rows => withRates({
+      slots: rows.length,
+      booked: rows.reduce((n, r) => n + r.booked, 0),
+      appointments: rows.reduce((n, r) => n + r.appointments, 0),
+      completed: rows.reduce((n, r) => n + r.completed, 0),
+      cancelled: rows.reduce((n, r) => n + r.cancelled, 0),
+      noShow: rows.reduce((n, r) => n + r.noShow, 0)
+    });
+    const groupBy = (key, extra) => {
+      const groups = new Map();
+      perSlot.forEach(r => { const k = key(r); if(!groups.has(k)) groups.set(k, []); groups.get(k).push(r); });
+      return [...groups.values()].map(rows => Object.assign(extra(rows), sums(rows)));
+    };
+    const leadDays = perSlot.flatMap(r => r.appointmentList.map(a => Math.max(0, Math.round((Date.parse(r.slot.date) - Date.parse(localDateOf(a.createdAt))) / 86400000))));
+    const totals = Object.assign(sums(perSlot), {
+      avgLeadDays: leadDays.length ? Math.round((leadDays.reduce((n, d) => n + d, 0) / leadDays.length) * 10) / 10 : null
+    });
+    return {
+      from, to, totals,
+      byDoctor: groupBy(r => r.slot.doctorId, rows => ({ doctorId: rows[0].slot.doctorId, doctorName: rows[0].doctorName, speciality: rows[0].speciality }))
+        .sort((a, b) => String(a.doctorName).localeCompare(String(b.doctorName)) || a.doctorId.localeCompare(b.doctorId)),
+      bySpeciality: groupBy(r => r.speciality, rows => ({ speciality: rows[0].speciality, doctors: new Set(rows.map(r => r.slot.doctorId)).size }))
+        .sort((a, b) => (a.speciality === null) - (b.speciality === null) || String(a.speciality).localeCompare(String(b.speciality))),
+      leadTimes: LEAD_TIME_BUCKETS.map((b, i) => ({
+        label: b.label, maxDays: b.maxDays,
+        appointments: leadDays.filter(d => (b.maxDays === null || d <= b.maxDays) && (i === 0 || d > LEAD_TIME_BUCKETS[i - 1].maxDays)).length
+      })),
+      busiestHours: groupBy(r => r.slot.time.slice(0, 2), rows => ({ hour: rows[0].slot.time.slice(0, 2) }))
+        .sort((a, b) => a.hour.localeCompare(b.hour))
+    };
+  }
+
+  // local equivalents of resolvePatient / insertAppointment / promoteWaitlist in server.js
+  function findLocalPatientByPhone(phone, excludeId = null){
+    const key = normalizePhone(phone);
+    return key ? state.patients.find(p => p.id !== excludeId && normalizePhone(p.phone) === key) || null : null;
+  }
+  // as ?q= on GET /patients: part of the name, or of the phone number's digits
+  function patientMatches(p, text){
+    const digits = text.replace(/\D/g, '');
+    return !text || p.name.toLowerCase().includes(text.toLowerCase()) || (!!digits && (normalizePhone(p.phone) || '').includes(digits));
+  }
+  // with the appointment count and last visit GET /patients adds
+  function localPatient(p){
+    const appointments = patientAppointments(p.id);
+    const last = appointments.find(isActiveAppointment);
+    return Object.assign({}, p, { visits: appointments.length, lastVisit: last ? last.slot.date || '' : '' });
+  }
+  function resolveLocalPatient({ patientId, patientName, patientPhone }){
+    if(patientId){
+      const patient = state.patients.find(p=>p.id === patientId);
+      if(!patient) throw backendError('Patient not found', 400);
+      return patient;
+    }
+    if(!patientName) throw backendError('patientId or patientName is required', 400);
+    const existing = findLocalPatientByPhone(patientPhone);
+    if(existing) return existing;
+    const patient = { id: uid('PT'), name: patientName, phone: patientPhone || '', dateOfBirth: '', notes: '', createdAt: new Date().toISOString() };
+    state.patients.push(patient);
+    return patient;
+  }
+  // keep the copies on appointments and waitlist entries in step with the patient record
+  function copyPatientDetails(patient){
+    state.appointments.concat(state.waitlist).filter(x => x.patientId === patient.id)
+      .forEach(x => Object.assign(x, { patientName: patient.name, patientPhone: patient.phone || '' }));
+  }
+  // demo data saved before patients existed: turn the names on appointments/waitlist entries into patients
+  function linkLocalPatients(){
+    state.appointments.concat(state.waitlist).filter(x => !x.patientId).forEach(x => {
+      const patient = resolveLocalPatient({ patientName: x.patientName, patientPhone: x.patientPhone });
+      x.patientId = patient.id;
+    });
+  }
+  // data saved before rooms existed: as the rooms migration in db.js, doctors' rooms become rooms and slots
+  // take their doctor's
+  function addLocalRooms(){
+    state.doctors.filter(d => d.room && !state.rooms.some(r=>r.id === d.room))
+      .forEach(d => state.rooms.push({ id: d.room, name: '', notes: '' }));
+    state.slots.filter(s => s.roomId === undefined).forEach(s => { s.roomId = doctorRoom(s.doctorId); });
+  }
+  function insertLocalAppointment(data, note = null){
+    const at = new Date().toISOString();
+    const appointment = Object.assign({ id: uid('AP') }, data, {
+      status: 'Confirmed', createdAt: at, statusChangedAt: at,
+      history: [{ event: 'created', fromStatus: null, toStatus: 'Confirmed', note, actorName: LOCAL_USER.name, at }]
+    });
+    state.appointments.push(appointment);
+    return appointment;
+  }
+  function moveLocalAppointment(a, slotId, note){
+    a.history = (a.history || []).concat({ event: 'rescheduled', fromSlotId: a.slotId, toSlotId: slotId, note: note || null, actorName: LOCAL_USER.name, at: new Date().toISOString() });
+    const freed = a.slotId;
+    a.slotId = slotId;
+    promoteLocalWaitlist(freed);
+  }
+  function promoteLocalWaitlist(slotId){
+    const slot = state.slots.find(s=>s.id === slotId);
+    if(!slot || slot.date < todayISO(0) || !isSlotBookable(slot)) return null;
+    const doc = state.doctors.find(d=>d.id === slot.doctorId) || {};
+    const entry = state.waitlist.find(w => w.status === 'Waiting' && w.from <= slot.date && w.to >= slot.date &&
+      (w.doctorId ? w.doctorId === slot.doctorId : w.speciality === doc.speciality) && !bookingViolations(slot, w.patientId).length);
+    if(!entry) return null;
+    const appointment = insertLocalAppointment({ slotId, patientId: entry.patientId, patientName: entry.patientName, patientPhone: entry.patientPhone, reason: entry.reason }, 'Booked from waitlist');
+    Object.assign(entry, { status: 'Booked', appointmentId: appointment.id, resolvedAt: new Date().toISOString() });
+    return appointment;
+  }
+  // import/export as in server.js: exports use the columns the imports read, so they can be imported again
+  const EXPORT_COLUMNS = {
+    doctors: ['id', 'name', 'speciality', 'room'],
+    slots: ['id', 'doctor_id', 'date', 'time', 'duration', 'room_id'],
+    appointments: ['id', 'slot_id', 'doctor_id', 'doctor_name', 'date', 'time', 'duration', 'patient_id', 'patient_name',
+      'patient_phone', 'reason', 'status', 'created_at', 'status_changed_at', 'cancel_reason']
+  };
+  function isISODate(value){
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0,10) === value;
+  }
+  // first non-blank value among `keys` (JSON rows may use camelCase names)
+  function importField(row, ...keys){
+    for(const k of keys){
+      if(row[k] !== undefined && row[k] !== null && String(row[k]).trim() !== '') return String(row[k]).trim();
+    }
+    return '';
+  }
+  // each returns { field, error } for a bad row, or adds the row to state and returns null
+  function importLocalDoctor(row){
+    const id = importField(row, 'id');
+    const name = importField(row, 'name');
+    if(!id) return { field: 'id', error: 'id is required' };
+    if(!name) return { field: 'name', error: 'name is required' };
+    if(state.doctors.some(d=>d.id === id)) return { field: 'id', error: `Doctor ID ${id} already exists` };
+    const room = importField(row, 'room');
+    if(room && !state.rooms.some(r=>r.id === room)) return { field: 'room', error: `Unknown room ${room}` };
+    state.doctors.push({ id, name, speciality: importField(row, 'speciality'), room });
+    return null;
+  }
+  function importLocalSlot(row, summary){
+    const doctorId = importField(row, 'doctor_id', 'doctorId');
+    const date = importField(row, 'date');
+    const time = importField(row, 'time');
+    const durationText = importField(row, 'duration');
+    const duration = durationText ? Number(durationText) : DEFAULT_SLOT_MINUTES;
+    if(!doctorId) return { field: 'doctor_id', error: 'doctor_id is required' };
+    if(!state.doctors.some(d=>d.id === doctorId)) return { field: 'doctor_id', error: `Unknown doctor ${doctorId}` };
+    // a blank room_id means the doctor's default room
+    const roomId = importField(row, 'room_id', 'roomId') || doctorRoom(doctorId);
+    if(roomId && !state.rooms.some(r=>r.id === roomId)) return { field: 'room_id', error: `Unknown room ${roomId}` };
+    if(!isISODate(date)) return { field: 'date', error: `Invalid date "${date}" (use YYYY-MM-DD)` };
+    if(!/^([0-1]\d|2[0-3]):([0-5]\d)$/.test(time)) return { field: 'time', error: `Invalid time "${time}" (use HH:MM)` };
+    if(!Number.isInteger(duration) || duration < 5 || duration > 480) return { field: 'duration', error: 'duration must be 5-480 minutes' };
+    if(toMinutes(time) + duration > 24 * 60) return { field: 'duration', error: 'Slot must end by midnight' };
+    const blocked = unavailableReason(doctorId, date);
+    if(blocked) return { field: 'date', error: blocked };
+    const id = importField(row, 'id') || uid('SL');
+    if(state.slots.some(s=>s.id === id)) return { field: 'id', error: `Slot ID ${id} already exists` };
+    const slot = { id, doctorId, date, time, duration, roomId };
+    const conflicts = findSlotConflicts(slot);
+    if(conflicts.length) return { field: 'time', error: conflictMessage(conflicts) };
+    const roomConflicts = findRoomConflicts(slot);
+    if(roomConflicts.length) return { field: 'room_id', error: roomConflictMessage(roomId, roomConflicts) };
+    state.slots.push(slot);
+    if(promoteLocalWaitlist(id)) summary.waitlistBookings++;
+    return null;
+  }
+  function localExportRows(table){
+    const byDateTime = (a,b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`);
+    if(table === 'doctors'){
+      return state.doctors.slice().sort((a,b)=> a.id.localeCompare(b.id)).map(d => ({ id: d.id, name: d.name, speciality: d.speciality, room: d.room }));
+    }
+    if(table === 'slots'){
+      return state.slots.slice().sort(byDateTime)
+        .map(s => ({ id: s.id, doctor_id: s.doctorId, date: s.date, time: s.time, duration: slotDuration(s), room_id: s.roomId || null }));
+    }
+    return state.appointments.map(a => {
+      const slot = slotOf(a);
+      return {
+        id: a.id, slot_id: a.slotId, doctor_id: slot.doctorId, doctor_name: doctorName(slot.doctorId), date: slot.date, time: slot.time,
+        duration: slot.time ? slotDuration(slot) : null, patient_id: a.patientId, patient_name: a.patientName, patient_phone: a.patientPhone,
+        reason: a.reason, status: a.status, created_at: a.createdAt, status_changed_at: a.statusChangedAt, cancel_reason: a.cancelReason || null
+      };
+    }).sort(byDateTime);
+  }
+
+  // CSV as in csv.js: a header row, fields quoted when they contain commas, quotes or line breaks
+  function parseCsv(text){
+    const records = [];
+    let record = [], field = '', quoted = false;
+    const src = String(text).replace(/^\uFEFF/, '');
+    for(let i = 0; i < src.length; i++){
+      const ch = src[i];
+      if(quoted){
+        if(ch === '"' && src[i + 1] === '"'){ field += '"'; i++; }
+        else if(ch === '"') quoted = false;
+        else field += ch;
+      } else if(ch === '"' && field === ''){
+        quoted = true;
+      } else if(ch === ','){
+        record.push(field); field = '';
+      } else if(ch === '\n' || ch === '\r'){
+        if(ch === '\r' && src[i + 1] === '\n') i++;
+        record.push(field); field = '';
+        records.push(record); record = [];
+      } else {
+        field += ch;
+      }
+    }
+    if(quoted) return { rows: [], error: 'Unterminated quoted field' };
+    if(field !== '' || record.length){ record.push(field); records.push(record); }
+    const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+    if(!nonEmpty.length) return { rows: [], error: 'No header row' };
+    const header = nonEmpty[0].map(h => h.trim());
+    const rows = nonEmpty.slice(1).map(values => {
+      const row = {};
+      header.forEach((h, i) => { row[h] = values[i] === undefined ? '' : values[i].trim(); });
+      return row;
+    });
+    return { rows, error: null };
+  }
+  function csvField(value){
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  function toCsv(rows, columns){
+    return [columns.join(',')].concat(rows.map(r => columns.map(c => csvField(r[c])).join(','))).join('\r\n') + '\r\n';
+  }
+
+  function expireLocalWaitlist(){
+    const today = todayISO(0);
+    state.waitlist.forEach(w => { if(w.status === 'Waiting' && w.to < today) Object.assign(w, { status: 'Expired', resolvedAt: new Date().toISOString() }); });
+  }
+
+  // HTTP backend: talks to server.js and maps its snake_case rows to the shapes the views use
+  function mapDoctor(r){ return { id: r.id, name: r.name, speciality: r.speciality || '', room: r.room || '' }; }
+  function mapRoom(r){ return { id: r.id, name: r.name || '', notes: r.notes || '' }; }
+  function mapSlot(r){
+    return {
+      id: r.id, doctorId: r.doctor_id, date: r.date, time: r.time, duration: r.duration, roomId: r.room_id || null,
+      hold: r.hold_expires_at ? { byName: r.held_by_name, expiresAt: r.hold_expires_at, mine: !!r.hold_mine } : null,
+      appointmentId: r.appointment_id
+    };
+  }
+  function mapPatient(r){
+    return {
+      id: r.id, name: r.name, phone: r.phone || '', dateOfBirth: r.date_of_birth || '', notes: r.notes || '', createdAt: r.created_at,
+      visits: r.appointment_count || 0, lastVisit: r.last_visit || ''
+    };
+  }
+  function mapSchedule(r){ return { id: r.id, doctorId: r.doctor_id, weekday: r.weekday, start: r.start_time, end: r.end_time, slotMinutes: r.slot_minutes }; }
+  function mapAppointment(r){
+    return {
+      id: r.id, slotId: r.slot_id, patientId: r.patient_id, patientName: r.patient_name, patientPhone: r.patient_phone || '',
+      reason: r.reason || '', status: r.status, createdAt: r.created_at, statusChangedAt: r.status_changed_at,
+      cancelReason: r.cancel_reason || '', cancelledBy: r.cancelled_by_name || r.cancelled_by || '',
+      confirmationCode: r.confirmation_code || '', followUpDate: r.follow_up_date || ''
+    };
+  }
+  function mapWaitlist(r){
+    return {
+      id: r.id, patientId: r.patient_id, patientName: r.patient_name, patientPhone: r.patient_phone || '', reason: r.reason || '',
+      doctorId: r.doctor_id, speciality: r.speciality, from: r.date_from, to: r.date_to, status: r.status,
+      appointmentId: r.appointment_id, createdAt: r.created_at, resolvedAt: r.resolved_at
+    };
+  }
+  function mapAudit(r){
+    return {
+      id: r.id, at: r.at, actorName: r.actor_name || '', action: r.action, entityType: r.entity_type, entityId: r.entity_id,
+      before: r.before, after: r.after, note: r.note || ''
+    };
+  }
+  function mapReportRow(r){
+    return {
+      doctorId: r.doctor_id, doctorName: r.doctor_name, speciality: r.speciality, doctors: r.doctors, hour: r.hour,
+      slots: r.slots, booked: r.booked, appointments: r.appointments, completed: r.completed, cancelled: r.cancelled, noShow: r.no_show,
+      utilization: r.utilization, cancellationRate: r.cancellation_rate, noShowRate: r.no_show_rate
+    };
+  }
+  function mapReport(r){
+    return {
+      from: r.from, to: r.to,
+      totals: Object.assign(mapReportRow(r.totals), { avgLeadDays: r.totals.avg_lead_days }),
+      byDoctor: r.byDoctor.map(mapReportRow),
+      bySpeciality: r.bySpeciality.map(mapReportRow),
+      leadTimes: r.leadTimes.map(b => ({ label: b.label, maxDays: b.max_days, appointments: b.appointments })),
+      busiestHours: r.busiestHours.map(mapReportRow)
+    };
+  }
+  function mapNotification(r){
+    return {
+      id: r.id, appointmentId: r.appointment_id, kind: r.kind, recipient: r.recipient, subject: r.subject || '', body: r.body,
+      status: r.status, sendAfter: r.send_after, attempts: r.attempts, lastError: r.last_error || '', createdAt: r.created_at, sentAt: r.sent_at
+    };
+  }
+  function mapLeave(r){ return { id: r.id, doctorId: r.doctor_id, from: r.date_from, to: r.date_to, reason: r.reason || '', createdAt: r.created_at }; }
+  function mapClosure(r){ return { id: r.id, from: r.date_from, to: r.date_to, reason: r.reason, createdAt: r.created_at }; }
+  // GET /booking-rules rows -> state.bookingRules
+  function mapBookingRules(rows){
+    const result = deepCopy(defaultState.bookingRules);
+    rows.forEach(r => {
+      const rules = {
+        minNoticeMinutes: r.min_notice_minutes, maxDaysAhead: r.max_days_ahead, maxPerPatientDay: r.max_per_patient_day,
+        maxPerDoctorDay: r.max_per_doctor_day, cancelCutoffHours: r.cancel_cutoff_hours
+      };
+      if(r.doctor_id) result.doctors[r.doctor_id] = rules;
+      else result.clinic = rules;
+    });
+    return result;
+  }
+  function mapNotes(r){
+    return {
+      version: r.version, vitals: r.vitals || {}, diagnosis: r.diagnosis || '', medicines: r.medicines || [], advice: r.advice || '',
+      followUpDate: r.follow_up_date || '', authorName: r.author_name || '', createdAt: r.created_at
+    };
+  }
+  function mapHistory(r){
+    return {
+      event: r.event, fromStatus: r.from_status, toStatus: r.to_status, note: r.note, actorName: r.actor_name || '', at: r.at,
+      fromSlotId: r.from_slot_id, toSlotId: r.to_slot_id,
+      // the server joins the slots in, so this works even after a slot is gone from state
+      fromSlot: r.from_date ? { date: r.from_date, time: r.from_time } : null,
+      toSlot: r.to_date ? { date: r.to_date, time: r.to_time } : null
+    };
+  }
+
+  // list filters as a query string, leaving out empty ones
+  function listQuery(q){
+    const params = new URLSearchParams();
+    Object.keys(q).forEach(k => { if(q[k] !== '' && q[k] !== false && q[k] !== null && q[k] !== undefined) params.set(k, q[k]); });
+    return params.toString();
+  }
+
+  // `dates()` gives the { from, to } the open view shows: slots and appointments are loaded for those days only
+  function createHttpBackend(baseUrl, { onSessionEnded, dates } = {}){
+    const root = String(baseUrl || '').replace(/\/+$/, '');
+    // { token, user } from POST /auth/login, kept across reloads
+    let session = loadSession();
+    const WRITE_RETRIES = 2;
+    // a bigger batch of live changes reloads the open view's days instead of fetching each one
+    const LIVE_FETCH_LIMIT = 20;
+
+    function loadSession(){
+      try { return JSON.parse(localStorage.getItem(SESSION_KEY)) || null; }
+      catch(e){ return null; }
+    }
+    function setSession(next){
+      session = next;
+      if(next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+      else localStorage.removeItem(SESSION_KEY);
+    }
+
+    // objects are sent as JSON, strings as CSV (imports). Writes carry an Idempotency-Key and are sent again
+    // when the connection fails: if the first attempt did reach the server, it replays that response instead
+    // of, say, booking the slot a second time.
+    async function request(method, path, payload){
+      const csv = typeof payload === 'string';
+      const headers = payload ? { 'Content-Type': csv ? 'text/csv' : 'application/json' } : {};
+      if(session) headers.Authorization = `Bearer ${session.token}`;
+      const write = method !== 'GET' && !path.startsWith('/auth/');
+      if(write) headers['Idempotency-Key'] = idempotencyKey();
+      let res;
+      for(let attempt = 0; !res; attempt++){
+        try {
+          res = await fetch(root + path, { method, headers, body: payload ? (csv ? payload : JSON.stringify(payload)) : undefined });
+        } catch(e){
+          if(!write || attempt >= WRITE_RETRIES) throw backendError(`Cannot reach the server at ${root}`, 0);
+          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+      }
+      if(res.status === 401 && session){
+        // token expired or revoked: drop it so the login screen shows again
+        setSession(null);
+        if(onSessionEnded) onSessionEnded();
+      }
+      if(res.status === 204) return null;
+      // CSV exports come back as text
+      if(res.ok && !(res.headers.get('Content-Type') || '').includes('json')) return res.text();
+      const data = await res.json().catch(()=> null);
+      if(!res.ok){
+        let message = `Request failed (${res.status})`;
+        if(data && data.error) message = data.error;
+        else if(data && data.errors) message = data.errors.map(e => `${e.param}: ${e.msg}`).join(', ');
+        throw backendError(message, res.status, data);
+      }
+      return data;
+    }
+
+    // puts fetched slots into state in place of the copies it had
+    function keepSlots(rows){
+      const slots = rows.map(mapSlot);
+      const ids = new Set(slots.map(s=>s.id));
+      state.slots = state.slots.filter(s => !ids.has(s.id)).concat(slots);
+      return slots;
+    }
+    // the same for appointments; their rows carry the slot's date, time and doctor, which stand in for a slot state hasn't got
+    function keepAppointments(rows){
+      const appointments = rows.map(mapAppointment);
+      const ids = new Set(appointments.map(a=>a.id));
+      state.appointments = state.appointments.filter(a => !ids.has(a.id)).concat(appointments);
+      rows.filter(r => r.date && !state.slots.some(s=>s.id === r.slot_id)).forEach(r => {
+        state.slots.push({ id: r.slot_id, doctorId: r.doctor_id, date: r.date, time: r.time, duration: r.duration, roomId: r.room || null, hold: null });
+      });
+      return appointments;
+    }
+
+    const api = {
+      name: 'http',
+      persistsLocally: false,
+      currentUser(){ return session ? session.user : null; },
+      async login(username, password){
+        const data = await request('POST', '/auth/login', { username, password });
+        setSession({ token: data.token, user: data.user });
+        return data.user;
+      },
+      async logout(){
+        try { await request('POST', '/auth/logout'); }
+        finally {
+          setSession(null);
+          state.doctors = []; state.rooms = []; state.slots = []; state.patients = []; state.appointments = []; state.schedules = []; state.waitlist = [];
+          state.leave = []; state.closures = []; state.bookingRules = deepCopy(defaultState.bookingRules);
+        }
+      },
+      // everything but slots, appointments and patients, which are fetched as views and forms need them
+      async load(){
+        const [clinic, doctors, rooms, schedules, waitlist, leave, closures, bookingRules] = await Promise.all([
+          request('GET', '/clinic'), request('GET', '/doctors'), request('GET', '/rooms'),
+          request('GET', '/schedules'), request('GET', '/waitlist'), request('GET', '/leave'), request('GET', '/closures'), request('GET', '/booking-rules')
+        ]);
+        if(isTimeZone(clinic.timeZone)) clinicTimeZone = clinic.timeZone;
+        clinicName = clinic.name || '';
+        state.doctors = doctors.map(mapDoctor);
+        state.rooms = rooms.map(mapRoom);
+        state.schedules = schedules.map(mapSchedule);
+        state.waitlist = waitlist.map(mapWaitlist);
+        state.leave = leave.map(mapLeave);
+        state.closures = closures.map(mapClosure);
+        state.bookingRules = mapBookingRules(bookingRules);
+        await api.loadDates();
+      },
+      // the slots and appointments on `range`'s days (by default the open view's), replacing what state had for
+      // them; those fetched for other days (a form's free slots, a page of a list) stay until their days are loaded
+      async loadDates(range = dates()){
+        const { from, to } = range;
+        const [slots, appointments] = await Promise.all([request('GET', `/slots?${listQuery({ from, to })}`), request('GET', `/appointments?${listQuery({ from, to })}`)]);
+        const onDays = s => s.date >= from && s.date <= to;
+        state.appointments = state.appointments.filter(a => !onDays(slotOf(a)));
+        state.slots = state.slots.filter(s => !onDays(s));
+        keepSlots(slots);
+        keepAppointments(appointments);
+      },
+      // brings state up to date with a batch of live changes ([] after a reconnect: anything may have changed).
+      // Slots and appointments are refetched one by one, and only when state has them or their day is on screen,
+      // so holds on slots nobody here is showing cost nothing; anything else reloads. Returns whether state changed.
+      async applyChanges(changes){
+        if(!changes.length || changes.some(c => c.entityType !== 'slot' && c.entityType !== 'appointment')){
+          await api.load();
+          return true;
+        }
+        const latest = new Map(changes.map(c => [`${c.entityType}:${c.entityId}`, c]));
+        if(latest.size > LIVE_FETCH_LIMIT){
+          await api.loadDates();
+          return true;
+        }
+        const { from, to } = dates();
+        const shown = date => date >= from && date <= to;
+        const results = await Promise.all([...latest.values()].map(async ({ entityType, entityId, action }) => {
+          const slots = entityType === 'slot';
+          const list = slots ? 'slots' : 'appointments';
+          const cached = state[list].some(x => x.id === entityId);
+          const drop = ()=> { state[list] = state[list].filter(x => x.id !== entityId); return cached; };
+          if(action === 'delete') return drop();
+          // a hold or release only matters to a slot on screen
+          if(!cached && (action === 'hold' || action === 'release')) return false;
+          let row;
+          try {
+            row = await request('GET', `/${list}/${encodeURIComponent(entityId)}`);
+          } catch(e){
+            if(e.status === 404) return drop();
+            throw e;
+          }
+          if(slots){
+            if(!cached && !shown(row.date)) return false;
+            keepSlots([row]);
+          } else {
+            if(!cached && !shown(row.date) && !state.slots.some(x => x.id === row.slot_id)) return false;
+            keepAppointments([row]);
+          }
+          return true;
+        }));
+        return results.some(Boolean);
+      },
+      // GET /events (Server-Sent Events) read through fetch, since EventSource can't send the token.
+      // Reconnects with backoff until stopped or the session ends; after a reconnect onChange gets [] so
+      // the caller reloads whatever was missed. Returns a function that stops it.
+      subscribe(onChange){
+        let stopped = false;
+        let controller = null;
+        let delay = 1000;
+        let connectedBefore = false;
+        (async ()=> {
+          while(!stopped && session){
+            controller = new AbortController();
+            try {
+              const res = await fetch(`${root}/events`, { headers: { Authorization: `Bearer ${session.token}`, Accept: 'text/event-stream' }, signal: controller.signal });
+              if(res.status === 401){
+                setSession(null);
+                if(onSessionEnded) onSessionEnded();
+                return;
+              }
+              if(!res.ok) throw new Error(`GET /events failed (${res.status})`);
+              if(connectedBefore) onChange([]);
+              connectedBefore = true;
+              delay = 1000;
+              const reader = res.body.getReader();
+              const decoder = new TextDecoder();
+              let buffer = '';
+              for(;;){
+                const { value, done } = await reader.read();
+                if(done) break;
+                buffer += decoder.decode(value, { stream: true }).replace(/\r/g, '');
+                let end;
+                while((end = buffer.indexOf('\n\n')) >= 0){
+                  const data = buffer.slice(0, end).split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+                  buffer = buffer.slice(end + 2);
+                  if(data) onChange(JSON.parse(data).changes);
+                }
+              }
+            } catch(e){
+              if(stopped) return;
+              console.error('live updates error', e);
+            }
+            if(stopped) return;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay = Math.min(delay * 2, 30000);
+          }
+        })();
+        return ()=> { stopped = true; if(controller) controller.abort(); };
+      },
+      async saveDoctor(doctor, isNew){
+        if(isNew) await request('POST', '/doctors', doctor);
+        else await request('PUT', `/doctors/${encodeURIComponent(doctor.id)}`, doctor);
+        await api.load();
+      },
+      async deleteDoctor(doctorId){
+        await request('DELETE', `/doctors/${encodeURIComponent(doctorId)}`);
+        await api.load();
+      },
+      async saveRoom(room, isNew){
+        if(isNew) await request('POST', '/rooms', room);
+        else await request('PUT', `/rooms/${encodeURIComponent(room.id)}`, { name: room.name, notes: room.notes });
+        await api.load();
+      },
+      async deleteRoom(roomId){
+        await request('DELETE', `/rooms/${encodeURIComponent(roomId)}`);
+        await api.load();
+      },
+      async savePatient(patient, isNew){
+        const payload = { name: patient.name, phone: patient.phone, dateOfBirth: patient.dateOfBirth || null, notes: patient.notes };
+        const row = isNew ? await request('POST', '/patients', payload)
+          : await request('PUT', `/patients/${encodeURIComponent(patient.id)}`, payload);
+        await api.load();
+        return mapPatient(row);
+      },
+      async deletePatient(patientId){
+        await request('DELETE', `/patients/${encodeURIComponent(patientId)}`);
+        await api.load();
+      },
+      async getPatientAppointments(patientId){
+        const rows = await request('GET', `/patients/${encodeURIComponent(patientId)}/appointments`);
+        return rows.map(r => Object.assign(mapAppointment(r), { slot: { date: r.date, time: r.time, duration: r.duration, doctorId: r.doctor_id } }));
+      },
+      async getPatient(patientId){
+        return mapPatient(await request('GET', `/patients/${encodeURIComponent(patientId)}`));
+      },
+      async findPatients(text){
+        return (await request('GET', `/patients?${listQuery({ q: text })}`)).map(mapPatient);
+      },
+      async listPatients(q){
+        const page = await request('GET', `/patients?${listQuery(q)}`);
+        return Object.assign(page, { items: page.items.map(mapPatient) });
+      },
+      async getAppointment(appointmentId){
+        return keepAppointments([await request('GET', `/appointments/${encodeURIComponent(appointmentId)}`)])[0];
+      },
+      // the rows of a page are kept in state too, for the forms and details opened from it
+      async listSlots(q){
+        const page = await request('GET', `/slots?${listQuery(q)}`);
+        return Object.assign(page, { items: keepSlots(page.items) });
+      },
+      async listAppointments(q){
+        const page = await request('GET', `/appointments?${listQuery(q)}`);
+        return Object.assign(page, { items: keepAppointments(page.items) });
+      },
+      async saveSchedule(doctorId, rules){
+        await request('PUT', `/doctors/${encodeURIComponent(doctorId)}/schedule`, { rules });
+        await api.load();
+      },
+      async generateSlots({ from, to, doctorId }){
+        const result = await request('POST', '/slots/generate', { from, to, doctorId });
+        await api.load();
+        return result;
+      },
+      async saveSlot(slot){
+        const payload = { doctorId: slot.doctorId, date: slot.date, time: slot.time, duration: slot.duration, roomId: slot.roomId };
+        if(slot.id) await request('PUT', `/slots/${encodeURIComponent(slot.id)}`, payload);
+        else await request('POST', '/slots', payload);
+        await api.load();
+      },
+      // no reload: other browsers hear of the hold through /events, and this one knows it holds the slot
+      async holdSlot(slotId){ return request('POST', `/slots/${encodeURIComponent(slotId)}/hold`); },
+      async releaseSlot(slotId){ await request('DELETE', `/slots/${encodeURIComponent(slotId)}/hold`); },
+      async createAppointment(data){
+        try {
+          const row = await request('POST', '/appointments', data);
+          return mapAppointment(row);
+        } finally {
+          // refresh either way so a slot someone else booked shows up as taken
+          await api.load().catch(e => console.error('reload error', e));
+        }
+      },
+      async changeStatus(appointmentId, status, note){
+        await request('POST', `/appointments/${encodeURIComponent(appointmentId)}/status`, { status, note });
+        await api.load();
+      },
+      async rescheduleAppointment(appointmentId, slotId, note){
+        try {
+          await request('POST', `/appointments/${encodeURIComponent(appointmentId)}/reschedule`, { slotId, note });
+        } finally {
+          await api.load().catch(e => console.error('reload error', e));
+        }
+      },
+      async bulkReschedule(appointmentIds, match, note){
+        const result = await request('POST', '/appointments/bulk-reschedule', { appointmentIds, match, note });
+        await api.load();
+        return result;
+      },
+      // the response lists the Confirmed appointments on the new days off
+      async addLeave({ doctorId, from, to, reason }){
+        const result = await request('POST', `/doctors/${encodeURIComponent(doctorId)}/leave`, { from, to, reason });
+        await api.load();
+        return { leave: mapLeave(result.leave), affected: result.affected.map(mapAppointment) };
+      },
+      async deleteLeave(leaveId){
+        await request('DELETE', `/leave/${encodeURIComponent(leaveId)}`);
+        await api.load();
+      },
+      async addClosure({ from, to, reason }){
+        const result = await request('POST', '/closures', { from, to, reason });
+        await api.load();
+        return { closure: mapClosure(result.closure), affected: result.affected.map(mapAppointment) };
+      },
+      async deleteClosure(closureId){
+        await request('DELETE', `/closures/${encodeURIComponent(closureId)}`);
+        await api.load();
+      },
+      async saveBookingRules(doctorId, rules){
+        await request('PUT', doctorId ? `/doctors/${encodeURIComponent(doctorId)}/booking-rules` : '/booking-rules', rules);
+        await api.load();
+      },
+      async deleteBookingRules(doctorId){
+        await request('DELETE', `/doctors/${encodeURIComponent(doctorId)}/booking-rules`);
+        await api.load();
+      },
+      async joinWaitlist(entry){
+        await request('POST', '/waitlist', entry);
+        await api.load();
+      },
+      async removeWaitlistEntry(entryId){
+        await request('DELETE', `/waitlist/${encodeURIComponent(entryId)}`);
+        await api.load();
+      },
+      async getHistory(appointmentId){
+        const rows = await request('GET', `/appointments/${encodeURIComponent(appointmentId)}/history`);
+        return rows.map(mapHistory);
+      },
+      async getNotes(appointmentId){
+        const rows = await request('GET', `/appointments/${encodeURIComponent(appointmentId)}/notes`);
+        return rows.map(mapNotes);
+      },
+      // a 409 (someone saved a newer version meanwhile) carries theirs in details.current
+      async saveNotes(appointmentId, notes, baseVersion){
+        let row;
+        try {
+          row = await request('PUT', `/appointments/${encodeURIComponent(appointmentId)}/notes`, Object.assign({ baseVersion }, notes));
+        } catch(e){
+          if(e.details && e.details.current) e.details.current = mapNotes(e.details.current);
+          throw e;
+        }
+        await api.load();
+        return mapNotes(row);
+      },
+      // null when the doctor has no feed yet
+      async getCalendarFeed(doctorId){
+        try {
+          const feed = await request('GET', `/doctors/${encodeURIComponent(doctorId)}/calendar-feed`);
+          return { includePatient: !!feed.include_patient, createdAt: feed.created_at };
+        } catch(e){
+          if(e.status === 404) return null;
+          throw e;
+        }
+      },
+      // (re)creates the feed; the returned url is only available now
+      async saveCalendarFeed(doctorId, includePatient){
+        const feed = await request('POST', `/doctors/${encodeURIComponent(doctorId)}/calendar-feed`, { includePatient });
+        return { includePatient: !!feed.include_patient, createdAt: feed.created_at, url: feed.url };
+      },
+      async deleteCalendarFeed(doctorId){
+        await request('DELETE', `/doctors/${encodeURIComponent(doctorId)}/calendar-feed`);
+      },
+      // same filters as GET /audit, newest first
+      async listAudit(q){
+        const page = await request('GET', `/audit?${listQuery(q)}`);
+        return Object.assign(page, { items: page.items.map(mapAudit) });
+      },
+      // the outbox (GET /notifications), in the order the messages are due
+      async listNotifications(q){
+        const page = await request('GET', `/notifications?${listQuery(Object.assign({ sort: 'sendAfter', order: 'asc' }, q))}`);
+        return Object.assign(page, { items: page.items.map(mapNotification) });
+      },
+      async retryNotification(id){
+        return mapNotification(await request('POST', `/notifications/${encodeURIComponent(id)}/retry`));
+      },
+      async getReport(q){
+        return mapReport(await request('GET', `/reports?${listQuery(q)}`));
+      },
+      // rows: CSV text or an array of row objects; a 422 carries the per-row problems in details.errors
+      async importData(table, rows, dryRun){
+        const result = await request('POST', `/import/${table}${dryRun ? '?dryRun=true' : ''}`, rows);
+        if(!dryRun) await api.load();
+        return result;
+      },
+      // resolves to the file's text
+      async exportData(table, format){
+        const data = await request('GET', `/export/${table}?format=${format}`);
+        return format === 'json' ? JSON.stringify(data, null, 2) : data;
+      }
+    };
+    return api;
+  }
+
+  function pickBackend(settings){
+    if(settings.backend !== 'http') return localBackend;
+    return createHttpBackend(settings.apiUrl, { onSessionEnded: ()=> { stopLiveUpdates(); closeModal(); renderCurrentView(); }, dates: ()=> viewDates() });
+  }
+  const backend = pickBackend(state.settings);
+
+  // mirrors requireRole(...) in server.js: the server enforces these, the UI only hides what it would refuse
+  const PERMISSIONS = {
+    manageDoctors: ['admin'],
+    manageSlots: ['admin', 'receptionist'],
+    manageAppointments: ['admin', 'receptionist'],
+    managePatients: ['admin', 'receptionist'],
+    deletePatients: ['admin'],
+    viewAudit: ['admin', 'receptionist'],
+    viewNotifications: ['admin', 'receptionist'],
+    // POST /doctors/:id/leave and POST /closures
+    manageLeave: ['admin', 'receptionist'],
+    manageClosures: ['admin'],
+    // PUT /booking-rules and /doctors/:id/booking-rules
+    manageBookingRules: ['admin'],
+    // POST/PUT/DELETE /rooms
+    manageRooms: ['admin'],
+    // CALENDAR_PATIENT_ROLES in server.js: calendar files leave the system, so patient details need these roles
+    calendarPatientDetails: ['admin', 'doctor'],
+    // NOTES_ROLES in server.js: doctors (for their own appointments) and admins read and write consultation notes
+    consultationNotes: ['admin', 'doctor']
+  };
+  function can(permission){
+    const user = backend.currentUser();
+    return !!user && PERMISSIONS[permission].includes(user.role);
+  }
+
+  // appointment lifecycle, as STATUS_TRANSITIONS / STATUS_ROLES in server.js
+  const STATUS_TRANSITIONS = {
+    Confirmed: ['CheckedIn', 'Cancelled', 'NoShow'],
+    CheckedIn: ['InConsultation', 'Cancelled'],
+    InConsultation: ['Completed'],
+    Completed: [], Cancelled: [], NoShow: []
+  };
+  const STATUS_ROLES = {
+    CheckedIn: ['admin', 'receptionist'],
+    InConsultation: ['admin', 'doctor'],
+    Completed: ['admin', 'doctor'],
+    Cancelled: ['admin', 'receptionist'],
+    NoShow: ['admin', 'receptionist', 'doctor']
+  };
+  const STATUS_LABELS = { Confirmed: 'Confirmed', CheckedIn: 'Checked in', InConsultation: 'In consultation', Completed: 'Completed', Cancelled: 'Cancelled', NoShow: 'No-show' };
+  const STATUS_ACTIONS = { CheckedIn: 'Check in', InConsultation: 'Start consultation', Completed: 'Complete', Cancelled: 'Cancel', NoShow: 'No-show' };
+  const STATUS_BADGES = { Confirmed: 'green', CheckedIn: 'blue', InConsultation: 'amber', Completed: '', Cancelled: 'red', NoShow: 'red' };
+
+  function nextStatuses(status){ return STATUS_TRANSITIONS[status] || []; }
+  // next steps the signed-in user may take
+  function allowedNextStatuses(appointment){
+    const user = backend.currentUser();
+    if(!user) return [];
+    return nextStatuses(appointment.status).filter(st => STATUS_ROLES[st].includes(user.role));
+  }
+  function statusBadge(status){ return el('span',{class:`badge ${STATUS_BADGES[status] || ''}`}, STATUS_LABELS[status] || status); }
+  function isActiveAppointment(a){ return a.status !== 'Cancelled'; }
+
+  // ---------- Utilities ----------
+  function byId(id){ return document.getElementById(id); }
+  function el(tag, attrs = {}, ...children){
+    const node = document.createElement(tag);
+    for(const k in attrs){
+      if(k === 'class') node.className = attrs[k];
+      else if(k === 'html') node.innerHTML = attrs[k];
+      else if(k.startsWith('on') && typeof attrs[k] === 'function') node.addEventListener(k.slice(2).toLowerCase(), attrs[k]);
+      else node.setAttribute(k, attrs[k]);
+    }
+    children.flat().forEach(c=>{
+      if(c === null || c === undefined || c === false) return;
+      if(typeof c === 'string' || typeof c === 'number') node.appendChild(document.createTextNode(String(c)));
+      else node.appendChild(c);
+    });
+    return node;
+  }
+  function uid(prefix='id'){ return prefix + Math.random().toString(36).slice(2,9); }
+  // 128 random bits in hex (crypto.randomUUID needs https, this doesn't)
+  function idempotencyKey(){ return [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2,'0')).join(''); }
+
+  // ---------- UI wiring ----------
+  const content = byId('content');
+  const sidebarItems = document.querySelectorAll('.sidebar li');
+  const modal = byId('modal');
+  const modalBody = byId('modalBody');
+  const modalClose = byId('modalClose');
+  const globalSearch = byId('globalSearch');
+  const themeToggle = byId('themeToggle');
+  const currentUserLabel = byId('currentUser');
+  const logoutBtn = byId('logoutBtn');
+
+  sidebarItems.forEach(item => {
+    item.addEventListener('click', ()=> {
+      sidebarItems.forEach(i=>i.classList.remove('active'));
+      item.classList.add('active');
+      navigateTo(item.dataset.view);
+    });
+  });
+
+  function openModal(node){
+    releaseBookingHold();
+    modalBody.innerHTML = '';
+    if(typeof node === 'string') modalBody.innerHTML = node;
+    else modalBody.appendChild(node);
+    modal.setAttribute('aria-hidden','false');
+  }
+  function closeModal(){ releaseBookingHold(); modal.setAttribute('aria-hidden','true'); modalBody.innerHTML = ''; }
+  modalClose && modalClose.addEventListener('click', closeModal);
+  modal.addEventListener('click', (e)=> { if(e.target === modal) closeModal(); });
+
+  function applyTheme(){ 
+    if(state.settings.theme === 'light'){
+      document.documentElement.style.setProperty('--bg','#f7fbff');
+      document.documentElement.style.setProperty('--card','#ffffff');
+      document.documentElement.style.setProperty('--text','#04202b');
+      document.documentElement.style.setProperty('--muted','#567077');
+      document.documentElement.style.setProperty('--accent','#0ea5a4');
+      themeToggle.textContent = '🌞';
+    }else{
+      document.documentElement.style.removeProperty('--bg');
+      document.documentElement.style.removeProperty('--card');
+      document.documentElement.style.removeProperty('--text');
+      document.documentElement.style.removeProperty('--muted');
+      themeToggle.textContent = '🌙';
+    }
+  }
+  themeToggle && themeToggle.addEventListener('click', ()=>{
+    state.settings.theme = state.settings.theme === 'light' ? 'dark' : 'light';
+    applyTheme(); saveState();
+  });
+
+  logoutBtn && logoutBtn.addEventListener('click', async ()=>{
+    stopLiveUpdates();
+    try { await backend.logout(); }
+    catch(e){ console.error('logout error', e); }
+    renderCurrentView();
+  });
+
+  // appointments are searched on the server by patient name or phone, the latest first; slots among the open view's
+  let searchTicket = 0;
+  globalSearch && globalSearch.addEventListener('input', async (e)=> {
+    const ticket = ++searchTicket;
+    const q = e.target.value.trim().toLowerCase();
+    if(!q){ renderCurrentView(); return; }
+    const doctors = state.doctors.filter(d => (d.id + d.name + d.speciality + d.room).toLowerCase().includes(q));
+    const slots = state.slots.filter(s => (s.id + s.date + s.time).toLowerCase().includes(q));
+    let appointments = [];
+    try {
+      appointments = (await backend.listAppointments({ patient: q, sort: 'date', order: 'desc', limit: PAGE_SIZE, offset: 0 })).items;
+    } catch(err){
+      console.error('search error', err);
+    }
+    if(ticket === searchTicket) renderSearchResults({doctors, slots, appointments, query: q});
+  });
+
+  function renderSearchResults({doctors, slots, appointments, query}){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, `Search results for "${query}"`)));
+    const grid = el('div',{class:'grid cols-3'});
+    grid.appendChild(renderDoctorsCard(doctors, true));
+    grid.appendChild(renderSlotsCard(slots, true));
+    grid.appendChild(renderAppointmentsCard(appointments, true));
+    view.appendChild(grid);
+    content.appendChild(view);
+  }
+
+  // ---------- Calendar (.ics) ----------
+  // the browser twin of ics.js: same UIDs as the server feeds, so an imported appointment and a
+  // subscribed feed update the same event
+  function icsText(value){
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+  function icsFold(line){
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for(const ch of line){
+      if(encoder.encode(current + ch).length > (parts.length ? 74 : 75)){ parts.push(current); current = ''; }
+      current += ch;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+  function icsStamp(iso){ return new Date(iso || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+
+  function appointmentIcs(ap, sequence){
+    const slot = state.slots.find(s=>s.id===ap.slotId) || {};
+    const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
+    const includePatient = can('calendarPatientDetails');
+    const description = [`Doctor: ${doc.name || slot.doctorId}${doc.speciality ? ` (${doc.speciality})` : ''}`, `Status: ${ap.status}`];
+    if(includePatient){
+      description.unshift(`Patient: ${ap.patientName}${ap.patientPhone ? `, ${ap.patientPhone}` : ''}`);
+      if(ap.reason) description.push(`Reason: ${ap.reason}`);
+    }
+    if(ap.status === 'Cancelled' && ap.cancelReason) description.push(`Cancelled: ${ap.cancelReason}`);
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Doctor Booking System//Appointments//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:appointment-${ap.id}@doctor-booking`,
+      `DTSTAMP:${icsStamp(ap.statusChangedAt || ap.createdAt)}`,
+      // UTC instants, as in ics.js, so calendars in other time zones show the right moment
+      `DTSTART:${icsStamp(clinicInstant(slot.date, slot.time))}`,
+      `DTEND:${icsStamp(clinicInstant(slot.date, slot.time).getTime() + slotDuration(slot) * 60000)}`,
+      `SEQUENCE:${sequence}`,
+      `STATUS:${ap.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SUMMARY:${icsText(includePatient ? `${ap.patientName}${ap.reason ? ` – ${ap.reason}` : ''}` : 'Patient appointment')}`,
+      `DESCRIPTION:${icsText(description.join('\n'))}`];
+    if(slot.roomId) lines.push(`LOCATION:${icsText(`Room ${slot.roomId}`)}`);
+    if(doc.speciality) lines.push(`CATEGORIES:${icsText(doc.speciality)}`);
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  async function downloadAppointmentIcs(appointmentId){
+    const ap = state.appointments.find(a=>a.id===appointmentId);
+    if(!ap) return alert('Appointment not found');
+    let history;
+    try {
+      history = await backend.getHistory(ap.id);
+    } catch(e){
+      return alert(e.message);
+    }
+    // SEQUENCE counts the changes since booking, like the feeds do
+    downloadFile(`appointment-${ap.id}.ics`, appointmentIcs(ap, Math.max(0, history.length - 1)), 'text/calendar');
+  }
+
+  // saves `text` as a file through a temporary link
+  function downloadFile(name, text, type){
+    const link = el('a',{href: URL.createObjectURL(new Blob([text], { type })), download: name});
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(()=> URL.revokeObjectURL(link.href), 1000);
+  }
+
+  // ---------- Views ----------
+  let currentView = 'dashboard';
+  function navigateTo(view){ currentView = view; showView(); }
+  // loads the slots and appointments of the open view's dates (see viewDates), then draws it
+  let showTicket = 0;
+  async function showView(){
+    const ticket = ++showTicket;
+    try {
+      if(backend.currentUser()) await backend.loadDates();
+    } catch(e){
+      console.error('load error', e);
+    }
+    if(ticket === showTicket) renderCurrentView();
+  }
+  // the days the open view draws slots and appointments for; the lists page through the server instead
+  function viewDates(){
+    const today = todayISO(0);
+    if(currentView === 'calendar'){
+      const q = calendarQuery;
+      return q.mode === 'day' ? { from: q.date, to: q.date } : { from: weekStart(q.date), to: addDaysISO(weekStart(q.date), 6) };
+    }
+    if(currentView === 'rooms') return { from: roomsQuery.date, to: roomsQuery.date };
+    // Leave & closures count the appointments booked on days off still to come
+    if(currentView === 'leave') return { from: today, to: state.leave.concat(state.closures).reduce((to, entry) => entry.to > to ? entry.to : to, today) };
+    return { from: today, to: today };
+  }
+  function renderCurrentView(){
+    const user = backend.currentUser();
+    document.body.classList.toggle('signed-out', !user);
+    if(currentUserLabel) currentUserLabel.textContent = user && backend.name === 'http' ? `${user.name} • ${user.role}` : '';
+    if(logoutBtn) logoutBtn.hidden = !user || backend.name !== 'http';
+    if(!user){ renderLogin(); return; }
+    switch(currentView){
+      case 'dashboard': renderDashboard(); break;
+      case 'doctors': renderDoctors(); break;
+      case 'slots': renderSlots(); break;
+      case 'calendar': renderCalendar(); break;
+      case 'appointments': renderAppointments(); break;
+      case 'patients': renderPatients(); break;
+      case 'waitlist': renderWaitlist(); break;
+      case 'leave': renderLeave(); break;
+      case 'rooms': renderRooms(); break;
+      case 'settings': renderSettings(); break;
+      default: renderDashboard();
+    }
+  }
+
+  // small helpers
+  function actionBar(text, onClick){ return el('div',{}, el('button',{class:'btn', onClick}, text)); }
+  function statBlock(title, value){ return el('div',{}, el('div',{style:'font-size:20px; font-weight:700'}, String(value)), el('div',{class:'small'}, title)); }
+  function formError(id){ return el('div',{class:'form-error', id, role:'alert'}); }
+  // tab bar over panels: [{ label, render }] (falsy entries are skipped); each panel renders when first opened
+  function tabs(panels){
+    panels = panels.filter(Boolean);
+    if(panels.length === 1) return panels[0].render();
+    const bar = el('div',{class:'tabs', role:'tablist'});
+    const body = el('div');
+    const rendered = new Map();
+    const show = (panel) => {
+      if(!rendered.has(panel)) rendered.set(panel, panel.render());
+      [...bar.children].forEach((b, i) => b.setAttribute('aria-selected', String(panels[i] === panel)));
+      body.innerHTML = '';
+      body.appendChild(rendered.get(panel));
+    };
+    panels.forEach(panel => bar.appendChild(el('button',{class:'tab', role:'tab', onClick:()=> show(panel)}, panel.label)));
+    show(panels[0]);
+    return el('div',{}, bar, body);
+  }
+  // broken booking rules (err.details.violations) are listed one per line
+  function showFormError(id, err){
+    const node = byId(id);
+    const violations = err.details && err.details.violations;
+    if(node && violations) showViolations(node, violations);
+    else if(node) node.textContent = err.message || String(err);
+    else alert(err.message || String(err));
+  }
+  function showViolations(node, violations){
+    node.innerHTML = '';
+    if(violations.length) node.appendChild(el('ul',{class:'rule-violations'}, ...violations.map(v => el('li',{'data-rule':v.rule}, v.message))));
+  }
+  function isSlotBooked(slotId){ return !!slotAppointmentId(state.slots.find(s=>s.id === slotId) || { id: slotId }); }
+  // free, not on a leave or closure day, and not held by someone else
+  function isSlotBookable(slot){ return !isSlotBooked(slot.id) && !unavailableReason(slot.doctorId, slot.date) && !slotHold(slot); }
+  // another session's hold on the slot that hasn't run out, or null
+  function slotHold(slot){ return slot.hold && !slot.hold.mine && slot.hold.expiresAt > new Date().toISOString() ? slot.hold : null; }
+  function holdLabel(hold){ return `On hold for ${hold.byName} until ${zonedDateTime(clinicTimeZone, hold.expiresAt).slice(11)}`; }
+  // Confirmed appointments still to come on a leave's or closure's days (a closure has no doctorId: every doctor)
+  function affectedAppointments({ doctorId, from, to }){
+    const start = from > todayISO(0) ? from : todayISO(0);
+    return state.appointments.filter(a => {
+      const slot = slotOf(a);
+      return a.status === 'Confirmed' && slot.date >= start && slot.date <= to && (!doctorId || slot.doctorId === doctorId);
+    }).sort((x, y) => `${slotOf(x).date} ${slotOf(x).time}`.localeCompare(`${slotOf(y).date} ${slotOf(y).time}`));
+  }
+  // a patient's appointments with their slots, latest first
+  function patientAppointments(patientId){
+    const when = a => (a.slot.date || '') + (a.slot.time || '');
+    return state.appointments.filter(a=>a.patientId === patientId)
+      .map(a => Object.assign({}, a, { slot: state.slots.find(s=>s.id===a.slotId) || {} }))
+      .sort((a,b)=> when(b).localeCompare(when(a)));
+  }
+  // how many slots match the GET /slots filters in `q`, through a one-row page
+  function countSlots(q){ return backend.listSlots(Object.assign({ sort: 'date', limit: 1, offset: 0 }, q)).then(page => page.total); }
+  function getAppointmentForSlot(slotId){ return state.appointments.find(a=>a.slotId === slotId && isActiveAppointment(a)); }
+  // the id of the slot's live appointment, or null. GET /slots rows name it, which covers slots whose appointment
+  // isn't in state; one that is (since cancelled or moved, say) is more recent than the row
+  function slotAppointmentId(slot){
+    const ap = getAppointmentForSlot(slot.id);
+    if(ap) return ap.id;
+    return slot.appointmentId && !state.appointments.some(a=>a.id === slot.appointmentId) ? slot.appointmentId : null;
+  }
+  function statusButtons(appointment, onDone){
+    return allowedNextStatuses(appointment).map(st => el('button',{class: st === 'Cancelled' || st === 'NoShow' ? 'btn secondary' : 'btn', onClick:()=> setAppointmentStatus(appointment.id, st, onDone)}, STATUS_ACTIONS[st]));
+  }
+
+  // filters, sort and page of the Slots, Appointments and Patients tables, kept while navigating
+  const PAGE_SIZE = 25;
+  const listQueries = {
+    slots: { from: '', to: '', doctorId: '', speciality: '', available: false, sort: 'date', order: 'asc', limit: PAGE_SIZE, offset: 0 },
+    appointments: { from: '', to: '', doctorId: '', speciality: '', status: '', patient: '', sort: 'date', order: 'desc', limit: PAGE_SIZE, offset: 0 },
+    patients: { q: '', sort: 'name', order: 'asc', limit: PAGE_SIZE, offset: 0 }
+  };
+
+  // fetches one page through `load` and draws it; answers to older requests are dropped
+  async function drawListPage(container, q, load, build){
+    const ticket = container.ticket = (container.ticket || 0) + 1;
+    let page;
+    try {
+      page = await load(q);
+    } catch(e){
+      container.textContent = `Could not load: ${e.message}`;
+      return;
+    }
+    if(ticket !== container.ticket) return;
+    if(!page.items.length && q.offset > 0){
+      // the last page emptied (e.g. after a cancellation): step back
+      q.offset = Math.max(0, q.offset - q.limit);
+      return drawListPage(container, q, load, build);
+    }
+    container.innerHTML = '';
+    build(page).forEach(node => container.appendChild(node));
+    if(!page.total) container.insertBefore(el('div',{class:'small'}, 'Nothing matches these filters.'), container.lastChild);
+  }
+
+  // column header that sorts the list by `key`; clicking again flips the order
+  function sortHeader(label, key, list){
+    if(!list) return el('th',{}, label);
+    const q = list.query;
+    const active = q.sort === key;
+    return el('th',{class:'sortable', title:`Sort by ${label.toLowerCase()}`, onClick:()=> {
+      q.order = active && q.order === 'asc' ? 'desc' : 'asc';
+      q.sort = key; q.offset = 0;
+      list.redraw();
+    }}, label, active ? (q.order === 'asc' ? ' ▲' : ' ▼') : '');
+  }
+
+  function renderPager(page, q, redraw){
+    const first = page.total ? page.offset + 1 : 0;
+    const last = Math.min(page.offset + page.items.length, page.total);
+    const go = offset => { q.offset = offset; redraw(); };
+    const button = (label, disabled, onClick) => el('button', Object.assign({class:'btn secondary', onClick}, disabled ? {disabled:''} : {}), label);
+    return el('div',{class:'pager'},
+      el('span',{class:'small'}, `${first}–${last} of ${page.total}`),
+      button('Prev', page.offset === 0, ()=> go(Math.max(0, page.offset - q.limit))),
+      button('Next', last >= page.total, ()=> go(page.offset + q.limit)));
+  }
+
+  // filter bar; `fields` picks from the keys below, every change reloads the first page of results
+  function renderListFilters(q, fields, redraw){
+    const update = (key, value)=> { q[key] = value; q.offset = 0; redraw(); };
+    const specialities = [...new Set(state.doctors.map(d=>d.speciality).filter(Boolean))].sort();
+    const options = (values, selected, blank) => [el('option',{value:''}, blank)].concat(values.map(([value, label]) =>
+      el('option', value === selected ? {value, selected:''} : {value}, label)));
+    let typing;
+    const search = key => el('input',{type:'text', value:q[key], placeholder:'Name or phone', onInput:e=> {
+      clearTimeout(typing);
+      typing = setTimeout(()=> update(key, e.target.value.trim()), 300);
+    }});
+    const controls = {
+      from: ()=> el('input',{type:'date', value:q.from, onChange:e=> update('from', e.target.value)}),
+      to: ()=> el('input',{type:'date', value:q.to, onChange:e=> update('to', e.target.value)}),
+      doctorId: ()=> el('select',{onChange:e=> update('doctorId', e.target.value)}, options(state.doctors.map(d=>[d.id, d.name]), q.doctorId, 'All doctors')),
+      speciality: ()=> el('select',{onChange:e=> update('speciality', e.target.value)}, options(specialities.map(sp=>[sp, sp]), q.speciality, 'All specialities')),
+      status: ()=> el('select',{onChange:e=> update('status', e.target.value)}, options(Object.keys(STATUS_LABELS).map(st=>[st, STATUS_LABELS[st]]), q.status, 'Any status')),
+      patient: ()=> search('patient'),
+      q: ()=> search('q'),
+      available: ()=> el('label',{class:'check'}, el('input', Object.assign({type:'checkbox', onChange:e=> update('available', e.target.checked)}, q.available ? {checked:''} : {})), ' Available only')
+    };
+    const labels = { from: 'From', to: 'To', doctorId: 'Doctor', speciality: 'Speciality', status: 'Status', patient: 'Patient', q: 'Search', available: '' };
+    return el('div',{class:'list-filters'},
+      fields.map(f => el('div',{class:'field'}, el('label',{}, labels[f] || '\u00a0'), controls[f]())),
+      el('div',{class:'field'}, el('label',{}, '\u00a0'), el('button',{class:'btn secondary', onClick:()=> {
+        fields.forEach(f => { q[f] = f === 'available' ? false : ''; });
+        q.offset = 0; renderCurrentView();
+      }}, 'Clear')));
+  }
+
+  // DASHBOARD
+  function renderDashboard(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    const statsCard = el('div',{class:'card header-row'});
+    const stats = el('div',{style:'display:flex; gap:18px; align-items:center'});
+    const todaySlots = state.slots.filter(s => s.date === todayISO(0)).sort((a,b)=> a.time.localeCompare(b.time));
+    const todayAppointments = state.appointments.filter(a => slotOf(a).date === todayISO(0)).sort((a,b)=> slotOf(a).time.localeCompare(slotOf(b).time));
+    stats.appendChild(statBlock('Doctors', state.doctors.length));
+    stats.appendChild(statBlock('Slots today', todaySlots.length));
+    stats.appendChild(statBlock('Appointments today', todayAppointments.length));
+    statsCard.appendChild(el('div',{class:'h-title'}, 'Overview'));
+    statsCard.appendChild(stats);
+
+    const slotsCard = el('div',{class:'card'});
+    slotsCard.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Today\'s Slots'), can('manageSlots') && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
+    slotsCard.appendChild(renderSlotTable(todaySlots));
+
+    const grid = el('div',{class:'grid cols-2'});
+    grid.appendChild(renderDoctorsCard(state.doctors));
+    grid.appendChild(renderAppointmentsCard(todayAppointments, false, 'Today\'s Appointments'));
+
+    view.appendChild(statsCard);
+    view.appendChild(el('div',{style:'height:16px'}));
+    view.appendChild(renderReportsCard());
+    view.appendChild(el('div',{style:'height:16px'}));
+    view.appendChild(slotsCard);
+    view.appendChild(el('div',{style:'height:16px'}));
+    view.appendChild(grid);
+    content.appendChild(view);
+  }
+
+  // REPORTS (dashboard): utilization, lead times, cancellations and no-shows over a date range
+  const reportQuery = { from: todayISO(-(REPORT_DEFAULT_DAYS - 1)), to: todayISO(0), doctorId: '', speciality: '' };
+
+  // the date pickers start on the clinic's today, which is only known once the server has answered
+  function resetDateDefaults(){
+    Object.assign(reportQuery, { from: todayISO(-(REPORT_DEFAULT_DAYS - 1)), to: todayISO(0) });
+    calendarQuery.date = todayISO(0);
+    roomsQuery.date = todayISO(0);
+  }
+
+  function renderReportsCard(){
+    const q = reportQuery;
+    const user = backend.currentUser();
+    const body = el('div',{}, el('div',{class:'small'}, 'Loading…'));
+    let report = null;
+    const load = ()=> backend.getReport(q).then(r => {
+      report = r;
+      body.innerHTML = '';
+      body.appendChild(renderReport(r));
+    }).catch(e => {
+      body.innerHTML = '';
+      body.appendChild(el('div',{class:'form-error'}, e.message));
+    });
+    const set = key => e => { q[key] = e.target.value; load(); };
+    const specialities = [...new Set(state.doctors.map(d => d.speciality).filter(Boolean))].sort();
+    const options = (values, selected) => values.map(([value, label]) => el('option', value === selected ? {value, selected:''} : {value}, label));
+    const card = el('div',{class:'card'},
+      el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Reports'),
+        el('button',{class:'btn secondary', onClick:()=> report && downloadFile(`report-${report.from}-${report.to}.csv`, reportCsv(report), 'text/csv')}, 'Download CSV')),
+      el('div',{class:'list-filters'},
+        el('div',{class:'field'}, el('label',{}, 'From'), el('input',{type:'date', id:'reportFrom', value:q.from, onChange:set('from')})),
+        el('div',{class:'field'}, el('label',{}, 'To'), el('input',{type:'date', id:'reportTo', value:q.to, onChange:set('to')})),
+        user.role !== 'doctor' && el('div',{class:'field'}, el('label',{}, 'Doctor'),
+          el('select',{id:'reportDoctor', onChange:set('doctorId')}, options([['', 'All doctors']].concat(state.doctors.map(d => [d.id, d.name])), q.doctorId))),
+        user.role !== 'doctor' && el('div',{class:'field'}, el('label',{}, 'Speciality'),
+          el('select',{id:'reportSpeciality', onChange:set('speciality')}, options([['', 'All specialities']].concat(specialities.map(sp => [sp, sp])), q.speciality)))),
+      body);
+    load();
+    return card;
+  }
+
+  function percent(rate){ return rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`; }
+
+  function renderReport(r){
+    const t = r.totals;
+    const utilizationRows = rows => rows.map(row => ({ value: row.utilization || 0, text: `${percent(row.utilization)} (${row.booked}/${row.slots})` }));
+    return el('div',{},
+      el('div',{style:'display:flex; gap:18px; flex-wrap:wrap; margin-bottom:12px'},
+        statBlock('Utilization', percent(t.utilization)),
+        statBlock('Booked / slots', `${t.booked} / ${t.slots}`),
+        statBlock('Cancellation rate', percent(t.cancellationRate)),
+        statBlock('No-show rate', percent(t.noShowRate)),
+        statBlock('Avg. days booked ahead', t.avgLeadDays === null ? '—' : t.avgLeadDays)),
+      t.slots === 0 ? el('div',{class:'small'}, 'No slots in this range.') : el('div',{class:'grid cols-2'},
+        renderBarChart('Utilization by doctor', r.byDoctor.map(d => d.doctorName || d.doctorId), utilizationRows(r.byDoctor), 1),
+        renderBarChart('Utilization by speciality', r.bySpeciality.map(sp => sp.speciality || 'No speciality'), utilizationRows(r.bySpeciality), 1),
+        renderBarChart('Booked appointments by hour', r.busiestHours.map(h => `${h.hour}:00`),
+          r.busiestHours.map(h => ({ value: h.booked, text: `${h.booked} booked / ${h.slots}` }))),
+        renderBarChart('Days booked ahead', r.leadTimes.map(b => b.label),
+          r.leadTimes.map(b => ({ value: b.appointments, text: String(b.appointments) }))),
+        renderBarChart('Cancellations and no-shows by doctor', r.byDoctor.map(d => d.doctorName || d.doctorId),
+          r.byDoctor.map(d => ({ value: d.cancelled + d.noShow, text: `${d.cancelled} cancelled, ${d.noShow} no-show` })))
+      ));
+  }
+
+  // horizontal bars: labels[i] with rows[i] = { value, text }; bars are scaled to `max` (default the largest value)
+  function renderBarChart(title, labels, rows, max){
+    const top = max || Math.max(1, ...rows.map(r => r.value));
+    return el('div',{class:'chart'},
+      el('div',{class:'h-title'}, title),
+      ...rows.map((r, i) => el('div',{class:'chart-row', title:`${labels[i]}: ${r.text}`},
+        el('div',{class:'chart-label'}, labels[i]),
+        el('div',{class:'chart-track'}, el('div',{class:'chart-bar', style:`width:${Math.round((r.value / top) * 100)}%`})),
+        el('div',{class:'chart-value small'}, r.text))));
+  }
+
+  // one CSV with a row per doctor, speciality, hour and lead-time bucket, plus the totals
+  function reportCsv(r){
+    const columns = ['group', 'name', 'slots', 'booked', 'utilization', 'appointments', 'completed', 'cancelled', 'no_show', 'cancellation_rate', 'no_show_rate'];
+    const row = (group, name, x) => ({
+      group, name, slots: x.slots, booked: x.booked, utilization: x.utilization, appointments: x.appointments, completed: x.completed,
+      cancelled: x.cancelled, no_show: x.noShow, cancellation_rate: x.cancellationRate, no_show_rate: x.noShowRate
+    });
+    const rows = [row('total', `${r.from} to ${r.to}`, r.totals)]
+      .concat(r.byDoctor.map(d => row('doctor', d.doctorName || d.doctorId, d)))
+      .concat(r.bySpeciality.map(sp => row('speciality', sp.speciality || '', sp)))
+      .concat(r.busiestHours.map(h => row('hour', `${h.hour}:00`, h)))
+      .concat(r.leadTimes.map(b => ({ group: 'days_booked_ahead', name: b.label, appointments: b.appointments })));
+    return toCsv(rows, columns);
+  }
+
+  // DOCTORS
+  function renderDoctors(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Doctors'), el('div',{style:'display:flex; gap:8px; align-items:center'},
+      can('manageSlots') && renderGenerateControls(),
+      can('manageDoctors') && el('button',{class:'btn', onClick:()=> openCreateDoctorModal()}, 'Add doctor'))));
+    view.appendChild(renderDoctorTable(state.doctors));
+    content.appendChild(view);
+  }
+
+  // "Generate next N weeks" from the weekly schedules, for one doctor or all of them
+  function renderGenerateControls(doctorId){
+    const weeks = el('input',{type:'number', min:'1', max:'52', value:'4', style:'width:70px', title:'Weeks'});
+    return el('div',{style:'display:flex; gap:8px; align-items:center'},
+      weeks,
+      el('button',{class:'btn secondary', onClick:()=> generateSlots(Number(weeks.value), doctorId)}, 'Generate next N weeks'));
+  }
+
+  async function generateSlots(weeks, doctorId){
+    if(!(weeks >= 1 && weeks <= 52)) return alert('Weeks must be between 1 and 52');
+    const from = todayISO(0);
+    const to = addDaysISO(from, weeks * 7 - 1);
+    try {
+      const { created, skipped, past, daysOff, roomConflicts } = await backend.generateSlots({ from, to, doctorId });
+      alert(`${created} slot(s) created, ${skipped} already existed (${from} to ${to})${daysOff ? `; ${daysOff} day(s) off skipped` : ''}${past ? `; ${past} already past` : ''}${roomConflicts ? `; ${roomConflicts} left out because the room was taken` : ''}`);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  function renderDoctorsCard(doctors, compact=false){
+    const c = el('div',{class:'card'});
+    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Doctors'), !compact && can('manageDoctors') && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateDoctorModal()}, 'Add doctor'))));
+    c.appendChild(compact ? renderDoctorListCompact(doctors) : renderDoctorTable(doctors));
+    return c;
+  }
+
+  function renderDoctorListCompact(doctors){
+    const wrap = el('div');
+    doctors.forEach(d=>{
+      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
+        el('div',{}, el('div',{style:'font-weight:700'}, `${d.name}`), el('div',{class:'small'}, `${d.speciality} • Room ${d.room}`)),
+        can('manageDoctors') && el('div',{}, el('button',{class:'icon-btn', onClick:()=> openEditDoctorModal(d.id)}, '✏️'), el('button',{class:'icon-btn', onClick:()=> deleteDoctor(d.id)}, '🗑️'))
+      ));
+    });
+    return wrap;
+  }
+
+  function renderDoctorTable(doctors){
+    const wrap = el('div');
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'ID'), el('th',{},'Name'), el('th',{},'Speciality'), el('th',{},'Room'), el('th',{},'Actions'))));
+    const body = el('tbody');
+    doctors.forEach(d=>{
+      body.appendChild(el('tr',{},
+        el('td',{}, d.id),
+        el('td',{}, d.name),
+        el('td',{}, d.speciality),
+        el('td',{}, d.room),
+        el('td',{}, el('button',{class:'btn secondary', onClick:()=> viewDoctor(d.id)}, 'View'), ' ',
+          can('manageDoctors') && el('button',{class:'btn secondary', onClick:()=> openEditDoctorModal(d.id)}, 'Edit'), ' ',
+          can('manageSlots') && el('button',{class:'btn secondary', onClick:()=> openScheduleModal(d.id)}, 'Schedule'), ' ',
+          can('manageSlots') && el('button',{class:'btn', onClick:()=> openCreateSlotModal({ doctorId: d.id })}, 'New slot'), ' ',
+          canManageCalendarFeed(d.id) && el('button',{class:'btn secondary', onClick:()=> openCalendarFeedModal(d.id)}, 'Calendar feed'))
+      ));
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    return wrap;
+  }
+
+  // SLOTS
+  function renderSlots(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Slots'), can('manageSlots') && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
+    const q = listQueries.slots;
+    const results = el('div');
+    const redraw = ()=> drawListPage(results, q, backend.listSlots, page => [renderSlotTable(page.items, { query: q, redraw }), renderPager(page, q, redraw)]);
+    view.appendChild(renderListFilters(q, ['from', 'to', 'doctorId', 'speciality', 'available'], redraw));
+    view.appendChild(results);
+    content.appendChild(view);
+    redraw();
+  }
+
+  function renderSlotsCard(slots, compact=false){
+    const c = el('div',{class:'card'});
+    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Slots'), !compact && can('manageSlots') && el('div',{}, el('button',{class:'btn', onClick:()=> openCreateSlotModal()}, 'Create slot'))));
+    c.appendChild(compact ? renderSlotListCompact(slots) : renderSlotTable(slots));
+    return c;
+  }
+
+  function renderSlotListCompact(slots){
+    const wrap = el('div');
+    slots.forEach(s=>{
+      const doc = state.doctors.find(d=>d.id===s.doctorId) || {};
+      const booked = isSlotBooked(s.id);
+      const dayOff = unavailableReason(s.doctorId, s.date);
+      const hold = slotHold(s);
+      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
+        el('div',{}, el('div',{style:'font-weight:700'}, `${s.date} • ${slotRange(s)}${yourTime(s)}`), el('div',{class:'small'}, `${doc.name || s.doctorId}`)),
+        el('div',{}, booked ? el('span',{class:'badge red'}, 'Booked') : dayOff ? el('span',{class:'badge amber', title:dayOff}, 'Day off')
+          : hold ? el('span',{class:'badge blue', title:holdLabel(hold)}, 'On hold')
+          : can('manageAppointments') ? el('button',{class:'btn', onClick:()=> openBookingModalForSlot(s.id)}, 'Book') : el('span',{class:'badge green'}, 'Available'))
+      ));
+    });
+    return wrap;
+  }
+
+  // `list` ({ query, redraw }) is passed for a server-sorted page: headers then change the sort
+  function renderSlotTable(slots, list){
+    // sort by date & time for display
+    const sorted = list ? slots : slots.slice().sort((a,b) => (a.date + a.time).localeCompare(b.date + b.time));
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'Slot ID'), sortHeader('Doctor', 'doctor', list), sortHeader('Date', 'date', list), el('th',{},'Time'), sortHeader('Length', 'duration', list), el('th',{},'Ends'), el('th',{},'Room'), el('th',{},'Status'), el('th',{},'Actions'))));
+    const body = el('tbody');
+    sorted.forEach(s=>{
+      const doc = state.doctors.find(d=>d.id===s.doctorId) || {};
+      const appointmentId = slotAppointmentId(s);
+      const dayOff = unavailableReason(s.doctorId, s.date);
+      const hold = slotHold(s);
+      const statusNode = appointmentId ? el('span',{class:'badge red'}, 'Booked')
+        : dayOff ? el('span',{class:'badge amber', title:dayOff}, 'Day off')
+        : hold ? el('span',{class:'badge blue', title:holdLabel(hold)}, 'On hold') : el('span',{class:'badge green'}, 'Available');
+      body.appendChild(el('tr',{},
+        el('td',{}, s.id),
+        el('td',{}, `${doc.name || s.doctorId} • ${doc.speciality || ''}`),
+        el('td',{}, s.date),
+        el('td',{}, s.time, yourTime(s) && el('div',{class:'small'}, yourTime(s).trim())),
+        el('td',{}, `${slotDuration(s)} min`),
+        el('td',{}, slotEnd(s)),
+        el('td',{}, s.roomId || '—'),
+        el('td',{}, statusNode),
+        el('td',{}, appointmentId ? el('button',{class:'btn secondary', onClick:()=> viewAppointment(appointmentId)}, 'View') : !dayOff && !hold && can('manageAppointments') && el('button',{class:'btn', onClick:()=> openBookingModalForSlot(s.id)}, 'Book'), ' ', can('manageSlots') && el('button',{class:'btn secondary', onClick:()=> openEditSlotModal(s.id)}, 'Edit'))
+      ));
+    });
+    table.appendChild(body);
+    return table;
+  }
+
+  // CALENDAR
+  // a day grid with one column per doctor, or a week grid with one column per day (Monday first)
+  const CALENDAR_PX_PER_MINUTE = 1.2;
+  // doctorId null = not chosen yet (doctors start on their own column)
+  const calendarQuery = { mode: 'day', date: todayISO(0), doctorId: null };
+
+  function renderCalendar(){
+    content.innerHTML = '';
+    const q = calendarQuery;
+    const user = backend.currentUser();
+    if(q.doctorId === null) q.doctorId = user.role === 'doctor' ? user.doctor_id || '' : '';
+    const go = (changes)=> { Object.assign(q, changes); showView(); };
+    const step = q.mode === 'week' ? 7 : 1;
+    const options = (values, selected) => values.map(([value, label]) => el('option', value === selected ? {value, selected:''} : {value}, label));
+
+    const view = el('div',{class:'view'});
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Calendar')));
+    card.appendChild(el('div',{class:'list-filters'},
+      el('div',{class:'field'}, el('label',{}, 'View'),
+        el('select',{id:'calendarMode', onChange:e=> go({ mode: e.target.value })}, options([['day', 'Day'], ['week', 'Week']], q.mode))),
+      el('div',{class:'field'}, el('label',{}, 'Doctor'),
+        el('select',{id:'calendarDoctor', onChange:e=> go({ doctorId: e.target.value })},
+          options([['', 'All doctors']].concat(state.doctors.map(d=>[d.id, d.name])), q.doctorId))),
+      el('div',{class:'field'}, el('label',{}, 'Date'),
+        el('input',{type:'date', id:'calendarDate', value:q.date, onChange:e=> e.target.value && go({ date: e.target.value })})),
+      el('div',{class:'field'}, el('label',{}, '\u00a0'), el('div',{style:'display:flex; gap:6px'},
+        el('button',{class:'btn secondary', title:'Previous', onClick:()=> go({ date: addDaysISO(q.date, -step) })}, '‹'),
+        el('button',{class:'btn secondary', onClick:()=> go({ date: todayISO(0) })}, 'Today'),
+        el('button',{class:'btn secondary', title:'Next', onClick:()=> go({ date: addDaysISO(q.date, step) })}, '›')))));
+    const columns = calendarColumns(q);
+    card.appendChild(columns.length ? renderCalendarGrid(columns, q.mode === 'week' && !q.doctorId)
+      : el('div',{class:'small'}, 'No doctors yet.'));
+    card.appendChild(el('div',{class:'cal-legend small'},
+      el('span',{class:'cal-swatch free'}), 'Free', el('span',{class:'cal-swatch booked'}), 'Booked', el('span',{class:'cal-swatch held'}), 'On hold',
+      can('manageAppointments') ? ' — click a free slot to book it, drag a confirmed appointment onto a free slot to reschedule it' : ''));
+    view.appendChild(card);
+    content.appendChild(view);
+  }
+
+  // the Monday of `date`'s week
+  function weekStart(date){ return addDaysISO(date, -((weekdayOf(date) + 6) % 7)); }
+
+  // [{ label, sub, slots }] for the current day or week
+  function calendarColumns(q){
+    const doctors = state.doctors.filter(d => !q.doctorId || d.id === q.doctorId);
+    if(q.mode === 'day'){
+      return doctors.map(d => ({ label: d.name, sub: d.speciality, slots: state.slots.filter(s => s.doctorId === d.id && s.date === q.date) }));
+    }
+    const ids = new Set(doctors.map(d=>d.id));
+    const monday = weekStart(q.date);
+    return [0,1,2,3,4,5,6].map(i => {
+      const date = addDaysISO(monday, i);
+      return { label: `${WEEKDAYS[weekdayOf(date)]} ${date.slice(5)}`, sub: date === todayISO(0) ? 'Today' : '', slots: state.slots.filter(s => s.date === date && ids.has(s.doctorId)) };
+    });
+  }
+
+  function renderCalendarGrid(columns, showDoctor){
+    const all = columns.flatMap(c => c.slots);
+    // whole hours covering 08:00–18:00 and every slot shown
+    const start = Math.floor(Math.min(8 * 60, ...all.map(s => toMinutes(s.time))) / 60) * 60;
+    const end = Math.ceil(Math.max(18 * 60, ...all.map(s => toMinutes(s.time) + slotDuration(s))) / 60) * 60;
+    const px = minutes => `${Math.round(minutes * CALENDAR_PX_PER_MINUTE)}px`;
+    const grid = el('div',{class:'cal-grid', style:`grid-template-columns:56px repeat(${columns.length}, minmax(120px, 1fr))`});
+    grid.appendChild(el('div',{class:'cal-head'}));
+    columns.forEach(c => grid.appendChild(el('div',{class:'cal-head'}, c.label, c.sub && el('div',{class:'small'}, c.sub))));
+    const hours = el('div',{class:'cal-hours', style:`height:${px(end - start)}`});
+    for(let t = start; t < end; t += 60) hours.appendChild(el('div',{class:'cal-hour', style:`top:${px(t - start)}`}, fromMinutes(t)));
+    grid.appendChild(hours);
+    columns.forEach(c => {
+      const col = el('div',{class:'cal-col', style:`height:${px(end - start)}; background-size:100% ${px(60)}`});
+      const { placed, lanes } = calendarLanes(c.slots);
+      placed.forEach(({ slot, lane }) => {
+        const block = renderCalendarSlot(slot, showDoctor);
+        block.style.top = px(toMinutes(slot.time) - start);
+        block.style.height = px(slotDuration(slot));
+        block.style.left = `${lane * 100 / lanes}%`;
+        block.style.width = `${100 / lanes}%`;
+        col.appendChild(block);
+      });
+      grid.appendChild(col);
+    });
+    return grid;
+  }
+
+  // side-by-side lanes for overlapping slots (only when one column holds several doctors)
+  function calendarLanes(slots){
+    const laneEnds = [];
+    const placed = slots.slice().sort((a,b)=> a.time.localeCompare(b.time)).map(slot => {
+      let lane = laneEnds.findIndex(laneEnd => laneEnd <= toMinutes(slot.time));
+      if(lane < 0){ lane = laneEnds.length; laneEnds.push(0); }
+      laneEnds[lane] = toMinutes(slot.time) + slotDuration(slot);
+      return { slot, lane };
+    });
+    return { placed, lanes: Math.max(1, laneEnds.length) };
+  }
+
+  function renderCalendarSlot(slot, showDoctor){
+    const ap = state.appointments.find(a => a.slotId === slot.id && isActiveAppointment(a));
+    const past = slot.date < todayISO(0);
+    const dayOff = !ap && unavailableReason(slot.doctorId, slot.date);
+    const hold = !ap && !dayOff && slotHold(slot);
+    const block = el('div',{class:`cal-slot ${ap ? 'booked' : dayOff ? 'off' : hold ? 'held' : 'free'}${past ? ' past' : ''}`, 'data-slot-id': slot.id},
+      el('div',{class:'cal-time', title: yourTime(slot).trim()}, slotRange(slot)),
+      ap ? el('div',{}, ap.patientName, ' ', el('span',{class:'small'}, STATUS_LABELS[ap.status])) : el('div',{}, dayOff ? 'Day off' : hold ? 'On hold' : 'Free'),
+      showDoctor && el('div',{class:'small'}, doctorName(slot.doctorId) || slot.doctorId));
+    if(ap){
+      block.addEventListener('click', ()=> viewAppointment(ap.id));
+      if(ap.status === 'Confirmed' && can('manageAppointments')){
+        block.setAttribute('draggable', 'true');
+        block.addEventListener('dragstart', e => {
+          e.dataTransfer.setData('text/plain', ap.id);
+          e.dataTransfer.effectAllowed = 'move';
+        });
+      }
+    } else if(dayOff || hold){
+      block.title = dayOff || holdLabel(hold);
+    } else if(can('manageAppointments') && !past){
+      block.addEventListener('click', ()=> openBookingModalForSlot(slot.id));
+      block.addEventListener('dragover', e => { e.preventDefault(); block.classList.add('drop-target'); });
+      block.addEventListener('dragleave', ()=> block.classList.remove('drop-target'));
+      block.addEventListener('drop', e => {
+        e.preventDefault();
+        block.classList.remove('drop-target');
+        rescheduleToSlot(e.dataTransfer.getData('text/plain'), slot.id);
+      });
+    }
+    return block;
+  }
+
+  async function rescheduleToSlot(appointmentId, slotId){
+    const ap = state.appointments.find(a=>a.id===appointmentId);
+    const slot = state.slots.find(s=>s.id===slotId);
+    if(!ap || !slot || ap.slotId === slotId) return;
+    if(!confirm(`Move ${ap.patientName} to ${slot.date} ${slotRange(slot)} with ${doctorName(slot.doctorId) || slot.doctorId}?`)) return;
+    try {
+      await backend.rescheduleAppointment(ap.id, slot.id, 'Moved in the calendar');
+    } catch(e){
+      alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // APPOINTMENTS
+  function renderAppointments(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Appointments'), can('manageAppointments') && el('div',{}, el('button',{class:'btn', onClick:()=> openBookingModal()}, 'New appointment'))));
+    const q = listQueries.appointments;
+    const results = el('div');
+    const redraw = ()=> drawListPage(results, q, backend.listAppointments, page => [renderAppointmentTable(page.items, { query: q, redraw }), renderPager(page, q, redraw)]);
+    view.appendChild(renderListFilters(q, ['from', 'to', 'doctorId', 'speciality', 'status', 'patient'], redraw));
+    view.appendChild(results);
+    content.appendChild(view);
+    redraw();
+  }
+
+  function renderAppointmentsCard(appointments, compact=false, title='Appointments'){
+    const c = el('div',{class:'card'});
+    c.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, title), !compact && can('manageAppointments') && el('div',{}, el('button',{class:'btn', onClick:()=> openBookingModal()}, 'New appointment'))));
+    c.appendChild(compact ? renderAppointmentListCompact(appointments) : renderAppointmentTable(appointments));
+    return c;
+  }
+
+  function renderAppointmentListCompact(appointments){
+    const wrap = el('div');
+    appointments.forEach(a=>{
+      const slot = state.slots.find(s=>s.id===a.slotId) || {};
+      const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
+      wrap.appendChild(el('div',{style:'display:flex;justify-content:space-between;align-items:center;padding:8px 0'},
+        el('div',{}, el('div',{style:'font-weight:700'}, `${a.patientName}`), el('div',{class:'small'}, `${doc.name || ''} • ${slot.date} ${slot.time}${yourTime(slot)}`)),
+        el('div',{}, el('button',{class:'icon-btn', onClick:()=> viewAppointment(a.id)}, '👁️'), allowedNextStatuses(a).includes('Cancelled') && el('button',{class:'icon-btn', title:'Cancel', onClick:()=> cancelAppointment(a.id)}, '❌'))
+      ));
+    });
+    return wrap;
+  }
+
+  // `list` as for renderSlotTable
+  function renderAppointmentTable(appointments, list){
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'ID'), sortHeader('Patient', 'patient', list), sortHeader('Doctor', 'doctor', list), sortHeader('Date', 'date', list), el('th',{},'Time'), el('th',{},'Reason'), sortHeader('Status', 'status', list), el('th',{},'Actions'))));
+    const body = el('tbody');
+    appointments.slice().forEach(a=>{
+      const slot = state.slots.find(s=>s.id===a.slotId) || {};
+      const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
+      body.appendChild(el('tr',{},
+        el('td',{}, a.id),
+        el('td',{}, `${a.patientName} ${a.patientPhone ? '• ' + a.patientPhone : ''}`),
+        el('td',{}, doc.name || slot.doctorId),
+        el('td',{}, slot.date || ''),
+        el('td',{}, slot.time || '', yourTime(slot) && el('div',{class:'small'}, yourTime(slot).trim())),
+        el('td',{}, a.reason || ''),
+        el('td',{}, statusBadge(a.status)),
+        el('td',{class:'actions'}, el('button',{class:'btn secondary', onClick:()=> viewAppointment(a.id)}, 'View'), statusButtons(a))
+      ));
+    });
+    table.appendChild(body);
+    return table;
+  }
+
+  // PATIENTS
+  function renderPatients(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Patients'), can('managePatients') && el('div',{}, el('button',{class:'btn', onClick:()=> openCreatePatientModal()}, 'New patient'))));
+    const q = listQueries.patients;
+    const results = el('div');
+    const redraw = ()=> drawListPage(results, q, backend.listPatients, page => [renderPatientTable(page.items, { query: q, redraw }), renderPager(page, q, redraw)]);
+    view.appendChild(renderListFilters(q, ['q'], redraw));
+    view.appendChild(results);
+    content.appendChild(view);
+    redraw();
+  }
+
+  // `list` as for renderSlotTable
+  function renderPatientTable(patients, list){
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, sortHeader('Name', 'name', list), el('th',{},'Phone'), el('th',{},'Date of birth'), el('th',{},'Appointments'), sortHeader('Last visit', 'lastVisit', list), el('th',{},'Actions'))));
+    const body = el('tbody');
+    patients.forEach(p=>{
+      body.appendChild(el('tr',{},
+        el('td',{}, p.name),
+        el('td',{}, p.phone || ''),
+        el('td',{}, p.dateOfBirth || ''),
+        el('td',{}, String(p.visits)),
+        el('td',{}, p.lastVisit || '—'),
+        el('td',{class:'actions'}, el('button',{class:'btn secondary', onClick:()=> viewPatient(p.id)}, 'History'),
+          can('managePatients') && el('button',{class:'btn secondary', onClick:()=> openEditPatientModal(p.id)}, 'Edit'),
+          can('deletePatients') && el('button',{class:'btn secondary', onClick:()=> deletePatient(p.id)}, 'Delete'))
+      ));
+    });
+    table.appendChild(body);
+    return table;
+  }
+
+  // WAITLIST
+  const WAITLIST_BADGES = { Waiting: 'amber', Booked: 'green', Expired: '', Removed: 'red' };
+
+  // queue position among waiting entries for the same doctor/speciality, as /waitlist numbers them
+  function waitlistPositions(entries){
+    const seen = {}, positions = {};
+    entries.slice().sort((a,b)=> (a.createdAt || '').localeCompare(b.createdAt || '')).forEach(w => {
+      if(w.status !== 'Waiting') return;
+      const key = w.doctorId ? `doctor:${w.doctorId}` : `speciality:${w.speciality}`;
+      seen[key] = (seen[key] || 0) + 1;
+      positions[w.id] = seen[key];
+    });
+    return positions;
+  }
+
+  function renderWaitlist(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Waitlist'), can('manageAppointments') && el('div',{}, el('button',{class:'btn', onClick:()=> openWaitlistModal()}, 'Add to waitlist'))));
+    view.appendChild(renderWaitlistTable(state.waitlist));
+    content.appendChild(view);
+  }
+
+  function renderWaitlistTable(entries){
+    const positions = waitlistPositions(entries);
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'#'), el('th',{},'Patient'), el('th',{},'Wants'), el('th',{},'Dates'), el('th',{},'Status'), el('th',{},'Added'), el('th',{},'Actions'))));
+    const body = el('tbody');
+    // waiting entries first, in queue order
+    const order = { Waiting: 0, Booked: 1, Expired: 2, Removed: 3 };
+    entries.slice().sort((a,b)=> (order[a.status] - order[b.status]) || (a.createdAt || '').localeCompare(b.createdAt || '')).forEach(w=>{
+      const doc = w.doctorId ? state.doctors.find(d=>d.id===w.doctorId) || {} : null;
+      body.appendChild(el('tr',{},
+        el('td',{}, positions[w.id] ? String(positions[w.id]) : '—'),
+        el('td',{}, `${w.patientName} ${w.patientPhone ? '• ' + w.patientPhone : ''}`),
+        el('td',{}, doc ? (doc.name || w.doctorId) : `Any ${w.speciality}`),
+        el('td',{}, `${w.from} → ${w.to}`),
+        el('td',{}, el('span',{class:`badge ${WAITLIST_BADGES[w.status] || ''}`}, w.status)),
+        el('td',{}, w.createdAt ? new Date(w.createdAt).toLocaleDateString() : ''),
+        el('td',{class:'actions'},
+          w.status === 'Booked' && w.appointmentId && el('button',{class:'btn secondary', onClick:()=> viewAppointment(w.appointmentId)}, 'View'),
+          w.status === 'Waiting' && can('manageAppointments') && el('button',{class:'btn secondary', onClick:()=> removeWaitlistEntry(w.id)}, 'Remove'))
+      ));
+    });
+    if(!entries.length) body.appendChild(el('tr',{}, el('td',{colspan:'7', class:'small'}, 'Nobody is waiting.')));
+    table.appendChild(body);
+    return table;
+  }
+
+  async function removeWaitlistEntry(entryId){
+    if(!confirm('Remove this patient from the waitlist?')) return;
+    try {
+      await backend.removeWaitlistEntry(entryId);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // LEAVE & CLOSURES
+  function renderLeave(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Leave & closures'), el('div',{style:'display:flex; gap:8px'},
+      can('manageLeave') && el('button',{class:'btn', onClick:()=> openLeaveModal()}, 'Add leave'),
+      can('manageClosures') && el('button',{class:'btn secondary', onClick:()=> openClosureModal()}, 'Add closure'))));
+    view.appendChild(el('div',{class:'card'}, el('div',{class:'h-title'}, 'Doctor leave'), renderDaysOffTable(state.leave, can('manageLeave'))));
+    view.appendChild(el('div',{style:'height:12px'}));
+    view.appendChild(el('div',{class:'card'}, el('div',{class:'h-title'}, 'Clinic closures'), renderDaysOffTable(state.closures, can('manageClosures'))));
+    content.appendChild(view);
+  }
+
+  // leave entries (with doctorId) or closures, latest first; past ones stay listed for reference
+  function renderDaysOffTable(entries, canManage){
+    const isLeave = entries === state.leave;
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, isLeave && el('th',{},'Doctor'), el('th',{},'Dates'), el('th',{},'Reason'), el('th',{},'Booked'), el('th',{},'Actions'))));
+    const body = el('tbody');
+    entries.slice().sort((a,b)=> b.from.localeCompare(a.from)).forEach(entry => {
+      const affected = affectedAppointments(entry);
+      const past = entry.to < todayISO(0);
+      body.appendChild(el('tr',{},
+        isLeave && el('td',{}, doctorName(entry.doctorId) || entry.doctorId),
+        el('td',{}, entry.from === entry.to ? entry.from : `${entry.from} → ${entry.to}`, past ? el('span',{class:'small'}, ' (past)') : ''),
+        el('td',{}, entry.reason || '—'),
+        el('td',{}, affected.length ? el('span',{class:'badge amber'}, `${affected.length} appointment${affected.length === 1 ? '' : 's'}`) : '—'),
+        el('td',{class:'actions'},
+          affected.length > 0 && can('manageAppointments') && el('button',{class:'btn', onClick:()=> openAffectedModal(entry)}, 'Affected patients'),
+          canManage && el('button',{class:'btn secondary', onClick:()=> deleteDaysOff(entry)}, 'Remove'))
+      ));
+    });
+    if(!entries.length) body.appendChild(el('tr',{}, el('td',{colspan: isLeave ? '5' : '4', class:'small'}, isLeave ? 'No leave recorded.' : 'No closures recorded.')));
+    table.appendChild(body);
+    return table;
+  }
+
+  // ROOMS
+  // a day grid with one column per room (and one for slots without a room), and the list of rooms
+  const roomsQuery = { date: todayISO(0) };
+
+  function renderRooms(){
+    content.innerHTML = '';
+    const q = roomsQuery;
+    const go = (changes)=> { Object.assign(q, changes); showView(); };
+    const view = el('div',{class:'view'});
+    view.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Rooms'),
+      can('manageRooms') && el('button',{class:'btn', onClick:()=> openRoomModal()}, 'Add room')));
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Occupancy')));
+    card.appendChild(el('div',{class:'list-filters'},
+      el('div',{class:'field'}, el('label',{}, 'Date'),
+        el('input',{type:'date', id:'roomsDate', value:q.date, onChange:e=> e.target.value && go({ date: e.target.value })})),
+      el('div',{class:'field'}, el('label',{}, '\u00a0'), el('div',{style:'display:flex; gap:6px'},
+        el('button',{class:'btn secondary', title:'Previous', onClick:()=> go({ date: addDaysISO(q.date, -1) })}, '‹'),
+        el('button',{class:'btn secondary', onClick:()=> go({ date: todayISO(0) })}, 'Today'),
+        el('button',{class:'btn secondary', title:'Next', onClick:()=> go({ date: addDaysISO(q.date, 1) })}, '›')))));
+    const columns = roomColumns(q.date);
+    card.appendChild(columns.length ? renderCalendarGrid(columns, true) : el('div',{class:'small'}, 'No rooms yet.'));
+    card.appendChild(el('div',{class:'cal-legend small'},
+      el('span',{class:'cal-swatch free'}), 'Free', el('span',{class:'cal-swatch booked'}), 'Booked',
+      ' — slots side by side in one room overlap (saved before rooms were checked)'));
+    view.appendChild(card);
+    view.appendChild(el('div',{style:'height:12px'}));
+    view.appendChild(el('div',{class:'card'}, el('div',{class:'h-title'}, 'All rooms'), renderRoomTable()));
+    content.appendChild(view);
+  }
+
+  // [{ label, sub, slots }] as calendarColumns, one per listed room or room in use that day
+  function roomColumns(date){
+    const slots = state.slots.filter(s => s.date === date);
+    const ids = state.rooms.map(r=>r.id);
+    slots.forEach(s => { if(s.roomId && !ids.includes(s.roomId)) ids.push(s.roomId); });
+    const columns = ids.map(id => {
+      const room = state.rooms.find(r=>r.id===id);
+      return { label: `Room ${id}`, name: room ? room.name : 'Deleted room', slots: slots.filter(s => s.roomId === id) };
+    });
+    const unassigned = slots.filter(s => !s.roomId);
+    if(unassigned.length) columns.push({ label: 'No room', name: '', slots: unassigned });
+    return columns.map(c => ({ label: c.label, sub: [c.name, roomOccupancy(c.slots)].filter(Boolean).join(' • '), slots: c.slots }));
+  }
+
+  // e.g. "4 slots, 2h 00m, 3 booked"
+  function roomOccupancy(slots){
+    if(!slots.length) return 'Free all day';
+    const minutes = slots.reduce((sum, s) => sum + slotDuration(s), 0);
+    const booked = slots.filter(s => isSlotBooked(s.id)).length;
+    return `${slots.length} slot${slots.length === 1 ? '' : 's'}, ${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2,'0')}m, ${booked} booked`;
+  }
+
+  function renderRoomTable(){
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'Room'), el('th',{},'Name'), el('th',{},'Default for'), el('th',{},'Upcoming slots'), el('th',{},'Notes'), el('th',{},'Actions'))));
+    const body = el('tbody');
+    state.rooms.slice().sort((a,b)=> a.id.localeCompare(b.id)).forEach(r => {
+      const doctors = state.doctors.filter(d => d.room === r.id).map(d => d.name);
+      const upcoming = el('td',{}, '…');
+      countSlots({ roomId: r.id, from: todayISO(0) }).then(n => { upcoming.textContent = String(n); }, ()=> { upcoming.textContent = '—'; });
+      body.appendChild(el('tr',{},
+        el('td',{}, r.id),
+        el('td',{}, r.name || '—'),
+        el('td',{}, doctors.join(', ') || '—'),
+        upcoming,
+        el('td',{}, r.notes || ''),
+        el('td',{class:'actions'},
+          can('manageRooms') && el('button',{class:'btn secondary', onClick:()=> openRoomModal(r)}, 'Edit'),
+          can('manageRooms') && el('button',{class:'btn secondary', onClick:()=> deleteRoom(r.id)}, 'Delete'))
+      ));
+    });
+    if(!state.rooms.length) body.appendChild(el('tr',{}, el('td',{colspan:'6', class:'small'}, 'No rooms yet.')));
+    table.appendChild(body);
+    return table;
+  }
+
+  // LOGIN (HTTP backend only)
+  function renderLogin(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view login-view'});
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Sign in'), el('div',{class:'small'}, state.settings.apiUrl)));
+    card.appendChild(el('div',{class:'field'}, el('label',{}, 'Username'), el('input',{type:'text', id:'loginUser', autocomplete:'username'})));
+    card.appendChild(el('div',{style:'height:8px'}));
+    card.appendChild(el('div',{class:'field'}, el('label',{}, 'Password'), el('input',{type:'password', id:'loginPassword', autocomplete:'current-password'})));
+    card.appendChild(formError('loginError'));
+    const submit = async ()=> {
+      const username = byId('loginUser').value.trim();
+      const password = byId('loginPassword').value;
+      if(!username || !password) return showFormError('loginError', new Error('Enter username and password'));
+      try {
+        await backend.login(username, password);
+        await backend.load();
+      } catch(e){
+        return showFormError('loginError', e);
+      }
+      resetDateDefaults();
+      renderCurrentView();
+      startLiveUpdates();
+    };
+    card.appendChild(el('div',{}, el('button',{class:'btn', onClick: submit}, 'Sign in'), ' ',
+      el('button',{class:'btn secondary', onClick:()=> { state.settings.backend = 'local'; saveState(); location.reload(); }}, 'Use offline demo instead')));
+    card.addEventListener('keydown', (e)=> { if(e.key === 'Enter') submit(); });
+    view.appendChild(card);
+    content.appendChild(view);
+  }
+
+  // SETTINGS
+  function renderSettings(){
+    content.innerHTML = '';
+    const view = el('div',{class:'view'});
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Settings')));
+    const f = el('div');
+    const themeLabel = el('label',{}, 'Theme:');
+    const themeSelect = el('select', {id:'themeSelect'}, el('option',{value:'dark'}, 'Dark'), el('option',{value:'light'}, 'Light'));
+    themeSelect.value = state.settings.theme || 'dark';
+    themeSelect.addEventListener('change', (e)=> { state.settings.theme = e.target.value; applyTheme(); saveState(); });
+    f.appendChild(themeLabel); f.appendChild(themeSelect);
+    f.appendChild(el('div',{style:'height:12px'}));
+
+    const backendSelect = el('select',{id:'backendSelect'}, el('option',{value:'local'}, 'This browser (localStorage)'), el('option',{value:'http'}, 'Server API'));
+    backendSelect.value = state.settings.backend || 'local';
+    const apiInput = el('input',{type:'text', id:'apiUrl', value: state.settings.apiUrl || ''});
+    f.appendChild(el('div',{class:'form-row'},
+      el('div',{class:'field'}, el('label',{}, 'Data source'), backendSelect),
+      el('div',{class:'field'}, el('label',{}, 'API URL'), apiInput)
+    ));
+    f.appendChild(el('div',{style:'height:8px'}));
+    f.appendChild(el('div',{}, el('button',{class:'btn', onClick:()=> {
+      state.settings.backend = backendSelect.value;
+      state.settings.apiUrl = apiInput.value.trim();
+      saveState();
+      // reload so the lists come from the newly selected source
+      location.reload();
+    }}, 'Apply data source')));
+    f.appendChild(el('div',{style:'height:12px'}));
+    f.appendChild(renderTimeZoneSetting());
+    f.appendChild(el('div',{style:'height:12px'}));
+    if(backend.persistsLocally){
+      f.appendChild(el('button',{class:'btn', onClick:()=> { localStorage.removeItem(STORAGE_KEY); location.reload(); }}, 'Reset demo data'));
+    }
+    card.appendChild(f);
+    view.appendChild(card);
+    view.appendChild(renderBookingRules());
+    view.appendChild(renderImportExport());
+    content.appendChild(view);
+  }
+
+  // the clinic's rules and each doctor's overrides; a blank box is no limit, or for a doctor the clinic's rule
+  const BOOKING_RULE_LABELS = {
+    minNoticeMinutes: 'Notice (minutes)', maxDaysAhead: 'Days ahead', maxPerPatientDay: 'Per patient a day',
+    maxPerDoctorDay: 'Per doctor a day', cancelCutoffHours: 'Cancel cutoff (hours)'
+  };
+  function renderBookingRules(){
+    const editable = can('manageBookingRules');
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Booking rules')));
+    card.appendChild(el('div',{class:'small'}, 'Checked whenever an appointment is booked, moved or cancelled, online bookings included. Blank is no limit; a doctor\'s blank boxes follow the clinic.'));
+    const table = el('table',{class:'table'});
+    table.appendChild(el('thead',{}, el('tr',{}, el('th',{}, ''), ...BOOKING_RULE_KEYS.map(k => el('th',{}, BOOKING_RULE_LABELS[k])), editable && el('th',{}, 'Actions'))));
+    const body = el('tbody');
+    const clinic = state.bookingRules.clinic;
+    const shown = v => (v === null || v === undefined ? '' : String(v));
+    const row = (label, doctorId)=> {
+      const rules = doctorId ? state.bookingRules.doctors[doctorId] : clinic;
+      const inputs = {};
+      const cells = BOOKING_RULE_KEYS.map(k => {
+        if(!editable) return el('td',{}, shown(rules && rules[k]) || (doctorId ? el('span',{class:'small'}, shown(clinic[k]) ? `Clinic's (${clinic[k]})` : '—') : '—'));
+        inputs[k] = el('input',{type:'number', min: /^maxPer/.test(k) ? '1' : '0', style:'width:90px', value: shown(rules && rules[k]),
+          placeholder: doctorId ? shown(clinic[k]) || 'none' : 'none', 'aria-label': `${label}: ${BOOKING_RULE_LABELS[k]}`});
+        return el('td',{}, inputs[k]);
+      });
+      const save = async ()=> {
+        const values = {};
+        BOOKING_RULE_KEYS.forEach(k => { values[k] = inputs[k].value.trim() === '' ? null : Number(inputs[k].value); });
+        try {
+          await backend.saveBookingRules(doctorId, values);
+        } catch(e){
+          return showFormError('bookingRulesError', e);
+        }
+        renderSettings();
+      };
+      const clear = async ()=> {
+        try {
+          await backend.deleteBookingRules(doctorId);
+        } catch(e){
+          return showFormError('bookingRulesError', e);
+        }
+        renderSettings();
+      };
+      body.appendChild(el('tr',{'data-doctor': doctorId || ''}, el('td',{}, label), ...cells,
+        editable && el('td',{class:'actions'}, el('button',{class:'btn secondary', onClick: save}, 'Save'),
+          doctorId && rules && el('button',{class:'btn secondary', onClick: clear}, 'Use clinic\'s'))));
+    };
+    row('Clinic', null);
+    state.doctors.forEach(d => row(d.name, d.id));
+    table.appendChild(body);
+    card.appendChild(table);
+    card.appendChild(formError('bookingRulesError'));
+    return card;
+  }
+
+  // the server's CLINIC_TIMEZONE is fixed; the local demo lets you pick one
+  function renderTimeZoneSetting(){
+    const browserNote = browserTimeZone() !== clinicTimeZone
+      ? el('div',{class:'small'}, `Your browser is on ${browserTimeZone()} time: slot times are the clinic's, with yours in brackets.`) : '';
+    if(!backend.persistsLocally){
+      return el('div',{class:'field'}, el('label',{}, 'Clinic time zone'),
+        el('div',{}, clinicTimeZone, el('span',{class:'small'}, ' (CLINIC_TIMEZONE on the server)')), browserNote);
+    }
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    // the list may use older names (Asia/Calcutta), so keep the saved one choosable
+    if(state.settings.timeZone && !zones.includes(state.settings.timeZone)) zones.unshift(state.settings.timeZone);
+    const select = el('select',{id:'timeZoneSelect'}, el('option',{value:''}, `This browser's (${browserTimeZone()})`),
+      ...zones.map(z => el('option',{value:z}, z)));
+    select.value = state.settings.timeZone || '';
+    select.addEventListener('change', (e)=> {
+      state.settings.timeZone = e.target.value;
+      clinicTimeZone = isTimeZone(e.target.value) ? e.target.value : browserTimeZone();
+      saveState();
+      resetDateDefaults();
+      renderSettings();
+    });
+    return el('div',{class:'field'}, el('label',{}, 'Clinic time zone'), select, browserNote);
+  }
+
+  // files in the shape of POST /import/<table> and GET /export/<table> in server.js
+  const IMPORT_PERMISSIONS = { doctors: 'manageDoctors', slots: 'manageSlots' };
+  const TABLE_LABELS = { doctors: 'Doctors', slots: 'Slots', appointments: 'Appointments' };
+  function renderImportExport(){
+    const card = el('div',{class:'card'});
+    card.appendChild(el('div',{class:'header-row'}, el('div',{class:'h-title'}, 'Import & export')));
+
+    const exportTable = el('select',{id:'exportTable'}, ...Object.keys(TABLE_LABELS).map(t => el('option',{value:t}, TABLE_LABELS[t])));
+    const exportFormat = el('select',{id:'exportFormat'}, el('option',{value:'csv'}, 'CSV'), el('option',{value:'json'}, 'JSON'));
+    card.appendChild(el('div',{class:'form-row'},
+      el('div',{class:'field'}, el('label',{}, 'Export'), exportTable),
+      el('div',{class:'field'}, el('label',{}, 'Format'), exportFormat)));
+    card.appendChild(el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+      const table = exportTable.value, format = exportFormat.value;
+      try {
+        const text = await backend.exportData(table, format);
+        downloadFile(`${table}-${todayISO(0)}.${format}`, text, format === 'json' ? 'application/json' : 'text/csv');
+      } catch(e){
+        alert(e.message);
+      }
+    }}, 'Download')));
+
+    const tables = Object.keys(IMPORT_PERMISSIONS).filter(t => can(IMPORT_PERMISSIONS[t]));
+    if(!tables.length) return card;
+    const importTable = el('select',{id:'importTable'}, ...tables.map(t => el('option',{value:t}, TABLE_LABELS[t])));
+    const file = el('input',{type:'file', id:'importFile', accept:'.csv,.json,text/csv,application/json'});
+    const dryRun = el('input',{type:'checkbox', id:'importDryRun', checked:''});
+    const result = el('div',{id:'importResult'});
+    card.appendChild(el('div',{style:'height:16px'}));
+    card.appendChild(el('div',{class:'form-row'},
+      el('div',{class:'field'}, el('label',{}, 'Import'), importTable),
+      el('div',{class:'field'}, el('label',{}, 'CSV or JSON file'), file),
+      el('label',{class:'check'}, dryRun, 'Dry run (only check the file)')));
+    card.appendChild(el('div',{class:'small'},
+      'CSV starts with a header row — doctors: id,name,speciality,room; slots: id,doctor_id,date,time,duration (id and duration optional). ',
+      'JSON is an array of objects with the same keys. Nothing is imported unless every row is valid.'));
+    card.appendChild(el('div',{style:'height:8px'}));
+    card.appendChild(el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+      const chosen = file.files[0];
+      if(!chosen) return alert('Choose a CSV or JSON file');
+      let rows = await chosen.text();
+      if(/\.json$/i.test(chosen.name) || /^\s*[[{]/.test(rows)){
+        try { rows = JSON.parse(rows); }
+        catch(e){ return showImportResult(result, null, backendError(`Invalid JSON: ${e.message}`, 400)); }
+      }
+      try {
+        showImportResult(result, await backend.importData(importTable.value, rows, dryRun.checked));
+      } catch(e){
+        showImportResult(result, null, e);
+      }
+    }}, 'Import')));
+    card.appendChild(result);
+    return card;
+  }
+  function showImportResult(box, summary, err){
+    box.innerHTML = '';
+    if(summary){
+      const booked = summary.waitlistBookings ? ` ${summary.waitlistBookings} waitlisted patient(s) were booked into the new slots.` : '';
+      box.appendChild(el('div',{class:'small'}, summary.dryRun
+        ? `Dry run: all ${summary.rows} row(s) are valid. Untick "Dry run" to import them.`
+        : `Imported ${summary.imported} row(s).${booked}`));
+      return;
+    }
+    box.appendChild(el('div',{class:'form-error', role:'alert'}, err.message));
+    const problems = err.details && err.details.errors;
+    if(!problems || !problems.length || problems[0].row === undefined) return;
+    box.appendChild(el('table',{class:'table'},
+      el('thead',{}, el('tr',{}, el('th',{}, 'Row'), el('th',{}, 'Field'), el('th',{}, 'Problem'))),
+      el('tbody',{}, ...problems.map(p => el('tr',{}, el('td',{}, String(p.row)), el('td',{}, p.field || '—'), el('td',{}, p.error))))));
+  }
+
+  // ---------- Actions: Doctors ----------
+  function viewDoctor(doctorId){
+    const d = state.doctors.find(x=>x.id===doctorId);
+    if(!d) return alert('Doctor not found');
+    const rules = state.schedules.filter(r => r.doctorId === d.id)
+      .sort((a,b)=> WEEKDAY_ORDER.indexOf(a.weekday) - WEEKDAY_ORDER.indexOf(b.weekday) || a.start.localeCompare(b.start));
+    const upcoming = el('div',{class:'small'}, 'Upcoming slots: …');
+    Promise.all([countSlots({ doctorId: d.id, from: todayISO(0) }), countSlots({ doctorId: d.id, from: todayISO(0), available: true })])
+      .then(([all, free]) => { upcoming.textContent = `Upcoming slots: ${all} (${free} free)`; }, ()=> { upcoming.textContent = 'Upcoming slots: —'; });
+    const details = el('div',{},
+      el('div',{class:'small'}, `ID: ${d.id}`),
+      el('div',{class:'small'}, `Speciality: ${d.speciality || '—'}`),
+      el('div',{class:'small'}, `Room: ${d.room || '—'}`),
+      el('div',{class:'small'}, `Weekly hours: ${rules.length ? rules.map(r => `${WEEKDAYS[r.weekday]} ${r.start}–${r.end}`).join(', ') : 'none'}`),
+      upcoming);
+    openModal(el('div',{}, el('h3',{id:'modalTitle'}, d.name),
+      tabs([
+        { label: 'Details', render: ()=> details },
+        // the doctor's record, weekly hours and calendar feed are all logged under the doctor id
+        canViewAudit() && { label: 'History', render: ()=> renderAuditTrail({ entityType: 'doctor,schedule,calendar_feed,booking_rules', entityId: d.id }) }
+      ]),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'actions'},
+        can('manageDoctors') && el('button',{class:'btn secondary', onClick:()=> openEditDoctorModal(d.id)}, 'Edit'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
+    ));
+  }
+
+  function openCreateDoctorModal(){ openModal(renderDoctorForm()); }
+  function openEditDoctorModal(doctorId){
+    const d = state.doctors.find(x=>x.id===doctorId);
+    if(!d) return alert('Doctor not found');
+    openModal(renderDoctorForm(d));
+  }
+
+  function renderDoctorForm(doctor){
+    const id = doctor ? doctor.id : '';
+    const form = el('div',{},
+      el('h3',{id:'modalTitle'}, doctor ? 'Edit Doctor' : 'Add Doctor'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Doctor ID'), el('input',{type:'text', id:'docId', value:id, disabled:!!doctor})),
+        el('div',{class:'field'}, el('label',{}, 'Name'), el('input',{type:'text', id:'docName', value: doctor?doctor.name:''})),
+        el('div',{class:'field'}, el('label',{}, 'Speciality'), el('input',{type:'text', id:'docSpec', value: doctor?doctor.speciality:''})),
+        el('div',{class:'field'}, el('label',{}, 'Room'), renderRoomSelect('docRoom', doctor ? doctor.room : ''))
+      ),
+      el('div',{style:'height:12px'}),
+      formError('doctorError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const idv = byId('docId').value.trim();
+        const name = byId('docName').value.trim();
+        const spec = byId('docSpec').value.trim();
+        const room = byId('docRoom').value.trim();
+        if(!idv || !name) return alert('ID and name required');
+        try {
+          await backend.saveDoctor({ id: idv, name, speciality: spec, room }, !doctor);
+        } catch(e){
+          return showFormError('doctorError', e);
+        }
+        closeModal(); renderCurrentView();
+      }}, 'Save'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+    return form;
+  }
+
+  async function deleteDoctor(doctorId){
+    if(!confirm('Delete this doctor? Their empty slots, schedules and leave are removed too. A doctor with appointments cannot be deleted.')) return;
+    try {
+      await backend.deleteDoctor(doctorId);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // ---------- Actions: Rooms ----------
+  function openRoomModal(room){
+    openModal(el('div',{},
+      el('h3',{id:'modalTitle'}, room ? `Edit room ${room.id}` : 'Add room'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Room number or code'), el('input',{type:'text', id:'roomId', value: room ? room.id : '', disabled: !!room})),
+        el('div',{class:'field'}, el('label',{}, 'Name'), el('input',{type:'text', id:'roomName', value: room ? room.name : '', placeholder:'e.g. Consulting room 1'}))),
+      el('div',{class:'field'}, el('label',{}, 'Notes'), el('input',{type:'text', id:'roomNotes', value: room ? room.notes : ''})),
+      el('div',{style:'height:12px'}),
+      formError('roomError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const id = byId('roomId').value.trim();
+        if(!id) return alert('Room number is required');
+        try {
+          await backend.saveRoom({ id, name: byId('roomName').value.trim(), notes: byId('roomNotes').value.trim() }, !room);
+        } catch(e){
+          return showFormError('roomError', e);
+        }
+        closeModal(); renderCurrentView();
+      }}, 'Save'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    ));
+  }
+
+  async function deleteRoom(roomId){
+    if(!confirm(`Delete room ${roomId}? Past slots keep the room number.`)) return;
+    try {
+      await backend.deleteRoom(roomId);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // ---------- Actions: Patients ----------
+  function openCreatePatientModal(){ openModal(renderPatientForm()); }
+  async function openEditPatientModal(patientId){
+    let p;
+    try {
+      p = await backend.getPatient(patientId);
+    } catch(e){
+      return alert(e.message);
+    }
+    openModal(renderPatientForm(p));
+  }
+
+  function renderPatientForm(patient){
+    return el('div',{},
+      el('h3',{id:'modalTitle'}, patient ? 'Edit Patient' : 'New Patient'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Name'), el('input',{type:'text', id:'ptName', value: patient ? patient.name || '' : ''})),
+        el('div',{class:'field'}, el('label',{}, 'Phone'), el('input',{type:'text', id:'ptPhone', value: patient ? patient.phone || '' : ''})),
+        el('div',{class:'field'}, el('label',{}, 'Date of birth'), el('input',{type:'date', id:'ptDob', value: patient ? patient.dateOfBirth || '' : ''}))
+      ),
+      el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, 'Notes'), el('input',{type:'text', id:'ptNotes', value: patient ? patient.notes || '' : ''}))),
+      el('div',{style:'height:12px'}),
+      formError('patientError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const data = { name: byId('ptName').value.trim(), phone: byId('ptPhone').value.trim(), dateOfBirth: byId('ptDob').value, notes: byId('ptNotes').value.trim() };
+        if(!data.name) return showFormError('patientError', new Error('Name required'));
+        try {
+          await backend.savePatient(patient ? Object.assign({ id: patient.id }, data) : data, !patient);
+        } catch(e){
+          return showFormError('patientError', e);
+        }
+        closeModal(); renderCurrentView();
+      }}, 'Save'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+  }
+
+  async function deletePatient(patientId){
+    if(!confirm('Delete this patient?')) return;
+    try {
+      await backend.deletePatient(patientId);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // details plus every appointment across doctors
+  async function viewPatient(patientId){
+    let p;
+    try {
+      p = await backend.getPatient(patientId);
+    } catch(e){
+      return alert(e.message);
+    }
+    const history = el('div',{class:'small'}, 'Loading appointments…');
+    openModal(el('div',{}, el('h3',{id:'modalTitle'}, p.name),
+      el('div',{class:'small'}, `Phone: ${p.phone || '—'}`),
+      el('div',{class:'small'}, `Date of birth: ${p.dateOfBirth || '—'}`),
+      p.notes && el('div',{class:'small'}, `Notes: ${p.notes}`),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'h-title'}, 'Appointments'),
+      history,
+      el('div',{style:'height:12px'}),
+      el('div',{class:'actions'},
+        can('manageAppointments') && el('button',{class:'btn', onClick:()=> openBookingModal({ patientId: p.id })}, 'Book appointment'),
+        can('managePatients') && el('button',{class:'btn secondary', onClick:()=> openEditPatientModal(p.id)}, 'Edit'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
+    ));
+    backend.getPatientAppointments(p.id).then(appointments => {
+      history.innerHTML = '';
+      if(!appointments.length){ history.textContent = 'No appointments yet.'; return; }
+      const table = el('table',{class:'table'});
+      table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'Date'), el('th',{},'Time'), el('th',{},'Doctor'), el('th',{},'Reason'), el('th',{},'Status'), el('th',{},''))));
+      const body = el('tbody');
+      appointments.forEach(a => {
+        const doc = state.doctors.find(d=>d.id===a.slot.doctorId) || {};
+        body.appendChild(el('tr',{},
+          el('td',{}, a.slot.date || ''),
+          el('td',{}, a.slot.time ? `${slotRange(a.slot)}${yourTime(a.slot)}` : ''),
+          el('td',{}, `${doc.name || a.slot.doctorId || ''}${doc.speciality ? ` (${doc.speciality})` : ''}`),
+          el('td',{}, a.reason || ''),
+          el('td',{}, statusBadge(a.status)),
+          el('td',{}, el('button',{class:'btn secondary', onClick:()=> viewAppointment(a.id)}, 'View'))
+        ));
+      });
+      table.appendChild(body);
+      history.appendChild(table);
+    }).catch(e => { history.textContent = `Could not load appointments: ${e.message}`; });
+  }
+
+  // ---------- Actions: Calendar feeds ----------
+  // as canManageFeed in server.js: staff manage every doctor's feed, a doctor only their own (server backend only)
+  // the audit log is kept by the server; the offline demo has none
+  function canViewAudit(){ return !backend.persistsLocally && can('viewAudit'); }
+  // so are the messages sent to patients
+  function canViewNotifications(){ return !backend.persistsLocally && can('viewNotifications'); }
+
+  function canManageCalendarFeed(doctorId){
+    const user = backend.currentUser();
+    return !backend.persistsLocally && !!user && (user.role !== 'doctor' || user.doctor_id === doctorId);
+  }
+
+  async function openCalendarFeedModal(doctorId){
+    const d = state.doctors.find(x=>x.id===doctorId);
+    if(!d) return alert('Doctor not found');
+    let feed;
+    try {
+      feed = await backend.getCalendarFeed(doctorId);
+    } catch(e){
+      return alert(e.message);
+    }
+    openModal(renderCalendarFeedForm(d, feed));
+  }
+
+  function renderCalendarFeedForm(doctor, feed, url){
+    const includePatient = el('input', Object.assign({type:'checkbox', id:'feedPatient'}, feed && feed.includePatient ? {checked:''} : {}));
+    const save = async ()=> {
+      if(feed && !confirm('Replace the link? Calendars subscribed to the current one stop updating.')) return;
+      try {
+        const saved = await backend.saveCalendarFeed(doctor.id, includePatient.checked);
+        openModal(renderCalendarFeedForm(doctor, saved, saved.url));
+      } catch(e){
+        showFormError('feedError', e);
+      }
+    };
+    const turnOff = async ()=> {
+      if(!confirm('Turn off this calendar feed? Subscribed calendars stop updating.')) return;
+      try {
+        await backend.deleteCalendarFeed(doctor.id);
+      } catch(e){
+        return showFormError('feedError', e);
+      }
+      openModal(renderCalendarFeedForm(doctor, null));
+    };
+    return el('div',{},
+      el('h3',{id:'modalTitle'}, `Calendar feed — ${doctor.name}`),
+      el('div',{class:'small'}, 'A private link calendar apps (Google Calendar, Outlook, Apple Calendar) can subscribe to. It lists this doctor\'s appointments and keeps them up to date, including reschedules and cancellations. Anyone with the link can read it.'),
+      el('div',{style:'height:12px'}),
+      url ? el('div',{class:'field'}, el('label',{}, 'Subscription link (shown only once — copy it now)'),
+        el('input',{type:'text', id:'feedUrl', value:url, readonly:''}),
+        el('div',{style:'height:8px'}),
+        el('button',{class:'btn secondary', onClick:()=> { navigator.clipboard?.writeText(url); alert('Link copied to clipboard'); }}, 'Copy link'))
+        : el('div',{class:'small'}, feed ? `Active since ${new Date(feed.createdAt).toLocaleString()}${feed.includePatient ? ', with patient details' : ''}. The link was shown when it was created; replace it to get a new one.` : 'No feed yet.'),
+      el('div',{style:'height:12px'}),
+      can('calendarPatientDetails') && el('label',{class:'check'}, includePatient, ' Include patient name, phone and reason'),
+      formError('feedError'),
+      el('div',{class:'actions'},
+        el('button',{class:'btn', onClick:save}, feed ? 'Replace link' : 'Create link'),
+        feed && el('button',{class:'btn secondary', onClick:turnOff}, 'Turn off'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
+    );
+  }
+
+  // ---------- Actions: Weekly schedules ----------
+  const WEEKDAYS = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+  const WEEKDAY_ORDER = [1,2,3,4,5,6,0];
+
+  function openScheduleModal(doctorId){
+    const d = state.doctors.find(x=>x.id===doctorId);
+    if(!d) return alert('Doctor not found');
+    const rules = state.schedules.filter(r => r.doctorId === doctorId)
+      .map(r => ({ weekday: r.weekday, start: r.start, end: r.end, slotMinutes: r.slotMinutes }));
+    openModal(renderScheduleForm(d, rules));
+  }
+
+  function renderScheduleForm(doctor, rules){
+    const rows = el('div');
+    function drawRows(){
+      rows.innerHTML = '';
+      rules.sort((a,b)=> WEEKDAY_ORDER.indexOf(a.weekday) - WEEKDAY_ORDER.indexOf(b.weekday) || a.start.localeCompare(b.start));
+      if(rules.length === 0) rows.appendChild(el('div',{class:'small'}, 'No weekly hours yet.'));
+      rules.forEach((r, i)=>{
+        const day = el('select',{onChange:(e)=> { r.weekday = Number(e.target.value); }}, WEEKDAY_ORDER.map(w => el('option',{value:String(w)}, WEEKDAYS[w])));
+        day.value = String(r.weekday);
+        rows.appendChild(el('div',{class:'form-row', style:'align-items:flex-end; margin-bottom:8px'},
+          el('div',{class:'field'}, el('label',{}, 'Day'), day),
+          el('div',{class:'field'}, el('label',{}, 'From'), el('input',{type:'time', value:r.start, onChange:(e)=> { r.start = e.target.value; }})),
+          el('div',{class:'field'}, el('label',{}, 'Until'), el('input',{type:'time', value:r.end, onChange:(e)=> { r.end = e.target.value; }})),
+          el('div',{class:'field'}, el('label',{}, 'Minutes per slot'), el('input',{type:'number', min:'5', max:'480', value:String(r.slotMinutes), onChange:(e)=> { r.slotMinutes = Number(e.target.value); }})),
+          el('div',{}, el('button',{class:'icon-btn', title:'Remove', onClick:()=> { rules.splice(i,1); drawRows(); }}, '🗑️'))
+        ));
+      });
+    }
+    drawRows();
+
+    return el('div',{},
+      el('h3',{id:'modalTitle'}, `Weekly schedule — ${doctor.name}`),
+      rows,
+      el('div',{}, el('button',{class:'btn secondary', onClick:()=> { rules.push({ weekday: 1, start: '09:00', end: '13:00', slotMinutes: 15 }); drawRows(); }}, 'Add hours'), ' ',
+        el('button',{class:'btn secondary', onClick:()=> {
+          // Mon-Fri 09:00-13:00 and 14:00-17:00, 15-minute slots
+          rules.splice(0, rules.length);
+          [1,2,3,4,5].forEach(w => rules.push({ weekday: w, start: '09:00', end: '13:00', slotMinutes: 15 }, { weekday: w, start: '14:00', end: '17:00', slotMinutes: 15 }));
+          drawRows();
+        }}, 'Fill Mon–Fri with lunch break')),
+      formError('scheduleError'),
+      el('div',{style:'display:flex; gap:8px; align-items:center; flex-wrap:wrap'},
+        el('button',{class:'btn', onClick: async ()=> {
+          const invalid = rules.find(r => !r.start || !r.end || r.start >= r.end || !(r.slotMinutes >= 5));
+          if(invalid) return showFormError('scheduleError', new Error(`${WEEKDAYS[invalid.weekday]} ${invalid.start}–${invalid.end}: check the times and minutes per slot`));
+          const overlap = rules.find((r, i) => rules.some((o, j) => j !== i && o.weekday === r.weekday && o.start < r.end && r.start < o.end));
+          if(overlap) return showFormError('scheduleError', new Error(`${WEEKDAYS[overlap.weekday]}: hours ${overlap.start}–${overlap.end} overlap another row`));
+          try {
+            await backend.saveSchedule(doctor.id, rules);
+          } catch(e){
+            return showFormError('scheduleError', e);
+          }
+          closeModal(); renderCurrentView();
+        }}, 'Save schedule'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'),
+        el('span',{class:'small'}, 'Saved hours only:'),
+        renderGenerateControls(doctor.id))
+    );
+  }
+
+  // ---------- Actions: Slots ----------
+  function openCreateSlotModal(prefill = {}){ openModal(renderSlotForm(prefill)); }
+  function openEditSlotModal(slotId){
+    const s = state.slots.find(x=>x.id===slotId);
+    if(!s) return alert('Slot not found');
+    openModal(renderSlotForm(s));
+  }
+
+  function renderSlotForm(data = {}){
+    const readForm = ()=> ({
+      id: data.id,
+      doctorId: byId('slotDoctor').value,
+      date: byId('slotDate').value,
+      time: byId('slotTime').value,
+      duration: Number(byId('slotDuration').value),
+      roomId: byId('slotRoom').value || null
+    });
+    // live end time and overlap warning, checked again on save
+    const hint = el('div',{class:'small', id:'slotHint'});
+    const refreshHint = ()=> {
+      const slot = readForm();
+      if(!slot.time || !(slot.duration > 0)){ hint.textContent = ''; return; }
+      const conflicts = findSlotConflicts(slot);
+      const roomConflicts = findRoomConflicts(slot);
+      const warning = conflicts.length ? conflictMessage(conflicts) : roomConflicts.length ? roomConflictMessage(slot.roomId, roomConflicts) : '';
+      hint.className = warning ? 'form-error' : 'small';
+      hint.textContent = warning ? `⚠ ${warning}` : `Ends at ${slotEnd(slot)}`;
+    };
+    const doctorSelect = renderDoctorSelect(data.doctorId);
+    // a new slot, or one moved to another doctor, starts in that doctor's room
+    const roomSelect = renderRoomSelect('slotRoom', data.id ? data.roomId : doctorRoom(doctorSelect.value));
+    doctorSelect.addEventListener('change', ()=> { roomSelect.value = doctorRoom(doctorSelect.value) || ''; });
+    const form = el('div',{onInput: refreshHint, onChange: refreshHint},
+      el('h3',{id:'modalTitle'}, data.id ? 'Edit Slot' : 'Create Slot'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Doctor'), doctorSelect),
+        el('div',{class:'field'}, el('label',{}, 'Room'), roomSelect),
+        el('div',{class:'field'}, el('label',{}, 'Date'), el('input',{type:'date', id:'slotDate', value: data.date || todayISO(0)})),
+        el('div',{class:'field'}, el('label',{}, 'Time'), el('input',{type:'time', id:'slotTime', value: data.time || '09:00'})),
+        el('div',{class:'field'}, el('label',{}, 'Duration (min)'), el('input',{type:'number', id:'slotDuration', min:'5', max:'480', step:'5', value: String(data.id ? slotDuration(data) : DEFAULT_SLOT_MINUTES)}))
+      ),
+      hint,
+      el('div',{style:'height:12px'}),
+      formError('slotError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const slot = readForm();
+        if(!slot.doctorId || !slot.date || !slot.time) return alert('Doctor, date and time are required');
+        if(!(slot.duration >= 5)) return alert('Duration must be at least 5 minutes');
+        if(toMinutes(slot.time) + slot.duration > 24 * 60) return alert('Slot must end by midnight');
+        const conflicts = findSlotConflicts(slot);
+        if(conflicts.length) return showFormError('slotError', new Error(conflictMessage(conflicts)));
+        const roomConflicts = findRoomConflicts(slot);
+        if(roomConflicts.length) return showFormError('slotError', new Error(roomConflictMessage(slot.roomId, roomConflicts)));
+        try {
+          await backend.saveSlot(slot);
+        } catch(e){
+          return showFormError('slotError', e);
+        }
+        closeModal(); renderCurrentView();
+      }}, 'Save slot'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+    setTimeout(refreshHint);
+    return form;
+  }
+
+  function renderDoctorSelect(selectedId){
+    const sel = el('select',{id:'slotDoctor'});
+    state.doctors.forEach(d => {
+      const opt = el('option',{value:d.id}, `${d.name} • ${d.speciality}`);
+      if(d.id === selectedId) opt.selected = true;
+      sel.appendChild(opt);
+    });
+    return sel;
+  }
+
+  // rooms, plus "No room"; a room id that is no longer listed (a deleted room) is kept as an option
+  function renderRoomSelect(id, selectedId){
+    const ids = state.rooms.map(r=>r.id);
+    if(selectedId && !ids.includes(selectedId)) ids.push(selectedId);
+    const sel = el('select',{id}, el('option',{value:''}, 'No room'));
+    ids.forEach(roomId => {
+      const opt = el('option',{value:roomId}, roomLabel(roomId));
+      if(roomId === selectedId) opt.selected = true;
+      sel.appendChild(opt);
+    });
+    return sel;
+  }
+
+  // ---------- Actions: Leave and closures ----------
+  function openLeaveModal(doctorId){
+    openModal(renderDaysOffForm({ doctorId: doctorId || (state.doctors[0] || {}).id }));
+  }
+  function openClosureModal(){ openModal(renderDaysOffForm(null)); }
+
+  // leave for one doctor, or (prefill null) a closure of the whole clinic
+  function renderDaysOffForm(prefill){
+    const isLeave = !!prefill;
+    return el('div',{},
+      el('h3',{id:'modalTitle'}, isLeave ? 'Add leave' : 'Add clinic closure'),
+      el('div',{class:'small'}, 'No slots are created or booked on these days. Appointments already booked stay until you move them.'),
+      el('div',{style:'height:12px'}),
+      isLeave && el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, 'Doctor'), renderDoctorSelect(prefill.doctorId))),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'From'), el('input',{type:'date', id:'daysOffFrom', value: todayISO(0)})),
+        el('div',{class:'field'}, el('label',{}, 'To'), el('input',{type:'date', id:'daysOffTo', value: todayISO(0)}))
+      ),
+      el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, isLeave ? 'Reason (optional)' : 'Reason'), el('input',{type:'text', id:'daysOffReason', placeholder: isLeave ? 'e.g. Conference' : 'e.g. Public holiday'}))),
+      formError('daysOffError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const entry = { from: byId('daysOffFrom').value, to: byId('daysOffTo').value, reason: byId('daysOffReason').value.trim() };
+        if(!entry.from || !entry.to) return showFormError('daysOffError', new Error('Choose the first and last day'));
+        if(!isLeave && !entry.reason) return showFormError('daysOffError', new Error('Enter a reason'));
+        let result;
+        try {
+          result = isLeave ? await backend.addLeave(Object.assign({ doctorId: byId('slotDoctor').value }, entry)) : await backend.addClosure(entry);
+        } catch(e){
+          return showFormError('daysOffError', e);
+        }
+        renderCurrentView();
+        if(result.affected.length && can('manageAppointments')) openAffectedModal(isLeave ? result.leave : result.closure);
+        else closeModal();
+      }}, 'Save'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+  }
+
+  // the patients booked on a leave's or closure's days: call them, move them one by one, or all at once
+  function openAffectedModal(entry){
+    const label = entry.doctorId ? `${doctorName(entry.doctorId) || entry.doctorId} on leave` : `Clinic closed${entry.reason ? ` (${entry.reason})` : ''}`;
+    const dates = entry.from === entry.to ? entry.from : `${entry.from} → ${entry.to}`;
+    const list = el('div');
+    const result = el('div',{class:'small'});
+    const match = el('select',{id:'bulkMatch'},
+      el('option',{value:'doctor'}, 'Next free slot with the same doctor'),
+      el('option',{value:'speciality'}, 'Next free slot with any doctor of the same speciality'));
+    if(!entry.doctorId) match.value = 'speciality';
+    const note = el('input',{type:'text', id:'bulkNote', value: entry.doctorId ? 'Doctor on leave' : 'Clinic closed'});
+    const draw = ()=> {
+      const affected = affectedAppointments(entry);
+      list.innerHTML = '';
+      if(!affected.length){ list.appendChild(el('div',{class:'small'}, 'No booked appointments fall on these days.')); return affected; }
+      const table = el('table',{class:'table'});
+      table.appendChild(el('thead',{}, el('tr',{}, el('th',{},'Date'), el('th',{},'Time'), el('th',{},'Doctor'), el('th',{},'Patient'), el('th',{},'Phone'), el('th',{},'Actions'))));
+      const body = el('tbody');
+      affected.forEach(a => {
+        const slot = slotOf(a);
+        body.appendChild(el('tr',{},
+          el('td',{}, slot.date), el('td',{}, `${slotRange(slot)}${yourTime(slot)}`), el('td',{}, doctorName(slot.doctorId) || slot.doctorId),
+          el('td',{}, a.patientName), el('td',{}, a.patientPhone || '—'),
+          el('td',{}, el('button',{class:'btn secondary', onClick:()=> openRescheduleModal(a.id)}, 'Reschedule'))));
+      });
+      table.appendChild(body);
+      list.appendChild(table);
+      return affected;
+    };
+    const affectedRows = ()=> affectedAppointments(entry).map(a => {
+      const slot = slotOf(a);
+      return { date: slot.date, time: slot.time, doctor: doctorName(slot.doctorId) || slot.doctorId, patient: a.patientName, phone: a.patientPhone, reason: a.reason };
+    });
+    draw();
+    openModal(el('div',{},
+      el('h3',{id:'modalTitle'}, `${label}: ${dates}`),
+      list,
+      el('div',{style:'height:12px'}),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Move everyone to'), match),
+        el('div',{class:'field'}, el('label',{}, 'Note for the history'), note)),
+      result,
+      el('div',{class:'actions'},
+        el('button',{class:'btn', onClick: async ()=> {
+          const ids = affectedAppointments(entry).map(a => a.id);
+          if(!ids.length) return;
+          if(!confirm(`Move ${ids.length} appointment(s)? Patients with a phone number are told about the new time.`)) return;
+          try {
+            const { moved, unplaced } = await backend.bulkReschedule(ids, match.value, note.value.trim());
+            result.textContent = `${moved.length} moved.${unplaced.length ? ` ${unplaced.length} could not be placed (${[...new Set(unplaced.map(u => u.error))].join('; ')}) — reschedule them by hand or cancel them.` : ''}`;
+          } catch(e){
+            result.textContent = e.message;
+          }
+          draw();
+          renderCurrentView();
+        }}, 'Move all'),
+        el('button',{class:'btn secondary', onClick:()=> downloadFile(`affected-${entry.from}.csv`, toCsv(affectedRows(), ['date', 'time', 'doctor', 'patient', 'phone', 'reason']), 'text/csv')}, 'Download list (CSV)'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
+    ));
+  }
+
+  async function deleteDaysOff(entry){
+    if(!confirm(`Remove ${entry.doctorId ? 'this leave' : 'this closure'}? Its days become bookable again.`)) return;
+    try {
+      if(entry.doctorId) await backend.deleteLeave(entry.id);
+      else await backend.deleteClosure(entry.id);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+  }
+
+  // ---------- Actions: Appointments (booking) ----------
+  async function openBookingModal(prefill = {}){
+    let form;
+    try {
+      form = await renderBookingForm(prefill);
+    } catch(e){
+      return alert(e.message);
+    }
+    openModal(form);
+    holdBookingSlot(byId('bookingSlot').value);
+  }
+  function openBookingModalForSlot(slotId){ openBookingModal({ slotId }); }
+
+  // The slot picked in the open booking form is held (on the server) until the form closes, so nobody
+  // else books it while the patient's details are taken; the booking itself turns the hold into the
+  // appointment. The server keeps one hold per session, so picking another slot moves it.
+  let bookingHold = null;
+  async function holdBookingSlot(slotId){
+    if(!slotId || (bookingHold && bookingHold.slotId === slotId)) return;
+    bookingHold = { slotId };
+    let hold;
+    try {
+      hold = await backend.holdSlot(slotId);
+    } catch(e){
+      if(bookingHold && bookingHold.slotId === slotId) bookingHold = null;
+      return showFormError('bookingError', e);
+    }
+    // the form was closed (or another slot picked) while the hold was on its way
+    if(!bookingHold || bookingHold.slotId !== slotId){
+      if(!bookingHold) backend.releaseSlot(slotId).catch(e => console.error('release hold error', e));
+      return;
+    }
+    const note = byId('bookingHold');
+    if(note) note.textContent = hold ? `Held for you until ${zonedDateTime(clinicTimeZone, hold.expiresAt).slice(11)}` : '';
+    const error = byId('bookingError');
+    if(error) error.textContent = '';
+  }
+  function releaseBookingHold(){
+    if(!bookingHold) return;
+    const { slotId } = bookingHold;
+    bookingHold = null;
+    backend.releaseSlot(slotId).catch(e => console.error('release hold error', e));
+  }
+
+  function openWaitlistModal(prefill = {}){ openModal(renderWaitlistForm(prefill)); }
+
+  function renderWaitlistForm(prefill = {}){
+    const specialities = [...new Set(state.doctors.map(d=>d.speciality).filter(Boolean))].sort();
+    const doctorSelect = el('select',{id:'waitlistDoctor'}, el('option',{value:''}, 'Any doctor with the speciality below'));
+    state.doctors.forEach(d => doctorSelect.appendChild(el('option',{value:d.id}, `${d.name} (${d.speciality || '—'})`)));
+    const specialitySelect = el('select',{id:'waitlistSpeciality'});
+    specialities.forEach(sp => specialitySelect.appendChild(el('option',{value:sp}, sp)));
+    const syncSpeciality = ()=> { specialitySelect.disabled = !!doctorSelect.value; };
+    doctorSelect.addEventListener('change', syncSpeciality);
+    syncSpeciality();
+
+    return el('div',{},
+      el('h3',{id:'modalTitle'}, 'Add to waitlist'),
+      el('div',{class:'small'}, 'The patient is booked automatically into the first matching slot that frees up.'),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Patient name'), el('input',{type:'text', id:'waitlistName', value: prefill.patientName || ''})),
+        el('div',{class:'field'}, el('label',{}, 'Phone'), el('input',{type:'text', id:'waitlistPhone', value: prefill.patientPhone || ''}))
+      ),
+      el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, 'Reason'), el('input',{type:'text', id:'waitlistReason', value: prefill.reason || ''}))),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Doctor'), doctorSelect),
+        el('div',{class:'field'}, el('label',{}, 'Speciality'), specialitySelect)
+      ),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'From'), el('input',{type:'date', id:'waitlistFrom', value: todayISO(0)})),
+        el('div',{class:'field'}, el('label',{}, 'To'), el('input',{type:'date', id:'waitlistTo', value: todayISO(14)}))
+      ),
+      el('div',{style:'height:12px'}),
+      formError('waitlistError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const entry = {
+          // a patient picked in the booking form, unless the name was changed here
+          patientId: prefill.patientId && byId('waitlistName').value.trim() === prefill.patientName ? prefill.patientId : null,
+          patientName: byId('waitlistName').value.trim(),
+          patientPhone: byId('waitlistPhone').value.trim(),
+          reason: byId('waitlistReason').value.trim(),
+          doctorId: doctorSelect.value || null,
+          speciality: doctorSelect.value ? null : specialitySelect.value || null,
+          from: byId('waitlistFrom').value,
+          to: byId('waitlistTo').value
+        };
+        if(!entry.patientName) return showFormError('waitlistError', new Error('Enter patient name'));
+        if(!entry.from || !entry.to) return showFormError('waitlistError', new Error('Choose the dates the patient can attend'));
+        try {
+          await backend.joinWaitlist(entry);
+        } catch(e){
+          return showFormError('waitlistError', e);
+        }
+        closeModal(); navigateTo('waitlist');
+      }}, 'Add to waitlist'), ' ', el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+  }
+
+  // the soonest free slots the booking and reschedule forms offer
+  const FREE_SLOT_LIMIT = 200;
+  async function freeSlots(q = {}){
+    const page = await backend.listSlots(Object.assign({ available: true, from: todayISO(0), sort: 'date', order: 'asc', limit: FREE_SLOT_LIMIT, offset: 0 }, q));
+    return page.items.filter(isSlotBookable);
+  }
+
+  async function renderBookingForm(prefill = {}){
+    // only show slots that can be booked (free, and not on a day off)
+    const [availableSlots, prefillPatient] = await Promise.all([freeSlots(), prefill.patientId ? backend.getPatient(prefill.patientId) : null]);
+    if(prefill.slotId){
+      // ensure selected slot is in list and appears first
+      const idx = availableSlots.findIndex(s=>s.id===prefill.slotId);
+      if(idx >= 0){
+        const s = availableSlots.splice(idx,1)[0];
+        availableSlots.unshift(s);
+      } else {
+        // if slot isn't available (booked or held) show an alert and fall back to normal list
+        const picked = state.slots.find(s=>s.id===prefill.slotId);
+        if(picked && slotHold(picked)) { alert(`${holdLabel(slotHold(picked))}. Choose another slot.`); }
+        else { alert('Selected slot already booked. Choose another slot.'); }
+      }
+    }
+
+    const sel = el('select',{id:'bookingSlot'});
+    sel.addEventListener('change', ()=> { holdBookingSlot(sel.value); loadSlotDay(); });
+    if(availableSlots.length === 0){
+      sel.appendChild(el('option',{value:''}, 'No available slots — create new slots or add the patient to the waitlist'));
+      sel.disabled = true;
+    } else {
+      availableSlots.forEach(s => {
+        const d = state.doctors.find(dd=>dd.id===s.doctorId) || {};
+        sel.appendChild(el('option',{value:s.id}, `${s.date} ${slotRange(s)}${yourTime(s)} • ${d.name || s.doctorId} (${d.speciality||''})`));
+      });
+    }
+
+    // patient lookup: typing in name or phone suggests existing patients; with none picked a new one is created
+    const nameInput = el('input',{type:'text', id:'patientName', autocomplete:'off', placeholder:'Type a name or phone to search'});
+    const phoneInput = el('input',{type:'text', id:'patientPhone', autocomplete:'off'});
+    const matches = el('div',{class:'patient-matches', id:'patientMatches'});
+    let selectedPatient = null;
+    const selectPatient = (patient)=> {
+      selectedPatient = patient;
+      nameInput.value = patient ? patient.name : '';
+      phoneInput.value = patient ? patient.phone || '' : '';
+      nameInput.readOnly = phoneInput.readOnly = !!patient;
+      drawMatches();
+      drawRuleNotes();
+    };
+    // the booking rules the chosen slot (and patient, once picked) would break, as the server would report them
+    const ruleNotes = el('div',{class:'form-error', id:'bookingRules'});
+    const drawRuleNotes = ()=> {
+      const slot = state.slots.find(s=>s.id === sel.value);
+      showViolations(ruleNotes, slot ? bookingViolations(slot, selectedPatient && selectedPatient.id) : []);
+    };
+    // the daily limits count the day's other bookings: fetch them for the chosen slot's day first
+    const loadSlotDay = ()=> {
+      const slot = state.slots.find(s=>s.id === sel.value);
+      drawRuleNotes();
+      if(slot) backend.loadDates({ from: slot.date, to: slot.date }).then(drawRuleNotes, e => console.error('load error', e));
+    };
+    // typing in name or phone asks the server for matching patients (by name, or by phone once there are digits)
+    let typing, lookup = 0;
+    const drawMatches = ()=> {
+      matches.innerHTML = '';
+      clearTimeout(typing);
+      if(selectedPatient){
+        const visits = selectedPatient.visits || 0;
+        matches.appendChild(el('div',{class:'small'}, `Existing patient • ${visits} appointment${visits === 1 ? '' : 's'} `,
+          el('button',{class:'btn secondary', onClick:()=> selectPatient(null)}, 'New patient instead')));
+        return;
+      }
+      const text = normalizePhone(phoneInput.value) || nameInput.value.trim();
+      if(!text) return;
+      const ticket = ++lookup;
+      typing = setTimeout(async ()=> {
+        let found;
+        try {
+          found = (await backend.findPatients(text)).slice(0, 5);
+        } catch(e){
+          return console.error('patient lookup error', e);
+        }
+        if(ticket !== lookup || selectedPatient) return;
+        found.forEach(p => matches.appendChild(el('button',{class:'btn secondary', onClick:()=> selectPatient(p)}, `${p.name}${p.phone ? ' • ' + p.phone : ''}`)));
+        matches.appendChild(el('div',{class:'small'}, found.length ? 'Pick a patient, or keep typing to register a new one.' : 'No match — a new patient will be created.'));
+      }, 300);
+    };
+    nameInput.addEventListener('input', drawMatches);
+    phoneInput.addEventListener('input', drawMatches);
+    if(prefillPatient) selectPatient(prefillPatient);
+    else { nameInput.value = prefill.patientName || ''; phoneInput.value = prefill.patientPhone || ''; }
+    loadSlotDay();
+
+    const form = el('div',{},
+      el('h3',{id:'modalTitle'}, 'New Appointment'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Select slot'), sel, el('div',{class:'small', id:'bookingHold'}), ruleNotes),
+        el('div',{class:'field'}, el('label',{}, 'Patient name'), nameInput)
+      ),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Phone'), phoneInput),
+        el('div',{class:'field'}, el('label',{}, 'Reason'), el('input',{type:'text', id:'reason', value: prefill.reason || ''}))
+      ),
+      matches,
+      el('div',{style:'height:12px'}),
+      formError('bookingError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const slotId = byId('bookingSlot').value;
+        const patientName = nameInput.value.trim();
+        const patientPhone = phoneInput.value.trim();
+        const reason = byId('reason').value.trim();
+        if(!slotId) return showFormError('bookingError', new Error('Select a slot'));
+        if(!patientName) return showFormError('bookingError', new Error('Enter patient name'));
+        if(isSlotBooked(slotId)) return showFormError('bookingError', new Error('Sorry — that slot is already booked'));
+        let patient = selectedPatient;
+        if(!patient){
+          try {
+            patient = await backend.savePatient({ name: patientName, phone: patientPhone }, true);
+            selectPatient(patient);
+          } catch(e){
+            // same phone as a patient on file: pick that record and let staff confirm again
+            const existing = e.status === 409 && e.details && e.details.existing && await backend.getPatient(e.details.existing.id).catch(()=> null);
+            if(existing) selectPatient(existing);
+            return showFormError('bookingError', existing ? new Error(`${e.message} — their record is now selected, check it and confirm again`) : e);
+          }
+        }
+        try {
+          await backend.createAppointment({ slotId, patientId: patient.id, reason });
+        } catch(e){
+          // e.g. the server's 409 "Slot already booked" when another machine got there first, or a broken booking rule
+          renderCurrentView();
+          drawRuleNotes();
+          return showFormError('bookingError', e);
+        }
+        // the hold became the appointment
+        bookingHold = null;
+        closeModal(); renderCurrentView();
+        alert('Appointment confirmed ✅');
+      }}, 'Confirm Appointment'), ' ',
+        el('button',{class:'btn secondary', onClick:()=> openWaitlistModal({ patientId: selectedPatient && selectedPatient.id, patientName: nameInput.value.trim(), patientPhone: phoneInput.value.trim(), reason: byId('reason').value.trim() })}, 'Add to waitlist'), ' ',
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Cancel'))
+    );
+    return form;
+  }
+
+  async function viewAppointment(appointmentId){
+    let ap;
+    try {
+      ap = await backend.getAppointment(appointmentId);
+    } catch(e){
+      return alert(e.message);
+    }
+    const slot = state.slots.find(s=>s.id===ap.slotId) || {};
+    const doc = state.doctors.find(d=>d.id===slot.doctorId) || {};
+    const timeline = el('div',{class:'small'}, 'Loading timeline…');
+    const details = el('div',{},
+      el('div',{class:'small'}, `Patient: ${ap.patientName}`),
+      el('div',{class:'small'}, `Phone: ${ap.patientPhone || '—'}`),
+      el('div',{class:'small'}, `Doctor: ${doc.name || slot.doctorId} (${doc.speciality || ''})`),
+      el('div',{class:'small'}, `Slot: ${slot.date || ''} ${slot.time ? `${slotRange(slot)}${yourTime(slot)}` : ''}`),
+      el('div',{class:'small'}, `Reason: ${ap.reason || '—'}`),
+      ap.followUpDate && el('div',{class:'small'}, `Follow-up wanted from ${ap.followUpDate}`),
+      ap.confirmationCode && el('div',{class:'small'}, `Confirmation code: ${ap.confirmationCode}`),
+      ap.status === 'Cancelled' && el('div',{class:'small'}, `Cancelled by ${ap.cancelledBy || '—'}: ${ap.cancelReason || '—'}`),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'h-title'}, 'Timeline'),
+      timeline);
+    openModal(el('div',{}, el('h3',{id:'modalTitle'}, `Appointment ${ap.id} `, statusBadge(ap.status)),
+      tabs([
+        { label: 'Details', render: ()=> details },
+        can('consultationNotes') && { label: 'Notes', render: ()=> renderConsultationNotes(ap) },
+        canViewNotifications() && { label: 'Messages', render: ()=> renderNotifications(ap.id) },
+        canViewAudit() && { label: 'History', render: ()=> renderAuditTrail({ entityType: 'appointment', entityId: ap.id }) }
+      ]),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'actions'}, statusButtons(ap, ()=> viewAppointment(ap.id)),
+        ap.status === 'Confirmed' && can('manageAppointments') && el('button',{class:'btn secondary', onClick:()=> openRescheduleModal(ap.id)}, 'Reschedule'),
+        ap.status !== 'Cancelled' && can('manageAppointments') && el('button',{class:'btn secondary', onClick:()=> bookFollowUp(ap.id)}, 'Book follow-up'),
+        el('button',{class:'btn secondary', onClick:()=> downloadAppointmentIcs(ap.id)}, 'Add to calendar (.ics)'),
+        el('button',{class:'btn secondary', onClick:closeModal}, 'Close'))
+    ));
+    backend.getHistory(ap.id).then(entries => {
+      timeline.innerHTML = '';
+      entries.forEach(h => timeline.appendChild(el('div',{},
+        `${new Date(h.at).toLocaleString()} — ${describeHistory(h)}`,
+        h.actorName ? ` by ${h.actorName}` : '', h.note ? ` (${h.note})` : '')));
+      if(!entries.length) timeline.textContent = 'No history recorded.';
+    }).catch(e => { timeline.textContent = `Could not load history: ${e.message}`; });
+  }
+
+  // ---------- Consultation notes ----------
+  // NOTES_CLOSED_STATUSES and VITALS in server.js
+  const NOTES_CLOSED_STATUSES = ['Cancelled', 'NoShow'];
+  const VITAL_FIELDS = [
+    { key: 'bloodPressure', label: 'Blood pressure', unit: 'mmHg', placeholder: '120/80' },
+    { key: 'pulse', label: 'Pulse', unit: '/min', step: '1' },
+    { key: 'temperature', label: 'Temperature', unit: '°C', step: '0.1' },
+    { key: 'weight', label: 'Weight', unit: 'kg', step: '0.1' },
+    { key: 'spo2', label: 'SpO₂', unit: '%', step: '1' }
+  ];
+  const MEDICINE_FIELDS = { name: 'Medicine', dose: 'Dose', frequency: 'How often', duration: 'For how long' };
+  function vitalsText(vitals){
+    return VITAL_FIELDS.filter(f => vitals[f.key] !== undefined).map(f => `${f.label} ${vitals[f.key]} ${f.unit}`);
+  }
+  function medicineText(m){ return [m.name, m.dose, m.frequency, m.duration && `for ${m.duration}`].filter(Boolean).join(' — '); }
+
+  // the Notes tab: the current notes, earlier versions folded away, and the form to add a version
+  function renderConsultationNotes(ap){
+    const box = el('div',{class:'small'}, 'Loading notes…');
+    const editable = !NOTES_CLOSED_STATUSES.includes(ap.status);
+    const show = (versions)=> {
+      box.className = '';
+      box.innerHTML = '';
+      const current = versions[0];
+      box.appendChild(current ? renderNotesRecord(current)
+        : el('div',{class:'small'}, editable ? 'No notes yet.' : 'No notes were kept for this appointment.'));
+      if(versions.length > 1){
+        box.appendChild(el('details',{}, el('summary',{class:'small'}, `Earlier versions (${versions.length - 1})`),
+          ...versions.slice(1).map(v => el('div',{class:'audit-entry'}, renderNotesRecord(v)))));
+      }
+      box.appendChild(el('div',{class:'actions', style:'margin-top:8px'},
+        editable && el('button',{class:'btn', onClick:()=> { box.innerHTML = ''; box.appendChild(renderNotesForm(ap, current, load)); }}, current ? 'Edit notes' : 'Add notes'),
+        el('button',{class:'btn secondary', onClick:()=> openVisitSummary(ap.id)}, 'Print summary')));
+    };
+    const load = ()=> backend.getNotes(ap.id).then(show).catch(e => { box.textContent = `Could not load notes: ${e.message}`; });
+    load();
+    return box;
+  }
+  function renderNotesRecord(n){
+    const vitals = vitalsText(n.vitals);
+    return el('div',{class:'notes-record'},
+      el('div',{class:'small'}, `Version ${n.version} by ${n.authorName || '—'}, ${new Date(n.createdAt).toLocaleString()}`),
+      vitals.length > 0 && el('div',{}, el('strong',{}, 'Vitals: '), vitals.join(' • ')),
+      n.diagnosis && el('div',{class:'notes-text'}, el('strong',{}, 'Diagnosis: '), n.diagnosis),
+      n.medicines.length > 0 && el('div',{}, el('strong',{}, 'Medicines'), el('ul',{}, ...n.medicines.map(m => el('li',{}, medicineText(m))))),
+      n.advice && el('div',{class:'notes-text'}, el('strong',{}, 'Advice: '), n.advice),
+      n.followUpDate && el('div',{}, el('strong',{}, 'Follow up: '), `from ${n.followUpDate}`));
+  }
+  // starts from `current` (or blank); saving adds a version on top of it, so a version someone else saved
+  // meanwhile is reported instead of silently replaced
+  function renderNotesForm(ap, current, onSaved){
+    let baseVersion = current ? current.version : 0;
+    const start = current || { vitals: {}, diagnosis: '', medicines: [], advice: '', followUpDate: '' };
+    const vitalInputs = {};
+    const vitals = el('div',{class:'form-row'}, ...VITAL_FIELDS.map(f => {
+      const attrs = f.step ? { type: 'number', step: f.step, min: '0' } : { type: 'text', placeholder: f.placeholder };
+      vitalInputs[f.key] = el('input', Object.assign(attrs, { 'data-vital': f.key, value: start.vitals[f.key] !== undefined ? String(start.vitals[f.key]) : '' }));
+      return el('div',{class:'field'}, el('label',{}, `${f.label} (${f.unit})`), vitalInputs[f.key]);
+    }));
+    const medicines = el('div',{});
+    const addMedicine = (m = {})=> {
+      const row = el('div',{class:'form-row medicine-row'},
+        ...Object.entries(MEDICINE_FIELDS).map(([k, label]) => el('div',{class:'field'}, el('label',{}, label), el('input',{type:'text', 'data-field':k, value: m[k] || ''}))),
+        el('div',{class:'field'}, el('label',{}, '\u00a0'), el('button',{class:'btn secondary', onClick:()=> row.remove()}, 'Remove')));
+      medicines.appendChild(row);
+    };
+    start.medicines.forEach(addMedicine);
+    const diagnosis = el('textarea',{rows:'2', id:'notesDiagnosis'});
+    diagnosis.value = start.diagnosis;
+    const advice = el('textarea',{rows:'3', id:'notesAdvice'});
+    advice.value = start.advice;
+    const followUp = el('input',{type:'date', id:'notesFollowUp', value: start.followUpDate || '', min: addDaysISO(slotOf(ap).date || todayISO(0), 1)});
+    const save = async ()=> {
+      const notes = {
+        vitals: {}, diagnosis: diagnosis.value.trim(), advice: advice.value.trim(), followUpDate: followUp.value || null,
+        medicines: [...medicines.querySelectorAll('.medicine-row')].map(row => {
+          const m = {};
+          row.querySelectorAll('input[data-field]').forEach(input => { m[input.dataset.field] = input.value.trim(); });
+          return m;
+        }).filter(m => Object.values(m).some(Boolean))
+      };
+      VITAL_FIELDS.forEach(f => {
+        const value = vitalInputs[f.key].value.trim();
+        if(value) notes.vitals[f.key] = f.step ? Number(value) : value;
+      });
+      try {
+        await backend.saveNotes(ap.id, notes, baseVersion);
+      } catch(e){
+        // keep what was typed; saving again goes on top of the newer version
+        if(e.status === 409 && e.details && e.details.current) baseVersion = e.details.current.version;
+        return showFormError('notesError', e);
+      }
+      onSaved();
+    };
+    return el('div',{class:'notes-form'},
+      el('div',{class:'h-title'}, 'Vitals'), vitals,
+      el('div',{class:'field'}, el('label',{}, 'Diagnosis'), diagnosis),
+      el('div',{class:'h-title', style:'margin-top:8px'}, 'Medicines'), medicines,
+      el('div',{}, el('button',{class:'btn secondary', onClick:()=> addMedicine()}, 'Add medicine')),
+      el('div',{class:'field', style:'margin-top:8px'}, el('label',{}, 'Advice'), advice),
+      el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, 'Follow up from'), followUp)),
+      formError('notesError'),
+      el('div',{class:'actions'}, el('button',{class:'btn', onClick: save}, 'Save notes'),
+        el('button',{class:'btn secondary', onClick: onSaved}, 'Discard changes')));
+  }
+
+  // the visit summary as a page of its own, opened in a new tab with the print dialog
+  function htmlText(value){
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+  }
+  function visitSummaryHtml(ap, notes){
+    const slot = slotOf(ap);
+    const doc = state.doctors.find(d=>d.id === slot.doctorId) || {};
+    const row = (label, value) => (value ? `<tr><th>${htmlText(label)}</th><td>${htmlText(value)}</td></tr>` : '');
+    const section = (title, body) => (body ? `<h2>${htmlText(title)}</h2>${body}` : '');
+    const vitals = notes ? vitalsText(notes.vitals) : [];
+    const medicines = notes && notes.medicines.length
+      ? `<table class="list"><tr>${Object.values(MEDICINE_FIELDS).map(l => `<th>${htmlText(l)}</th>`).join('')}</tr>${
+        notes.medicines.map(m => `<tr>${Object.keys(MEDICINE_FIELDS).map(k => `<td>${htmlText(m[k])}</td>`).join('')}</tr>`).join('')}</table>` : '';
+    return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>Visit summary — ${htmlText(ap.patientName)}, ${htmlText(slot.date)}</title>
+<style>
+  body{font:14px/1.5 system-ui, sans-serif; color:#111; max-width:720px; margin:24px auto; padding:0 16px}
+  h1{font-size:20px; margin:0} h2{font-size:15px; margin:20px 0 6px; border-bottom:1px solid #ccc}
+  table{border-collapse:collapse; width:100%} th, td{text-align:left; vertical-align:top; padding:3px 8px 3px 0}
+  table.list th, table.list td{border-bottom:1px solid #ddd} th{width:150px; font-weight:600}
+  .text{white-space:pre-wrap} .muted{color:#666; font-size:12px}
+  @media print{ .no-print{display:none} body{margin:0} }
+</style></head>
+<body>
+<p class="no-print muted">Print this page, or save it as a PDF from the print dialog.</p>
+<h1>${htmlText(clinicName || 'Visit summary')}</h1>
+${clinicName ? '<div>Visit summary</div>' : ''}
+<h2>Visit</h2>
+<table>${row('Patient', ap.patientName)}${row('Phone', ap.patientPhone)}${row('Date', slot.date && `${slot.date} ${slotRange(slot)}`)}${
+  row('Doctor', doc.name || slot.doctorId)}${row('Speciality', doc.speciality)}${row('Room', slot.roomId)}${row('Reason for visit', ap.reason)}${row('Status', STATUS_LABELS[ap.status] || ap.status)}</table>
+${section('Vitals', vitals.length ? `<p>${vitals.map(htmlText).join(' &bull; ')}</p>` : '')}
+${section('Diagnosis', notes && notes.diagnosis ? `<p class="text">${htmlText(notes.diagnosis)}</p>` : '')}
+${section('Medicines', medicines)}
+${section('Advice', notes && notes.advice ? `<p class="text">${htmlText(notes.advice)}</p>` : '')}
+${section('Follow-up', notes && notes.followUpDate ? `<p>Please book a follow-up visit from ${htmlText(notes.followUpDate)}.</p>` : '')}
+${notes ? '' : '<p class="muted">No consultation notes were recorded.</p>'}
+<p class="muted">${notes ? `Notes version ${notes.version} by ${htmlText(notes.authorName || '—')}, ${htmlText(new Date(notes.createdAt).toLocaleString())}. ` : ''}Printed ${htmlText(new Date().toLocaleString())}.</p>
+</body></html>`;
+  }
+  async function openVisitSummary(appointmentId){
+    const ap = state.appointments.find(a=>a.id === appointmentId);
+    if(!ap) return alert('Appointment not found');
+    let versions;
+    try {
+      versions = await backend.getNotes(ap.id);
+    } catch(e){
+      return alert(e.message);
+    }
+    const url = URL.createObjectURL(new Blob([visitSummaryHtml(ap, versions[0] || null)], { type: 'text/html' }));
+    const page = window.open(url, '_blank');
+    if(!page) return alert('Allow pop-ups for this page to open the summary');
+    page.addEventListener('load', ()=> page.print());
+    setTimeout(()=> URL.revokeObjectURL(url), 60000);
+  }
+
+  // One click: the same patient into the doctor's first free slot from the follow-up date the notes ask
+  // for (or from now) that the booking rules allow. With none free, the booking form opens instead.
+  async function bookFollowUp(appointmentId){
+    const ap = state.appointments.find(a=>a.id === appointmentId);
+    if(!ap) return alert('Appointment not found');
+    const doctorId = slotOf(ap).doctorId;
+    const from = ap.followUpDate && ap.followUpDate > todayISO(0) ? ap.followUpDate : todayISO(0);
+    const now = localNow();
+    const reason = `Follow-up${ap.reason ? `: ${ap.reason}` : ''}`;
+    let slot;
+    try {
+      const candidates = (await freeSlots({ doctorId, from })).filter(s => `${s.date} ${s.time}` > now);
+      // the daily limits count each day's other bookings, so those are fetched a day at a time until a slot fits
+      for(let i = 0; i < candidates.length && !slot; i++){
+        const date = candidates[i].date;
+        if(i === 0 || candidates[i - 1].date !== date) await backend.loadDates({ from: date, to: date });
+        const fresh = state.slots.find(s=>s.id === candidates[i].id);
+        if(fresh && isSlotBookable(fresh) && !bookingViolations(fresh, ap.patientId).length) slot = fresh;
+      }
+    } catch(e){
+      return alert(e.message);
+    }
+    if(!slot){
+      await openBookingModal({ patientId: ap.patientId, reason });
+      return showFormError('bookingError', new Error(`${doctorName(doctorId) || 'The doctor'} has no free slot from ${from} on: pick another or add the patient to the waitlist`));
+    }
+    let followUp;
+    try {
+      followUp = await backend.createAppointment({ slotId: slot.id, patientId: ap.patientId, reason });
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+    viewAppointment(followUp.id);
+  }
+
+  // confirmations, reminders and notices for one appointment, with their delivery state
+  const NOTIFICATION_PAGE_SIZE = 50;
+  const NOTIFICATION_KINDS = { confirmation: 'Confirmation', reminder: 'Reminder', rescheduled: 'Rescheduled notice', cancellation: 'Cancellation notice' };
+  function renderNotifications(appointmentId){
+    const box = el('div',{class:'small'}, 'Loading messages…');
+    const draw = ()=> backend.listNotifications({ appointmentId, limit: NOTIFICATION_PAGE_SIZE }).then(page => {
+      box.innerHTML = '';
+      if(!page.items.length){ box.textContent = 'No messages for this appointment (patients without a phone number get none).'; return; }
+      page.items.forEach(n => {
+        const when = n.status === 'Sent' ? `, ${new Date(n.sentAt).toLocaleString()}` : n.status === 'Pending' ? `, due ${new Date(n.sendAfter).toLocaleString()}` : '';
+        box.appendChild(el('div',{class:'audit-entry'},
+          el('div',{}, `${NOTIFICATION_KINDS[n.kind]} to ${n.recipient} — ${n.status}${when}`, n.attempts ? ` (${n.attempts} attempt${n.attempts === 1 ? '' : 's'})` : ''),
+          el('div',{class:'audit-change'}, n.body),
+          n.lastError && el('div',{class:'audit-change'}, `Last error: ${n.lastError}`),
+          n.status === 'Failed' && el('div',{}, el('button',{class:'btn secondary', onClick: async ()=> {
+            try { await backend.retryNotification(n.id); draw(); }
+            catch(e){ alert(e.message); }
+          }}, 'Retry'))));
+      });
+    }).catch(e => { box.textContent = `Could not load messages: ${e.message}`; });
+    draw();
+    return box;
+  }
+
+  // an entity's entries in the audit log (GET /audit), newest first
+  const AUDIT_VERBS = { create: 'created', update: 'changed', delete: 'deleted' };
+  const AUDIT_PAGE_SIZE = 50;
+  function renderAuditTrail(q){
+    const box = el('div',{class:'small'}, 'Loading history…');
+    backend.listAudit(Object.assign({ limit: AUDIT_PAGE_SIZE }, q)).then(page => {
+      box.innerHTML = '';
+      if(!page.items.length){ box.textContent = 'No changes recorded.'; return; }
+      page.items.forEach(e => box.appendChild(el('div',{class:'audit-entry'},
+        el('div',{}, `${new Date(e.at).toLocaleString()} — ${e.actorName || 'System'} ${AUDIT_VERBS[e.action]} ${e.entityType.replace('_', ' ')}`,
+          e.note ? ` (${e.note})` : ''),
+        auditChanges(e))));
+      if(page.total > page.items.length) box.appendChild(el('div',{}, `Showing the latest ${page.items.length} of ${page.total} changes.`));
+    }).catch(e => { box.textContent = `Could not load history: ${e.message}`; });
+    return box;
+  }
+  // "field: old → new" for an update; a create or delete shows the whole record
+  function auditChanges(e){
+    if(e.entityType === 'schedule'){
+      const hours = rules => rules && rules.length ? rules.map(r => `${WEEKDAYS[r.weekday]} ${r.start_time}–${r.end_time}`).join(', ') : 'none';
+      return el('div',{class:'audit-change'}, `Weekly hours: ${hours(e.before)} → ${hours(e.after)}`);
+    }
+    if(e.action !== 'update'){
+      return el('details',{}, el('summary',{}, 'Record'), el('pre',{class:'audit-record'}, JSON.stringify(e.after || e.before, null, 2)));
+    }
+    const shown = v => v === null || v === undefined || v === '' ? '—' : String(v);
+    return Object.keys(Object.assign({}, e.before, e.after))
+      .filter(k => JSON.stringify(e.before[k]) !== JSON.stringify(e.after[k]))
+      .map(k => el('div',{class:'audit-change'}, `${k}: ${shown(e.before[k])} → ${shown(e.after[k])}`));
+  }
+
+  function describeHistory(h){
+    if(h.event === 'created') return 'Booked';
+    if(h.event === 'rescheduled'){
+      const slotText = (slot, id) => {
+        const s = slot || state.slots.find(x=>x.id === id);
+        return s ? `${s.date} ${s.time}` : 'a removed slot';
+      };
+      return `Rescheduled from ${slotText(h.fromSlot, h.fromSlotId)} to ${slotText(h.toSlot, h.toSlotId)}`;
+    }
+    return `${STATUS_LABELS[h.fromStatus] || h.fromStatus} → ${STATUS_LABELS[h.toStatus] || h.toStatus}`;
+  }
+
+  // pick a free slot (same doctor, same speciality or any) and move the appointment there atomically
+  function openRescheduleModal(appointmentId){
+    const ap = state.appointments.find(a=>a.id===appointmentId);
+    if(!ap) return alert('Appointment not found');
+    const current = state.slots.find(s=>s.id===ap.slotId) || {};
+    const currentDoc = state.doctors.find(d=>d.id===current.doctorId) || {};
+    const filter = el('select',{id:'rescheduleFilter'},
+      el('option',{value:'doctor'}, `Same doctor (${currentDoc.name || current.doctorId || '—'})`),
+      el('option',{value:'speciality'}, `Same speciality (${currentDoc.speciality || '—'})`),
+      el('option',{value:'any'}, 'Any doctor'));
+    const slotSelect = el('select',{id:'rescheduleSlot'});
+    let drawing = 0;
+    const drawSlots = async ()=> {
+      const ticket = ++drawing;
+      const q = filter.value === 'doctor' ? { doctorId: current.doctorId } : filter.value === 'speciality' ? { speciality: currentDoc.speciality } : {};
+      let free = [];
+      if(filter.value !== 'speciality' || currentDoc.speciality){
+        try {
+          free = (await freeSlots(q)).filter(s => s.id !== ap.slotId);
+        } catch(e){
+          return showFormError('rescheduleError', e);
+        }
+      }
+      if(ticket !== drawing) return;
+      slotSelect.innerHTML = '';
+      if(free.length === 0){
+        slotSelect.appendChild(el('option',{value:''}, 'No free slots match'));
+        slotSelect.disabled = true;
+        return;
+      }
+      slotSelect.disabled = false;
+      free.forEach(s => {
+        const d = state.doctors.find(dd=>dd.id===s.doctorId) || {};
+        slotSelect.appendChild(el('option',{value:s.id}, `${s.date} ${slotRange(s)}${yourTime(s)} • ${d.name || s.doctorId} (${d.speciality||''})`));
+      });
+    };
+    filter.addEventListener('change', drawSlots);
+    drawSlots();
+
+    openModal(el('div',{},
+      el('h3',{id:'modalTitle'}, `Reschedule — ${ap.patientName}`),
+      el('div',{class:'small'}, `Currently: ${current.date || ''} ${current.time ? `${slotRange(current)}${yourTime(current)}` : ''} • ${currentDoc.name || current.doctorId || ''}`),
+      el('div',{style:'height:12px'}),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{}, 'Show'), filter),
+        el('div',{class:'field'}, el('label',{}, 'New slot'), slotSelect)
+      ),
+      el('div',{class:'form-row'}, el('div',{class:'field'}, el('label',{}, 'Note (optional)'), el('input',{type:'text', id:'rescheduleNote'}))),
+      formError('rescheduleError'),
+      el('div',{}, el('button',{class:'btn', onClick: async ()=> {
+        const slotId = slotSelect.value;
+        if(!slotId) return showFormError('rescheduleError', new Error('Select a slot'));
+        try {
+          await backend.rescheduleAppointment(ap.id, slotId, byId('rescheduleNote').value.trim());
+        } catch(e){
+          // e.g. 409 when someone else took the slot meanwhile: refresh the list and let staff pick again
+          drawSlots();
+          return showFormError('rescheduleError', e);
+        }
+        renderCurrentView();
+        viewAppointment(ap.id);
+      }}, 'Move appointment'), ' ', el('button',{class:'btn secondary', onClick:()=> viewAppointment(ap.id)}, 'Back'))
+    ));
+  }
+
+  // moves an appointment along its lifecycle; cancelling asks for a reason (unless it's past the cutoff)
+  async function setAppointmentStatus(appointmentId, status, onDone){
+    let note = null;
+    if(status === 'Cancelled'){
+      const ap = state.appointments.find(a=>a.id === appointmentId);
+      const violations = ap ? cancellationViolations(ap) : [];
+      if(violations.length) return alert(violationError(violations).message);
+      note = prompt('Reason for cancelling this appointment?');
+      if(note === null) return;
+      note = note.trim();
+      if(!note) return alert('A cancellation reason is required');
+    } else if(!confirm(`${STATUS_ACTIONS[status]}?`)) return;
+    try {
+      await backend.changeStatus(appointmentId, status, note);
+    } catch(e){
+      return alert(e.message);
+    }
+    renderCurrentView();
+    if(onDone) onDone();
+  }
+
+  function cancelAppointment(appointmentId){ return setAppointmentStatus(appointmentId, 'Cancelled'); }
+
+  // ---------- Live updates ----------
+  // changes made elsewhere (another browser on the server, another tab in the offline demo) arrive in bursts:
+  // they are gathered for a moment, applied to state in one go, and the open view is redrawn if they touched it;
+  // an open booking form marks the slots that were just taken
+  const LIVE_DEBOUNCE_MS = 300;
+  let stopLive = null;
+  let liveChanges = null;
+  let liveTimer = null;
+  let liveApplying = false;
+  function startLiveUpdates(){
+    if(!stopLive && backend.currentUser()) stopLive = backend.subscribe(onLiveChange);
+  }
+  function stopLiveUpdates(){
+    if(stopLive) stopLive();
+    stopLive = null;
+    clearTimeout(liveTimer);
+    liveTimer = null;
+    liveChanges = null;
+  }
+  // [] means anything may have changed, and stays that way until the batch is applied
+  function onLiveChange(changes){
+    liveChanges = !changes.length || (liveChanges && !liveChanges.length) ? [] : (liveChanges || []).concat(changes);
+    if(!liveTimer) liveTimer = setTimeout(applyLiveChanges, LIVE_DEBOUNCE_MS);
+  }
+  async function applyLiveChanges(){
+    liveTimer = null;
+    // changes that arrive while a batch is applied wait for the next one
+    if(liveApplying){ liveTimer = setTimeout(applyLiveChanges, LIVE_DEBOUNCE_MS); return; }
+    const changes = liveChanges;
+    liveChanges = null;
+    if(!changes) return;
+    liveApplying = true;
+    let changed;
+    try {
+      changed = await backend.applyChanges(changes);
+    } catch(e){
+      console.error('live update error', e);
+      return;
+    } finally {
+      liveApplying = false;
+    }
+    markTakenBookingSlots();
+    if(!changed && !touchesListPage(changes)) return;
+    // settings hold unsaved form input, and redrawing under someone typing would lose their place
+    const active = document.activeElement;
+    const typing = active && content.contains(active) && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && /^(text|search)$/.test(active.type)));
+    if(currentView !== 'settings' && !typing) renderCurrentView();
+  }
+  // the paged lists fetch their page on each draw, whether or not state had the rows that changed
+  function touchesListPage(changes){
+    const types = { slots: ['slot', 'appointment'], appointments: ['appointment'], patients: ['appointment'] }[currentView];
+    return !!types && changes.some(c => types.includes(c.entityType));
+  }
+  function markTakenBookingSlots(){
+    const select = byId('bookingSlot');
+    if(!select) return;
+    [...select.options].filter(o => o.value).forEach(option => {
+      if(!option.dataset.label) option.dataset.label = option.textContent;
+      const slot = state.slots.find(s => s.id === option.value);
+      const taken = !slot || !isSlotBookable(slot);
+      option.disabled = taken;
+      option.textContent = taken ? `${option.dataset.label} — ${slot && slotHold(slot) ? 'on hold' : 'just taken'}` : option.dataset.label;
+    });
+    const chosen = select.options[select.selectedIndex];
+    const chosenSlot = chosen && state.slots.find(s => s.id === chosen.value);
+    if(chosen && chosen.disabled) showFormError('bookingError', new Error(chosenSlot && slotHold(chosenSlot) ? `${holdLabel(slotHold(chosenSlot))} — choose another` : 'Someone else just booked that slot — choose another'));
+  }
+
+  // ---------- Init ----------
+  async function init(){
+    applyTheme();
+    if(!backend.persistsLocally){
+      // don't flash the local demo data while the server responds
+      state.doctors = []; state.slots = []; state.patients = []; state.appointments = []; state.schedules = []; state.waitlist = [];
+      state.leave = []; state.closures = [];
+    }
+    renderCurrentView();
+    if(!backend.currentUser()) return;
+    try {
+      await backend.load();
+    } catch(e){
+      if(e.status === 401) return;
+      console.error('load error', e);
+      alert(`Could not load data: ${e.message}`);
+    }
+    resetDateDefaults();
+    renderCurrentView();
+    startLiveUpdates();
+  }
+  init();
+
+  // expose for debugging
+  window.DBS = { state, saveState, loadState, get backend(){ return backend; } };
+
+})();
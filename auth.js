@@ -0,0 +1,48 @@
+// auth.js
+// Password hashing, session token and confirmation code helpers shared by db.js (seeding) and server.js.
+// Uses Node's built-in crypto (scrypt) so no native add-on is needed besides better-sqlite3.
+
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'receptionist', 'doctor'];
+const KEY_LENGTH = 64;
+// booking confirmation codes are read out over the phone: no 0/O or 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+  return { hash, salt };
+}
+
+function verifyPassword(password, salt, expectedHash) {
+  const { hash } = hashPassword(password, salt);
+  const a = Buffer.from(hash, 'hex');
+  const b = Buffer.from(expectedHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// tokens are handed to the client once; only their sha256 is stored in the sessions table
+function createToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// e.g. "K7QM4ZPA"; with the patient's phone number it opens the booking in the patient portal
+function createConfirmationCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  createConfirmationCode
+};
@@ -0,0 +1,56 @@
+// csv.js
+// Minimal RFC 4180 CSV for the import/export routes in server.js: a header row, comma separated,
+// fields quoted with "..." when they contain commas, quotes or line breaks ("" inside quotes is a quote).
+
+// returns { rows: [{ column: value }], error } with rows keyed by the (trimmed) header names
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) return { rows: [], error: 'Unterminated quoted field' };
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+
+  const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+  if (!nonEmpty.length) return { rows: [], error: 'No header row' };
+  const header = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    header.forEach((h, i) => { row[h] = values[i] === undefined ? '' : values[i].trim(); });
+    return row;
+  });
+  return { rows, error: null };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(',')].concat(rows.map(r => columns.map(c => csvField(r[c])).join(','))).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -1,79 +1,650 @@
-// db.js
-// Usage:
-//   node db.js --init   -> creates database file `data.db` and seeds sample data
-// This uses better-sqlite3 for simplicity & transactional safety.
-
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
-
-const DB_FILE = path.resolve(__dirname, 'data.db');
-
-function connect() {
-  // create dir if needed
-  return new Database(DB_FILE);
-}
-
-function init() {
-  // remove existing file (for demo)
-  if (fs.existsSync(DB_FILE)) {
-    console.log('Removing existing DB file:', DB_FILE);
-    fs.unlinkSync(DB_FILE);
-  }
-  const db = connect();
-
-  db.exec(`
-    PRAGMA foreign_keys = ON;
-
-    CREATE TABLE doctors (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      speciality TEXT,
-      room TEXT
-    );
-
-    CREATE TABLE slots (
-      id TEXT PRIMARY KEY,
-      doctor_id TEXT NOT NULL,
-      date TEXT NOT NULL,      -- YYYY-MM-DD
-      time TEXT NOT NULL,      -- HH:MM
-      FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE appointments (
-      id TEXT PRIMARY KEY,
-      slot_id TEXT NOT NULL UNIQUE,  -- unique to prevent double-booking
-      patient_name TEXT NOT NULL,
-      patient_phone TEXT,
-      reason TEXT,
-      status TEXT NOT NULL DEFAULT 'Confirmed',
-      created_at TEXT NOT NULL,
-      FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE CASCADE
-    );
-  `);
-
-  // sample data
-  const insertDoctor = db.prepare(`INSERT INTO doctors (id,name,speciality,room) VALUES (?, ?, ?, ?)`);
-  insertDoctor.run('D001', 'Dr. Asha Mehta', 'General Physician', '101');
-  insertDoctor.run('D002', 'Dr. Rajesh Singh', 'Cardiologist', '201');
-
-  const insertSlot = db.prepare(`INSERT INTO slots (id,doctor_id,date,time) VALUES (?, ?, ?, ?)`);
-  const today = new Date().toISOString().slice(0,10);
-  insertSlot.run('SL1', 'D001', today, '09:00');
-  insertSlot.run('SL2', 'D001', today, '09:30');
-  insertSlot.run('SL3', 'D002', today, '10:00');
-
-  console.log('Database initialized with sample data at', DB_FILE);
-  db.close();
-}
-
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  if (args.includes('--init')) init();
-  else console.log('Run with --init to create DB: node db.js --init');
-}
-
-module.exports = {
-  connect,
-  DB_FILE
-};
+// db.js
+// Usage:
+//   node db.js --migrate           -> creates `data.db` if needed and applies pending migrations
+//   node db.js --status            -> lists migrations and whether each is applied
+//   node db.js --rollback [--to N] -> undoes the last migration (or everything after version N)
+//   node db.js --seed              -> adds sample data to an empty database (never deletes anything)
+//   node db.js --init              -> --migrate followed by --seed
+// This uses better-sqlite3 for simplicity & transactional safety.
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword } = require('./auth');
+const { resolveTimeZone, localDate } = require('./timezone');
+
+// DB_FILE points the server and these scripts at another database file (the tests use a scratch one)
+const DB_FILE = path.resolve(__dirname, process.env.DB_FILE || 'data.db');
+
+function connect() {
+  // create dir if needed
+  return new Database(DB_FILE);
+}
+
+/*
+  MIGRATIONS
+  Ordered, append-only: never edit a migration that has shipped, add a new one instead.
+  Each step runs in a transaction together with its row in schema_migrations.
+*/
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE doctors (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        speciality TEXT,
+        room TEXT
+      );
+
+      CREATE TABLE slots (
+        id TEXT PRIMARY KEY,
+        doctor_id TEXT NOT NULL,
+        date TEXT NOT NULL,      -- YYYY-MM-DD
+        time TEXT NOT NULL,      -- HH:MM, start
+        duration INTEGER NOT NULL DEFAULT 30 CHECK (duration > 0),  -- minutes
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
+      );
+      -- one slot per doctor per start time (overlaps are rejected by server.js)
+      CREATE UNIQUE INDEX idx_slots_doctor_date_time ON slots (doctor_id, date, time);
+
+      -- recurring weekly hours; several rows per weekday allow breaks (e.g. 09:00-13:00 and 14:00-17:00)
+      CREATE TABLE availability (
+        id TEXT PRIMARY KEY,
+        doctor_id TEXT NOT NULL,
+        weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),  -- 0 = Sunday, as Date#getDay
+        start_time TEXT NOT NULL,   -- HH:MM
+        end_time TEXT NOT NULL,     -- HH:MM, exclusive
+        slot_minutes INTEGER NOT NULL CHECK (slot_minutes > 0),
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
+      );
+
+      -- one row per person; phone_key (the phone's digits, see normalizePhone in server.js) spots duplicates
+      CREATE TABLE patients (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        phone TEXT,
+        phone_key TEXT,
+        date_of_birth TEXT,      -- YYYY-MM-DD
+        notes TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_patients_phone_key ON patients (phone_key) WHERE phone_key IS NOT NULL;
+      CREATE INDEX idx_patients_name ON patients (name COLLATE NOCASE);
+
+      CREATE TABLE appointments (
+        id TEXT PRIMARY KEY,
+        slot_id TEXT NOT NULL,
+        patient_id TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'Confirmed'
+          CHECK (status IN ('Confirmed','CheckedIn','InConsultation','Completed','Cancelled','NoShow')),
+        created_at TEXT NOT NULL,
+        status_changed_at TEXT,
+        cancel_reason TEXT,
+        cancelled_by TEXT,       -- users.id
+        FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE CASCADE,
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+      );
+      CREATE INDEX idx_appointments_patient ON appointments (patient_id);
+      -- at most one live appointment per slot prevents double-booking; cancelled ones are kept as history
+      CREATE UNIQUE INDEX idx_appointments_active_slot ON appointments (slot_id) WHERE status <> 'Cancelled';
+
+      -- append-only log of everything that happened to an appointment
+      CREATE TABLE appointment_history (
+        id TEXT PRIMARY KEY,
+        appointment_id TEXT NOT NULL,
+        event TEXT NOT NULL,     -- 'created' | 'status' | 'rescheduled'
+        from_status TEXT,
+        to_status TEXT,
+        from_slot_id TEXT,       -- set for 'rescheduled'
+        to_slot_id TEXT,
+        note TEXT,
+        actor_id TEXT,           -- users.id
+        at TEXT NOT NULL,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_appointment_history_appointment ON appointment_history (appointment_id, at);
+
+      -- patients waiting for a slot with a doctor (or any doctor of a speciality) within a date range;
+      -- the oldest matching 'Waiting' entry is booked automatically when a slot frees up or is created
+      CREATE TABLE waitlist (
+        id TEXT PRIMARY KEY,
+        patient_id TEXT NOT NULL,
+        reason TEXT,
+        doctor_id TEXT,          -- either a doctor ...
+        speciality TEXT,         -- ... or a speciality
+        date_from TEXT NOT NULL, -- YYYY-MM-DD
+        date_to TEXT NOT NULL,   -- YYYY-MM-DD, inclusive
+        status TEXT NOT NULL DEFAULT 'Waiting' CHECK (status IN ('Waiting','Booked','Expired','Removed')),
+        appointment_id TEXT,     -- set once booked
+        created_at TEXT NOT NULL,
+        resolved_at TEXT,
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        CHECK (doctor_id IS NOT NULL OR speciality IS NOT NULL)
+      );
+      CREATE INDEX idx_waitlist_status ON waitlist (status, created_at);
+
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin','receptionist','doctor')),
+        doctor_id TEXT,          -- set for role 'doctor': the doctor this login belongs to
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE credentials (
+        user_id TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,  -- scrypt, hex
+        salt TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,  -- sha256 of the bearer token
+        user_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `,
+    down: `
+      DROP TABLE sessions;
+      DROP TABLE credentials;
+      DROP TABLE users;
+      DROP TABLE waitlist;
+      DROP TABLE appointment_history;
+      DROP TABLE appointments;
+      DROP TABLE patients;
+      DROP TABLE availability;
+      DROP TABLE slots;
+      DROP TABLE doctors;
+    `
+  },
+  {
+    version: 2,
+    name: 'calendar feeds',
+    up: `
+      -- one subscribable .ics feed per doctor; like sessions, only the sha256 of its secret token is kept
+      CREATE TABLE calendar_feeds (
+        doctor_id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        include_patient INTEGER NOT NULL DEFAULT 0,  -- patient name/phone/reason in the events
+        created_by TEXT,         -- users.id
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
+      );
+    `,
+    down: `
+      DROP TABLE calendar_feeds;
+    `
+  },
+  {
+    version: 3,
+    name: 'audit log',
+    up: `
+      -- one row per create/update/delete made through the API, with the entity before and after as JSON
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        actor_id TEXT,           -- users.id; no foreign key so entries outlive the user
+        actor_name TEXT,         -- the user's name at the time
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        entity_type TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        before_json TEXT,        -- NULL for creates
+        after_json TEXT,         -- NULL for deletes
+        note TEXT
+      );
+      CREATE INDEX idx_audit_entity ON audit_log(entity_type, entity_id);
+      CREATE INDEX idx_audit_at ON audit_log(at);
+      -- append-only: entries can be added but never changed or removed
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `,
+    down: `
+      DROP TRIGGER audit_log_no_delete;
+      DROP TRIGGER audit_log_no_update;
+      DROP TABLE audit_log;
+    `
+  },
+  {
+    version: 4,
+    name: 'notification outbox',
+    up: `
+      -- messages to patients, written in the same transaction as the booking change and
+      -- delivered later by the dispatcher in notifications.js
+      CREATE TABLE notifications (
+        id TEXT PRIMARY KEY,
+        appointment_id TEXT,
+        kind TEXT NOT NULL CHECK (kind IN ('confirmation', 'reminder', 'rescheduled', 'cancellation')),
+        recipient TEXT NOT NULL,  -- patient phone number
+        subject TEXT,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Sent', 'Failed', 'Cancelled')),
+        send_after TEXT NOT NULL, -- due time; pushed back after each failed attempt
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL
+      );
+      CREATE INDEX idx_notifications_due ON notifications(status, send_after);
+      CREATE INDEX idx_notifications_appointment ON notifications(appointment_id);
+    `,
+    down: `
+      DROP TABLE notifications;
+    `
+  },
+  {
+    version: 5,
+    name: 'doctor leave and clinic closures',
+    up: `
+      -- dates (inclusive) on which a doctor, or the whole clinic, sees no patients
+      CREATE TABLE doctor_leave (
+        id TEXT PRIMARY KEY,
+        doctor_id TEXT NOT NULL,
+        date_from TEXT NOT NULL,
+        date_to TEXT NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_doctor_leave_doctor ON doctor_leave(doctor_id, date_from);
+      CREATE TABLE closures (
+        id TEXT PRIMARY KEY,
+        date_from TEXT NOT NULL,
+        date_to TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_closures_from ON closures(date_from);
+    `,
+    down: `
+      DROP TABLE closures;
+      DROP TABLE doctor_leave;
+    `
+  },
+  {
+    version: 6,
+    name: 'rooms',
+    up: `
+      -- consulting rooms; doctors.room and slots.room_id hold a room id (checked by server.js)
+      CREATE TABLE rooms (
+        id TEXT PRIMARY KEY,     -- the room's number or code, e.g. "101"
+        name TEXT,
+        notes TEXT,
+        created_at TEXT NOT NULL
+      );
+      UPDATE doctors SET room = NULLIF(TRIM(room), '');
+      INSERT INTO rooms (id, created_at)
+        SELECT DISTINCT room, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM doctors WHERE room IS NOT NULL;
+      -- the room a slot takes up; existing slots use their doctor's room
+      ALTER TABLE slots ADD COLUMN room_id TEXT;
+      UPDATE slots SET room_id = (SELECT room FROM doctors d WHERE d.id = slots.doctor_id);
+      CREATE INDEX idx_slots_room_date ON slots (room_id, date);
+    `,
+    down: `
+      DROP INDEX idx_slots_room_date;
+      ALTER TABLE slots DROP COLUMN room_id;
+      DROP TABLE rooms;
+    `
+  },
+  {
+    version: 7,
+    name: 'appointment confirmation codes',
+    up: `
+      -- given to the patient on booking; with their phone number it opens the booking in the patient portal.
+      -- Appointments booked before this have none.
+      ALTER TABLE appointments ADD COLUMN confirmation_code TEXT;
+      CREATE UNIQUE INDEX idx_appointments_confirmation_code ON appointments (confirmation_code) WHERE confirmation_code IS NOT NULL;
+    `,
+    down: `
+      DROP INDEX idx_appointments_confirmation_code;
+      ALTER TABLE appointments DROP COLUMN confirmation_code;
+    `
+  },
+  {
+    version: 8,
+    name: 'slot holds',
+    up: `
+      -- a short reservation on a free slot while someone fills in the booking form; it belongs to their
+      -- session and goes with it, and is ignored once expires_at has passed
+      CREATE TABLE slot_holds (
+        slot_id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE CASCADE,
+        FOREIGN KEY (token_hash) REFERENCES sessions(token_hash) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_slot_holds_session ON slot_holds (token_hash);
+    `,
+    down: `
+      DROP TABLE slot_holds;
+    `
+  },
+  {
+    version: 9,
+    name: 'idempotency keys',
+    up: `
+      -- the response to each write sent with an Idempotency-Key header, replayed when the same request is retried
+      CREATE TABLE idempotency_keys (
+        scope TEXT NOT NULL,        -- user:<id>, or ip:<address> for requests without a login
+        key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,  -- sha256 of method, URL and body
+        status INTEGER,             -- null while the first request is still being handled
+        content_type TEXT,
+        body TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (scope, key)
+      );
+      CREATE INDEX idx_idempotency_keys_created ON idempotency_keys (created_at);
+    `,
+    down: `
+      DROP TABLE idempotency_keys;
+    `
+  },
+  {
+    version: 10,
+    name: 'booking rules',
+    up: `
+      -- limits on booking: the row without a doctor holds the clinic's, a doctor's row overrides them rule by rule.
+      -- A null rule is no limit (on a doctor's row: the clinic's). Slots that have already started can't be booked.
+      CREATE TABLE booking_rules (
+        doctor_id TEXT UNIQUE,
+        min_notice_minutes INTEGER,   -- how long before the slot starts booking closes
+        max_days_ahead INTEGER,       -- how many days after today slots can be booked
+        max_per_patient_day INTEGER,  -- appointments one patient may have on a day
+        max_per_doctor_day INTEGER,   -- appointments a doctor takes on a day
+        cancel_cutoff_hours INTEGER,  -- how long before the start a Confirmed appointment can still be cancelled
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (doctor_id) REFERENCES doctors(id) ON DELETE CASCADE
+      );
+      INSERT INTO booking_rules (doctor_id, min_notice_minutes, updated_at) VALUES (NULL, 0, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    `,
+    down: `
+      DROP TABLE booking_rules;
+    `
+  },
+  {
+    version: 11,
+    name: 'consultation notes',
+    up: `
+      -- what the doctor recorded at a visit; saving adds a version, and the highest version is the current notes
+      CREATE TABLE consultation_notes (
+        appointment_id TEXT NOT NULL,
+        version INTEGER NOT NULL,      -- 1, 2, ... per appointment
+        vitals TEXT NOT NULL,          -- JSON object: bloodPressure, pulse, temperature, weight, spo2 (each optional)
+        diagnosis TEXT,
+        medicines TEXT NOT NULL,       -- JSON array of { name, dose, frequency, duration }
+        advice TEXT,                   -- follow-up advice for the patient
+        follow_up_date TEXT,           -- YYYY-MM-DD the doctor wants to see the patient again, if at all
+        author_id TEXT,                -- users.id
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (appointment_id, version),
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+      );
+    `,
+    down: `
+      DROP TABLE consultation_notes;
+    `
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function currentVersion(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+}
+
+function pendingMigrations(db) {
+  const version = currentVersion(db);
+  return MIGRATIONS.filter(m => m.version > version);
+}
+
+/*
+  BASELINE
+  A database made by `--init` before migrations existed has doctors, slots and appointments (with the patient's
+  name and phone on each appointment) but no migration history. It is adopted as version 0, and migration 1
+  upgrades it like any other: the old tables are renamed out of the way, the new ones created, and the rows
+  copied across, with each distinct phone number (or phoneless booking) becoming a patient. Duplicate slots
+  (the old schema didn't prevent them) are merged into one.
+*/
+const BASELINE_TABLES = ['doctors', 'slots', 'appointments'];
+
+function hasTable(db, name) {
+  return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+}
+
+// records an untracked baseline database as version 0
+function adoptBaseline(db) {
+  if (!isBaseline(db)) return;
+  db.prepare('INSERT OR IGNORE INTO schema_migrations (version, name, applied_at) VALUES (0, ?, ?)').run('baseline schema (adopted)', new Date().toISOString());
+}
+
+// at version 0 with the baseline tables still there; migration 1 then converts them
+function isBaseline(db) {
+  return currentVersion(db) === 0 && hasTable(db, 'doctors') && !hasTable(db, 'patients');
+}
+
+// call inside migration 1's transaction: before its `up`, move the old tables aside...
+function setAsideBaseline(db) {
+  BASELINE_TABLES.forEach(t => db.exec(`ALTER TABLE ${t} RENAME TO baseline_${t}`));
+}
+
+// ...and after it, copy their rows into the new tables and drop them
+function convertBaseline(db) {
+  const now = new Date().toISOString();
+  db.exec('INSERT INTO doctors (id, name, speciality, room) SELECT id, name, speciality, room FROM baseline_doctors');
+  // the old schema allowed the same doctor, date and time twice: the first such slot is kept and the
+  // others' appointments move onto it
+  const insertSlot = db.prepare('INSERT INTO slots (id, doctor_id, date, time) VALUES (?, ?, ?, ?)');
+  const keptSlots = new Map();
+  const slotIds = new Map();
+  for (const s of db.prepare('SELECT * FROM baseline_slots ORDER BY rowid').all()) {
+    const key = `${s.doctor_id}|${s.date}|${s.time}`;
+    if (!keptSlots.has(key)) {
+      keptSlots.set(key, s.id);
+      insertSlot.run(s.id, s.doctor_id, s.date, s.time);
+    }
+    slotIds.set(s.id, keptSlots.get(key));
+  }
+  const insertPatient = db.prepare('INSERT INTO patients (id, name, phone, phone_key, created_at) VALUES (?, ?, ?, ?, ?)');
+  const insertAppointment = db.prepare(`
+    INSERT INTO appointments (id, slot_id, patient_id, reason, status, created_at, status_changed_at, cancel_reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertHistory = db.prepare(`
+    INSERT INTO appointment_history (id, appointment_id, event, to_status, note, at) VALUES (?, ?, 'created', ?, ?, ?)
+  `);
+  const byPhone = new Map();
+  const bookedSlots = new Set();
+  const statuses = ['Confirmed', 'CheckedIn', 'InConsultation', 'Completed', 'Cancelled', 'NoShow'];
+  for (const a of db.prepare('SELECT * FROM baseline_appointments ORDER BY created_at, rowid').all()) {
+    // the phone's digits, compared on the last 10 (normalizePhone in server.js)
+    const digits = String(a.patient_phone || '').replace(/\D/g, '');
+    const phoneKey = digits ? digits.slice(-10) : null;
+    let patientId = phoneKey && byPhone.get(phoneKey);
+    if (!patientId) {
+      patientId = uuidv4();
+      insertPatient.run(patientId, a.patient_name, a.patient_phone || null, phoneKey, a.created_at || now);
+      if (phoneKey) byPhone.set(phoneKey, patientId);
+    }
+    const slotId = slotIds.get(a.slot_id) || a.slot_id;
+    let status = statuses.includes(a.status) ? a.status : 'Confirmed';
+    let cancelReason = null;
+    // two live bookings that ended up on one merged slot: the earlier one keeps it
+    if (status !== 'Cancelled' && bookedSlots.has(slotId)) {
+      status = 'Cancelled';
+      cancelReason = 'Double-booked before migrations';
+    }
+    if (status !== 'Cancelled') bookedSlots.add(slotId);
+    insertAppointment.run(a.id, slotId, patientId, a.reason, status, a.created_at || now, a.created_at || now, cancelReason);
+    insertHistory.run(uuidv4(), a.id, status, cancelReason || 'Carried over from the database before migrations', a.created_at || now);
+  }
+  BASELINE_TABLES.slice().reverse().forEach(t => db.exec(`DROP TABLE baseline_${t}`));
+}
+
+// applies pending migrations up to `target` (default: all); returns the ones applied
+function migrate(db, target = LATEST_VERSION) {
+  adoptBaseline(db);
+  const applied = [];
+  for (const m of pendingMigrations(db).filter(x => x.version <= target)) {
+    db.transaction(() => {
+      const baseline = m.version === 1 && isBaseline(db);
+      if (baseline) setAsideBaseline(db);
+      db.exec(m.up);
+      if (baseline) convertBaseline(db);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)').run(m.version, m.name, new Date().toISOString());
+    })();
+    applied.push(m);
+  }
+  return applied;
+}
+
+// undoes applied migrations newer than `target` (default: just the latest one); returns the ones undone
+function rollback(db, target = currentVersion(db) - 1) {
+  const undone = [];
+  for (const m of MIGRATIONS.slice().reverse().filter(x => x.version > target && x.version <= currentVersion(db))) {
+    db.transaction(() => {
+      db.exec(m.down);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(m.version);
+    })();
+    undone.push(m);
+  }
+  return undone;
+}
+
+function status(db) {
+  ensureMigrationsTable(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_migrations').all().map(r => [r.version, r.applied_at]));
+  return MIGRATIONS.map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) || null }));
+}
+
+/*
+  SAMPLE DATA
+  Only goes into an empty database, so running it against real data is harmless.
+*/
+function seed(db) {
+  if (pendingMigrations(db).length) throw new Error('Database is not fully migrated; run `node db.js --migrate` first');
+  if (db.prepare('SELECT (SELECT COUNT(*) FROM doctors) + (SELECT COUNT(*) FROM users) as n').get().n) {
+    throw new Error('Database already has data; not adding sample data');
+  }
+
+  const insertRoom = db.prepare(`INSERT INTO rooms (id,name,created_at) VALUES (?, ?, ?)`);
+  insertRoom.run('101', 'Consulting room 1', new Date().toISOString());
+  insertRoom.run('201', 'Cardiology', new Date().toISOString());
+
+  const insertDoctor = db.prepare(`INSERT INTO doctors (id,name,speciality,room) VALUES (?, ?, ?, ?)`);
+  insertDoctor.run('D001', 'Dr. Asha Mehta', 'General Physician', '101');
+  insertDoctor.run('D002', 'Dr. Rajesh Singh', 'Cardiologist', '201');
+
+  const insertSlot = db.prepare(`INSERT INTO slots (id,doctor_id,date,time,room_id) VALUES (?, ?, ?, ?, ?)`);
+  // the clinic's today (CLINIC_TIMEZONE), not UTC's
+  const today = localDate(resolveTimeZone(process.env.CLINIC_TIMEZONE));
+  insertSlot.run('SL1', 'D001', today, '09:00', '101');
+  insertSlot.run('SL2', 'D001', today, '09:30', '101');
+  insertSlot.run('SL3', 'D002', today, '10:00', '201');
+
+  // Dr. Mehta: Mon-Fri 09:00-13:00 and 14:00-17:00 in 15-minute steps
+  const insertAvailability = db.prepare(`INSERT INTO availability (id,doctor_id,weekday,start_time,end_time,slot_minutes) VALUES (?, ?, ?, ?, ?, ?)`);
+  for (let weekday = 1; weekday <= 5; weekday++) {
+    insertAvailability.run(`AV${weekday}a`, 'D001', weekday, '09:00', '13:00', 15);
+    insertAvailability.run(`AV${weekday}b`, 'D001', weekday, '14:00', '17:00', 15);
+  }
+
+  // demo logins - change these passwords before using the database for anything real
+  const now = new Date().toISOString();
+  const insertUser = db.prepare(`INSERT INTO users (id,username,name,role,doctor_id,created_at) VALUES (?, ?, ?, ?, ?, ?)`);
+  const insertCredential = db.prepare(`INSERT INTO credentials (user_id,password_hash,salt,updated_at) VALUES (?, ?, ?, ?)`);
+  const seedUsers = [
+    ['U001', 'admin', 'Clinic Admin', 'admin', null, 'admin123'],
+    ['U002', 'reception', 'Front Desk', 'receptionist', null, 'reception123'],
+    ['U003', 'dr.mehta', 'Dr. Asha Mehta', 'doctor', 'D001', 'doctor123']
+  ];
+  console.log('Sample logins:');
+  for (const [id, username, name, role, doctorId, password] of seedUsers) {
+    insertUser.run(id, username, name, role, doctorId, now);
+    const { hash, salt } = hashPassword(password);
+    insertCredential.run(id, hash, salt, now);
+    console.log(`  user ${username} / ${password} (${role})`);
+  }
+}
+
+function main(args) {
+  const toIndex = args.indexOf('--to');
+  const to = toIndex >= 0 ? Number(args[toIndex + 1]) : undefined;
+  if (toIndex >= 0 && !Number.isInteger(to)) throw new Error('--to needs a version number');
+  const db = connect();
+  db.pragma('foreign_keys = ON');
+  try {
+    if (args.includes('--migrate') || args.includes('--init')) {
+      const applied = migrate(db, to);
+      applied.forEach(m => console.log(`Applied ${m.version}: ${m.name}`));
+      console.log(`Schema is at version ${currentVersion(db)} (${DB_FILE})`);
+    }
+    if (args.includes('--seed') || args.includes('--init')) {
+      db.transaction(() => seed(db))();
+      console.log('Sample data added');
+    }
+    if (args.includes('--rollback')) {
+      const undone = rollback(db, to);
+      undone.forEach(m => console.log(`Rolled back ${m.version}: ${m.name}`));
+      console.log(`Schema is at version ${currentVersion(db)}`);
+    }
+    if (args.includes('--status')) {
+      status(db).forEach(m => console.log(`${m.appliedAt ? 'applied' : 'pending'}  ${String(m.version).padStart(3)}  ${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ''}`));
+    }
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  // same .env as server.js (CLINIC_TIMEZONE dates the sample slots)
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  if (!['--migrate', '--status', '--rollback', '--seed', '--init'].some(a => args.includes(a))) {
+    console.log('Usage: node db.js --migrate | --status | --rollback [--to N] | --seed | --init');
+  } else {
+    try {
+      main(args);
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = {
+  connect,
+  migrate,
+  pendingMigrations,
+  currentVersion,
+  LATEST_VERSION,
+  DB_FILE
+};
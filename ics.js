@@ -0,0 +1,81 @@
+// ics.js
+// iCalendar (RFC 5545) output for the doctor calendar feeds in server.js.
+// Slot times are clinic wall-clock times; events carry them as UTC instants (converted with the clinic's
+// time zone), so a calendar in any other zone shows the right moment in its own local time.
+const { toInstant } = require('./timezone');
+
+const PRODID = '-//Doctor Booking System//Appointments//EN';
+
+// one UID per appointment for its whole life, so reschedules and cancellations update the same event
+function appointmentUid(appointmentId) {
+  return `appointment-${appointmentId}@doctor-booking`;
+}
+
+function escapeText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function utcStamp(iso) {
+  return new Date(iso || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/*
+  `a` is a row from APPOINTMENT_SELECT in server.js (plus `sequence`, the number of changes so far).
+  `timeZone` is the clinic's (CLINIC_TIMEZONE). Patient name, phone and reason are only written when `includePatient` is set.
+*/
+function appointmentEvent(a, { includePatient = false, timeZone = 'UTC' } = {}) {
+  const doctor = `${a.doctor_name || a.doctor_id}${a.speciality ? ` (${a.speciality})` : ''}`;
+  const description = [`Doctor: ${doctor}`, `Status: ${a.status}`];
+  if (includePatient) {
+    description.unshift(`Patient: ${a.patient_name}${a.patient_phone ? `, ${a.patient_phone}` : ''}`);
+    if (a.reason) description.push(`Reason: ${a.reason}`);
+  }
+  if (a.status === 'Cancelled' && a.cancel_reason) description.push(`Cancelled: ${a.cancel_reason}`);
+
+  const start = toInstant(a.date, a.time, timeZone);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointmentUid(a.id)}`,
+    `DTSTAMP:${utcStamp(a.status_changed_at || a.created_at)}`,
+    `DTSTART:${utcStamp(start)}`,
+    `DTEND:${utcStamp(start.getTime() + a.duration * 60000)}`,
+    `SEQUENCE:${a.sequence || 0}`,
+    `STATUS:${a.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(includePatient ? `${a.patient_name}${a.reason ? ` – ${a.reason}` : ''}` : 'Patient appointment')}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`
+  ];
+  if (a.room) lines.push(`LOCATION:${escapeText(`Room ${a.room}`)}`);
+  if (a.speciality) lines.push(`CATEGORIES:${escapeText(a.speciality)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function calendar(name, events) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${escapeText(name)}`]
+    .concat(...events, 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  appointmentEvent,
+  calendar
+};
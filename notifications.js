@@ -0,0 +1,292 @@
+// notifications.js
+// Outbox delivery for server.js: message templates, the transports that deliver messages, and the
+// dispatcher that sends due outbox rows and retries failures with exponential backoff.
+// Messages go to the patient's phone number; the transport decides how (SMS gateway, email-to-SMS, a log file).
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const KINDS = ['confirmation', 'reminder', 'rescheduled', 'cancellation'];
+
+// {{name}} placeholders are filled from the appointment; NOTIFY_TEMPLATES can point to a JSON file
+// with the same shape to override any of them
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    subject: 'Appointment confirmed',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} is confirmed for {{date}} at {{time}}{{roomText}}.{{codeText}} – {{clinicName}}'
+  },
+  reminder: {
+    subject: 'Appointment reminder',
+    body: 'Reminder: {{patientName}}, you see {{doctorName}} on {{date}} at {{time}}{{roomText}}. – {{clinicName}}'
+  },
+  rescheduled: {
+    subject: 'Appointment moved',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} has moved to {{date}} at {{time}}{{roomText}}.{{codeText}} – {{clinicName}}'
+  },
+  cancellation: {
+    subject: 'Appointment cancelled',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} on {{date}} at {{time}} has been cancelled ({{cancelReason}}). – {{clinicName}}'
+  }
+};
+
+function loadTemplates(file) {
+  if (!file) return DEFAULT_TEMPLATES;
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const unknown = Object.keys(custom).filter(k => !KINDS.includes(k));
+  if (unknown.length) throw new Error(`${file}: unknown template(s) ${unknown.join(', ')} (expected ${KINDS.join(', ')})`);
+  const templates = {};
+  KINDS.forEach(kind => { templates[kind] = Object.assign({}, DEFAULT_TEMPLATES[kind], custom[kind]); });
+  return templates;
+}
+
+// unknown placeholders are left as they are, so a typo shows up in the message instead of vanishing
+function render(text, vars) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (vars[key] === undefined || vars[key] === null ? match : String(vars[key])));
+}
+
+/*
+  TRANSPORTS
+  A transport factory takes the environment and returns { name, send(message) } where send resolves once
+  the message is handed over and rejects on failure. `message` is an outbox row: recipient, subject, body, kind.
+*/
+const transports = {
+  // prints messages, phone numbers and all; for local testing only
+  console: () => ({
+    name: 'console',
+    async send(message) {
+      console.log(`[notify] ${message.kind} to ${message.recipient}: ${message.body}`);
+    }
+  }),
+
+  // appends one JSON line per message to NOTIFY_FILE
+  file: env => {
+    const file = env.NOTIFY_FILE || 'notifications.log';
+    return {
+      name: 'file',
+      async send(message) {
+        const line = { at: new Date().toISOString(), id: message.id, kind: message.kind, to: message.recipient, subject: message.subject, body: message.body };
+        await fs.promises.appendFile(file, `${JSON.stringify(line)}\n`);
+      }
+    };
+  },
+
+  // POSTs { to, message } as JSON to an SMS gateway; any non-2xx answer counts as a failure
+  'sms-http': env => {
+    if (!env.SMS_GATEWAY_URL) throw new Error('NOTIFY_TRANSPORT=sms-http needs SMS_GATEWAY_URL');
+    return {
+      name: 'sms-http',
+      async send(message) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (env.SMS_GATEWAY_TOKEN) headers.Authorization = `Bearer ${env.SMS_GATEWAY_TOKEN}`;
+        const res = await fetch(env.SMS_GATEWAY_URL, {
+          method: 'POST', headers, body: JSON.stringify({ to: message.recipient, message: message.body }),
+          signal: AbortSignal.timeout(15000)
+        });
+        if (!res.ok) throw new Error(`SMS gateway answered ${res.status}: ${(await res.text()).slice(0, 200)}`);
+      }
+    };
+  },
+
+  // email, typically to an email-to-SMS gateway: SMTP_TO turns the phone number into an address,
+  // e.g. "{{phone}}@sms.example.com"
+  smtp: env => {
+    if (!env.SMTP_HOST || !env.SMTP_FROM || !env.SMTP_TO) throw new Error('NOTIFY_TRANSPORT=smtp needs SMTP_HOST, SMTP_FROM and SMTP_TO');
+    const config = {
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || (env.SMTP_SECURE === 'true' ? 465 : 587),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM
+    };
+    return {
+      name: 'smtp',
+      async send(message) {
+        const to = render(env.SMTP_TO, { phone: String(message.recipient).replace(/\D/g, '') });
+        await smtpSend(config, { to, subject: message.subject, text: message.body });
+      }
+    };
+  }
+};
+
+// adds or replaces a transport, for deployments with their own delivery channel
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+// null when NOTIFY_TRANSPORT is unset: nothing is sent (not even to the console) until one is chosen
+function createTransport(env = process.env) {
+  const name = env.NOTIFY_TRANSPORT;
+  if (!name) return null;
+  if (!transports[name]) throw new Error(`Unknown NOTIFY_TRANSPORT "${name}" (available: ${Object.keys(transports).join(', ')})`);
+  return transports[name](env);
+}
+
+/*
+  SMTP
+  Just enough of RFC 5321 to hand one plain-text message to a relay: EHLO, STARTTLS when offered
+  (or implicit TLS with SMTP_SECURE=true), AUTH LOGIN when SMTP_USER is set, MAIL/RCPT/DATA, QUIT.
+  With SMTP_USER set the connection must be encrypted one way or the other, or the send fails.
+*/
+const SMTP_TIMEOUT_MS = 20000;
+
+// resolves with each complete server reply ("250-..." continuation lines joined)
+function smtpReplies(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const ready = [];
+  const waiting = [];
+  const fail = err => {
+    failure = failure || err;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line);
+      if (line[3] === '-') continue;
+      const reply = lines.join('\n');
+      lines = [];
+      if (waiting.length) waiting.shift().resolve(reply);
+      else ready.push(reply);
+    }
+  });
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('SMTP connection closed')));
+  return () => {
+    if (ready.length) return Promise.resolve(ready.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+async function smtpSend(config, { to, subject, text }) {
+  const connect = options => new Promise((resolve, reject) => {
+    const socket = config.secure || options.socket
+      ? tls.connect(Object.assign({ host: config.host, port: config.port, servername: config.host }, options), () => resolve(socket))
+      : net.connect({ host: config.host, port: config.port }, () => resolve(socket));
+    socket.once('error', reject);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+  });
+  let socket = await connect({});
+  let nextReply = smtpReplies(socket);
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await nextReply();
+    if (!expected.includes(Number(reply.slice(0, 3)))) throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply}`);
+    return reply;
+  };
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    if (!config.secure && /^250[ -]STARTTLS/im.test(ehlo)) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket = await connect({ socket });
+      nextReply = smtpReplies(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+    if (config.user) {
+      // AUTH LOGIN sends the password as plain base64: only ever over TLS
+      if (!(socket instanceof tls.TLSSocket)) throw new Error(`SMTP server ${config.host} does not offer STARTTLS; refusing to send credentials in clear text (use SMTP_SECURE=true for implicit TLS)`);
+      await command('AUTH LOGIN', [334]);
+      await command(Buffer.from(config.user).toString('base64'), [334]);
+      await command(Buffer.from(config.pass || '').toString('base64'), [235]);
+    }
+    await command(`MAIL FROM:<${config.from}>`, [250]);
+    await command(`RCPT TO:<${to}>`, [250, 251]);
+    await command('DATA', [354]);
+    const headers = [
+      `From: ${config.from}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject || '')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${config.host}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit'
+    ];
+    // lines starting with "." are doubled so they can't end the DATA section early
+    const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    await command(`${headers.join('\r\n')}\r\n\r\n${body}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+/*
+  DISPATCHER
+  Sends Pending rows whose send_after has passed, oldest first. A failure pushes send_after back by
+  baseDelayMs * 2^(attempts - 1); after maxAttempts the row is marked Failed and left for staff to retry.
+  `isCurrent(row)` can veto a row that no longer applies (e.g. a reminder for a cancelled appointment),
+  which marks it Cancelled instead of sending it.
+*/
+async function dispatchDue(db, transport, { batchSize = 20, maxAttempts = 5, baseDelayMs = 60000, isCurrent = () => true } = {}) {
+  const now = new Date().toISOString();
+  const due = db.prepare(`SELECT * FROM notifications WHERE status = 'Pending' AND send_after <= ? ORDER BY send_after, rowid LIMIT ?`)
+    .all(now, batchSize);
+  let sent = 0;
+  let failed = 0;
+  for (const row of due) {
+    if (!isCurrent(row)) {
+      db.prepare(`UPDATE notifications SET status = 'Cancelled' WHERE id = ? AND status = 'Pending'`).run(row.id);
+      continue;
+    }
+    const attempts = row.attempts + 1;
+    try {
+      await transport.send(row);
+      db.prepare(`UPDATE notifications SET status = 'Sent', attempts = ?, sent_at = ?, last_error = NULL WHERE id = ?`)
+        .run(attempts, new Date().toISOString(), row.id);
+      sent++;
+    } catch (err) {
+      failed++;
+      const retryAt = new Date(Date.now() + baseDelayMs * 2 ** (attempts - 1)).toISOString();
+      db.prepare(`UPDATE notifications SET status = ?, attempts = ?, send_after = ?, last_error = ? WHERE id = ?`)
+        .run(attempts >= maxAttempts ? 'Failed' : 'Pending', attempts, retryAt, String(err.message || err).slice(0, 500), row.id);
+    }
+  }
+  return { sent, failed };
+}
+
+// runs dispatchDue every intervalMs; runs never overlap, and the timer doesn't keep the process alive
+function startDispatcher(db, transport, { intervalMs = 30000, ...options } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await dispatchDue(db, transport, options);
+      if (sent || failed) console.log(`Notifications: ${sent} sent, ${failed} failed (${transport.name})`);
+    } catch (err) {
+      console.error('Notification dispatch error', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  setImmediate(tick);
+  return { stop: () => clearInterval(timer), tick };
+}
+
+module.exports = {
+  KINDS,
+  loadTemplates,
+  render,
+  registerTransport,
+  createTransport,
+  dispatchDue,
+  startDispatcher
+};
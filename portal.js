@@ -0,0 +1,264 @@
+// portal.js
+// The patient portal (portal.html), served by server.js at /portal. Patients pick a free time and book it,
+// then open the booking again with its confirmation code and phone number to cancel it or move it to
+// another time with the same doctor. Everything goes through the /public routes of the same server.
+(function () {
+  const content = document.getElementById('content');
+  const state = {
+    view: 'book',
+    clinic: null,
+    doctors: [],
+    // Book a visit: filters, the free times found, the time picked and the booking just made
+    query: { speciality: '', doctorId: '', from: '' },
+    slots: [],
+    picked: null,
+    booked: null,
+    // My booking: the code and phone it was opened with, the booking, and free times to move it to
+    lookup: null,
+    booking: null,
+    moveSlots: null
+  };
+
+  const WRITE_RETRIES = 2;
+
+  // ---------- Utilities ----------
+  function byId(id){ return document.getElementById(id); }
+  // as el() in app.js
+  function el(tag, attrs = {}, ...children){
+    const node = document.createElement(tag);
+    for(const k in attrs){
+      if(k === 'class') node.className = attrs[k];
+      else if(k.startsWith('on') && typeof attrs[k] === 'function') node.addEventListener(k.slice(2).toLowerCase(), attrs[k]);
+      else node.setAttribute(k, attrs[k]);
+    }
+    children.flat().forEach(c=>{
+      if(c === null || c === undefined || c === false) return;
+      if(typeof c === 'string' || typeof c === 'number') node.appendChild(document.createTextNode(String(c)));
+      else node.appendChild(c);
+    });
+    return node;
+  }
+  function formError(id){ return el('div',{class:'form-error', id, role:'alert'}); }
+  function showFormError(id, err){ const box = byId(id); if(box) box.textContent = err.message; }
+
+  // rejects with the server's message (or the first validation error). Like app.js, writes carry an
+  // Idempotency-Key and are sent again if the connection fails, so a lost response can't book twice.
+  async function request(method, path, payload){
+    const headers = payload ? { 'Content-Type': 'application/json' } : {};
+    if(method !== 'GET') headers['Idempotency-Key'] = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2,'0')).join('');
+    let res;
+    for(let attempt = 0; !res; attempt++){
+      try {
+        res = await fetch(path, { method, headers, body: payload ? JSON.stringify(payload) : undefined });
+      } catch(e){
+        if(method === 'GET' || attempt >= WRITE_RETRIES) throw new Error('Cannot reach the clinic\'s booking service');
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      }
+    }
+    const data = await res.json().catch(()=> ({}));
+    if(!res.ok){
+      const message = data.error || (data.errors && data.errors[0] && `${data.errors[0].msg} (${data.errors[0].param})`) || `Request failed (${res.status})`;
+      throw new Error(message);
+    }
+    return data;
+  }
+
+  // "Mon 19 Oct"; slot dates are the clinic's calendar dates, so no time zone conversion
+  function formatDate(date){
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+  function specialities(){ return [...new Set(state.doctors.map(d => d.speciality).filter(Boolean))].sort(); }
+  function slotsByDate(slots){
+    const days = new Map();
+    slots.forEach(s => { if(!days.has(s.date)) days.set(s.date, []); days.get(s.date).push(s); });
+    return [...days];
+  }
+  function bookingSummary(b){
+    return el('div',{},
+      el('div',{style:'font-weight:700'}, `${formatDate(b.date)}, ${b.time}–${b.endTime}`),
+      el('div',{}, `${b.doctorName}${b.speciality ? ` • ${b.speciality}` : ''}`),
+      b.room && el('div',{class:'small'}, `Room ${b.room}`));
+  }
+
+  // ---------- Views ----------
+  function render(){
+    document.querySelectorAll('.portal-tabs .tab').forEach(t => t.setAttribute('aria-selected', String(t.dataset.view === state.view)));
+    content.innerHTML = '';
+    content.appendChild(state.view === 'book' ? renderBook() : renderManage());
+    if(state.clinic) content.appendChild(el('p',{class:'small'}, `Times are shown in the clinic's local time (${state.clinic.timeZone}).`));
+  }
+
+  function renderBook(){
+    if(state.booked) return renderBooked(state.booked);
+    if(state.picked) return renderBookingForm(state.picked);
+    const q = state.query;
+    const doctors = state.doctors.filter(d => !q.speciality || d.speciality === q.speciality);
+    const view = el('div',{class:'card'});
+    view.appendChild(el('div',{class:'h-title'}, 'Find a free time'));
+    view.appendChild(el('div',{class:'list-filters'},
+      el('div',{class:'field'}, el('label',{for:'portalSpeciality'}, 'Speciality'),
+        el('select',{id:'portalSpeciality', onChange:e=> { q.speciality = e.target.value; q.doctorId = ''; findSlots(); }},
+          el('option',{value:''}, 'Any'),
+          specialities().map(sp => el('option', sp === q.speciality ? {value:sp, selected:''} : {value:sp}, sp)))),
+      el('div',{class:'field'}, el('label',{for:'portalDoctor'}, 'Doctor'),
+        el('select',{id:'portalDoctor', onChange:e=> { q.doctorId = e.target.value; findSlots(); }},
+          el('option',{value:''}, 'Any doctor'),
+          doctors.map(d => el('option', d.id === q.doctorId ? {value:d.id, selected:''} : {value:d.id}, d.name)))),
+      el('div',{class:'field'}, el('label',{for:'portalFrom'}, 'From'),
+        el('input',{type:'date', id:'portalFrom', value:q.from, onChange:e=> { q.from = e.target.value; findSlots(); }}))));
+    view.appendChild(renderSlotPicker(state.slots, true, slot => { state.picked = slot; render(); }));
+    return view;
+  }
+
+  // free times grouped by day; `showDoctor` when they may belong to different doctors
+  function renderSlotPicker(slots, showDoctor, onPick){
+    if(!slots.length) return el('div',{class:'small'}, 'No free times found. Try another doctor or date, or call the clinic.');
+    return el('div',{}, slotsByDate(slots).map(([date, daySlots]) => el('div',{class:'portal-day'},
+      el('div',{class:'portal-date'}, formatDate(date)),
+      el('div',{class:'portal-times'}, daySlots.map(s => el('button',{class:'btn secondary', 'data-slot-id': s.id, onClick:()=> onPick(s)},
+        s.time, showDoctor && el('span',{class:'small'}, ` ${s.doctor_name}`)))))));
+  }
+
+  function renderBookingForm(slot){
+    const view = el('div',{class:'card'},
+      el('div',{class:'h-title'}, 'Your details'),
+      el('div',{style:'margin:8px 0 12px'}, bookingSummary({ date: slot.date, time: slot.time, endTime: slot.end_time, doctorName: slot.doctor_name, speciality: slot.speciality, room: slot.room })),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{for:'portalName'}, 'Full name'), el('input',{type:'text', id:'portalName', autocomplete:'name'})),
+        el('div',{class:'field'}, el('label',{for:'portalPhone'}, 'Phone number'), el('input',{type:'tel', id:'portalPhone', autocomplete:'tel'}))),
+      el('div',{class:'field'}, el('label',{for:'portalReason'}, 'Reason for the visit (optional)'), el('input',{type:'text', id:'portalReason'})),
+      formError('portalBookError'),
+      el('div',{class:'actions'},
+        el('button',{class:'btn', onClick: async ()=> {
+          const name = byId('portalName').value.trim();
+          const phone = byId('portalPhone').value.trim();
+          if(!name || !phone) return showFormError('portalBookError', new Error('Please enter your name and phone number'));
+          try {
+            state.booked = await request('POST', '/public/bookings', { slotId: slot.id, name, phone, reason: byId('portalReason').value.trim() || null });
+          } catch(e){
+            return showFormError('portalBookError', e);
+          }
+          state.picked = null;
+          render();
+        }}, 'Book this time'),
+        el('button',{class:'btn secondary', onClick:()=> { state.picked = null; findSlots(); }}, 'Back')));
+    return view;
+  }
+
+  function renderBooked(b){
+    return el('div',{class:'card'},
+      el('div',{class:'h-title'}, 'You are booked'),
+      el('div',{style:'margin:8px 0 12px'}, bookingSummary(b)),
+      el('div',{class:'small'}, 'Your confirmation code'),
+      el('div',{class:'portal-code', id:'portalCode'}, b.code),
+      el('p',{class:'small'}, 'Keep this code. With it and your phone number you can cancel or change this booking under "My booking".'),
+      el('div',{class:'actions'}, el('button',{class:'btn secondary', onClick:()=> { state.booked = null; findSlots(); }}, 'Book another visit')));
+  }
+
+  function renderManage(){
+    if(state.booking) return renderBooking(state.booking);
+    const view = el('div',{class:'card'},
+      el('div',{class:'h-title'}, 'Find your booking'),
+      el('div',{class:'form-row'},
+        el('div',{class:'field'}, el('label',{for:'lookupCode'}, 'Confirmation code'), el('input',{type:'text', id:'lookupCode', autocomplete:'off'})),
+        el('div',{class:'field'}, el('label',{for:'lookupPhone'}, 'Phone number'), el('input',{type:'tel', id:'lookupPhone', autocomplete:'tel'}))),
+      formError('lookupError'),
+      el('div',{class:'actions'}, el('button',{class:'btn', onClick: async ()=> {
+        const lookup = { code: byId('lookupCode').value.trim(), phone: byId('lookupPhone').value.trim() };
+        if(!lookup.code || !lookup.phone) return showFormError('lookupError', new Error('Please enter the code and your phone number'));
+        try {
+          state.booking = await request('POST', '/public/bookings/find', lookup);
+        } catch(e){
+          return showFormError('lookupError', e);
+        }
+        state.lookup = lookup;
+        render();
+      }}, 'Find booking')));
+    return view;
+  }
+
+  const STATUS_TEXT = { Confirmed: 'Confirmed', CheckedIn: 'Checked in', InConsultation: 'In consultation', Completed: 'Completed', Cancelled: 'Cancelled', NoShow: 'Missed' };
+
+  function renderBooking(b){
+    const view = el('div',{class:'card'},
+      el('div',{class:'header-row'}, el('div',{class:'h-title'}, `Booking ${b.code}`),
+        el('span',{class:`badge ${b.status === 'Confirmed' ? 'green' : b.status === 'Cancelled' ? 'red' : ''}`}, STATUS_TEXT[b.status] || b.status)),
+      bookingSummary(b),
+      b.reason && el('div',{class:'small'}, `Reason: ${b.reason}`),
+      formError('bookingError'));
+    if(state.moveSlots){
+      view.appendChild(el('div',{class:'h-title', style:'margin-top:12px'}, `Other free times with ${b.doctorName}`));
+      view.appendChild(renderSlotPicker(state.moveSlots.filter(s => s.date !== b.date || s.time !== b.time), false, moveBooking));
+      view.appendChild(el('div',{class:'actions', style:'margin-top:12px'}, el('button',{class:'btn secondary', onClick:()=> { state.moveSlots = null; render(); }}, 'Keep my time')));
+      return view;
+    }
+    view.appendChild(el('div',{class:'actions', style:'margin-top:12px'},
+      b.changeable && el('button',{class:'btn', onClick: showMoveSlots}, 'Change time'),
+      b.cancellable && el('button',{class:'btn secondary', onClick: cancelBooking}, 'Cancel booking'),
+      el('button',{class:'btn secondary', onClick:()=> { state.booking = null; state.lookup = null; render(); }}, 'Done')));
+    if(!b.changeable && b.status === 'Confirmed') view.appendChild(el('p',{class:'small'}, 'To change this booking, please call the clinic.'));
+    else if(b.changeable && !b.cancellable) view.appendChild(el('p',{class:'small'}, 'It is too close to your appointment to cancel online; please call the clinic.'));
+    return view;
+  }
+
+  // ---------- Actions ----------
+  async function findSlots(){
+    const q = state.query;
+    const params = new URLSearchParams(Object.entries(q).filter(([, v]) => v));
+    try {
+      state.slots = await request('GET', `/public/slots?${params}`);
+    } catch(e){
+      state.slots = [];
+      alert(e.message);
+    }
+    render();
+  }
+
+  async function showMoveSlots(){
+    try {
+      state.moveSlots = await request('GET', `/public/slots?doctorId=${encodeURIComponent(state.booking.doctorId)}`);
+    } catch(e){
+      return showFormError('bookingError', e);
+    }
+    render();
+  }
+
+  async function moveBooking(slot){
+    if(!confirm(`Move your booking to ${formatDate(slot.date)} at ${slot.time}?`)) return;
+    try {
+      state.booking = await request('POST', '/public/bookings/reschedule', Object.assign({ slotId: slot.id }, state.lookup));
+    } catch(e){
+      return showFormError('bookingError', e);
+    }
+    state.moveSlots = null;
+    render();
+  }
+
+  async function cancelBooking(){
+    if(!confirm('Cancel this booking?')) return;
+    try {
+      state.booking = await request('POST', '/public/bookings/cancel', state.lookup);
+    } catch(e){
+      return showFormError('bookingError', e);
+    }
+    render();
+  }
+
+  // ---------- Init ----------
+  document.querySelectorAll('.portal-tabs .tab').forEach(tab => tab.addEventListener('click', ()=> { state.view = tab.dataset.view; render(); }));
+
+  (async function init(){
+    try {
+      const [clinic, doctors] = await Promise.all([request('GET', '/clinic'), request('GET', '/public/doctors')]);
+      state.clinic = clinic;
+      state.doctors = doctors;
+      state.query.from = clinic.today;
+      byId('clinicName').textContent = `🩺 ${clinic.name}`;
+      document.title = `Book an appointment — ${clinic.name}`;
+    } catch(e){
+      content.textContent = `The booking service is not available right now (${e.message}). Please call the clinic.`;
+      return;
+    }
+    findSlots();
+  })();
+})();
@@ -1,228 +1,2719 @@
-// server.js
-require('dotenv').config();
-const express = require('express');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const cors = require('cors');
-const { body, param, validationResult, query } = require('express-validator');
-const { connect } = require('./db');
-const { v4: uuidv4 } = require('uuid');
-
-const PORT = process.env.PORT || 4000;
-const app = express();
-
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
-
-// open DB
-const db = connect();
-db.pragma('foreign_keys = ON');
-
-// Simple helper to send validation errors
-function handleValidation(req, res) {
-  const errs = validationResult(req);
-  if (!errs.isEmpty()) {
-    return res.status(400).json({ errors: errs.array() });
-  }
-  return null;
-}
-
-/*
-  DOCTORS
-*/
-app.get('/doctors', (req, res) => {
-  const rows = db.prepare('SELECT * FROM doctors ORDER BY name').all();
-  res.json(rows);
-});
-
-app.post('/doctors',
-  body('id').isString().trim().notEmpty(),
-  body('name').isString().trim().notEmpty(),
-  body('speciality').optional().isString(),
-  body('room').optional().isString(),
-  (req, res) => {
-    if (handleValidation(req, res)) return;
-    const { id, name, speciality, room } = req.body;
-    try {
-      const stmt = db.prepare('INSERT INTO doctors (id,name,speciality,room) VALUES (?, ?, ?, ?)');
-      stmt.run(id, name, speciality || null, room || null);
-      return res.status(201).json({ id, name, speciality, room });
-    } catch (err) {
-      if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') return res.status(409).json({ error: 'Doctor ID already exists' });
-      console.error(err);
-      return res.status(500).json({ error: 'Internal error' });
-    }
-  });
-
-app.put('/doctors/:id',
-  param('id').isString(),
-  body('name').optional().isString(),
-  body('speciality').optional().isString(),
-  body('room').optional().isString(),
-  (req, res) => {
-    if (handleValidation(req, res)) return;
-    const id = req.params.id;
-    const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(id);
-    if (!doc) return res.status(404).json({ error: 'Doctor not found' });
-    const { name = doc.name, speciality = doc.speciality, room = doc.room } = req.body;
-    db.prepare('UPDATE doctors SET name = ?, speciality = ?, room = ? WHERE id = ?').run(name, speciality, room, id);
-    res.json({ id, name, speciality, room });
-  });
-
-app.delete('/doctors/:id', param('id').isString(), (req, res) => {
-  const id = req.params.id;
-  db.prepare('DELETE FROM doctors WHERE id = ?').run(id);
-  res.status(204).send();
-});
-
-/*
-  SLOTS
-*/
-app.get('/slots',
-  // optional query filters: doctorId, date
-  query('doctorId').optional().isString(),
-  query('date').optional().isISO8601(),
-  (req, res) => {
-    const { doctorId, date } = req.query;
-    let sql = 'SELECT s.*, d.name as doctor_name, d.speciality FROM slots s JOIN doctors d ON d.id = s.doctor_id';
-    const where = [];
-    const vals = [];
-    if (doctorId) { where.push('s.doctor_id = ?'); vals.push(doctorId); }
-    if (date) { where.push('s.date = ?'); vals.push(date); }
-    if (where.length) sql += ' WHERE ' + where.join(' AND ');
-    sql += ' ORDER BY s.date, s.time';
-    const rows = db.prepare(sql).all(...vals);
-    res.json(rows);
-  });
-
-app.post('/slots',
-  body('doctorId').isString().notEmpty(),
-  body('date').isISO8601(),
-  body('time').matches(/^([0-1]\d|2[0-3]):([0-5]\d)$/),
-  (req, res) => {
-    if (handleValidation(req, res)) return;
-    const { doctorId, date, time } = req.body;
-    // ensure doctor exists
-    const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(doctorId);
-    if (!doc) return res.status(400).json({ error: 'Doctor not found' });
-
-    const id = uuidv4();
-    try {
-      db.prepare('INSERT INTO slots (id, doctor_id, date, time) VALUES (?, ?, ?, ?)').run(id, doctorId, date, time);
-      res.status(201).json({ id, doctorId, date, time });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ error: 'Internal error' });
-    }
-  });
-
-app.put('/slots/:id',
-  param('id').isString(),
-  body('doctorId').optional().isString(),
-  body('date').optional().isISO8601(),
-  body('time').optional().matches(/^([0-1]\d|2[0-3]):([0-5]\d)$/),
-  (req, res) => {
-    if (handleValidation(req, res)) return;
-    const id = req.params.id;
-    const s = db.prepare('SELECT * FROM slots WHERE id = ?').get(id);
-    if (!s) return res.status(404).json({ error: 'Slot not found' });
-
-    // if slot has appointment -> prevent changing basic identity (optional)
-    const appt = db.prepare('SELECT * FROM appointments WHERE slot_id = ?').get(id);
-    if (appt) return res.status(409).json({ error: 'Cannot edit slot with an existing appointment' });
-
-    const doctorId = req.body.doctorId || s.doctor_id;
-    const date = req.body.date || s.date;
-    const time = req.body.time || s.time;
-    db.prepare('UPDATE slots SET doctor_id = ?, date = ?, time = ? WHERE id = ?').run(doctorId, date, time, id);
-    res.json({ id, doctorId, date, time });
-  });
-
-app.delete('/slots/:id', param('id').isString(), (req, res) => {
-  const id = req.params.id;
-  // deleting slot will cascade-delete appointment (foreign key ON DELETE CASCADE)
-  db.prepare('DELETE FROM slots WHERE id = ?').run(id);
-  res.status(204).send();
-});
-
-/*
-  APPOINTMENTS (booking)
-  Important: prevent double-booking using a transaction and a UNIQUE constraint on slot_id
-*/
-app.get('/appointments', (req, res) => {
-  const rows = db.prepare(`
-    SELECT a.*, s.date, s.time, s.doctor_id, d.name as doctor_name, d.speciality
-    FROM appointments a
-    LEFT JOIN slots s ON s.id = a.slot_id
-    LEFT JOIN doctors d ON d.id = s.doctor_id
-    ORDER BY a.created_at DESC
-  `).all();
-  res.json(rows);
-});
-
-app.get('/appointments/:id', param('id').isString(), (req, res) => {
-  const id = req.params.id;
-  const a = db.prepare(`
-    SELECT a.*, s.date, s.time, s.doctor_id, d.name as doctor_name, d.speciality
-    FROM appointments a
-    LEFT JOIN slots s ON s.id = a.slot_id
-    LEFT JOIN doctors d ON d.id = s.doctor_id
-    WHERE a.id = ?
-  `).get(id);
-  if (!a) return res.status(404).json({ error: 'Appointment not found' });
-  res.json(a);
-});
-
-app.post('/appointments',
-  body('slotId').isString().notEmpty(),
-  body('patientName').isString().trim().notEmpty(),
-  body('patientPhone').optional().isString(),
-  body('reason').optional().isString(),
-  async (req, res) => {
-    if (handleValidation(req, res)) return;
-    const { slotId, patientName, patientPhone, reason } = req.body;
-
-    // ensure slot exists
-    const slot = db.prepare('SELECT * FROM slots WHERE id = ?').get(slotId);
-    if (!slot) return res.status(400).json({ error: 'Slot not found' });
-
-    // Try to insert appointment in a transaction; UNIQUE(slot_id) prevents double-booking
-    const id = uuidv4();
-    const createdAt = new Date().toISOString();
-
-    const insert = db.prepare(`INSERT INTO appointments (id, slot_id, patient_name, patient_phone, reason, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`);
-    const txn = db.transaction(() => {
-      insert.run(id, slotId, patientName, patientPhone || null, reason || null, 'Confirmed', createdAt);
-    });
-
-    try {
-      txn();
-      const inserted = db.prepare('SELECT * FROM appointments WHERE id = ?').get(id);
-      return res.status(201).json(inserted);
-    } catch (err) {
-      // If the slot_id unique constraint failed, it's a double-book
-      if (err.code && err.code.startsWith('SQLITE_CONSTRAINT')) {
-        return res.status(409).json({ error: 'Slot already booked' });
-      }
-      console.error(err);
-      return res.status(500).json({ error: 'Internal error' });
-    }
-  });
-
-app.delete('/appointments/:id', param('id').isString(), (req, res) => {
-  const id = req.params.id;
-  db.prepare('DELETE FROM appointments WHERE id = ?').run(id);
-  res.status(204).send();
-});
-
-/*
-  Health check
-*/
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
-
-// start server
-app.listen(PORT, () => {
-  console.log(`Doctor Booking API listening on http://localhost:${PORT}`);
-});
+// server.js
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const cors = require('cors');
+const { body, param, validationResult, query } = require('express-validator');
+const { connect, migrate, pendingMigrations } = require('./db');
+const { ROLES, hashPassword, verifyPassword, createToken, hashToken, createConfirmationCode } = require('./auth');
+const { v4: uuidv4 } = require('uuid');
+const { appointmentEvent, calendar } = require('./ics');
+const { parseCsv, toCsv } = require('./csv');
+const notifications = require('./notifications');
+const { resolveTimeZone, localDate, localDateTime, addDays, toInstant } = require('./timezone');
+
+const PORT = process.env.PORT || 4000;
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+const MAX_GENERATE_DAYS = 366;
+const TIME_RE = /^([0-1]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_SLOT_MINUTES = 30;
+const MAX_PAGE_SIZE = 200;
+const FEED_HISTORY_DAYS = 90;
+// calendar files end up on phones and shared calendars: only these roles may put patient details in them
+const CALENDAR_PATIENT_ROLES = ['admin', 'doctor'];
+// big enough for a clinic's worth of CSV/JSON rows on /import
+const BODY_LIMIT = process.env.BODY_LIMIT || '5mb';
+// slot dates and times are wall-clock time in this zone; "today" and "now" are the clinic's
+const CLINIC_TIMEZONE = resolveTimeZone(process.env.CLINIC_TIMEZONE);
+const CLINIC_NAME = process.env.CLINIC_NAME || 'the clinic';
+// how many days ahead the patient portal offers slots
+const PORTAL_DAYS_AHEAD = Number(process.env.PORTAL_DAYS_AHEAD) || 30;
+const HOLD_MINUTES = Number(process.env.HOLD_MINUTES) || 5;
+// how long a write's Idempotency-Key is remembered
+const IDEMPOTENCY_KEY_HOURS = Number(process.env.IDEMPOTENCY_KEY_HOURS) || 24;
+const app = express();
+
+app.use(helmet());
+app.use(cors());
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.text({ type: 'text/csv', limit: BODY_LIMIT }));
+app.use(morgan('dev'));
+
+// open DB; an out-of-date schema is migrated when AUTO_MIGRATE=true, otherwise the server won't start
+const db = connect();
+db.pragma('foreign_keys = ON');
+if (pendingMigrations(db).length) {
+  if (process.env.AUTO_MIGRATE !== 'true') {
+    console.error('Database schema is out of date: run `npm run migrate` (or start with AUTO_MIGRATE=true)');
+    process.exit(1);
+  }
+  migrate(db).forEach(m => console.log(`Applied migration ${m.version}: ${m.name}`));
+}
+// clinic_date(iso timestamp) -> the clinic's YYYY-MM-DD at that moment, for SQL that compares timestamps with slot dates
+db.function('clinic_date', { deterministic: true }, iso => (iso ? localDate(CLINIC_TIMEZONE, iso) : null));
+
+// Simple helper to send validation errors
+function handleValidation(req, res) {
+  const errs = validationResult(req);
+  if (!errs.isEmpty()) {
+    return res.status(400).json({ errors: errs.array() });
+  }
+  return null;
+}
+
+/*
+  IDEMPOTENCY
+  Any POST, PUT or DELETE may carry an `Idempotency-Key` header (e.g. a UUID), so a client whose connection
+  dropped can send the same request again without booking twice: the first response is stored and replayed,
+  marked `Idempotent-Replayed: true`. Keys belong to the user (or to the client address without a login) and
+  are forgotten after IDEMPOTENCY_KEY_HOURS. The same key with another method, URL or body gets 422, and a
+  retry that arrives while the first request is still running gets 409. Server errors, 401 and 429 are not
+  stored, so those requests can be retried for real. /auth is left out: its responses hold session tokens.
+*/
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'DELETE'];
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// user:<id> for a valid session, ip:<address> without one, null for a stale token (the route answers 401)
+function idempotencyScope(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return `ip:${req.ip}`;
+  const session = db.prepare('SELECT user_id, expires_at FROM sessions WHERE token_hash = ?').get(hashToken(match[1]));
+  return session && session.expires_at > new Date().toISOString() ? `user:${session.user_id}` : null;
+}
+
+function requestFingerprint(req) {
+  return crypto.createHash('sha256').update(JSON.stringify([req.method, req.originalUrl, req.body === undefined ? null : req.body])).digest('hex');
+}
+
+app.use((req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method) || req.path.startsWith('/auth/')) return next();
+  if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+  }
+  const scope = idempotencyScope(req);
+  if (!scope) return next();
+  const fingerprint = requestFingerprint(req);
+  const now = new Date();
+
+  const stored = db.transaction(() => {
+    db.prepare('DELETE FROM idempotency_keys WHERE created_at <= ?').run(new Date(now.getTime() - IDEMPOTENCY_KEY_HOURS * 3600 * 1000).toISOString());
+    const row = db.prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?').get(scope, key);
+    if (!row) {
+      db.prepare('INSERT INTO idempotency_keys (scope, key, fingerprint, created_at) VALUES (?, ?, ?, ?)').run(scope, key, fingerprint, now.toISOString());
+    }
+    return row;
+  })();
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+    if (stored.status === null) return res.status(409).json({ error: 'A request with this Idempotency-Key is still being handled; try again shortly' });
+    res.status(stored.status).set('Idempotent-Replayed', 'true');
+    if (stored.body === null) return res.end();
+    return res.type(stored.content_type || 'json').send(stored.body);
+  }
+
+  // keep the response as it goes out (res.json ends up in res.send), whether or not the client is still there
+  let settled = false;
+  const send = res.send;
+  res.send = function (payload) {
+    if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) return send.call(this, payload);
+    const result = send.call(this, payload);
+    if (!settled && res.statusCode < 500 && ![401, 429].includes(res.statusCode)) {
+      settled = true;
+      db.prepare('UPDATE idempotency_keys SET status = ?, content_type = ?, body = ? WHERE scope = ? AND key = ?')
+        .run(res.statusCode, res.get('Content-Type') || null, payload === undefined ? null : String(payload), scope, key);
+    }
+    return result;
+  };
+  // nothing worth replaying (an error, or a response sent some other way): free the key for a real retry
+  res.on('close', () => {
+    if (!settled) db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND status IS NULL').run(scope, key);
+  });
+  next();
+});
+
+/*
+  AUTH
+  POST /auth/login returns a bearer token; every other route (except /health) requires
+  `Authorization: Bearer <token>` and may further be limited by role.
+*/
+function publicUser(u) {
+  return { id: u.id, username: u.username, name: u.name, role: u.role, doctor_id: u.doctor_id };
+}
+
+function authenticate(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return res.status(401).json({ error: 'Authentication required' });
+  const tokenHash = hashToken(match[1]);
+  const row = db.prepare(`
+    SELECT u.*, s.expires_at FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ?
+  `).get(tokenHash);
+  if (!row || row.expires_at <= new Date().toISOString()) {
+    return res.status(401).json({ error: 'Session expired or invalid' });
+  }
+  req.user = publicUser(row);
+  req.tokenHash = tokenHash;
+  next();
+}
+
+// usage: app.post('/doctors', requireRole('admin'), ...)
+function requireRole(...roles) {
+  return [authenticate, (req, res, next) => {
+    if (!roles.includes(req.user.role)) return res.status(403).json({ error: `Not allowed for role ${req.user.role}` });
+    next();
+  }];
+}
+
+// doctors only see their own slots and appointments: returns their doctor id, or null for other roles
+function doctorScope(req) {
+  return req.user.role === 'doctor' ? req.user.doctor_id || '' : null;
+}
+
+app.post('/auth/login',
+  body('username').isString().trim().notEmpty(),
+  body('password').isString().notEmpty(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { username, password } = req.body;
+    const user = db.prepare(`
+      SELECT u.*, c.password_hash, c.salt FROM users u
+      JOIN credentials c ON c.user_id = u.id
+      WHERE u.username = ?
+    `).get(username);
+    if (!user || !verifyPassword(password, user.salt, user.password_hash)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 3600 * 1000).toISOString();
+    const token = createToken();
+    db.transaction(() => {
+      db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now.toISOString());
+      db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(hashToken(token), user.id, now.toISOString(), expiresAt);
+    })();
+    res.json({ token, expiresAt, user: publicUser(user) });
+  });
+
+app.post('/auth/logout', authenticate, (req, res) => {
+  releaseHolds(req.tokenHash);
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(req.tokenHash);
+  res.status(204).send();
+});
+
+app.get('/auth/me', authenticate, (req, res) => res.json(req.user));
+
+/*
+  USERS (admin only)
+*/
+app.get('/users', requireRole('admin'), (req, res) => {
+  const rows = db.prepare('SELECT * FROM users ORDER BY username').all();
+  res.json(rows.map(publicUser));
+});
+
+app.post('/users',
+  requireRole('admin'),
+  body('username').isString().trim().notEmpty(),
+  body('name').isString().trim().notEmpty(),
+  body('role').isIn(ROLES),
+  body('doctorId').optional({ nullable: true }).isString(),
+  body('password').isString().isLength({ min: 8 }),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { username, name, role, doctorId, password } = req.body;
+    if (role === 'doctor' && !db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId || '')) {
+      return res.status(400).json({ error: 'Doctor users need an existing doctorId' });
+    }
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const { hash, salt } = hashPassword(password);
+    try {
+      db.transaction(() => {
+        db.prepare('INSERT INTO users (id, username, name, role, doctor_id, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+          .run(id, username, name, role, role === 'doctor' ? doctorId : null, now);
+        db.prepare('INSERT INTO credentials (user_id, password_hash, salt, updated_at) VALUES (?, ?, ?, ?)').run(id, hash, salt, now);
+        audit(req.user.id, 'user', id, null);
+      })();
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return res.status(409).json({ error: 'Username already exists' });
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+    res.status(201).json(publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id)));
+  });
+
+app.put('/users/:id',
+  requireRole('admin'),
+  param('id').isString(),
+  body('name').optional().isString().trim().notEmpty(),
+  body('role').optional().isIn(ROLES),
+  body('doctorId').optional({ nullable: true }).isString(),
+  body('password').optional().isString().isLength({ min: 8 }),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    const { name = u.name, role = u.role, password } = req.body;
+    const doctorId = role === 'doctor' ? (req.body.doctorId !== undefined ? req.body.doctorId : u.doctor_id) : null;
+    if (role === 'doctor' && !db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId || '')) {
+      return res.status(400).json({ error: 'Doctor users need an existing doctorId' });
+    }
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare('UPDATE users SET name = ?, role = ?, doctor_id = ? WHERE id = ?').run(name, role, doctorId, u.id);
+      if (password) {
+        const { hash, salt } = hashPassword(password);
+        db.prepare('UPDATE credentials SET password_hash = ?, salt = ?, updated_at = ? WHERE user_id = ?').run(hash, salt, now, u.id);
+        // a password change signs the user out everywhere
+        db.prepare('DELETE FROM sessions WHERE user_id = ?').run(u.id);
+      }
+      audit(req.user.id, 'user', u.id, u, { note: password ? 'Password changed' : null });
+    })();
+    res.json(publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(u.id)));
+  });
+
+app.delete('/users/:id', requireRole('admin'), param('id').isString(), (req, res) => {
+  if (req.params.id === req.user.id) return res.status(409).json({ error: 'You cannot delete your own account' });
+  auditedDelete(req.user.id, [['user', req.params.id]], () => db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id));
+  res.status(204).send();
+});
+
+/*
+  DOCTORS
+*/
+app.get('/doctors', authenticate, (req, res) => {
+  const rows = db.prepare('SELECT * FROM doctors ORDER BY name').all();
+  res.json(rows);
+});
+
+app.post('/doctors',
+  requireRole('admin'),
+  body('id').isString().trim().notEmpty(),
+  body('name').isString().trim().notEmpty(),
+  body('speciality').optional().isString(),
+  body('room').optional().isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { id, name, speciality } = req.body;
+    const room = req.body.room ? req.body.room.trim() : null;
+    if (room && !findRoom(room)) return res.status(400).json({ error: `Room ${room} not found` });
+    try {
+      db.transaction(() => {
+        db.prepare('INSERT INTO doctors (id,name,speciality,room) VALUES (?, ?, ?, ?)').run(id, name, speciality || null, room);
+        audit(req.user.id, 'doctor', id, null);
+      })();
+      return res.status(201).json({ id, name, speciality, room });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') return res.status(409).json({ error: 'Doctor ID already exists' });
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+  });
+
+app.put('/doctors/:id',
+  requireRole('admin'),
+  param('id').isString(),
+  body('name').optional().isString(),
+  body('speciality').optional().isString(),
+  body('room').optional().isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const id = req.params.id;
+    const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(id);
+    if (!doc) return res.status(404).json({ error: 'Doctor not found' });
+    const { name = doc.name, speciality = doc.speciality } = req.body;
+    // the default room for the doctor's new slots; slots already made keep theirs
+    const room = req.body.room === undefined ? doc.room : req.body.room.trim() || null;
+    if (room && room !== doc.room && !findRoom(room)) return res.status(400).json({ error: `Room ${room} not found` });
+    db.transaction(() => {
+      db.prepare('UPDATE doctors SET name = ?, speciality = ?, room = ? WHERE id = ?').run(name, speciality, room, id);
+      audit(req.user.id, 'doctor', id, doc);
+    })();
+    res.json({ id, name, speciality, room });
+  });
+
+app.delete('/doctors/:id', requireRole('admin'), param('id').isString(), (req, res) => {
+  const id = req.params.id;
+  // a doctor with appointments (cancelled ones included) keeps them, their history and notes: refuse rather than cascade
+  if (db.prepare('SELECT 1 FROM appointments a JOIN slots s ON s.id = a.slot_id WHERE s.doctor_id = ?').get(id)) {
+    return res.status(409).json({ error: 'Doctor has appointments; they cannot be deleted' });
+  }
+  // ON DELETE CASCADE takes the doctor's empty slots, waitlist entries, leave and booking rules along
+  const slotIds = db.prepare('SELECT id FROM slots WHERE doctor_id = ?').all(id).map(r => r.id);
+  const waitlistIds = db.prepare('SELECT id FROM waitlist WHERE doctor_id = ?').all(id).map(r => r.id);
+  const leaveIds = db.prepare('SELECT id FROM doctor_leave WHERE doctor_id = ?').all(id).map(r => r.id);
+  const hasRules = !!bookingRuleRow(id);
+  auditedDelete(req.user.id, [
+    ['doctor', id],
+    ...slotIds.map(x => ['slot', x]),
+    ...waitlistIds.map(x => ['waitlist', x]),
+    ...leaveIds.map(x => ['leave', x]),
+    ...(hasRules ? [['booking_rules', id]] : [])
+  ], () => db.prepare('DELETE FROM doctors WHERE id = ?').run(id), `Doctor ${id} deleted`);
+  res.status(204).send();
+});
+
+/*
+  ROOMS
+  Consulting rooms, keyed by their number or code. A doctor's `room` is the default room for their new
+  slots; each slot records the room it takes up (`room_id`, or none), and no two slots may use a room at
+  overlapping times.
+*/
+function findRoom(id) {
+  return db.prepare('SELECT * FROM rooms WHERE id = ?').get(id);
+}
+
+app.get('/rooms', authenticate, (req, res) => {
+  res.json(db.prepare('SELECT * FROM rooms ORDER BY id').all());
+});
+
+app.post('/rooms',
+  requireRole('admin'),
+  body('id').isString().trim().notEmpty(),
+  body('name').optional({ nullable: true }).isString().trim(),
+  body('notes').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { id } = req.body;
+    if (findRoom(id)) return res.status(409).json({ error: 'Room ID already exists' });
+    db.transaction(() => {
+      db.prepare('INSERT INTO rooms (id, name, notes, created_at) VALUES (?, ?, ?, ?)')
+        .run(id, req.body.name || null, req.body.notes || null, new Date().toISOString());
+      audit(req.user.id, 'room', id, null);
+    })();
+    res.status(201).json(findRoom(id));
+  });
+
+app.put('/rooms/:id',
+  requireRole('admin'),
+  param('id').isString(),
+  body('name').optional({ nullable: true }).isString().trim(),
+  body('notes').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const room = findRoom(req.params.id);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    const name = req.body.name === undefined ? room.name : req.body.name || null;
+    const notes = req.body.notes === undefined ? room.notes : req.body.notes || null;
+    db.transaction(() => {
+      db.prepare('UPDATE rooms SET name = ?, notes = ? WHERE id = ?').run(name, notes, room.id);
+      audit(req.user.id, 'room', room.id, room);
+    })();
+    res.json(findRoom(room.id));
+  });
+
+// a room still in use (some doctor's default, or slots from today on) can't go; past slots keep its id
+app.delete('/rooms/:id', requireRole('admin'), param('id').isString(), (req, res) => {
+  const id = req.params.id;
+  if (!findRoom(id)) return res.status(404).json({ error: 'Room not found' });
+  const doctors = db.prepare('SELECT name FROM doctors WHERE room = ? ORDER BY name').all(id).map(d => d.name);
+  if (doctors.length) return res.status(409).json({ error: `Room ${id} is the default room of ${doctors.join(', ')}` });
+  const upcoming = db.prepare('SELECT COUNT(*) as n FROM slots WHERE room_id = ? AND date >= ?').get(id, todayISO()).n;
+  if (upcoming) return res.status(409).json({ error: `Room ${id} has ${upcoming} upcoming slot(s); move them to another room first` });
+  auditedDelete(req.user.id, [['room', id]], () => db.prepare('DELETE FROM rooms WHERE id = ?').run(id), `Room ${id} deleted`);
+  res.status(204).send();
+});
+
+/*
+  LISTS
+  GET /slots, GET /appointments, GET /patients and GET /audit share sorting and paging: ?sort=<key>&order=asc|desc, with ties
+  broken by id so pages are stable, and ?limit=&offset=. With `limit` the response is
+  { items, total, limit, offset }; without it the plain array, as before.
+*/
+function listParams(sortKeys) {
+  return [
+    query('sort').optional().isIn(sortKeys),
+    query('order').optional().isIn(['asc', 'desc']),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ];
+}
+
+// `from` is the FROM ... JOIN part; `sorts` maps each sort key to its ORDER BY columns
+function sendList(req, res, { columns, from, where, params, sorts, defaultSort, defaultOrder = 'asc', tieBreaker, map = r => r }) {
+  const sort = req.query.sort || defaultSort;
+  const order = req.query.order || (req.query.sort ? 'asc' : defaultOrder);
+  const orderBy = sorts[sort].concat(tieBreaker).map(c => `${c} ${order === 'desc' ? 'DESC' : 'ASC'}`).join(', ');
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const sql = `SELECT ${columns} ${from} ${whereSql} ORDER BY ${orderBy}`;
+  if (req.query.limit === undefined) return res.json(db.prepare(sql).all(...params).map(map));
+
+  const { limit } = req.query;
+  const offset = req.query.offset || 0;
+  const { total } = db.prepare(`SELECT COUNT(*) as total ${from} ${whereSql}`).get(...params);
+  const items = db.prepare(`${sql} LIMIT ? OFFSET ?`).all(...params, limit, offset).map(map);
+  res.json({ items, total, limit, offset });
+}
+
+/*
+  SLOTS
+  A slot runs from `time` for `duration` minutes; slots of one doctor may not overlap, and neither may
+  slots in the same room.
+*/
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function withEndTime(slot) {
+  return Object.assign({}, slot, { end_time: fromMinutes(toMinutes(slot.time) + slot.duration) });
+}
+
+// the doctor's other slots on that date that overlap [time, time + duration)
+function findSlotConflicts(doctorId, date, time, duration, excludeId = null) {
+  const start = toMinutes(time);
+  const end = start + duration;
+  return db.prepare('SELECT * FROM slots WHERE doctor_id = ? AND date = ? AND id IS NOT ? ORDER BY time')
+    .all(doctorId, date, excludeId)
+    .filter(s => toMinutes(s.time) < end && start < toMinutes(s.time) + s.duration)
+    .map(withEndTime);
+}
+
+function sendSlotConflict(res, conflicts) {
+  const list = conflicts.map(c => `${c.time}-${c.end_time}`).join(', ');
+  return res.status(409).json({ error: `Slot overlaps existing slot(s) for this doctor: ${list}`, conflicts });
+}
+
+// other slots in the room on that date that overlap [time, time + duration), whoever they belong to
+function findRoomConflicts(roomId, date, time, duration, excludeId = null) {
+  if (!roomId) return [];
+  const start = toMinutes(time);
+  const end = start + duration;
+  return db.prepare('SELECT s.*, d.name as doctor_name FROM slots s JOIN doctors d ON d.id = s.doctor_id WHERE s.room_id = ? AND s.date = ? AND s.id IS NOT ? ORDER BY s.time')
+    .all(roomId, date, excludeId)
+    .filter(s => toMinutes(s.time) < end && start < toMinutes(s.time) + s.duration)
+    .map(withEndTime);
+}
+
+function roomConflictMessage(roomId, conflicts) {
+  return `Room ${roomId} is in use at that time: ${conflicts.map(c => `${c.time}-${c.end_time} (${c.doctor_name})`).join(', ')}`;
+}
+
+/*
+  The room a created or edited slot takes up: `roomId` from the request when given (null or '' for none),
+  otherwise the slot's current room, or the doctor's default room for a new slot or one moved to
+  another doctor. Returns { roomId } or { error } for a room that doesn't exist.
+*/
+function slotRoom(requested, doctor, current = null) {
+  if (requested === undefined) {
+    return { roomId: current && current.doctor_id === doctor.id ? current.room_id : doctor.room || null };
+  }
+  const roomId = requested ? String(requested).trim() : null;
+  if (roomId && !findRoom(roomId)) return { error: `Room ${roomId} not found` };
+  return { roomId };
+}
+
+// slots may only be created or moved to times that haven't started yet (imports may carry history)
+function isPast(date, time) {
+  return `${date} ${time}` < localNow();
+}
+
+// a slot must end by midnight of its own date
+function endsSameDay(time, duration) {
+  return toMinutes(time) + duration <= 24 * 60;
+}
+
+const SLOT_SORTS = {
+  date: ['s.date', 's.time'],
+  doctor: ['d.name COLLATE NOCASE', 's.date', 's.time'],
+  duration: ['s.duration', 's.date', 's.time']
+};
+
+// a live hold comes back as held_by_name, hold_expires_at and hold_mine (placed by this session), the booking
+// as appointment_id
+const SLOT_COLUMNS = `s.*, d.name as doctor_name, d.speciality, hu.name as held_by_name, h.expires_at as hold_expires_at, h.token_hash as hold_token,
+  (SELECT a.id FROM appointments a WHERE a.slot_id = s.id AND a.status <> 'Cancelled') as appointment_id`;
+const SLOT_FROM = `FROM slots s JOIN doctors d ON d.id = s.doctor_id
+  LEFT JOIN slot_holds h ON h.slot_id = s.id AND h.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  LEFT JOIN users hu ON hu.id = h.user_id`;
+function slotRow(req, { hold_token, ...r }) {
+  return withEndTime(Object.assign(r, { hold_mine: hold_token === req.tokenHash }));
+}
+
+app.get('/slots',
+  authenticate,
+  // optional filters: doctorId, speciality, roomId, date or from/to, available=true (free, not on leave or closure days
+  // and not held by another session); doctors only ever see their own slots
+  query('doctorId').optional().isString(),
+  query('speciality').optional().isString(),
+  query('roomId').optional().isString(),
+  query('date').optional().isISO8601(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('available').optional().isBoolean().toBoolean(),
+  listParams(Object.keys(SLOT_SORTS)),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { date, from, to, speciality, roomId, available } = req.query;
+    const scope = doctorScope(req);
+    const doctorId = scope !== null ? scope : req.query.doctorId;
+    const where = [];
+    const params = [];
+    if (scope !== null || doctorId) { where.push('s.doctor_id = ?'); params.push(doctorId); }
+    if (speciality) { where.push('d.speciality = ?'); params.push(speciality); }
+    if (roomId) { where.push('s.room_id = ?'); params.push(roomId); }
+    if (date) { where.push('s.date = ?'); params.push(date); }
+    if (from) { where.push('s.date >= ?'); params.push(from); }
+    if (to) { where.push('s.date <= ?'); params.push(to); }
+    if (available) {
+      where.push(`NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id AND a.status <> 'Cancelled')`, `NOT ${SLOT_UNAVAILABLE_SQL}`, `NOT ${SLOT_HELD_SQL}`);
+      params.push(req.tokenHash);
+    }
+    sendList(req, res, {
+      columns: SLOT_COLUMNS, from: SLOT_FROM,
+      where, params, sorts: SLOT_SORTS, defaultSort: 'date', tieBreaker: 's.id',
+      map: r => slotRow(req, r)
+    });
+  });
+
+// one slot as GET /slots lists it (live updates fetch the slots that changed)
+app.get('/slots/:id', authenticate, param('id').isString(), (req, res) => {
+  const slot = db.prepare(`SELECT ${SLOT_COLUMNS} ${SLOT_FROM} WHERE s.id = ?`).get(req.params.id);
+  const scope = doctorScope(req);
+  if (!slot || (scope !== null && slot.doctor_id !== scope)) return res.status(404).json({ error: 'Slot not found' });
+  res.json(slotRow(req, slot));
+});
+
+app.post('/slots',
+  requireRole('admin', 'receptionist'),
+  body('doctorId').isString().notEmpty(),
+  body('date').isISO8601(),
+  body('time').matches(TIME_RE),
+  body('duration').optional().isInt({ min: 5, max: 480 }).toInt(),
+  body('roomId').optional({ nullable: true }).isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { doctorId, date, time, duration = DEFAULT_SLOT_MINUTES } = req.body;
+    // ensure doctor exists
+    const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(doctorId);
+    if (!doc) return res.status(400).json({ error: 'Doctor not found' });
+    if (!endsSameDay(time, duration)) return res.status(400).json({ error: 'Slot must end by midnight' });
+    if (isPast(date, time)) return res.status(400).json({ error: 'Slot is in the past' });
+    const blocked = unavailableReason(doctorId, date);
+    if (blocked) return res.status(409).json({ error: blocked });
+    const { roomId, error } = slotRoom(req.body.roomId, doc);
+    if (error) return res.status(400).json({ error });
+
+    const id = uuidv4();
+    try {
+      let waitlistBooking = null;
+      let roomConflicts = [];
+      const conflicts = db.transaction(() => {
+        const found = findSlotConflicts(doctorId, date, time, duration);
+        if (found.length) return found;
+        roomConflicts = findRoomConflicts(roomId, date, time, duration);
+        if (roomConflicts.length) return found;
+        db.prepare('INSERT INTO slots (id, doctor_id, date, time, duration, room_id) VALUES (?, ?, ?, ?, ?, ?)').run(id, doctorId, date, time, duration, roomId);
+        audit(req.user.id, 'slot', id, null);
+        waitlistBooking = promoteWaitlist(id, req.user.id);
+        return found;
+      })();
+      if (conflicts.length) return sendSlotConflict(res, conflicts);
+      if (roomConflicts.length) return res.status(409).json({ error: roomConflictMessage(roomId, roomConflicts), conflicts: roomConflicts });
+      res.status(201).json({ id, doctorId, date, time, duration, endTime: fromMinutes(toMinutes(time) + duration), roomId, waitlistBooking });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return res.status(409).json({ error: 'Doctor already has a slot at that time' });
+      console.error(err);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  });
+
+app.put('/slots/:id',
+  requireRole('admin', 'receptionist'),
+  param('id').isString(),
+  body('doctorId').optional().isString(),
+  body('date').optional().isISO8601(),
+  body('time').optional().matches(TIME_RE),
+  body('duration').optional().isInt({ min: 5, max: 480 }).toInt(),
+  body('roomId').optional({ nullable: true }).isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const id = req.params.id;
+    const s = db.prepare('SELECT * FROM slots WHERE id = ?').get(id);
+    if (!s) return res.status(404).json({ error: 'Slot not found' });
+
+    const doctorId = req.body.doctorId || s.doctor_id;
+    const date = req.body.date || s.date;
+    const time = req.body.time || s.time;
+    const duration = req.body.duration || s.duration;
+
+    // a booked slot can only move to another room; anything else is a reschedule
+    const appt = db.prepare(`SELECT * FROM appointments WHERE slot_id = ? AND status <> 'Cancelled'`).get(id);
+    if (appt && (doctorId !== s.doctor_id || date !== s.date || time !== s.time || duration !== s.duration)) {
+      return res.status(409).json({ error: 'Cannot edit slot with an existing appointment' });
+    }
+    if (!endsSameDay(time, duration)) return res.status(400).json({ error: 'Slot must end by midnight' });
+    if ((date !== s.date || time !== s.time) && isPast(date, time)) return res.status(400).json({ error: 'Slot is in the past' });
+    const blocked = (doctorId !== s.doctor_id || date !== s.date) && unavailableReason(doctorId, date);
+    if (blocked) return res.status(409).json({ error: blocked });
+    const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(doctorId);
+    if (!doc) return res.status(400).json({ error: 'Doctor not found' });
+    const { roomId, error } = slotRoom(req.body.roomId, doc, s);
+    if (error) return res.status(400).json({ error });
+    let waitlistBooking = null;
+    let roomConflicts = [];
+    const conflicts = db.transaction(() => {
+      const found = findSlotConflicts(doctorId, date, time, duration, id);
+      if (found.length) return found;
+      roomConflicts = findRoomConflicts(roomId, date, time, duration, id);
+      if (roomConflicts.length) return found;
+      db.prepare('UPDATE slots SET doctor_id = ?, date = ?, time = ?, duration = ?, room_id = ? WHERE id = ?').run(doctorId, date, time, duration, roomId, id);
+      audit(req.user.id, 'slot', id, s);
+      // the free slot moved to another doctor/date, which may suit someone waiting
+      waitlistBooking = promoteWaitlist(id, req.user.id);
+      return found;
+    })();
+    if (conflicts.length) return sendSlotConflict(res, conflicts);
+    if (roomConflicts.length) return res.status(409).json({ error: roomConflictMessage(roomId, roomConflicts), conflicts: roomConflicts });
+    res.json({ id, doctorId, date, time, duration, endTime: fromMinutes(toMinutes(time) + duration), roomId, waitlistBooking });
+  });
+
+app.delete('/slots/:id', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const id = req.params.id;
+  // appointments (cancelled ones included) are clinical history, so a slot that has any stays; only its hold goes with it
+  if (db.prepare('SELECT 1 FROM appointments WHERE slot_id = ?').get(id)) {
+    return res.status(409).json({ error: 'Slot has appointments; it cannot be deleted' });
+  }
+  auditedDelete(req.user.id, [['slot', id]], () => db.prepare('DELETE FROM slots WHERE id = ?').run(id), `Slot ${id} deleted`);
+  res.status(204).send();
+});
+
+/*
+  WEEKLY SCHEDULES
+  A doctor's recurring hours, used to generate concrete slots for a date range.
+*/
+// all YYYY-MM-DD dates from..to inclusive, with their weekday (0 = Sunday)
+function eachDate(from, to) {
+  const days = [];
+  const d = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  for (; d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push({ date: d.toISOString().slice(0, 10), weekday: d.getUTCDay() });
+  }
+  return days;
+}
+
+app.get('/schedules',
+  authenticate,
+  // doctors only ever see their own schedule
+  query('doctorId').optional().isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const scope = doctorScope(req);
+    const doctorId = scope !== null ? scope : req.query.doctorId;
+    const rows = scope !== null || doctorId
+      ? db.prepare('SELECT * FROM availability WHERE doctor_id = ? ORDER BY weekday, start_time').all(doctorId)
+      : db.prepare('SELECT * FROM availability ORDER BY doctor_id, weekday, start_time').all();
+    res.json(rows);
+  });
+
+// replaces the doctor's whole weekly schedule
+app.put('/doctors/:id/schedule',
+  requireRole('admin', 'receptionist'),
+  param('id').isString(),
+  body('rules').isArray(),
+  body('rules.*.weekday').isInt({ min: 0, max: 6 }).toInt(),
+  body('rules.*.start').matches(TIME_RE),
+  body('rules.*.end').matches(TIME_RE),
+  body('rules.*.slotMinutes').isInt({ min: 5, max: 480 }).toInt(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const doctorId = req.params.id;
+    if (!db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId)) return res.status(404).json({ error: 'Doctor not found' });
+
+    const rules = req.body.rules.slice().sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start));
+    for (let i = 0; i < rules.length; i++) {
+      const r = rules[i];
+      if (r.start >= r.end) return res.status(400).json({ error: `Rule ${r.weekday} ${r.start}-${r.end}: start must be before end` });
+      const prev = rules[i - 1];
+      if (prev && prev.weekday === r.weekday && prev.end > r.start) {
+        return res.status(400).json({ error: `Rules ${prev.start}-${prev.end} and ${r.start}-${r.end} overlap on weekday ${r.weekday}` });
+      }
+    }
+
+    const insert = db.prepare('INSERT INTO availability (id, doctor_id, weekday, start_time, end_time, slot_minutes) VALUES (?, ?, ?, ?, ?, ?)');
+    db.transaction(() => {
+      const before = AUDIT_SNAPSHOTS.schedule(doctorId);
+      db.prepare('DELETE FROM availability WHERE doctor_id = ?').run(doctorId);
+      for (const r of rules) insert.run(uuidv4(), doctorId, r.weekday, r.start, r.end, r.slotMinutes);
+      audit(req.user.id, 'schedule', doctorId, before);
+    })();
+    res.json(db.prepare('SELECT * FROM availability WHERE doctor_id = ? ORDER BY weekday, start_time').all(doctorId));
+  });
+
+// Creates slots from the weekly schedules for from..to (inclusive). Idempotent: a slot that would
+// overlap one the doctor already has is skipped, so re-running a range creates nothing new.
+// Leave and closure days are left out (`daysOff` counts the doctor-days skipped), and so are
+// times that have already started (`past`), so generating from today is safe in the afternoon.
+// Slots go in the doctor's default room; one that would clash with another doctor there is left out too
+// (`roomConflicts`).
+app.post('/slots/generate',
+  requireRole('admin', 'receptionist'),
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  body('doctorId').optional().isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { from, to, doctorId } = req.body;
+    const days = eachDate(from, to);
+    if (!days.length) return res.status(400).json({ error: 'from must not be after to' });
+    if (days.length > MAX_GENERATE_DAYS) return res.status(400).json({ error: `Range is limited to ${MAX_GENERATE_DAYS} days` });
+
+    const rules = doctorId
+      ? db.prepare('SELECT * FROM availability WHERE doctor_id = ?').all(doctorId)
+      : db.prepare('SELECT * FROM availability').all();
+    const rooms = new Map(db.prepare('SELECT id, room FROM doctors').all().map(d => [d.id, d.room]));
+    const insert = db.prepare('INSERT INTO slots (id, doctor_id, date, time, duration, room_id) VALUES (?, ?, ?, ?, ?, ?)');
+    const created = [];
+    let skipped = 0;
+    let past = 0;
+    let roomConflicts = 0;
+    let waitlistBookings = 0;
+    const daysOff = new Set();
+    db.transaction(() => {
+      for (const day of days) {
+        for (const r of rules.filter(x => x.weekday === day.weekday)) {
+          if (unavailableReason(r.doctor_id, day.date)) { daysOff.add(`${r.doctor_id} ${day.date}`); continue; }
+          const end = toMinutes(r.end_time);
+          for (let t = toMinutes(r.start_time); t + r.slot_minutes <= end; t += r.slot_minutes) {
+            const slot = { id: uuidv4(), doctorId: r.doctor_id, date: day.date, time: fromMinutes(t), duration: r.slot_minutes, roomId: rooms.get(r.doctor_id) || null };
+            if (isPast(slot.date, slot.time)) { past++; continue; }
+            if (findSlotConflicts(slot.doctorId, slot.date, slot.time, slot.duration).length) { skipped++; continue; }
+            if (findRoomConflicts(slot.roomId, slot.date, slot.time, slot.duration).length) { roomConflicts++; continue; }
+            insert.run(slot.id, slot.doctorId, slot.date, slot.time, slot.duration, slot.roomId);
+            audit(req.user.id, 'slot', slot.id, null, { note: 'Generated from weekly schedule' });
+            created.push(slot);
+            if (promoteWaitlist(slot.id, req.user.id)) waitlistBookings++;
+          }
+        }
+      }
+    })();
+    res.status(created.length ? 201 : 200).json({ created: created.length, skipped, past, daysOff: daysOff.size, roomConflicts, waitlistBookings, slots: created });
+  });
+
+/*
+  LEAVE AND CLOSURES
+  A doctor's leave and clinic-wide closures cover from..to (inclusive). On those dates no slots are created,
+  generated or imported, and nothing is booked, rescheduled or promoted from the waitlist into the slots
+  already there. Existing appointments are kept: adding leave or a closure returns the Confirmed ones it
+  affects, for staff to move (POST /appointments/bulk-reschedule) or call off.
+*/
+// SQL condition for "slot s falls on a leave or closure day"
+const SLOT_UNAVAILABLE_SQL = `(
+  EXISTS (SELECT 1 FROM closures c WHERE s.date BETWEEN c.date_from AND c.date_to)
+  OR EXISTS (SELECT 1 FROM doctor_leave l WHERE l.doctor_id = s.doctor_id AND s.date BETWEEN l.date_from AND l.date_to)
+)`;
+
+// why the doctor sees no patients on `date`, or null
+function unavailableReason(doctorId, date) {
+  const closure = db.prepare('SELECT reason FROM closures WHERE date_from <= ? AND date_to >= ? ORDER BY date_from LIMIT 1').get(date, date);
+  if (closure) return `The clinic is closed on ${date} (${closure.reason})`;
+  const leave = db.prepare(`
+    SELECT l.reason, d.name FROM doctor_leave l JOIN doctors d ON d.id = l.doctor_id
+    WHERE l.doctor_id = ? AND l.date_from <= ? AND l.date_to >= ?
+    ORDER BY l.date_from LIMIT 1
+  `).get(doctorId, date, date);
+  if (leave) return `${leave.name} is on leave on ${date}${leave.reason ? ` (${leave.reason})` : ''}`;
+  return null;
+}
+
+// Confirmed appointments from..to that haven't happened yet, for one doctor (or every doctor)
+function affectedAppointments(from, to, doctorId = null) {
+  const start = from > todayISO() ? from : todayISO();
+  const params = [start, to];
+  if (doctorId) params.push(doctorId);
+  return db.prepare(`
+    ${APPOINTMENT_SELECT}
+    WHERE a.status = 'Confirmed' AND s.date BETWEEN ? AND ?${doctorId ? ' AND s.doctor_id = ?' : ''}
+    ORDER BY s.date, s.time, a.id
+  `).all(...params);
+}
+
+// "YYYY-MM-DD HH:MM" in the server's time zone, comparable with a slot's date and time
+function localNow() {
+  return localDateTime(CLINIC_TIMEZONE);
+}
+
+function dateRangeError(from, to) {
+  if (from > to) return 'from must not be after to';
+  if (eachDate(from, to).length > MAX_GENERATE_DAYS) return `Range is limited to ${MAX_GENERATE_DAYS} days`;
+  return null;
+}
+
+const LEAVE_SELECT = 'SELECT l.*, d.name as doctor_name FROM doctor_leave l JOIN doctors d ON d.id = l.doctor_id';
+
+// filters: doctorId, from/to (leave overlapping the range); doctors only see their own
+app.get('/leave',
+  authenticate,
+  query('doctorId').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const scope = doctorScope(req);
+    const doctorId = scope !== null ? scope : req.query.doctorId;
+    const where = [];
+    const params = [];
+    if (doctorId) { where.push('l.doctor_id = ?'); params.push(doctorId); }
+    if (req.query.from) { where.push('l.date_to >= ?'); params.push(req.query.from); }
+    if (req.query.to) { where.push('l.date_from <= ?'); params.push(req.query.to); }
+    res.json(db.prepare(`${LEAVE_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY l.date_from, d.name`).all(...params));
+  });
+
+app.post('/doctors/:id/leave',
+  requireRole('admin', 'receptionist'),
+  param('id').isString(),
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  body('reason').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const doctorId = req.params.id;
+    const { from, to, reason } = req.body;
+    if (!db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId)) return res.status(404).json({ error: 'Doctor not found' });
+    const rangeError = dateRangeError(from, to);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+    const overlap = db.prepare('SELECT * FROM doctor_leave WHERE doctor_id = ? AND date_from <= ? AND date_to >= ?').get(doctorId, to, from);
+    if (overlap) return res.status(409).json({ error: `Overlaps leave from ${overlap.date_from} to ${overlap.date_to}` });
+
+    const id = uuidv4();
+    db.transaction(() => {
+      db.prepare('INSERT INTO doctor_leave (id, doctor_id, date_from, date_to, reason, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .run(id, doctorId, from, to, reason || null, req.user.id, new Date().toISOString());
+      audit(req.user.id, 'leave', id, null);
+    })();
+    res.status(201).json({ leave: db.prepare(`${LEAVE_SELECT} WHERE l.id = ?`).get(id), affected: affectedAppointments(from, to, doctorId) });
+  });
+
+app.get('/leave/:id/affected', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const leave = AUDIT_SNAPSHOTS.leave(req.params.id);
+  if (!leave) return res.status(404).json({ error: 'Leave not found' });
+  res.json(affectedAppointments(leave.date_from, leave.date_to, leave.doctor_id));
+});
+
+app.delete('/leave/:id', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  if (!AUDIT_SNAPSHOTS.leave(req.params.id)) return res.status(404).json({ error: 'Leave not found' });
+  auditedDelete(req.user.id, [['leave', req.params.id]], () => db.prepare('DELETE FROM doctor_leave WHERE id = ?').run(req.params.id));
+  res.status(204).send();
+});
+
+// filters: from/to (closures overlapping the range)
+app.get('/closures',
+  authenticate,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const where = [];
+    const params = [];
+    if (req.query.from) { where.push('date_to >= ?'); params.push(req.query.from); }
+    if (req.query.to) { where.push('date_from <= ?'); params.push(req.query.to); }
+    res.json(db.prepare(`SELECT * FROM closures ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY date_from`).all(...params));
+  });
+
+app.post('/closures',
+  requireRole('admin'),
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  body('reason').isString().trim().notEmpty(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { from, to, reason } = req.body;
+    const rangeError = dateRangeError(from, to);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const id = uuidv4();
+    db.transaction(() => {
+      db.prepare('INSERT INTO closures (id, date_from, date_to, reason, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(id, from, to, reason, req.user.id, new Date().toISOString());
+      audit(req.user.id, 'closure', id, null);
+    })();
+    res.status(201).json({ closure: AUDIT_SNAPSHOTS.closure(id), affected: affectedAppointments(from, to) });
+  });
+
+app.get('/closures/:id/affected', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const closure = AUDIT_SNAPSHOTS.closure(req.params.id);
+  if (!closure) return res.status(404).json({ error: 'Closure not found' });
+  res.json(affectedAppointments(closure.date_from, closure.date_to));
+});
+
+app.delete('/closures/:id', requireRole('admin'), param('id').isString(), (req, res) => {
+  if (!AUDIT_SNAPSHOTS.closure(req.params.id)) return res.status(404).json({ error: 'Closure not found' });
+  auditedDelete(req.user.id, [['closure', req.params.id]], () => db.prepare('DELETE FROM closures WHERE id = ?').run(req.params.id));
+  res.status(204).send();
+});
+
+/*
+  PATIENTS
+  Appointments and waitlist entries reference a patient, so name/phone corrections apply everywhere.
+  Two patients may not share a phone number: creating or updating one with a number that is
+  already on file returns 409 with the existing patient.
+*/
+// digits only, compared on the last 10 so "+91 98765-43210" and "098765 43210" match
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+}
+
+const PATIENT_COLUMNS = `
+  p.*,
+  (SELECT COUNT(*) FROM appointments a WHERE a.patient_id = p.id) as appointment_count,
+  (SELECT MAX(s.date) FROM appointments a JOIN slots s ON s.id = a.slot_id WHERE a.patient_id = p.id AND a.status <> 'Cancelled') as last_visit
+`;
+const PATIENT_SELECT = `SELECT ${PATIENT_COLUMNS} FROM patients p`;
+const PATIENT_SORTS = {
+  name: ['p.name COLLATE NOCASE'],
+  lastVisit: ['last_visit', 'p.name COLLATE NOCASE']
+};
+
+function getPatient(id) {
+  return db.prepare(`${PATIENT_SELECT} WHERE p.id = ?`).get(id);
+}
+
+function findPatientByPhone(phone, excludeId = null) {
+  const key = normalizePhone(phone);
+  if (!key) return null;
+  return db.prepare('SELECT * FROM patients WHERE phone_key = ? AND id IS NOT ?').get(key, excludeId) || null;
+}
+
+function insertPatient({ name, phone, dateOfBirth, notes }, actorId) {
+  const id = uuidv4();
+  db.prepare('INSERT INTO patients (id, name, phone, phone_key, date_of_birth, notes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .run(id, name, phone || null, normalizePhone(phone), dateOfBirth || null, notes || null, new Date().toISOString());
+  audit(actorId, 'patient', id, null);
+  return id;
+}
+
+// The patient a booking or waitlist request is for: `patientId` if given, otherwise the patient
+// on file with the same phone number, otherwise a new patient. Returns { patientId } or { code, error }.
+function resolvePatient({ patientId, patientName, patientPhone }, actorId) {
+  if (patientId) {
+    return db.prepare('SELECT id FROM patients WHERE id = ?').get(patientId)
+      ? { patientId } : { code: 400, error: 'Patient not found' };
+  }
+  if (!patientName) return { code: 400, error: 'patientId or patientName is required' };
+  const existing = findPatientByPhone(patientPhone);
+  return { patientId: existing ? existing.id : insertPatient({ name: patientName, phone: patientPhone }, actorId) };
+}
+
+// doctors see only patients they have (had) appointments with
+const PATIENT_SCOPE = 'EXISTS (SELECT 1 FROM appointments a JOIN slots s ON s.id = a.slot_id WHERE a.patient_id = p.id AND s.doctor_id = ?)';
+
+function getPatientFor(req, id) {
+  const scope = doctorScope(req);
+  return db.prepare(`${PATIENT_SELECT} WHERE p.id = ? ${scope !== null ? `AND ${PATIENT_SCOPE}` : ''}`)
+    .get(id, ...(scope !== null ? [scope] : []));
+}
+
+// ?q= matches name or phone (for lookup-as-you-type, the first 20 matches); the Patients view pages with ?limit=&offset=
+app.get('/patients',
+  authenticate,
+  query('q').optional().isString().trim(),
+  listParams(Object.keys(PATIENT_SORTS)),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const scope = doctorScope(req);
+    const where = [];
+    const params = [];
+    if (scope !== null) { where.push(PATIENT_SCOPE); params.push(scope); }
+    const q = req.query.q;
+    if (q) {
+      const key = normalizePhone(q);
+      where.push(key ? '(p.name LIKE ? OR p.phone_key LIKE ?)' : 'p.name LIKE ?');
+      params.push(`%${q}%`);
+      if (key) params.push(`%${q.replace(/\D/g, '')}%`);
+    }
+    if (q && req.query.limit === undefined) {
+      return res.json(db.prepare(`${PATIENT_SELECT} WHERE ${where.join(' AND ')} ORDER BY p.name COLLATE NOCASE LIMIT 20`).all(...params));
+    }
+    sendList(req, res, {
+      columns: PATIENT_COLUMNS, from: 'FROM patients p',
+      where, params, sorts: PATIENT_SORTS, defaultSort: 'name', tieBreaker: 'p.id'
+    });
+  });
+
+app.get('/patients/:id', authenticate, param('id').isString(), (req, res) => {
+  const p = getPatientFor(req, req.params.id);
+  if (!p) return res.status(404).json({ error: 'Patient not found' });
+  res.json(p);
+});
+
+// full visit history across doctors (a doctor only sees their own appointments)
+app.get('/patients/:id/appointments', authenticate, param('id').isString(), (req, res) => {
+  if (!getPatientFor(req, req.params.id)) return res.status(404).json({ error: 'Patient not found' });
+  const scope = doctorScope(req);
+  const rows = db.prepare(`
+    ${APPOINTMENT_SELECT}
+    WHERE a.patient_id = ? ${scope !== null ? 'AND s.doctor_id = ?' : ''}
+    ORDER BY s.date DESC, s.time DESC
+  `).all(req.params.id, ...(scope !== null ? [scope] : []));
+  res.json(rows);
+});
+
+app.post('/patients',
+  requireRole('admin', 'receptionist'),
+  body('name').isString().trim().notEmpty(),
+  body('phone').optional({ nullable: true }).isString().trim(),
+  body('dateOfBirth').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('notes').optional({ nullable: true }).isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const existing = findPatientByPhone(req.body.phone);
+    if (existing) return res.status(409).json({ error: `${existing.name} is already registered with this phone number`, existing });
+    const id = db.transaction(() => insertPatient(req.body, req.user.id))();
+    res.status(201).json(getPatient(id));
+  });
+
+app.put('/patients/:id',
+  requireRole('admin', 'receptionist'),
+  param('id').isString(),
+  body('name').optional().isString().trim().notEmpty(),
+  body('phone').optional({ nullable: true }).isString().trim(),
+  body('dateOfBirth').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('notes').optional({ nullable: true }).isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const p = db.prepare('SELECT * FROM patients WHERE id = ?').get(req.params.id);
+    if (!p) return res.status(404).json({ error: 'Patient not found' });
+    const { name = p.name, phone = p.phone, dateOfBirth = p.date_of_birth, notes = p.notes } = req.body;
+    const existing = findPatientByPhone(phone, p.id);
+    if (existing) return res.status(409).json({ error: `${existing.name} is already registered with this phone number`, existing });
+    db.transaction(() => {
+      db.prepare('UPDATE patients SET name = ?, phone = ?, phone_key = ?, date_of_birth = ?, notes = ? WHERE id = ?')
+        .run(name, phone || null, normalizePhone(phone), dateOfBirth || null, notes || null, p.id);
+      audit(req.user.id, 'patient', p.id, p);
+    })();
+    res.json(getPatient(p.id));
+  });
+
+// only patients without appointments or waitlist entries can be removed; the rest is medical history
+app.delete('/patients/:id', requireRole('admin'), param('id').isString(), (req, res) => {
+  const id = req.params.id;
+  if (db.prepare('SELECT 1 FROM appointments WHERE patient_id = ? UNION ALL SELECT 1 FROM waitlist WHERE patient_id = ?').get(id, id)) {
+    return res.status(409).json({ error: 'Patient has appointments or waitlist entries and cannot be deleted' });
+  }
+  auditedDelete(req.user.id, [['patient', id]], () => db.prepare('DELETE FROM patients WHERE id = ?').run(id));
+  res.status(204).send();
+});
+
+/*
+  SLOT HOLDS
+  Picking a slot in the booking form holds it for HOLD_MINUTES, so nobody else books it while the patient's
+  details are taken down. A hold belongs to the session that placed it (one slot per session) and goes with
+  it; it is released when the form is closed, turns into the appointment when the booking is confirmed, or
+  simply runs out. Other sessions can't book or reschedule into a held slot, `available=true` and the
+  patient portal leave it out, and slot lists show it as on hold. Holds are not audited.
+*/
+// someone else's hold on slot `s` that hasn't run out; bind the caller's session token hash (null for none)
+const SLOT_HELD_SQL = `EXISTS (
+  SELECT 1 FROM slot_holds h
+  WHERE h.slot_id = s.id AND h.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AND h.token_hash IS NOT ?
+)`;
+
+// the live hold on `slotId` placed by another session than `tokenHash`, with the holder's name, or undefined
+function otherHold(slotId, tokenHash) {
+  return db.prepare(`
+    SELECT h.*, u.name as held_by_name FROM slot_holds h JOIN users u ON u.id = h.user_id
+    WHERE h.slot_id = ? AND h.expires_at > ? AND h.token_hash <> ?
+  `).get(slotId, new Date().toISOString(), tokenHash);
+}
+
+function holdMessage(hold) {
+  return `Slot is on hold for ${hold.held_by_name} until ${localDateTime(CLINIC_TIMEZONE, new Date(hold.expires_at)).slice(11)}`;
+}
+
+// drops the holds of session `tokenHash` (only the one on `slotId` if given) and tells open browsers
+function releaseHolds(tokenHash, slotId = null) {
+  const where = `token_hash = ?${slotId ? ' AND slot_id = ?' : ''}`;
+  const params = slotId ? [tokenHash, slotId] : [tokenHash];
+  const released = db.prepare(`SELECT slot_id FROM slot_holds WHERE ${where}`).all(...params);
+  db.prepare(`DELETE FROM slot_holds WHERE ${where}`).run(...params);
+  released.forEach(h => queueLiveChange(null, 'slot', h.slot_id, 'release'));
+}
+
+// places (or renews) this session's hold on a free slot; returns { slotId, expiresAt }
+app.post('/slots/:id/hold', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const slot = db.prepare('SELECT * FROM slots WHERE id = ?').get(req.params.id);
+  if (!slot) return res.status(404).json({ error: 'Slot not found' });
+  const blocked = unavailableReason(slot.doctor_id, slot.date);
+  if (blocked) return res.status(409).json({ error: blocked });
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString();
+  const problem = db.transaction(() => {
+    if (db.prepare(`SELECT 1 FROM appointments WHERE slot_id = ? AND status <> 'Cancelled'`).get(slot.id)) return { error: 'Slot already booked' };
+    const hold = otherHold(slot.id, req.tokenHash);
+    if (hold) return { error: holdMessage(hold), heldBy: hold.held_by_name, expiresAt: hold.expires_at };
+    db.prepare('DELETE FROM slot_holds WHERE expires_at <= ?').run(now.toISOString());
+    releaseHolds(req.tokenHash);
+    db.prepare('DELETE FROM slot_holds WHERE slot_id = ?').run(slot.id);
+    db.prepare('INSERT INTO slot_holds (slot_id, token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+      .run(slot.id, req.tokenHash, req.user.id, now.toISOString(), expiresAt);
+    queueLiveChange(null, 'slot', slot.id, 'hold');
+    return null;
+  })();
+  if (problem) return res.status(409).json(problem);
+  res.json({ slotId: slot.id, expiresAt });
+});
+
+app.delete('/slots/:id/hold', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  releaseHolds(req.tokenHash, req.params.id);
+  res.status(204).send();
+});
+
+/*
+  BOOKING RULES
+  Limits on booking, clinic-wide (the row without a doctor) and per doctor (a doctor's row overrides the
+  clinic's rules one by one; null falls back to the clinic's). Every way of booking or moving an appointment
+  checks them: staff bookings and reschedules, the patient portal, the waitlist and bulk reschedules. A
+  broken rule answers 409 with `violations`, each { rule, limit, message }, where rule is one of
+    min_notice      the slot starts sooner than min_notice_minutes from now (with 0 or none: it has started)
+    max_days_ahead  the slot is more than max_days_ahead days after today
+    patient_daily   the patient already has max_per_patient_day appointments that day
+    doctor_daily    the doctor already has max_per_doctor_day appointments that day
+    cancel_cutoff   a Confirmed appointment is cancelled less than cancel_cutoff_hours before it starts
+*/
+// column -> request body field
+const BOOKING_RULE_FIELDS = {
+  min_notice_minutes: 'minNoticeMinutes',
+  max_days_ahead: 'maxDaysAhead',
+  max_per_patient_day: 'maxPerPatientDay',
+  max_per_doctor_day: 'maxPerDoctorDay',
+  cancel_cutoff_hours: 'cancelCutoffHours'
+};
+
+function bookingRuleRow(doctorId) {
+  return doctorId === null
+    ? db.prepare('SELECT * FROM booking_rules WHERE doctor_id IS NULL').get()
+    : db.prepare('SELECT * FROM booking_rules WHERE doctor_id = ?').get(doctorId);
+}
+
+// the rules for a doctor's slots: theirs where set, otherwise the clinic's
+function bookingRules(doctorId) {
+  const clinic = bookingRuleRow(null) || {};
+  const own = bookingRuleRow(doctorId) || {};
+  const rules = {};
+  Object.keys(BOOKING_RULE_FIELDS).forEach(column => {
+    rules[column] = own[column] !== undefined && own[column] !== null ? own[column] : (clinic[column] !== undefined ? clinic[column] : null);
+  });
+  return rules;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// appointments that aren't cancelled on `date` for a doctor or a patient, apart from `excludeId`
+function appointmentsOnDay(date, { doctorId = null, patientId = null }, excludeId) {
+  return db.prepare(`
+    SELECT COUNT(*) as n FROM appointments a JOIN slots s ON s.id = a.slot_id
+    WHERE s.date = ? AND a.status <> 'Cancelled' AND a.id IS NOT ? AND ${doctorId ? 's.doctor_id = ?' : 'a.patient_id = ?'}
+  `).get(date, excludeId, doctorId || patientId).n;
+}
+
+// The rules booking `slot` (with doctor_id, date and time) for `patientId` would break; `appointmentId` is
+// the appointment being moved there, which doesn't count against the daily limits. Without a patient
+// (not known yet, or about to be created) the patient's limit isn't checked.
+function bookingViolations(slot, patientId = null, appointmentId = null) {
+  const rules = bookingRules(slot.doctor_id);
+  const violations = [];
+  const minutesAhead = (toInstant(slot.date, slot.time, CLINIC_TIMEZONE).getTime() - Date.now()) / 60000;
+  // with no notice rule a slot can still be booked only until it starts
+  if (minutesAhead < (rules.min_notice_minutes || 0)) {
+    const limit = rules.min_notice_minutes || 0;
+    violations.push({ rule: 'min_notice', limit, message: limit ? `Bookings need at least ${limit % 60 ? plural(limit, 'minute') : plural(limit / 60, 'hour')} notice` : 'This slot has already started' });
+  }
+  if (rules.max_days_ahead !== null && slot.date > addDays(todayISO(), rules.max_days_ahead)) {
+    violations.push({ rule: 'max_days_ahead', limit: rules.max_days_ahead, message: `Bookings open at most ${plural(rules.max_days_ahead, 'day')} ahead` });
+  }
+  if (rules.max_per_doctor_day !== null && appointmentsOnDay(slot.date, { doctorId: slot.doctor_id }, appointmentId) >= rules.max_per_doctor_day) {
+    const doctor = db.prepare('SELECT name FROM doctors WHERE id = ?').get(slot.doctor_id) || { name: slot.doctor_id };
+    violations.push({ rule: 'doctor_daily', limit: rules.max_per_doctor_day, message: `${doctor.name} takes at most ${plural(rules.max_per_doctor_day, 'appointment')} a day, and ${slot.date} is full` });
+  }
+  if (patientId && rules.max_per_patient_day !== null && appointmentsOnDay(slot.date, { patientId }, appointmentId) >= rules.max_per_patient_day) {
+    violations.push({ rule: 'patient_daily', limit: rules.max_per_patient_day, message: `A patient can have at most ${plural(rules.max_per_patient_day, 'appointment')} a day, and already has that on ${slot.date}` });
+  }
+  return violations;
+}
+
+// the cancellation cutoff for appointment `a` (a getAppointment row); only Confirmed appointments are held to it
+function cancellationViolations(a) {
+  const { cancel_cutoff_hours: hours } = bookingRules(a.doctor_id);
+  if (a.status !== 'Confirmed' || hours === null) return [];
+  if (appointmentStart(a).getTime() - Date.now() >= hours * 3600 * 1000) return [];
+  return [{ rule: 'cancel_cutoff', limit: hours, message: `Appointments can't be cancelled less than ${plural(hours, 'hour')} before they start` }];
+}
+
+function violationError(violations) {
+  return { code: 409, error: violations.map(v => v.message).join('; '), violations };
+}
+
+function sendViolations(res, violations) {
+  const { code, error } = violationError(violations);
+  return res.status(code).json({ error, violations });
+}
+
+// rows: the clinic's (doctor_id null) first, then the doctors' overrides
+app.get('/booking-rules', authenticate, (req, res) => {
+  res.json(db.prepare('SELECT * FROM booking_rules ORDER BY doctor_id IS NOT NULL, doctor_id').all());
+});
+
+const bookingRuleValidators = [
+  body('minNoticeMinutes').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('maxDaysAhead').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('maxPerPatientDay').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxPerDoctorDay').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('cancelCutoffHours').optional({ nullable: true }).isInt({ min: 0 }).toInt()
+];
+
+// replaces the clinic's (doctorId null) or a doctor's rules; fields left out are cleared
+function saveBookingRules(req, doctorId) {
+  const values = Object.entries(BOOKING_RULE_FIELDS).map(([, field]) => (req.body[field] === undefined ? null : req.body[field]));
+  const auditId = doctorId || 'clinic';
+  db.transaction(() => {
+    const before = AUDIT_SNAPSHOTS.booking_rules(auditId);
+    const now = new Date().toISOString();
+    if (doctorId === null) {
+      db.prepare(`UPDATE booking_rules SET ${Object.keys(BOOKING_RULE_FIELDS).map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE doctor_id IS NULL`).run(...values, now);
+    } else {
+      db.prepare(`
+        INSERT INTO booking_rules (doctor_id, ${Object.keys(BOOKING_RULE_FIELDS).join(', ')}, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (doctor_id) DO UPDATE SET ${Object.keys(BOOKING_RULE_FIELDS).map(c => `${c} = excluded.${c}`).join(', ')}, updated_at = excluded.updated_at
+      `).run(doctorId, ...values, now);
+    }
+    audit(req.user.id, 'booking_rules', auditId, before);
+  })();
+  return bookingRuleRow(doctorId);
+}
+
+app.put('/booking-rules', requireRole('admin'), ...bookingRuleValidators, (req, res) => {
+  if (handleValidation(req, res)) return;
+  res.json(saveBookingRules(req, null));
+});
+
+app.put('/doctors/:id/booking-rules', requireRole('admin'), param('id').isString(), ...bookingRuleValidators, (req, res) => {
+  if (handleValidation(req, res)) return;
+  if (!db.prepare('SELECT id FROM doctors WHERE id = ?').get(req.params.id)) return res.status(404).json({ error: 'Doctor not found' });
+  res.json(saveBookingRules(req, req.params.id));
+});
+
+// back to the clinic's rules
+app.delete('/doctors/:id/booking-rules', requireRole('admin'), param('id').isString(), (req, res) => {
+  if (!db.prepare('SELECT id FROM doctors WHERE id = ?').get(req.params.id)) return res.status(404).json({ error: 'Doctor not found' });
+  // already on the clinic's rules: nothing to remove or log
+  if (!bookingRuleRow(req.params.id)) return res.status(204).send();
+  auditedDelete(req.user.id, [['booking_rules', req.params.id]],
+    () => db.prepare('DELETE FROM booking_rules WHERE doctor_id = ?').run(req.params.id));
+  res.status(204).send();
+});
+
+/*
+  APPOINTMENTS (booking)
+  Important: prevent double-booking using a transaction and a partial UNIQUE index on slot_id
+  (only one appointment per slot that is not Cancelled).
+
+  Lifecycle: Confirmed -> CheckedIn -> InConsultation -> Completed, plus Cancelled and NoShow.
+  Appointments are never deleted; every change is written to appointment_history.
+*/
+const STATUS_TRANSITIONS = {
+  Confirmed: ['CheckedIn', 'Cancelled', 'NoShow'],
+  CheckedIn: ['InConsultation', 'Cancelled'],
+  InConsultation: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+  NoShow: []
+};
+// who may move an appointment into each status (doctors only for their own appointments)
+const STATUS_ROLES = {
+  CheckedIn: ['admin', 'receptionist'],
+  InConsultation: ['admin', 'doctor'],
+  Completed: ['admin', 'doctor'],
+  Cancelled: ['admin', 'receptionist'],
+  NoShow: ['admin', 'receptionist', 'doctor']
+};
+
+// follow_up_date comes from the current consultation notes, so staff can book the follow-up without reading them
+const APPOINTMENT_COLUMNS = `
+  a.*, p.name as patient_name, p.phone as patient_phone,
+  s.date, s.time, s.duration, s.doctor_id, d.name as doctor_name, d.speciality, s.room_id as room, cu.name as cancelled_by_name,
+  (SELECT n.follow_up_date FROM consultation_notes n WHERE n.appointment_id = a.id ORDER BY n.version DESC LIMIT 1) as follow_up_date
+`;
+const APPOINTMENT_FROM = `
+  FROM appointments a
+  JOIN patients p ON p.id = a.patient_id
+  LEFT JOIN slots s ON s.id = a.slot_id
+  LEFT JOIN doctors d ON d.id = s.doctor_id
+  LEFT JOIN users cu ON cu.id = a.cancelled_by
+`;
+const APPOINTMENT_SELECT = `SELECT ${APPOINTMENT_COLUMNS} ${APPOINTMENT_FROM}`;
+const APPOINTMENT_SORTS = {
+  created: ['a.created_at'],
+  date: ['s.date', 's.time'],
+  patient: ['p.name COLLATE NOCASE', 's.date', 's.time'],
+  doctor: ['d.name COLLATE NOCASE', 's.date', 's.time'],
+  status: ['a.status', 's.date', 's.time']
+};
+
+// a confirmation code no other appointment has
+function newConfirmationCode() {
+  let code;
+  do code = createConfirmationCode();
+  while (db.prepare('SELECT 1 FROM appointments WHERE confirmation_code = ?').get(code));
+  return code;
+}
+
+// inserts a Confirmed appointment plus its 'created' history entry; call inside a transaction
+function insertAppointment({ slotId, patientId, reason, actorId, note = null }) {
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  db.prepare(`INSERT INTO appointments (id, slot_id, patient_id, reason, status, created_at, status_changed_at, confirmation_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, slotId, patientId, reason || null, 'Confirmed', createdAt, createdAt, newConfirmationCode());
+  recordHistory(id, 'created', { toStatus: 'Confirmed', actorId, note, at: createdAt });
+  audit(actorId, 'appointment', id, null, { note });
+  queueNotification(id, 'confirmation');
+  queueReminders(id);
+  return id;
+}
+
+function getAppointment(id) {
+  return db.prepare(`${APPOINTMENT_SELECT} WHERE a.id = ?`).get(id);
+}
+
+function recordHistory(appointmentId, event, {
+  fromStatus = null, toStatus = null, fromSlotId = null, toSlotId = null, note = null, actorId = null, at = new Date().toISOString()
+} = {}) {
+  db.prepare(`
+    INSERT INTO appointment_history (id, appointment_id, event, from_status, to_status, from_slot_id, to_slot_id, note, actor_id, at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), appointmentId, event, fromStatus, toStatus, fromSlotId, toSlotId, note, actorId, at);
+}
+
+// Moves an appointment to `status`; returns { error, code } when the change is not allowed.
+// The appointment is read and checked in the same transaction that changes it, so two concurrent
+// changes can't both start from the same status.
+function changeStatus(req, id, status, note) {
+  return db.transaction(() => {
+    const a = getAppointment(id);
+    const scope = doctorScope(req);
+    if (!a || (scope !== null && a.doctor_id !== scope)) return { code: 404, error: 'Appointment not found' };
+    if (!STATUS_ROLES[status] || !STATUS_ROLES[status].includes(req.user.role)) {
+      return { code: 403, error: `Role ${req.user.role} cannot set status ${status}` };
+    }
+    if (!STATUS_TRANSITIONS[a.status].includes(status)) {
+      return { code: 409, error: `Cannot change status from ${a.status} to ${status}`, allowed: STATUS_TRANSITIONS[a.status] };
+    }
+    if (status === 'Cancelled' && !note) return { code: 400, error: 'A cancellation reason is required' };
+    const violations = status === 'Cancelled' ? cancellationViolations(a) : [];
+    if (violations.length) return violationError(violations);
+
+    applyStatus(a, status, note, req.user.id);
+    return { appointment: getAppointment(id) };
+  })();
+}
+
+// Records an allowed status change of appointment `a` (a getAppointment row) with its history, audit entry
+// and patient notices; `actorId` is null when the patient made it in the portal. Call inside a transaction.
+function applyStatus(a, status, note, actorId) {
+  const at = new Date().toISOString();
+  const before = AUDIT_SNAPSHOTS.appointment(a.id);
+  if (status === 'Cancelled') {
+    db.prepare('UPDATE appointments SET status = ?, status_changed_at = ?, cancel_reason = ?, cancelled_by = ? WHERE id = ?')
+      .run(status, at, note, actorId, a.id);
+  } else {
+    db.prepare('UPDATE appointments SET status = ?, status_changed_at = ? WHERE id = ?').run(status, at, a.id);
+  }
+  recordHistory(a.id, 'status', { fromStatus: a.status, toStatus: status, note: note || null, actorId, at });
+  audit(actorId, 'appointment', a.id, before, { note: note || null });
+  // reminders and unsent confirmations only make sense while the appointment is still ahead
+  cancelPendingNotifications(a.id);
+  if (status === 'Cancelled') queueNotification(a.id, 'cancellation');
+  // the freed slot goes to the first matching patient on the waitlist
+  if (status === 'Cancelled') promoteWaitlist(a.slot_id, actorId);
+}
+
+// filters: from/to (appointment date), status (comma-separated), doctorId, speciality, patientId, patient (name or phone)
+app.get('/appointments',
+  authenticate,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('status').optional().custom(v => String(v).split(',').every(st => STATUS_TRANSITIONS[st])).withMessage('Unknown status'),
+  query('doctorId').optional().isString(),
+  query('speciality').optional().isString(),
+  query('patientId').optional().isString(),
+  query('patient').optional().isString().trim(),
+  listParams(Object.keys(APPOINTMENT_SORTS)),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { from, to, status, speciality, patientId, patient } = req.query;
+    const scope = doctorScope(req);
+    const doctorId = scope !== null ? scope : req.query.doctorId;
+    const where = [];
+    const params = [];
+    if (scope !== null || doctorId) { where.push('s.doctor_id = ?'); params.push(doctorId); }
+    if (speciality) { where.push('d.speciality = ?'); params.push(speciality); }
+    if (from) { where.push('s.date >= ?'); params.push(from); }
+    if (to) { where.push('s.date <= ?'); params.push(to); }
+    if (status) {
+      const statuses = status.split(',');
+      where.push(`a.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (patientId) { where.push('a.patient_id = ?'); params.push(patientId); }
+    if (patient) {
+      const digits = patient.replace(/\D/g, '');
+      where.push(digits ? '(p.name LIKE ? OR p.phone_key LIKE ?)' : 'p.name LIKE ?');
+      params.push(`%${patient}%`);
+      if (digits) params.push(`%${digits}%`);
+    }
+    sendList(req, res, {
+      columns: APPOINTMENT_COLUMNS, from: APPOINTMENT_FROM,
+      where, params, sorts: APPOINTMENT_SORTS, defaultSort: 'created', defaultOrder: 'desc', tieBreaker: 'a.id'
+    });
+  });
+
+app.get('/appointments/:id', authenticate, param('id').isString(), (req, res) => {
+  const a = getAppointment(req.params.id);
+  const scope = doctorScope(req);
+  if (!a || (scope !== null && a.doctor_id !== scope)) return res.status(404).json({ error: 'Appointment not found' });
+  res.json(a);
+});
+
+app.get('/appointments/:id/history', authenticate, param('id').isString(), (req, res) => {
+  const a = getAppointment(req.params.id);
+  const scope = doctorScope(req);
+  if (!a || (scope !== null && a.doctor_id !== scope)) return res.status(404).json({ error: 'Appointment not found' });
+  const rows = db.prepare(`
+    SELECT h.*, u.name as actor_name,
+      fs.date as from_date, fs.time as from_time, ts.date as to_date, ts.time as to_time
+    FROM appointment_history h
+    LEFT JOIN users u ON u.id = h.actor_id
+    LEFT JOIN slots fs ON fs.id = h.from_slot_id
+    LEFT JOIN slots ts ON ts.id = h.to_slot_id
+    WHERE h.appointment_id = ?
+    ORDER BY h.at, h.rowid
+  `).all(a.id);
+  res.json(rows);
+});
+
+app.post('/appointments',
+  requireRole('admin', 'receptionist'),
+  body('slotId').isString().notEmpty(),
+  body('patientId').optional({ nullable: true }).isString(),
+  body('patientName').optional().isString().trim(),
+  body('patientPhone').optional().isString(),
+  body('reason').optional().isString(),
+  async (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { slotId, reason } = req.body;
+
+    // ensure slot exists
+    const slot = db.prepare('SELECT * FROM slots WHERE id = ?').get(slotId);
+    if (!slot) return res.status(400).json({ error: 'Slot not found' });
+    const blocked = unavailableReason(slot.doctor_id, slot.date);
+    if (blocked) return res.status(409).json({ error: blocked });
+    // the slot's rules before a new patient is added; the patient's own limit once we know who it is
+    const violations = bookingViolations(slot, req.body.patientId || null);
+    if (violations.length) return sendViolations(res, violations);
+
+    // Try to insert appointment in a transaction; the unique index on live slot_id prevents double-booking.
+    // The caller's own hold on the slot becomes the appointment; someone else's keeps it from them.
+    let id;
+    let problem;
+    const txn = db.transaction(() => {
+      const hold = otherHold(slotId, req.tokenHash);
+      if (hold) { problem = { code: 409, error: holdMessage(hold) }; return; }
+      const patient = resolvePatient(req.body, req.user.id);
+      if (patient.error) { problem = patient; return; }
+      const patientViolations = bookingViolations(slot, patient.patientId);
+      if (patientViolations.length) { problem = violationError(patientViolations); return; }
+      id = insertAppointment({ slotId, patientId: patient.patientId, reason, actorId: req.user.id });
+      releaseHolds(req.tokenHash, slotId);
+    });
+
+    try {
+      txn();
+      if (problem) return res.status(problem.code).json({ error: problem.error, violations: problem.violations });
+      return res.status(201).json(getAppointment(id));
+    } catch (err) {
+      // If the slot_id unique constraint failed, it's a double-book
+      if (err.code && err.code.startsWith('SQLITE_CONSTRAINT')) {
+        return res.status(409).json({ error: 'Slot already booked' });
+      }
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+  });
+
+app.post('/appointments/:id/status',
+  authenticate,
+  param('id').isString(),
+  body('status').isIn(Object.keys(STATUS_TRANSITIONS)),
+  body('note').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const result = changeStatus(req, req.params.id, req.body.status, req.body.note);
+    if (result.error) return res.status(result.code).json({ error: result.error, allowed: result.allowed, violations: result.violations });
+    res.json(result.appointment);
+  });
+
+// Moves a Confirmed appointment to another free slot in one transaction, so the old slot is
+// only released once the new one is secured. The previous slot is kept in the history.
+app.post('/appointments/:id/reschedule',
+  requireRole('admin', 'receptionist'),
+  param('id').isString(),
+  body('slotId').isString().notEmpty(),
+  body('note').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { slotId, note } = req.body;
+    const a = getAppointment(req.params.id);
+    if (!a) return res.status(404).json({ error: 'Appointment not found' });
+    if (a.status !== 'Confirmed') return res.status(409).json({ error: `Only Confirmed appointments can be rescheduled (this one is ${a.status})` });
+    if (a.slot_id === slotId) return res.status(400).json({ error: 'Appointment is already in that slot' });
+    const slot = db.prepare('SELECT * FROM slots WHERE id = ?').get(slotId);
+    if (!slot) return res.status(400).json({ error: 'Slot not found' });
+    const blocked = unavailableReason(slot.doctor_id, slot.date);
+    if (blocked) return res.status(409).json({ error: blocked });
+    const violations = bookingViolations(slot, a.patient_id, a.id);
+    if (violations.length) return sendViolations(res, violations);
+
+    let hold;
+    try {
+      db.transaction(() => {
+        hold = otherHold(slotId, req.tokenHash);
+        if (hold) return;
+        moveAppointment(req.user.id, a, slotId, note);
+        releaseHolds(req.tokenHash, slotId);
+      })();
+    } catch (err) {
+      // the unique index on live slot_id: someone else holds the target slot
+      if (err.code && err.code.startsWith('SQLITE_CONSTRAINT')) return res.status(409).json({ error: 'Slot already booked' });
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+    if (hold) return res.status(409).json({ error: holdMessage(hold) });
+    res.json(getAppointment(a.id));
+  });
+
+// Moves appointment `a` (a getAppointment row) to the free slot `slotId`, with its history, audit entry and
+// patient notice, then offers the old slot to the waitlist. Call inside a transaction; a taken slot
+// fails the unique index on live slot_id.
+function moveAppointment(actorId, a, slotId, note) {
+  const before = AUDIT_SNAPSHOTS.appointment(a.id);
+  db.prepare('UPDATE appointments SET slot_id = ? WHERE id = ?').run(slotId, a.id);
+  recordHistory(a.id, 'rescheduled', { fromSlotId: a.slot_id, toSlotId: slotId, note: note || null, actorId });
+  audit(actorId, 'appointment', a.id, before, { note: note || null });
+  cancelPendingNotifications(a.id);
+  queueNotification(a.id, 'rescheduled');
+  queueReminders(a.id);
+  promoteWaitlist(a.slot_id, actorId);
+}
+
+// Moves each Confirmed appointment to the earliest free, bookable slot still ahead with the same doctor
+// (match=doctor) or any doctor of the same speciality (match=speciality) that the booking rules allow,
+// earliest appointments first.
+// Appointments with no such slot stay where they are and are listed in `unplaced`.
+app.post('/appointments/bulk-reschedule',
+  requireRole('admin', 'receptionist'),
+  body('appointmentIds').isArray({ min: 1, max: MAX_PAGE_SIZE }),
+  body('appointmentIds.*').isString(),
+  body('match').optional().isIn(['doctor', 'speciality']),
+  body('note').optional({ nullable: true }).isString().trim(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { appointmentIds, match = 'doctor', note } = req.body;
+    const appointments = appointmentIds.map(id => getAppointment(id) || { id, missing: true })
+      .sort((x, y) => `${x.date} ${x.time}`.localeCompare(`${y.date} ${y.time}`));
+    const moved = [];
+    const unplaced = [];
+    db.transaction(() => {
+      for (const a of appointments) {
+        if (a.missing) { unplaced.push({ appointmentId: a.id, error: 'Appointment not found' }); continue; }
+        if (a.status !== 'Confirmed') { unplaced.push({ appointmentId: a.id, error: `Appointment is ${a.status}` }); continue; }
+        const slot = db.prepare(`
+          SELECT s.*, d.name as doctor_name FROM slots s JOIN doctors d ON d.id = s.doctor_id
+          WHERE s.date || ' ' || s.time > ? AND s.id <> ? AND ${match === 'doctor' ? 's.doctor_id = ?' : 'd.speciality = ?'}
+            AND NOT EXISTS (SELECT 1 FROM appointments x WHERE x.slot_id = s.id AND x.status <> 'Cancelled')
+            AND NOT ${SLOT_UNAVAILABLE_SQL} AND NOT ${SLOT_HELD_SQL}
+          ORDER BY s.date, s.time, s.id
+          LIMIT ${MAX_PAGE_SIZE}
+        `).all(localNow(), a.slot_id, match === 'doctor' ? a.doctor_id : a.speciality, req.tokenHash)
+          .find(s => !bookingViolations(s, a.patient_id, a.id).length);
+        if (!slot) { unplaced.push({ appointmentId: a.id, error: `No free slot with the same ${match}` }); continue; }
+        moveAppointment(req.user.id, a, slot.id, note || 'Moved in bulk');
+        moved.push({ appointmentId: a.id, fromSlotId: a.slot_id, toSlotId: slot.id, date: slot.date, time: slot.time, doctorName: slot.doctor_name });
+      }
+    })();
+    res.json({ moved, unplaced });
+  });
+
+// kept for existing clients: cancels (does not delete) the appointment; reason in body or ?reason=
+app.delete('/appointments/:id', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const note = (req.body && req.body.reason) || req.query.reason || 'Cancelled by staff';
+  const result = changeStatus(req, req.params.id, 'Cancelled', String(note));
+  if (result.error) return res.status(result.code).json({ error: result.error, allowed: result.allowed, violations: result.violations });
+  res.json(result.appointment);
+});
+
+/*
+  CONSULTATION NOTES
+  The doctor's record of a visit: vitals, diagnosis, medicines, advice and when to follow up. Admins and the
+  appointment's doctor read and write them; receptionists don't see them (only the follow-up date, on the
+  appointment). Every save is a new version with its author, so nothing is overwritten; the versions are the
+  change history, and clinical details stay out of the audit log, which receptionists can read.
+*/
+const NOTES_ROLES = ['admin', 'doctor'];
+const VITALS = ['bloodPressure', 'pulse', 'temperature', 'weight', 'spo2'];
+const NOTES_CLOSED_STATUSES = ['Cancelled', 'NoShow'];
+
+function notesAppointment(req) {
+  const a = getAppointment(req.params.id);
+  const scope = doctorScope(req);
+  return a && (scope === null || a.doctor_id === scope) ? a : null;
+}
+
+const NOTES_SELECT = `
+  SELECT n.*, u.name as author_name FROM consultation_notes n LEFT JOIN users u ON u.id = n.author_id
+  WHERE n.appointment_id = ? ORDER BY n.version DESC
+`;
+
+function mapNotes(row) {
+  return Object.assign({}, row, { vitals: JSON.parse(row.vitals), medicines: JSON.parse(row.medicines) });
+}
+
+// every version, newest (the current notes) first
+app.get('/appointments/:id/notes', requireRole(...NOTES_ROLES), param('id').isString(), (req, res) => {
+  if (handleValidation(req, res)) return;
+  const a = notesAppointment(req);
+  if (!a) return res.status(404).json({ error: 'Appointment not found' });
+  res.json(db.prepare(NOTES_SELECT).all(a.id).map(mapNotes));
+});
+
+// Saves the notes as a new version. baseVersion, the version the editor started from (0 for none), turns a
+// save over someone else's newer version into a 409 with the current notes instead of losing their changes.
+app.put('/appointments/:id/notes',
+  requireRole(...NOTES_ROLES),
+  param('id').isString(),
+  body('baseVersion').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('vitals').optional({ nullable: true }).isObject(),
+  body('vitals.bloodPressure').optional({ nullable: true, checkFalsy: true }).matches(/^\d{2,3}\/\d{2,3}$/).withMessage('Blood pressure as systolic/diastolic, e.g. 120/80'),
+  body('vitals.pulse').optional({ nullable: true, checkFalsy: true }).isInt({ min: 20, max: 250 }).toInt(),
+  body('vitals.temperature').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 30, max: 45 }).toFloat(),
+  body('vitals.weight').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0.2, max: 500 }).toFloat(),
+  body('vitals.spo2').optional({ nullable: true, checkFalsy: true }).isInt({ min: 50, max: 100 }).toInt(),
+  body('diagnosis').optional({ nullable: true }).isString().trim().isLength({ max: 4000 }),
+  body('advice').optional({ nullable: true }).isString().trim().isLength({ max: 4000 }),
+  body('medicines').optional({ nullable: true }).isArray({ max: 50 }),
+  body('medicines.*.name').isString().trim().notEmpty(),
+  body(['medicines.*.dose', 'medicines.*.frequency', 'medicines.*.duration']).optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('followUpDate').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const a = notesAppointment(req);
+    if (!a) return res.status(404).json({ error: 'Appointment not found' });
+    if (NOTES_CLOSED_STATUSES.includes(a.status)) return res.status(409).json({ error: `No notes can be kept for a ${a.status === 'NoShow' ? 'missed' : 'cancelled'} appointment` });
+    const { baseVersion, followUpDate } = req.body;
+    if (followUpDate && followUpDate <= a.date) return res.status(400).json({ error: 'The follow-up must be after this appointment' });
+    const vitals = {};
+    VITALS.forEach(k => {
+      const value = req.body.vitals && req.body.vitals[k];
+      if (value !== undefined && value !== null && value !== '') vitals[k] = value;
+    });
+    const medicines = (req.body.medicines || []).map(m => ({ name: m.name, dose: m.dose || '', frequency: m.frequency || '', duration: m.duration || '' }));
+
+    let conflict = null;
+    db.transaction(() => {
+      const current = db.prepare('SELECT MAX(version) as v FROM consultation_notes WHERE appointment_id = ?').get(a.id).v || 0;
+      if (baseVersion !== undefined && baseVersion !== null && baseVersion !== current) { conflict = current; return; }
+      db.prepare(`
+        INSERT INTO consultation_notes (appointment_id, version, vitals, diagnosis, medicines, advice, follow_up_date, author_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(a.id, current + 1, JSON.stringify(vitals), req.body.diagnosis || null, JSON.stringify(medicines),
+        req.body.advice || null, followUpDate || null, req.user.id, new Date().toISOString());
+      // no audit row to point at: the version is the record
+      queueLiveChange(null, 'appointment', a.id, 'update');
+    })();
+    const notes = mapNotes(db.prepare(NOTES_SELECT).get(a.id));
+    if (conflict !== null) {
+      return res.status(409).json({ error: `${notes.author_name || 'Someone'} saved newer notes (version ${conflict}); check them and save again`, current: notes });
+    }
+    res.json(notes);
+  });
+
+/*
+  WAITLIST
+  When a slot is freed (cancellation, reschedule) or created, the oldest 'Waiting' entry whose
+  doctor/speciality and date range match is booked into it automatically.
+*/
+// the clinic's date today (not UTC's: the two differ for hours around midnight)
+function todayISO() {
+  return localDate(CLINIC_TIMEZONE);
+}
+
+// Books the first matching waitlisted patient the booking rules allow into `slotId` if it is free; call inside
+// a transaction.
+// Returns { waitlistId, appointmentId } or null.
+function promoteWaitlist(slotId, actorId) {
+  const slot = db.prepare('SELECT s.*, d.speciality FROM slots s JOIN doctors d ON d.id = s.doctor_id WHERE s.id = ?').get(slotId);
+  if (!slot || slot.date < todayISO() || unavailableReason(slot.doctor_id, slot.date)) return null;
+  if (db.prepare(`SELECT 1 FROM appointments WHERE slot_id = ? AND status <> 'Cancelled'`).get(slotId)) return null;
+  const entry = db.prepare(`
+    SELECT * FROM waitlist
+    WHERE status = 'Waiting' AND date_from <= ? AND date_to >= ?
+      AND (doctor_id = ? OR (doctor_id IS NULL AND speciality = ?))
+    ORDER BY created_at, rowid
+  `).all(slot.date, slot.date, slot.doctor_id, slot.speciality).find(w => !bookingViolations(slot, w.patient_id).length);
+  if (!entry) return null;
+
+  const appointmentId = insertAppointment({
+    slotId, patientId: entry.patient_id, reason: entry.reason, actorId, note: 'Booked from waitlist'
+  });
+  db.prepare(`UPDATE waitlist SET status = 'Booked', appointment_id = ?, resolved_at = ? WHERE id = ?`)
+    .run(appointmentId, new Date().toISOString(), entry.id);
+  audit(actorId, 'waitlist', entry.id, entry, { note: 'Booked from waitlist' });
+  return { waitlistId: entry.id, appointmentId };
+}
+
+// entries whose range has passed drop out of the queue (audited without an actor: nobody made this change);
+// runs on a timer started with the server, so reading the waitlist never writes
+const WAITLIST_EXPIRY_INTERVAL_MS = 10 * 60 * 1000;
+function expireWaitlist() {
+  db.transaction(() => {
+    const expired = db.prepare(`SELECT * FROM waitlist WHERE status = 'Waiting' AND date_to < ?`).all(todayISO());
+    db.prepare(`UPDATE waitlist SET status = 'Expired', resolved_at = ? WHERE status = 'Waiting' AND date_to < ?`)
+      .run(new Date().toISOString(), todayISO());
+    expired.forEach(w => audit(null, 'waitlist', w.id, w, { note: 'Date range passed' }));
+  })();
+}
+
+// position = place in the queue among Waiting entries for the same doctor or speciality
+function withPositions(rows) {
+  const seen = {};
+  return rows.map(r => {
+    if (r.status !== 'Waiting') return Object.assign({}, r, { position: null });
+    const key = r.doctor_id ? `doctor:${r.doctor_id}` : `speciality:${r.speciality}`;
+    seen[key] = (seen[key] || 0) + 1;
+    return Object.assign({}, r, { position: seen[key] });
+  });
+}
+
+app.get('/waitlist',
+  authenticate,
+  query('status').optional().isIn(['Waiting', 'Booked', 'Expired', 'Removed']),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    let rows = withPositions(db.prepare(`
+      SELECT w.*, p.name as patient_name, p.phone as patient_phone, d.name as doctor_name FROM waitlist w
+      JOIN patients p ON p.id = w.patient_id
+      LEFT JOIN doctors d ON d.id = w.doctor_id
+      ORDER BY w.created_at, w.rowid
+    `).all());
+    // a doctor sees the entries waiting for them and for their speciality (positions are counted before this)
+    const scope = doctorScope(req);
+    if (scope !== null) {
+      const doctor = db.prepare('SELECT speciality FROM doctors WHERE id = ?').get(scope);
+      rows = rows.filter(r => r.doctor_id === scope || (!r.doctor_id && doctor && r.speciality === doctor.speciality));
+    }
+    res.json(req.query.status ? rows.filter(r => r.status === req.query.status) : rows);
+  });
+
+app.post('/waitlist',
+  requireRole('admin', 'receptionist'),
+  body('patientId').optional({ nullable: true }).isString(),
+  body('patientName').optional().isString().trim(),
+  body('patientPhone').optional().isString(),
+  body('reason').optional().isString(),
+  body('doctorId').optional({ nullable: true }).isString(),
+  body('speciality').optional({ nullable: true }).isString(),
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { reason, from, to } = req.body;
+    const doctorId = req.body.doctorId || null;
+    const speciality = doctorId ? null : (req.body.speciality || null);
+    if (!doctorId && !speciality) return res.status(400).json({ error: 'Choose a doctor or a speciality' });
+    if (doctorId && !db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId)) return res.status(400).json({ error: 'Doctor not found' });
+    if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+    if (to < todayISO()) return res.status(400).json({ error: 'Date range is in the past' });
+
+    const id = uuidv4();
+    let problem;
+    db.transaction(() => {
+      const patient = resolvePatient(req.body, req.user.id);
+      if (patient.error) { problem = patient; return; }
+      db.prepare(`
+        INSERT INTO waitlist (id, patient_id, reason, doctor_id, speciality, date_from, date_to, status, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'Waiting', ?)
+      `).run(id, patient.patientId, reason || null, doctorId, speciality, from, to, new Date().toISOString());
+      audit(req.user.id, 'waitlist', id, null);
+    })();
+    if (problem) return res.status(problem.code).json({ error: problem.error });
+    res.status(201).json(db.prepare('SELECT * FROM waitlist WHERE id = ?').get(id));
+  });
+
+app.delete('/waitlist/:id', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const info = db.transaction(() => {
+    const before = AUDIT_SNAPSHOTS.waitlist(req.params.id);
+    const result = db.prepare(`UPDATE waitlist SET status = 'Removed', resolved_at = ? WHERE id = ? AND status = 'Waiting'`)
+      .run(new Date().toISOString(), req.params.id);
+    if (result.changes) audit(req.user.id, 'waitlist', req.params.id, before);
+    return result;
+  })();
+  if (!info.changes) return res.status(404).json({ error: 'No waiting entry with that id' });
+  res.status(204).send();
+});
+
+/*
+  PATIENT PORTAL
+  GET /portal is a page for patients (portal.html, portal.js): pick a free time and book it, then look the
+  booking up again with its confirmation code and phone number to cancel or move it. Its API under /public
+  needs no login and only ever returns free slots and the one booking that code and phone number open;
+  patient names and phone numbers never leave it. Codes and phones go in request bodies, not URLs, so they
+  stay out of access logs.
+*/
+const PORTAL_FILES = { '/portal': 'portal.html', '/portal.js': 'portal.js', '/styles.css': 'styles.css' };
+// per client address and 15 minutes: wrong code/phone pairs, and bookings made
+const PORTAL_LIMITS = { lookup: 10, booking: 5 };
+const PORTAL_WINDOW_MS = 15 * 60 * 1000;
+const portalHits = new Map();
+
+Object.entries(PORTAL_FILES).forEach(([route, file]) => app.get(route, (req, res) => res.sendFile(path.join(__dirname, file))));
+
+function portalHitKey(kind, req) {
+  return `${kind} ${req.ip}`;
+}
+
+function portalLimited(kind, req) {
+  const key = portalHitKey(kind, req);
+  const recent = (portalHits.get(key) || []).filter(at => at > Date.now() - PORTAL_WINDOW_MS);
+  if (recent.length) portalHits.set(key, recent);
+  else portalHits.delete(key);
+  return recent.length >= PORTAL_LIMITS[kind];
+}
+
+function countPortalHit(kind, req) {
+  const key = portalHitKey(kind, req);
+  portalHits.set(key, (portalHits.get(key) || []).concat(Date.now()));
+}
+
+function sendPortalLimited(res) {
+  return res.status(429).json({ error: 'Too many attempts; please try again later or call the clinic' });
+}
+
+// free, bookable slots from now until PORTAL_DAYS_AHEAD days ahead (params: localNow(), last date)
+const PORTAL_FREE_SQL = `
+  s.date || ' ' || s.time > ? AND s.date <= ?
+  AND NOT EXISTS (SELECT 1 FROM appointments x WHERE x.slot_id = s.id AND x.status <> 'Cancelled')
+  AND NOT ${SLOT_UNAVAILABLE_SQL} AND NOT ${SLOT_HELD_SQL}
+`;
+const PORTAL_SLOT_SELECT = `
+  SELECT s.id, s.doctor_id, d.name as doctor_name, d.speciality, s.date, s.time, s.duration, s.room_id as room
+  FROM slots s JOIN doctors d ON d.id = s.doctor_id
+`;
+
+function portalFreeParams() {
+  return [localNow(), addDays(todayISO(), PORTAL_DAYS_AHEAD), null];
+}
+
+function findPortalSlot(slotId) {
+  return db.prepare(`${PORTAL_SLOT_SELECT} WHERE s.id = ? AND ${PORTAL_FREE_SQL}`).get(slotId, ...portalFreeParams());
+}
+
+// what the patient sees of their booking
+function publicBooking(a) {
+  return {
+    code: a.confirmation_code,
+    status: a.status,
+    doctorId: a.doctor_id,
+    doctorName: a.doctor_name,
+    speciality: a.speciality,
+    date: a.date,
+    time: a.time,
+    endTime: fromMinutes(toMinutes(a.time) + a.duration),
+    room: a.room,
+    reason: a.reason,
+    // only Confirmed bookings still ahead can be cancelled or moved online
+    changeable: a.status === 'Confirmed' && `${a.date} ${a.time}` > localNow(),
+    // ...and cancelled only before the cancellation cutoff
+    cancellable: a.status === 'Confirmed' && `${a.date} ${a.time}` > localNow() && !cancellationViolations(a).length
+  };
+}
+
+// names as typed in the portal, compared without case or extra spaces
+function portalName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// a phone number the portal accepts: at least 7 digits
+function isPortalPhone(value) {
+  return (normalizePhone(value) || '').length >= 7;
+}
+
+// the booking with this code, if the phone number is the patient's; counts a failed attempt otherwise
+function findPortalBooking(req) {
+  const code = String(req.body.code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const a = code && db.prepare(`${APPOINTMENT_SELECT} WHERE a.confirmation_code = ?`).get(code);
+  // both sides need a number: a booking without a phone can't be opened online, whatever is typed
+  const phone = normalizePhone(req.body.phone);
+  if (a && phone && normalizePhone(a.patient_phone) === phone) return a;
+  countPortalHit('lookup', req);
+  return null;
+}
+
+function portalBookingRoute(handler) {
+  return [
+    body('code').isString().notEmpty(),
+    body('phone').isString().custom(isPortalPhone).withMessage('Enter a phone number'),
+    (req, res) => {
+      if (handleValidation(req, res)) return;
+      if (portalLimited('lookup', req)) return sendPortalLimited(res);
+      const a = findPortalBooking(req);
+      if (!a) return res.status(404).json({ error: 'No booking matches that confirmation code and phone number' });
+      handler(req, res, a);
+    }
+  ];
+}
+
+app.get('/public/doctors', (req, res) => {
+  res.json(db.prepare('SELECT id, name, speciality FROM doctors ORDER BY name').all());
+});
+
+// ?doctorId=&speciality=&from=&to= (dates), earliest first
+app.get('/public/slots',
+  query('doctorId').optional().isString(),
+  query('speciality').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { doctorId, speciality, from, to } = req.query;
+    const where = [PORTAL_FREE_SQL];
+    const params = portalFreeParams();
+    if (doctorId) { where.push('s.doctor_id = ?'); params.push(doctorId); }
+    if (speciality) { where.push('d.speciality = ?'); params.push(speciality); }
+    if (from) { where.push('s.date >= ?'); params.push(from); }
+    if (to) { where.push('s.date <= ?'); params.push(to); }
+    const rows = db.prepare(`${PORTAL_SLOT_SELECT} WHERE ${where.join(' AND ')} ORDER BY s.date, s.time, d.name LIMIT ${MAX_PAGE_SIZE}`).all(...params);
+    res.json(rows.filter(slot => !bookingViolations(slot).length).map(withEndTime));
+  });
+
+app.post('/public/bookings',
+  body('slotId').isString().notEmpty(),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('phone').isString().custom(isPortalPhone).withMessage('Enter a phone number'),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    if (portalLimited('booking', req) || portalLimited('lookup', req)) return sendPortalLimited(res);
+    const { slotId, name, phone, reason } = req.body;
+    const free = findPortalSlot(slotId);
+    let violations = free ? bookingViolations(free) : [];
+    if (violations.length) return sendViolations(res, violations);
+    let id;
+    let otherPatient = false;
+    try {
+      id = db.transaction(() => {
+        const slot = findPortalSlot(slotId);
+        if (!slot) return null;
+        // the phone number alone doesn't prove who is booking: an existing patient is only reused if the name matches too
+        const existing = findPatientByPhone(phone);
+        if (existing && portalName(existing.name) !== portalName(name)) {
+          otherPatient = true;
+          return null;
+        }
+        const patientId = existing ? existing.id : insertPatient({ name, phone }, null);
+        violations = bookingViolations(slot, patientId);
+        if (violations.length) return null;
+        return insertAppointment({ slotId, patientId, reason, actorId: null, note: 'Booked online' });
+      })();
+    } catch (err) {
+      if (!(err.code && err.code.startsWith('SQLITE_CONSTRAINT'))) {
+        console.error(err);
+        return res.status(500).json({ error: 'Internal error' });
+      }
+    }
+    if (violations.length) return sendViolations(res, violations);
+    if (otherPatient) {
+      // counted like a failed lookup, so phone numbers can't be probed for
+      countPortalHit('lookup', req);
+      return res.status(409).json({ error: 'That phone number is registered with the clinic under another name; please call the clinic to book' });
+    }
+    if (!id) return res.status(409).json({ error: 'Sorry, that time has just been taken; please pick another' });
+    countPortalHit('booking', req);
+    res.status(201).json(publicBooking(getAppointment(id)));
+  });
+
+app.post('/public/bookings/find', ...portalBookingRoute((req, res, a) => res.json(publicBooking(a))));
+
+app.post('/public/bookings/cancel', ...portalBookingRoute((req, res, a) => {
+  if (!publicBooking(a).changeable) return res.status(409).json({ error: 'This booking can no longer be cancelled online; please call the clinic' });
+  const violations = cancellationViolations(a);
+  if (violations.length) return sendViolations(res, violations);
+  db.transaction(() => applyStatus(a, 'Cancelled', 'Cancelled online by the patient', null))();
+  res.json(publicBooking(getAppointment(a.id)));
+}));
+
+// moves the booking to another free time with the same doctor
+app.post('/public/bookings/reschedule', body('slotId').isString().notEmpty(), ...portalBookingRoute((req, res, a) => {
+  if (!publicBooking(a).changeable) return res.status(409).json({ error: 'This booking can no longer be changed online; please call the clinic' });
+  let moved = false;
+  let violations = [];
+  try {
+    moved = db.transaction(() => {
+      const slot = findPortalSlot(req.body.slotId);
+      if (!slot || slot.doctor_id !== a.doctor_id) return false;
+      violations = bookingViolations(slot, a.patient_id, a.id);
+      if (violations.length) return false;
+      moveAppointment(null, a, slot.id, 'Rescheduled online by the patient');
+      return true;
+    })();
+  } catch (err) {
+    if (!(err.code && err.code.startsWith('SQLITE_CONSTRAINT'))) {
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+  }
+  if (violations.length) return sendViolations(res, violations);
+  if (!moved) return res.status(409).json({ error: 'Sorry, that time is not available; please pick another' });
+  res.json(publicBooking(getAppointment(a.id)));
+}));
+
+/*
+  CALENDAR FEEDS
+  Each doctor can have one secret feed URL (GET /feeds/<token>.ics) to subscribe to from a calendar app.
+  Appointments keep their UID for life and cancelled ones stay in the feed as STATUS:CANCELLED,
+  so subscribed calendars move or drop the event instead of duplicating it.
+*/
+// staff manage any doctor's feed, a doctor only their own
+function canManageFeed(req, doctorId) {
+  return req.user.role !== 'doctor' || req.user.doctor_id === doctorId;
+}
+
+function feedUrl(req, token) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/feeds/${token}.ics`;
+}
+
+app.get('/doctors/:id/calendar-feed', authenticate, param('id').isString(), (req, res) => {
+  if (!canManageFeed(req, req.params.id)) return res.status(403).json({ error: 'Not your calendar' });
+  const feed = db.prepare('SELECT doctor_id, include_patient, created_at FROM calendar_feeds WHERE doctor_id = ?').get(req.params.id);
+  if (!feed) return res.status(404).json({ error: 'No calendar feed for this doctor' });
+  res.json(feed);
+});
+
+// creates the feed or replaces its token (the old URL stops working); the URL is only shown now
+app.post('/doctors/:id/calendar-feed',
+  authenticate,
+  param('id').isString(),
+  body('includePatient').optional().isBoolean().toBoolean(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const doctorId = req.params.id;
+    if (!canManageFeed(req, doctorId)) return res.status(403).json({ error: 'Not your calendar' });
+    if (!db.prepare('SELECT id FROM doctors WHERE id = ?').get(doctorId)) return res.status(404).json({ error: 'Doctor not found' });
+    const includePatient = !!req.body.includePatient;
+    if (includePatient && !CALENDAR_PATIENT_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: `Role ${req.user.role} cannot share patient details in a calendar feed` });
+    }
+    const token = createToken();
+    const createdAt = new Date().toISOString();
+    db.transaction(() => {
+      const before = AUDIT_SNAPSHOTS.calendar_feed(doctorId);
+      db.prepare(`
+        INSERT INTO calendar_feeds (doctor_id, token_hash, include_patient, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (doctor_id) DO UPDATE SET token_hash = excluded.token_hash, include_patient = excluded.include_patient,
+          created_by = excluded.created_by, created_at = excluded.created_at
+      `).run(doctorId, hashToken(token), includePatient ? 1 : 0, req.user.id, createdAt);
+      audit(req.user.id, 'calendar_feed', doctorId, before, { note: before ? 'Link replaced' : null });
+    })();
+    res.status(201).json({ doctor_id: doctorId, include_patient: includePatient ? 1 : 0, created_at: createdAt, url: feedUrl(req, token) });
+  });
+
+app.delete('/doctors/:id/calendar-feed', authenticate, param('id').isString(), (req, res) => {
+  if (!canManageFeed(req, req.params.id)) return res.status(403).json({ error: 'Not your calendar' });
+  auditedDelete(req.user.id, [['calendar_feed', req.params.id]],
+    () => db.prepare('DELETE FROM calendar_feeds WHERE doctor_id = ?').run(req.params.id));
+  res.status(204).send();
+});
+
+// no bearer token here (calendar apps can't send one): the secret in the URL is the credential
+app.get('/feeds/:file', (req, res) => {
+  const match = req.params.file.match(/^([0-9a-f]{64})\.ics$/);
+  const feed = match && db.prepare(`
+    SELECT f.*, d.name as doctor_name FROM calendar_feeds f JOIN doctors d ON d.id = f.doctor_id WHERE f.token_hash = ?
+  `).get(hashToken(match[1]));
+  if (!feed) return res.status(404).json({ error: 'Calendar feed not found' });
+
+  const since = addDays(todayISO(), -FEED_HISTORY_DAYS);
+  const rows = db.prepare(`
+    SELECT ${APPOINTMENT_COLUMNS},
+      (SELECT COUNT(*) - 1 FROM appointment_history h WHERE h.appointment_id = a.id) as sequence
+    ${APPOINTMENT_FROM}
+    WHERE s.doctor_id = ? AND s.date >= ?
+    ORDER BY s.date, s.time, a.id
+  `).all(feed.doctor_id, since);
+  const events = rows.map(a => appointmentEvent(a, { includePatient: !!feed.include_patient, timeZone: CLINIC_TIMEZONE }));
+  res.type('text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.send(calendar(`${feed.doctor_name} – appointments`, events));
+});
+
+/*
+  IMPORT / EXPORT
+  POST /import/doctors and /import/slots take CSV (Content-Type: text/csv, header row first) or a JSON array.
+  The whole file goes in one transaction: if any row is invalid nothing is imported and every
+  problem is reported as { row, field, error }. ?dryRun=true validates everything and rolls back.
+  GET /export/<table>?format=csv|json writes the same columns the imports read, so exports re-import.
+*/
+const EXPORT_COLUMNS = {
+  doctors: ['id', 'name', 'speciality', 'room'],
+  slots: ['id', 'doctor_id', 'date', 'time', 'duration', 'room_id'],
+  appointments: [
+    'id', 'slot_id', 'doctor_id', 'doctor_name', 'date', 'time', 'duration', 'patient_id', 'patient_name',
+    'patient_phone', 'reason', 'status', 'created_at', 'status_changed_at', 'cancel_reason'
+  ]
+};
+
+class ImportRollback extends Error {}
+
+function isISODate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+// first non-blank value among `keys` (JSON rows may use the API's camelCase names)
+function field(row, ...keys) {
+  for (const k of keys) {
+    if (row[k] !== undefined && row[k] !== null && String(row[k]).trim() !== '') return String(row[k]).trim();
+  }
+  return '';
+}
+
+/*
+  Runs importRow(row, summary) for every row inside one transaction. importRow inserts the row and returns
+  null, or returns { field, error } for a bad row. Row numbers are CSV line numbers (header = 1)
+  or 1-based positions in a JSON array.
+*/
+function runImport(req, res, importRow) {
+  const dryRun = req.query.dryRun === 'true';
+  const isCsv = typeof req.body === 'string';
+  const { rows, error } = isCsv ? parseCsv(req.body)
+    : Array.isArray(req.body) ? { rows: req.body, error: null }
+      : { rows: [], error: 'Send CSV (Content-Type: text/csv) or a JSON array of rows' };
+  if (error) return res.status(400).json({ error });
+  if (!rows.length) return res.status(400).json({ error: 'No rows to import' });
+
+  const errors = [];
+  const summary = { waitlistBookings: 0 };
+  try {
+    db.transaction(() => {
+      rows.forEach((row, i) => {
+        const problem = row && typeof row === 'object' ? importRow(row, summary) : { field: null, error: 'Row must be an object' };
+        if (problem) errors.push(Object.assign({ row: isCsv ? i + 2 : i + 1 }, problem));
+      });
+      if (errors.length || dryRun) throw new ImportRollback();
+    })();
+  } catch (err) {
+    if (!(err instanceof ImportRollback)) {
+      console.error(err);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+  }
+  if (errors.length) {
+    return res.status(422).json({ error: `${errors.length} invalid row(s); nothing was imported`, dryRun, rows: rows.length, errors });
+  }
+  res.status(dryRun ? 200 : 201).json(Object.assign({ dryRun, rows: rows.length, imported: dryRun ? 0 : rows.length }, dryRun ? {} : summary));
+}
+
+function importDoctor(req, row) {
+  const id = field(row, 'id');
+  const name = field(row, 'name');
+  if (!id) return { field: 'id', error: 'id is required' };
+  if (!name) return { field: 'name', error: 'name is required' };
+  // rows earlier in the same file are already inserted, so this also catches duplicates within the file
+  if (db.prepare('SELECT 1 FROM doctors WHERE id = ?').get(id)) return { field: 'id', error: `Doctor ID ${id} already exists` };
+  const room = field(row, 'room');
+  if (room && !findRoom(room)) return { field: 'room', error: `Unknown room ${room}` };
+  db.prepare('INSERT INTO doctors (id,name,speciality,room) VALUES (?, ?, ?, ?)')
+    .run(id, name, field(row, 'speciality') || null, room || null);
+  audit(req.user.id, 'doctor', id, null, { note: 'Imported' });
+  return null;
+}
+
+function importSlot(req, row, summary) {
+  const doctorId = field(row, 'doctor_id', 'doctorId');
+  const date = field(row, 'date');
+  const time = field(row, 'time');
+  const durationText = field(row, 'duration');
+  const duration = durationText ? Number(durationText) : DEFAULT_SLOT_MINUTES;
+  if (!doctorId) return { field: 'doctor_id', error: 'doctor_id is required' };
+  const doc = db.prepare('SELECT * FROM doctors WHERE id = ?').get(doctorId);
+  if (!doc) return { field: 'doctor_id', error: `Unknown doctor ${doctorId}` };
+  // a blank room_id means the doctor's default room
+  const roomId = field(row, 'room_id', 'roomId') || doc.room || null;
+  if (roomId && !findRoom(roomId)) return { field: 'room_id', error: `Unknown room ${roomId}` };
+  if (!isISODate(date)) return { field: 'date', error: `Invalid date "${date}" (use YYYY-MM-DD)` };
+  if (!TIME_RE.test(time)) return { field: 'time', error: `Invalid time "${time}" (use HH:MM)` };
+  if (!Number.isInteger(duration) || duration < 5 || duration > 480) return { field: 'duration', error: 'duration must be 5-480 minutes' };
+  if (!endsSameDay(time, duration)) return { field: 'duration', error: 'Slot must end by midnight' };
+  const blocked = unavailableReason(doctorId, date);
+  if (blocked) return { field: 'date', error: blocked };
+  const id = field(row, 'id') || uuidv4();
+  if (db.prepare('SELECT 1 FROM slots WHERE id = ?').get(id)) return { field: 'id', error: `Slot ID ${id} already exists` };
+  const conflicts = findSlotConflicts(doctorId, date, time, duration);
+  if (conflicts.length) {
+    return { field: 'time', error: `Overlaps existing slot(s) for this doctor: ${conflicts.map(c => `${c.time}-${c.end_time}`).join(', ')}` };
+  }
+  const roomConflicts = findRoomConflicts(roomId, date, time, duration);
+  if (roomConflicts.length) return { field: 'room_id', error: roomConflictMessage(roomId, roomConflicts) };
+  db.prepare('INSERT INTO slots (id, doctor_id, date, time, duration, room_id) VALUES (?, ?, ?, ?, ?, ?)').run(id, doctorId, date, time, duration, roomId);
+  audit(req.user.id, 'slot', id, null, { note: 'Imported' });
+  if (promoteWaitlist(id, req.user.id)) summary.waitlistBookings++;
+  return null;
+}
+
+app.post('/import/doctors', requireRole('admin'), query('dryRun').optional().isBoolean(), (req, res) => {
+  if (handleValidation(req, res)) return;
+  runImport(req, res, row => importDoctor(req, row));
+});
+
+app.post('/import/slots', requireRole('admin', 'receptionist'), query('dryRun').optional().isBoolean(), (req, res) => {
+  if (handleValidation(req, res)) return;
+  runImport(req, res, (row, summary) => importSlot(req, row, summary));
+});
+
+// doctors export everything they can see elsewhere: all doctors, their own slots and appointments
+app.get('/export/:table',
+  authenticate,
+  param('table').isIn(Object.keys(EXPORT_COLUMNS)),
+  query('format').optional().isIn(['csv', 'json']),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { table } = req.params;
+    const scope = doctorScope(req);
+    let rows;
+    if (table === 'doctors') {
+      rows = db.prepare('SELECT * FROM doctors ORDER BY id').all();
+    } else if (table === 'slots') {
+      rows = scope !== null
+        ? db.prepare('SELECT * FROM slots WHERE doctor_id = ? ORDER BY date, time, id').all(scope)
+        : db.prepare('SELECT * FROM slots ORDER BY date, time, doctor_id, id').all();
+    } else {
+      rows = scope !== null
+        ? db.prepare(`${APPOINTMENT_SELECT} WHERE s.doctor_id = ? ORDER BY s.date, s.time, a.id`).all(scope)
+        : db.prepare(`${APPOINTMENT_SELECT} ORDER BY s.date, s.time, a.id`).all();
+    }
+    const columns = EXPORT_COLUMNS[table];
+    const format = req.query.format || 'csv';
+    res.attachment(`${table}-${todayISO()}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8');
+      return res.send(toCsv(rows, columns));
+    }
+    res.json(rows.map(r => Object.fromEntries(columns.map(c => [c, r[c] === undefined ? null : r[c]]))));
+  });
+
+/*
+  REPORTS
+  GET /reports summarises a date range (by slot date): how many slots were booked (utilization) per doctor,
+  per speciality and per hour of the day, how far ahead patients book, and how many appointments were
+  cancelled or missed. A slot counts as booked while it holds an appointment that isn't cancelled.
+  Cancellation rate = cancelled / all appointments; no-show rate = no-shows / (completed + no-shows),
+  i.e. among the visits that have an outcome. Rates are null when there is nothing to divide by.
+*/
+const REPORT_DEFAULT_DAYS = 30;
+// upper bounds in days between booking and appointment; the last bucket is open-ended
+const LEAD_TIME_BUCKETS = [
+  { label: 'Same day', maxDays: 0 },
+  { label: '1–2 days', maxDays: 2 },
+  { label: '3–7 days', maxDays: 7 },
+  { label: '8–14 days', maxDays: 14 },
+  { label: '15–30 days', maxDays: 30 },
+  { label: 'Over 30 days', maxDays: null }
+];
+
+// one row per slot in the range, with its appointments counted by outcome
+const REPORT_SLOTS_SQL = where => `
+  WITH per_slot AS (
+    SELECT s.id, s.doctor_id, s.time, d.name as doctor_name, d.speciality,
+      COUNT(CASE WHEN a.status <> 'Cancelled' THEN 1 END) as booked,
+      COUNT(a.id) as appointments,
+      COUNT(CASE WHEN a.status = 'Completed' THEN 1 END) as completed,
+      COUNT(CASE WHEN a.status = 'Cancelled' THEN 1 END) as cancelled,
+      COUNT(CASE WHEN a.status = 'NoShow' THEN 1 END) as no_show
+    FROM slots s
+    JOIN doctors d ON d.id = s.doctor_id
+    LEFT JOIN appointments a ON a.slot_id = s.id
+    WHERE ${where}
+    GROUP BY s.id
+  )`;
+const REPORT_SUMS = `COUNT(*) as slots, TOTAL(booked) as booked, TOTAL(appointments) as appointments,
+  TOTAL(completed) as completed, TOTAL(cancelled) as cancelled, TOTAL(no_show) as no_show`;
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+function withRates(row) {
+  return Object.assign(row, {
+    utilization: ratio(row.booked, row.slots),
+    cancellation_rate: ratio(row.cancelled, row.appointments),
+    no_show_rate: ratio(row.no_show, row.completed + row.no_show)
+  });
+}
+
+// days from the (clinic) booking date to the appointment date; bookings made afterwards count as same day
+const LEAD_DAYS_SQL = `MAX(0, CAST(julianday(s.date) - julianday(clinic_date(a.created_at)) AS INTEGER))`;
+
+// filters: from/to (slot dates, default the last 30 days), doctorId, speciality; doctors only see their own figures
+app.get('/reports',
+  authenticate,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('doctorId').optional().isString(),
+  query('speciality').optional().isString(),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const to = req.query.to || todayISO();
+    const from = req.query.from || addDays(to, -(REPORT_DEFAULT_DAYS - 1));
+    const rangeError = dateRangeError(from, to);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+    const scope = doctorScope(req);
+    const doctorId = scope !== null ? scope : req.query.doctorId;
+    const where = ['s.date BETWEEN ? AND ?'];
+    const params = [from, to];
+    if (doctorId) { where.push('s.doctor_id = ?'); params.push(doctorId); }
+    if (req.query.speciality) { where.push('d.speciality = ?'); params.push(req.query.speciality); }
+    const perSlot = REPORT_SLOTS_SQL(where.join(' AND '));
+
+    const totals = withRates(db.prepare(`${perSlot} SELECT ${REPORT_SUMS} FROM per_slot`).get(...params));
+    const byDoctor = db.prepare(`${perSlot}
+      SELECT doctor_id, doctor_name, speciality, ${REPORT_SUMS} FROM per_slot GROUP BY doctor_id ORDER BY doctor_name, doctor_id
+    `).all(...params).map(withRates);
+    const bySpeciality = db.prepare(`${perSlot}
+      SELECT speciality, COUNT(DISTINCT doctor_id) as doctors, ${REPORT_SUMS} FROM per_slot GROUP BY speciality ORDER BY speciality IS NULL, speciality
+    `).all(...params).map(withRates);
+    const busiestHours = db.prepare(`${perSlot}
+      SELECT substr(time, 1, 2) as hour, ${REPORT_SUMS} FROM per_slot GROUP BY hour ORDER BY hour
+    `).all(...params).map(withRates);
+
+    const bucketSql = LEAD_TIME_BUCKETS.map((b, i) => (b.maxDays === null ? `ELSE ${i}` : `WHEN lead_days <= ${b.maxDays} THEN ${i}`)).join(' ');
+    const leadRows = db.prepare(`
+      SELECT CASE ${bucketSql} END as bucket, COUNT(*) as appointments, TOTAL(lead_days) as days
+      FROM (
+        SELECT ${LEAD_DAYS_SQL} as lead_days
+        FROM appointments a JOIN slots s ON s.id = a.slot_id JOIN doctors d ON d.id = s.doctor_id
+        WHERE ${where.join(' AND ')}
+      )
+      GROUP BY bucket
+    `).all(...params);
+    const leadTimes = LEAD_TIME_BUCKETS.map((b, i) => {
+      const row = leadRows.find(r => r.bucket === i);
+      return { label: b.label, max_days: b.maxDays, appointments: row ? row.appointments : 0 };
+    });
+    const booked = leadRows.reduce((sum, r) => sum + r.appointments, 0);
+    totals.avg_lead_days = booked ? Math.round((leadRows.reduce((sum, r) => sum + r.days, 0) / booked) * 10) / 10 : null;
+
+    res.json({ from, to, totals, byDoctor, bySpeciality, leadTimes, busiestHours });
+  });
+
+/*
+  AUDIT LOG
+  Every create, update and delete made through the API adds an audit_log row: who, when, which entity,
+  and the entity as it was before and after. The table is append-only (triggers in db.js reject changes).
+  GET /audit queries it, newest first.
+*/
+// current state of each audited entity type, by id (a schedule and a calendar feed are keyed by doctor id)
+const AUDIT_SNAPSHOTS = {
+  doctor: id => db.prepare('SELECT * FROM doctors WHERE id = ?').get(id),
+  room: id => db.prepare('SELECT * FROM rooms WHERE id = ?').get(id),
+  slot: id => db.prepare('SELECT * FROM slots WHERE id = ?').get(id),
+  schedule: doctorId => db.prepare('SELECT weekday, start_time, end_time, slot_minutes FROM availability WHERE doctor_id = ? ORDER BY weekday, start_time').all(doctorId),
+  patient: id => db.prepare('SELECT * FROM patients WHERE id = ?').get(id),
+  appointment: id => db.prepare('SELECT * FROM appointments WHERE id = ?').get(id),
+  waitlist: id => db.prepare('SELECT * FROM waitlist WHERE id = ?').get(id),
+  user: id => db.prepare('SELECT * FROM users WHERE id = ?').get(id),
+  // never the token hash
+  calendar_feed: doctorId => db.prepare('SELECT doctor_id, include_patient, created_by, created_at FROM calendar_feeds WHERE doctor_id = ?').get(doctorId),
+  notification: id => db.prepare('SELECT * FROM notifications WHERE id = ?').get(id),
+  leave: id => db.prepare('SELECT * FROM doctor_leave WHERE id = ?').get(id),
+  closure: id => db.prepare('SELECT * FROM closures WHERE id = ?').get(id),
+  // by doctor id, or 'clinic' for the clinic-wide rules
+  booking_rules: key => bookingRuleRow(key === 'clinic' ? null : key)
+};
+// only admins see changes to user accounts
+const STAFF_AUDIT_TYPES = Object.keys(AUDIT_SNAPSHOTS).filter(t => t !== 'user');
+
+/*
+  Records a change to one entity. Call it right after the change, inside the same transaction, with
+  the entity as it was before (null for a create); the action follows from the before/after snapshots.
+  `actorId` is null for changes no user made (e.g. waitlist entries expiring).
+*/
+function audit(actorId, entityType, entityId, before, { note = null } = {}) {
+  const after = AUDIT_SNAPSHOTS[entityType](entityId) || null;
+  if (!before && !after) return;
+  const beforeJson = before ? JSON.stringify(before) : null;
+  const afterJson = after ? JSON.stringify(after) : null;
+  if (beforeJson === afterJson && !note) return;
+  const actor = actorId ? db.prepare('SELECT name FROM users WHERE id = ?').get(actorId) : null;
+  const action = !before ? 'create' : after ? 'update' : 'delete';
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO audit_log (at, actor_id, actor_name, action, entity_type, entity_id, before_json, after_json, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(new Date().toISOString(), actorId || null, actor ? actor.name : null, action,
+    entityType, String(entityId), beforeJson, afterJson, note);
+  queueLiveChange(lastInsertRowid, entityType, String(entityId), action);
+}
+
+// Runs `remove` in a transaction and audits every [entityType, id] in `entities` as deleted,
+// including the rows ON DELETE CASCADE takes along (list those too).
+function auditedDelete(actorId, entities, remove, note = null) {
+  db.transaction(() => {
+    const before = entities.map(([type, id]) => [type, id, AUDIT_SNAPSHOTS[type](id)]);
+    remove();
+    before.forEach(([type, id, row]) => audit(actorId, type, id, row, { note }));
+  })();
+}
+
+function mapAuditEntry(r) {
+  const entry = Object.assign({}, r, { before: r.before_json ? JSON.parse(r.before_json) : null, after: r.after_json ? JSON.parse(r.after_json) : null });
+  delete entry.before_json;
+  delete entry.after_json;
+  return entry;
+}
+
+const AUDIT_SORTS = { at: ['l.at'] };
+
+// filters: entityType (comma-separated), entityId, actorId, action, from/to (dates); paged like the other lists
+app.get('/audit',
+  requireRole('admin', 'receptionist'),
+  query('entityType').optional().custom(v => String(v).split(',').every(t => AUDIT_SNAPSHOTS[t])).withMessage('Unknown entity type'),
+  query('entityId').optional().isString(),
+  query('actorId').optional().isString(),
+  query('action').optional().isIn(['create', 'update', 'delete']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  listParams(Object.keys(AUDIT_SORTS)),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { entityId, actorId, action, from, to } = req.query;
+    const allowed = req.user.role === 'admin' ? Object.keys(AUDIT_SNAPSHOTS) : STAFF_AUDIT_TYPES;
+    const types = req.query.entityType ? req.query.entityType.split(',').filter(t => allowed.includes(t)) : allowed;
+    const where = [`l.entity_type IN (${types.map(() => '?').join(', ') || 'NULL'})`];
+    const params = types.slice();
+    if (entityId) { where.push('l.entity_id = ?'); params.push(entityId); }
+    if (actorId) { where.push('l.actor_id = ?'); params.push(actorId); }
+    if (action) { where.push('l.action = ?'); params.push(action); }
+    if (from) { where.push('substr(l.at, 1, 10) >= ?'); params.push(from); }
+    if (to) { where.push('substr(l.at, 1, 10) <= ?'); params.push(to); }
+    sendList(req, res, {
+      columns: 'l.*', from: 'FROM audit_log l',
+      where, params, sorts: AUDIT_SORTS, defaultSort: 'at', defaultOrder: 'desc', tieBreaker: 'l.id', map: mapAuditEntry
+    });
+  });
+
+/*
+  LIVE UPDATES
+  GET /events is a Server-Sent Events stream of changes to doctors, rooms, slots, appointments, leave, closures and
+  booking rules, so open
+  browsers can reload instead of offering a slot someone else just booked. Changes are picked up from
+  audit() (and from slot holds, which are not audited) and sent once the request that made them is done,
+  one `change` event per batch:
+    data: {"changes":[{"entityType":"appointment","entityId":"...","action":"create"}]}
+  Events carry no patient details; clients reload through the normal (role-scoped) routes.
+*/
+const LIVE_ENTITY_TYPES = ['doctor', 'room', 'slot', 'appointment', 'leave', 'closure', 'booking_rules'];
+const LIVE_HEARTBEAT_MS = 25000;
+const liveClients = new Set();
+let liveChanges = [];
+
+function queueLiveChange(auditId, entityType, entityId, action) {
+  if (!liveClients.size || !LIVE_ENTITY_TYPES.includes(entityType)) return;
+  if (!liveChanges.length) setImmediate(flushLiveChanges);
+  liveChanges.push({ auditId, entityType, entityId, action });
+}
+
+function flushLiveChanges() {
+  const pending = liveChanges;
+  liveChanges = [];
+  // a change whose transaction was rolled back (a failed or dry-run import) left no audit row behind
+  const committed = new Set(db.prepare(`SELECT id FROM audit_log WHERE id IN (${pending.map(() => '?').join(', ')})`)
+    .all(...pending.map(c => c.auditId)).map(r => r.id));
+  const changes = pending.filter(c => c.auditId === null || committed.has(c.auditId)).map(({ entityType, entityId, action }) => ({ entityType, entityId, action }));
+  if (!changes.length) return;
+  const message = `event: change\ndata: ${JSON.stringify({ changes })}\n\n`;
+  liveClients.forEach(client => client.write(message));
+}
+
+// EventSource can't send an Authorization header, so browsers read this with fetch
+app.get('/events', authenticate, (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  liveClients.add(res);
+  const heartbeat = setInterval(() => {
+    // the stream ends with the session, so a signed-out browser stops receiving changes
+    const session = db.prepare('SELECT expires_at FROM sessions WHERE token_hash = ?').get(req.tokenHash);
+    if (!session || session.expires_at <= new Date().toISOString()) return res.end();
+    res.write(': ping\n\n');
+  }, LIVE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    liveClients.delete(res);
+  });
+});
+
+/*
+  NOTIFICATIONS
+  Confirmations, reminders, reschedule and cancellation notices for patients are written to the
+  notifications outbox in the same transaction as the booking change, rendered from the templates in
+  notifications.js (NOTIFY_TEMPLATES overrides them). A dispatcher in this process sends due rows through
+  NOTIFY_TRANSPORT and retries failures with backoff; rows that are still Failed can be retried by staff.
+*/
+const NOTIFY_TEMPLATES = notifications.loadTemplates(process.env.NOTIFY_TEMPLATES);
+// reminders go out this many hours before an appointment
+const REMINDER_HOURS = String(process.env.REMINDER_HOURS || '24,2').split(',').map(Number).filter(h => h > 0);
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const NOTIFY_RETRY_SECONDS = Number(process.env.NOTIFY_RETRY_SECONDS) || 60;
+const NOTIFY_INTERVAL_SECONDS = Number(process.env.NOTIFY_INTERVAL_SECONDS) || 30;
+const NOTIFICATION_STATUSES = ['Pending', 'Sent', 'Failed', 'Cancelled'];
+
+function appointmentStart(a) {
+  return toInstant(a.date, a.time, CLINIC_TIMEZONE);
+}
+
+// Adds one message for the appointment's patient to the outbox; patients without a phone get none.
+// Call inside the transaction that changes the appointment.
+function queueNotification(appointmentId, kind, { sendAfter = new Date(), hoursBefore = null } = {}) {
+  const a = getAppointment(appointmentId);
+  if (!a || !a.patient_phone) return;
+  const vars = {
+    patientName: a.patient_name,
+    doctorName: a.doctor_name,
+    speciality: a.speciality || '',
+    date: a.date,
+    time: a.time,
+    room: a.room || '',
+    roomText: a.room ? `, room ${a.room}` : '',
+    confirmationCode: a.confirmation_code || '',
+    codeText: a.confirmation_code ? ` Confirmation code: ${a.confirmation_code}.` : '',
+    reason: a.reason || '',
+    cancelReason: a.cancel_reason || '',
+    hoursBefore,
+    clinicName: CLINIC_NAME
+  };
+  const template = NOTIFY_TEMPLATES[kind];
+  db.prepare(`
+    INSERT INTO notifications (id, appointment_id, kind, recipient, subject, body, status, send_after, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'Pending', ?, ?)
+  `).run(uuidv4(), a.id, kind, a.patient_phone, notifications.render(template.subject || '', vars),
+    notifications.render(template.body, vars), sendAfter.toISOString(), new Date().toISOString());
+}
+
+// one reminder per REMINDER_HOURS entry that is still in the future
+function queueReminders(appointmentId) {
+  const a = getAppointment(appointmentId);
+  if (!a) return;
+  const start = appointmentStart(a).getTime();
+  REMINDER_HOURS.forEach(hours => {
+    const sendAfter = new Date(start - hours * 3600000);
+    if (sendAfter > new Date()) queueNotification(a.id, 'reminder', { sendAfter, hoursBefore: hours });
+  });
+}
+
+function cancelPendingNotifications(appointmentId) {
+  db.prepare(`UPDATE notifications SET status = 'Cancelled' WHERE appointment_id = ? AND status = 'Pending'`).run(appointmentId);
+}
+
+// a cancellation notice always goes out; anything else only while the appointment is Confirmed and ahead
+function isNotificationCurrent(row) {
+  if (row.kind === 'cancellation') return true;
+  const a = row.appointment_id ? getAppointment(row.appointment_id) : null;
+  return Boolean(a && a.status === 'Confirmed' && appointmentStart(a) > new Date());
+}
+
+const NOTIFICATION_COLUMNS = 'n.*, p.name as patient_name, s.date, s.time';
+const NOTIFICATION_FROM = `
+  FROM notifications n
+  LEFT JOIN appointments a ON a.id = n.appointment_id
+  LEFT JOIN patients p ON p.id = a.patient_id
+  LEFT JOIN slots s ON s.id = a.slot_id
+`;
+const NOTIFICATION_SORTS = {
+  created: ['n.created_at'],
+  sendAfter: ['n.send_after']
+};
+
+// filters: status (comma-separated), kind, appointmentId; paged like the other lists
+app.get('/notifications',
+  requireRole('admin', 'receptionist'),
+  query('status').optional().custom(v => String(v).split(',').every(st => NOTIFICATION_STATUSES.includes(st))).withMessage('Unknown status'),
+  query('kind').optional().isIn(notifications.KINDS),
+  query('appointmentId').optional().isString(),
+  listParams(Object.keys(NOTIFICATION_SORTS)),
+  (req, res) => {
+    if (handleValidation(req, res)) return;
+    const { status, kind, appointmentId } = req.query;
+    const where = [];
+    const params = [];
+    if (status) {
+      const statuses = status.split(',');
+      where.push(`n.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (kind) { where.push('n.kind = ?'); params.push(kind); }
+    if (appointmentId) { where.push('n.appointment_id = ?'); params.push(appointmentId); }
+    sendList(req, res, {
+      columns: NOTIFICATION_COLUMNS, from: NOTIFICATION_FROM,
+      where, params, sorts: NOTIFICATION_SORTS, defaultSort: 'created', defaultOrder: 'desc', tieBreaker: 'n.id'
+    });
+  });
+
+// puts a Failed message back in the queue for a fresh round of attempts, due now
+app.post('/notifications/:id/retry', requireRole('admin', 'receptionist'), param('id').isString(), (req, res) => {
+  const before = AUDIT_SNAPSHOTS.notification(req.params.id);
+  if (!before) return res.status(404).json({ error: 'Notification not found' });
+  if (before.status !== 'Failed') return res.status(409).json({ error: `Only Failed notifications can be retried (this one is ${before.status})` });
+  db.transaction(() => {
+    db.prepare(`UPDATE notifications SET status = 'Pending', attempts = 0, send_after = ? WHERE id = ?`).run(new Date().toISOString(), before.id);
+    audit(req.user.id, 'notification', before.id, before, { note: 'Retry' });
+  })();
+  res.json(db.prepare(`SELECT ${NOTIFICATION_COLUMNS} ${NOTIFICATION_FROM} WHERE n.id = ?`).get(before.id));
+});
+
+/*
+  Health check
+*/
+app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+// public: the browser app reads the clinic's time zone from here to work out "today" and to show slot times
+app.get('/clinic', (req, res) => res.json({ name: CLINIC_NAME, timeZone: CLINIC_TIMEZONE, today: todayISO(), now: localNow() }));
+
+// start server
+app.listen(PORT, () => {
+  console.log(`Doctor Booking API listening on http://localhost:${PORT} (clinic time zone ${CLINIC_TIMEZONE})`);
+  expireWaitlist();
+  setInterval(expireWaitlist, WAITLIST_EXPIRY_INTERVAL_MS).unref();
+  const transport = notifications.createTransport(process.env);
+  if (!transport) {
+    console.log('Notifications: NOTIFY_TRANSPORT is not set, so patient messages stay Pending in the outbox');
+    return;
+  }
+  notifications.startDispatcher(db, transport, {
+    intervalMs: NOTIFY_INTERVAL_SECONDS * 1000,
+    maxAttempts: NOTIFY_MAX_ATTEMPTS,
+    baseDelayMs: NOTIFY_RETRY_SECONDS * 1000,
+    isCurrent: isNotificationCurrent
+  });
+  console.log(`Notifications: sending through the ${transport.name} transport`);
+});
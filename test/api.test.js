@@ -0,0 +1,217 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/*
+  These run the real server (server.js) against a scratch database made by `node db.js --init`, so the sample
+  users and doctors are there; each test makes its own slots on a day ahead so they don't get in each other's way.
+*/
+const ROOT = path.resolve(__dirname, '..');
+let scratch;
+let server;
+let base;
+let db;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+before(async () => {
+  scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-test-'));
+  const port = await freePort();
+  const env = Object.assign({}, process.env, { DB_FILE: path.join(scratch, 'test.db'), PORT: String(port) });
+  delete env.NOTIFY_TRANSPORT;
+  execFileSync(process.execPath, ['db.js', '--init'], { cwd: ROOT, env, stdio: 'ignore' });
+  server = spawn(process.execPath, ['server.js'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'inherit'] });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+    server.once('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+  server.stdout.resume();
+  base = `http://localhost:${port}`;
+  db = new Database(env.DB_FILE);
+});
+
+after(() => {
+  if (db) db.close();
+  if (server) server.kill();
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+async function call(token, method, url, body, headers = {}) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: `Bearer ${token}` } : {}, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+// a fresh session (each login is its own session, so two logins can hold against each other)
+async function login(username, password) {
+  const res = await call(null, 'POST', '/auth/login', { username, password });
+  assert.strictEqual(res.status, 200);
+  return res.body.token;
+}
+
+// a free slot (by default Dr. Mehta's) two days from the clinic's today, at the next unused time
+let nextMinutes = 8 * 60;
+async function newSlot(token, doctorId = 'D001') {
+  const clinic = (await call(null, 'GET', '/clinic')).body;
+  const day = new Date(`${clinic.today}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 2);
+  const time = `${String(Math.floor(nextMinutes / 60)).padStart(2, '0')}:${String(nextMinutes % 60).padStart(2, '0')}`;
+  nextMinutes += 30;
+  const res = await call(token, 'POST', '/slots', { doctorId, date: day.toISOString().slice(0, 10), time });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  return res.body.id;
+}
+
+let phones = 9000000000;
+function booking(slotId) {
+  phones += 1;
+  return { slotId, patientName: `Test patient ${phones}`, patientPhone: String(phones) };
+}
+
+test('a hold keeps other sessions from holding or booking the slot', async () => {
+  const mine = await login('reception', 'reception123');
+  const theirs = await login('admin', 'admin123');
+  const slotId = await newSlot(mine);
+
+  assert.strictEqual((await call(mine, 'POST', `/slots/${slotId}/hold`)).status, 200);
+  const held = await call(theirs, 'POST', `/slots/${slotId}/hold`);
+  assert.strictEqual(held.status, 409);
+  assert.strictEqual(held.body.heldBy, 'Front Desk');
+  assert.strictEqual((await call(theirs, 'POST', '/appointments', booking(slotId))).status, 409);
+
+  // the holder books it, and the hold turns into the appointment
+  assert.strictEqual((await call(mine, 'POST', '/appointments', booking(slotId))).status, 201);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM slot_holds WHERE slot_id = ?').get(slotId).n, 0);
+});
+
+test('a released or expired hold no longer blocks anyone', async () => {
+  const mine = await login('reception', 'reception123');
+  const theirs = await login('admin', 'admin123');
+  const released = await newSlot(mine);
+  const expired = await newSlot(mine);
+
+  await call(mine, 'POST', `/slots/${released}/hold`);
+  assert.strictEqual((await call(mine, 'DELETE', `/slots/${released}/hold`)).status, 204);
+  assert.strictEqual((await call(theirs, 'POST', `/slots/${released}/hold`)).status, 200);
+
+  await call(mine, 'POST', `/slots/${expired}/hold`);
+  db.prepare('UPDATE slot_holds SET expires_at = ? WHERE slot_id = ?').run(new Date(Date.now() - 1000).toISOString(), expired);
+  assert.strictEqual((await call(theirs, 'POST', '/appointments', booking(expired))).status, 201);
+});
+
+test('a retried write with the same Idempotency-Key is replayed, not repeated', async () => {
+  const token = await login('reception', 'reception123');
+  const slotId = await newSlot(token);
+  const request = booking(slotId);
+  const headers = { 'Idempotency-Key': `book-${slotId}` };
+
+  const first = await call(token, 'POST', '/appointments', request, headers);
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.headers.get('Idempotent-Replayed'), null);
+  const retry = await call(token, 'POST', '/appointments', request, headers);
+  assert.strictEqual(retry.status, 201);
+  assert.strictEqual(retry.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepStrictEqual(retry.body, first.body);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM appointments WHERE slot_id = ?').get(slotId).n, 1);
+});
+
+test('an Idempotency-Key reused for a different request gets 422', async () => {
+  const token = await login('reception', 'reception123');
+  const slotId = await newSlot(token);
+  const otherSlotId = await newSlot(token);
+  const headers = { 'Idempotency-Key': `book-${slotId}-twice` };
+
+  assert.strictEqual((await call(token, 'POST', '/appointments', booking(slotId), headers)).status, 201);
+  const reused = await call(token, 'POST', '/appointments', booking(otherSlotId), headers);
+  assert.strictEqual(reused.status, 422);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM appointments WHERE slot_id = ?').get(otherSlotId).n, 0);
+});
+
+test('a booking that breaks a doctor\'s rules gets 409 with violations', async () => {
+  const admin = await login('admin', 'admin123');
+  const first = await newSlot(admin, 'D002');
+  const second = await newSlot(admin, 'D002');
+  assert.strictEqual((await call(admin, 'PUT', '/doctors/D002/booking-rules', { maxPerPatientDay: 1, maxDaysAhead: 1 })).status, 200);
+  try {
+    const tooFar = await call(admin, 'POST', '/appointments', booking(first));
+    assert.strictEqual(tooFar.status, 409);
+    assert.deepStrictEqual(tooFar.body.violations.map(v => [v.rule, v.limit]), [['max_days_ahead', 1]]);
+
+    assert.strictEqual((await call(admin, 'PUT', '/doctors/D002/booking-rules', { maxPerPatientDay: 1 })).status, 200);
+    const patient = booking(first);
+    assert.strictEqual((await call(admin, 'POST', '/appointments', patient)).status, 201);
+    const again = await call(admin, 'POST', '/appointments', Object.assign({}, patient, { slotId: second }));
+    assert.strictEqual(again.status, 409);
+    assert.deepStrictEqual(again.body.violations.map(v => [v.rule, v.limit]), [['patient_daily', 1]]);
+    assert.match(again.body.violations[0].message, /at most 1 appointment a day/);
+  } finally {
+    await call(admin, 'DELETE', '/doctors/D002/booking-rules');
+  }
+});
+
+test('clearing booking rules: 404 for an unknown doctor, no audit entry without an override', async () => {
+  const admin = await login('admin', 'admin123');
+  const unknown = await call(admin, 'DELETE', '/doctors/NO-SUCH-DOCTOR/booking-rules');
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.error, 'Doctor not found');
+
+  const audited = () => db.prepare(`SELECT COUNT(*) as n FROM audit_log WHERE entity_type = 'booking_rules' AND entity_id = 'D002'`).get().n;
+  const before = audited();
+  assert.strictEqual((await call(admin, 'DELETE', '/doctors/D002/booking-rules')).status, 204);
+  assert.strictEqual(audited(), before);
+
+  await call(admin, 'PUT', '/doctors/D002/booking-rules', { maxPerDoctorDay: 10 });
+  assert.strictEqual((await call(admin, 'DELETE', '/doctors/D002/booking-rules')).status, 204);
+  assert.strictEqual(audited(), before + 2);
+});
+
+test('GET /patients pages like the other lists, and GET /slots rows name their booking', async () => {
+  const token = await login('reception', 'reception123');
+  const slotId = await newSlot(token);
+  const request = booking(slotId);
+  const booked = await call(token, 'POST', '/appointments', request);
+  assert.strictEqual(booked.status, 201);
+
+  const page = await call(token, 'GET', '/patients?limit=1&offset=0');
+  assert.strictEqual(page.status, 200);
+  assert.strictEqual(page.body.items.length, 1);
+  assert.strictEqual(page.body.total, db.prepare('SELECT COUNT(*) as n FROM patients').get().n);
+  const found = await call(token, 'GET', `/patients?q=${request.patientPhone}&limit=5`);
+  assert.deepStrictEqual(found.body.items.map(p => [p.name, p.appointment_count]), [[request.patientName, 1]]);
+
+  const slot = (await call(token, 'GET', `/slots?date=${booked.body.date}`)).body.find(s => s.id === slotId);
+  assert.strictEqual(slot.appointment_id, booked.body.id);
+});
+
+test('GET /slots/:id returns the slot as GET /slots lists it, and 404 outside a doctor\'s own', async () => {
+  const reception = await login('reception', 'reception123');
+  const slotId = await newSlot(reception, 'D002');
+  await call(reception, 'POST', `/slots/${slotId}/hold`);
+
+  const one = await call(reception, 'GET', `/slots/${slotId}`);
+  assert.strictEqual(one.status, 200);
+  const listed = (await call(reception, 'GET', `/slots?date=${one.body.date}`)).body.find(s => s.id === slotId);
+  assert.deepStrictEqual(one.body, listed);
+  assert.strictEqual(one.body.hold_mine, true);
+
+  const doctor = await login('dr.mehta', 'doctor123');
+  assert.strictEqual((await call(doctor, 'GET', `/slots/${slotId}`)).status, 404);
+  assert.strictEqual((await call(reception, 'GET', '/slots/NO-SUCH-SLOT')).status, 404);
+});
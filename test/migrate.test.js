@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { migrate, currentVersion, LATEST_VERSION } = require('../db');
+
+// the schema `node db.js --init` created before migrations existed
+function baselineDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE doctors (id TEXT PRIMARY KEY, name TEXT NOT NULL, speciality TEXT, room TEXT);
+    CREATE TABLE slots (
+      id TEXT PRIMARY KEY, doctor_id TEXT NOT NULL, date TEXT NOT NULL, time TEXT NOT NULL,
+      FOREIGN KEY (doctor_id) REFERENCES doctors(id)
+    );
+    CREATE TABLE appointments (
+      id TEXT PRIMARY KEY, slot_id TEXT UNIQUE NOT NULL, patient_name TEXT NOT NULL, patient_phone TEXT, reason TEXT,
+      status TEXT DEFAULT 'Confirmed', created_at TEXT,
+      FOREIGN KEY (slot_id) REFERENCES slots(id)
+    );
+    INSERT INTO doctors VALUES ('D001', 'Dr. Asha Rao', 'General Medicine', '101'), ('D002', 'Dr. Vikram Singh', 'Pediatrics', '102');
+    INSERT INTO slots VALUES
+      ('S1', 'D001', '2026-10-20', '09:00'), ('S2', 'D001', '2026-10-20', '09:30'),
+      ('S3', 'D002', '2026-10-20', '10:00'), ('S4', 'D002', '2026-10-20', '10:30');
+    INSERT INTO appointments VALUES
+      ('A1', 'S1', 'Ravi Kumar', '+91 98765 43210', 'Fever', 'Confirmed', '2026-10-01T09:00:00.000Z'),
+      ('A2', 'S2', 'Ravi K', '9876543210', 'Follow-up', 'Cancelled', '2026-10-02T09:00:00.000Z'),
+      ('A3', 'S3', 'Meera', NULL, NULL, 'Confirmed', '2026-10-03T09:00:00.000Z');
+  `);
+  return db;
+}
+
+test('migrate upgrades a baseline database without losing rows', () => {
+  const db = baselineDb();
+  migrate(db);
+
+  assert.strictEqual(currentVersion(db), LATEST_VERSION);
+  assert.ok(db.prepare('SELECT 1 FROM schema_migrations WHERE version = 0').get(), 'baseline recorded as version 0');
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) as n FROM sqlite_master WHERE name LIKE 'baseline_%'`).get().n, 0);
+
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM doctors').get().n, 2);
+  assert.deepStrictEqual(db.prepare('SELECT id, duration FROM slots ORDER BY id').all().map(s => [s.id, s.duration]),
+    [['S1', 30], ['S2', 30], ['S3', 30], ['S4', 30]]);
+
+  const appts = db.prepare(`
+    SELECT a.id, a.slot_id, a.status, a.reason, p.name, p.phone FROM appointments a JOIN patients p ON p.id = a.patient_id ORDER BY a.id
+  `).all();
+  assert.deepStrictEqual(appts.map(a => [a.id, a.slot_id, a.status, a.name]), [
+    ['A1', 'S1', 'Confirmed', 'Ravi Kumar'],
+    ['A2', 'S2', 'Cancelled', 'Ravi Kumar'],
+    ['A3', 'S3', 'Confirmed', 'Meera']
+  ]);
+  // the same phone in two formats is one patient; a phoneless booking gets its own
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM patients').get().n, 2);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) as n FROM appointment_history WHERE event = 'created'`).get().n, 3);
+  assert.deepStrictEqual(db.pragma('foreign_key_check'), []);
+});
+
+test('migrate merges duplicate baseline slots and keeps their appointments', () => {
+  const db = baselineDb();
+  db.exec(`
+    INSERT INTO slots VALUES ('S5', 'D001', '2026-10-20', '09:00'), ('S6', 'D002', '2026-10-20', '10:30');
+    INSERT INTO appointments VALUES
+      ('A4', 'S5', 'Asha', '9000000001', NULL, 'Confirmed', '2026-10-04T09:00:00.000Z'),
+      ('A5', 'S6', 'Kiran', '9000000002', NULL, 'Confirmed', '2026-10-05T09:00:00.000Z');
+  `);
+  migrate(db);
+
+  assert.deepStrictEqual(db.prepare('SELECT id FROM slots ORDER BY id').all().map(s => s.id), ['S1', 'S2', 'S3', 'S4']);
+  const appts = db.prepare('SELECT id, slot_id, status, cancel_reason FROM appointments ORDER BY id').all();
+  assert.strictEqual(appts.length, 5);
+  // S5 duplicated S1, which A1 already holds: the later booking is kept, but cancelled
+  assert.deepStrictEqual(appts.find(a => a.id === 'A4'),
+    { id: 'A4', slot_id: 'S1', status: 'Cancelled', cancel_reason: 'Double-booked before migrations' });
+  // S6 duplicated the free S4: its booking simply moves over
+  assert.deepStrictEqual(appts.find(a => a.id === 'A5'), { id: 'A5', slot_id: 'S4', status: 'Confirmed', cancel_reason: null });
+  assert.deepStrictEqual(db.pragma('foreign_key_check'), []);
+});
+
+test('migrate leaves a fresh database without a version 0', () => {
+  const db = new Database(':memory:');
+  migrate(db);
+  assert.strictEqual(currentVersion(db), LATEST_VERSION);
+  assert.strictEqual(db.prepare('SELECT 1 FROM schema_migrations WHERE version = 0').get(), undefined);
+});
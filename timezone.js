@@ -0,0 +1,72 @@
+// timezone.js
+// Clinic wall-clock time for server.js and db.js. Slot dates and times are stored as plain "YYYY-MM-DD" and
+// "HH:MM" strings in the clinic's time zone (CLINIC_TIMEZONE, an IANA name such as "Asia/Kolkata"); these
+// helpers turn instants into clinic dates and back, whatever time zone the server process runs in.
+
+// the configured zone, or the process's own when none is set
+function resolveTimeZone(name) {
+  const zone = name || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (err) {
+    throw new Error(`Unknown time zone "${zone}" (use an IANA name such as Asia/Kolkata)`);
+  }
+  return zone;
+}
+
+const formatters = new Map();
+
+// { year, month, day, hour, minute, second } of `instant` on the zone's clocks, as zero-padded strings
+function zonedParts(instant, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(instant).forEach(p => { parts[p.type] = p.value; });
+  return parts;
+}
+
+// "YYYY-MM-DD" in the zone at `instant` (a Date, timestamp or ISO string)
+function localDate(timeZone, instant = new Date()) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// "YYYY-MM-DD HH:MM" in the zone, comparable with a slot's `${date} ${time}`
+function localDateTime(timeZone, instant = new Date()) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// milliseconds the zone's clocks are ahead of UTC at `ms`
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+// the instant a clinic date and time happen. Around a DST change the offsets from the day before and the day
+// after are both tried: a time that happens twice takes the first, and one skipped by the change comes out
+// later by the gap (02:30 -> 03:30), like a clock that was moved forward.
+function toInstant(date, time, timeZone) {
+  const wall = Date.parse(`${date}T${time}:00Z`);
+  const offsets = [offsetAt(wall - 86400000, timeZone), offsetAt(wall + 86400000, timeZone)];
+  const candidates = offsets.map(o => wall - o).sort((x, y) => x - y);
+  const match = candidates.find(ms => localDateTime(timeZone, ms) === `${date} ${time}`);
+  return new Date(match !== undefined ? match : wall - Math.min(...offsets));
+}
+
+module.exports = {
+  resolveTimeZone,
+  localDate,
+  localDateTime,
+  addDays,
+  toInstant
+};